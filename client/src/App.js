@@ -4,44 +4,163 @@ import TransactionForm from './components/TransactionForm';
 import TransactionList from './components/TransactionList';
 import Summary from './components/Summary';
 import Charts from './components/Charts';
+import ExchangeRates from './components/ExchangeRates';
+import Categories from './components/Categories';
+import RecurringRules from './components/RecurringRules';
+import Bills from './components/Bills';
+import Budgets from './components/Budgets';
+import Goals from './components/Goals';
+import NotificationBell from './components/NotificationBell';
+import NotificationRules from './components/NotificationRules';
+import Login from './components/Login';
+import Household from './components/Household';
+import HouseholdSetup from './components/HouseholdSetup';
+import SharedExpenses from './components/SharedExpenses';
+import CsvImport from './components/CsvImport';
+import StatementImport from './components/StatementImport';
+import QifImport from './components/QifImport';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+const TOKEN_STORAGE_KEY = 'authToken';
+
+/**
+ * Guarda (o elimina) el token de la sesión y lo envía en todas las peticiones de axios
+ * @param {string|null} token - Token JWT o null para cerrar la sesión
+ */
+const applyToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+// Restaurar la sesión guardada antes de que los componentes hagan peticiones
+applyToken(localStorage.getItem(TOKEN_STORAGE_KEY));
 
 function App() {
+  const [user, setUser] = useState(null);
   const [activeTab, setActiveTab] = useState('summary');
   const [transactions, setTransactions] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [tagTotals, setTagTotals] = useState([]);
+  const [upcomingBills, setUpcomingBills] = useState([]);
+  const [budgetReport, setBudgetReport] = useState(null);
+  const [envelopeReport, setEnvelopeReport] = useState(null);
+  const [budgetMode, setBudgetMode] = useState('limits');
+  const [notifications, setNotifications] = useState([]);
   const [summary, setSummary] = useState({
     totalIncome: 0,
     totalExpenses: 0,
     balance: 0,
     expensesByCategory: [],
-    incomeByCategory: []
+    incomeByCategory: [],
+    expensesByCategoryTree: [],
+    incomeByCategoryTree: [],
+    expensesByCurrency: [],
+    incomeByCurrency: [],
+    accounts: []
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [summaryFilters, setSummaryFilters] = useState({});
 
   useEffect(() => {
-    loadData(summaryFilters);
+    // Un 401 fuera de las rutas de autenticación indica que la sesión caducó o se revocó
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      (err) => {
+        if (err.response?.status === 401 && !err.config?.url?.includes('/api/auth/')) {
+          applyToken(null);
+          setUser(null);
+        }
+        return Promise.reject(err);
+      }
+    );
+
+    if (localStorage.getItem(TOKEN_STORAGE_KEY)) {
+      loadSession();
+    } else {
+      setLoading(false);
+    }
+    return () => axios.interceptors.response.eject(interceptor);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Obtiene el usuario y su hogar; los datos solo se cargan si ya pertenece a uno
+  const loadSession = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/me`);
+      setUser(response.data);
+      if (response.data.household) {
+        await loadData(summaryFilters);
+      } else {
+        setLoading(false);
+      }
+    } catch (err) {
+      applyToken(null);
+      setUser(null);
+      setLoading(false);
+    }
+  };
+
+  const handleLogin = ({ token }) => {
+    applyToken(token);
+    loadSession();
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/auth/logout`);
+    } catch (err) {
+      // La sesión se cierra localmente aunque el servidor no responda
+    }
+    applyToken(null);
+    setUser(null);
+    setActiveTab('summary');
+  };
+
   const loadData = async (filters = {}) => {
     try {
       setLoading(true);
       // Guardar filtros para reutilizarlos después de operaciones CRUD
       setSummaryFilters(filters);
 
-      const [transactionsRes, categoriesRes, summaryRes] = await Promise.all([
+      const [transactionsRes, categoriesRes, accountsRes, tagsRes, summaryRes, tagTotalsRes, billsRes, budgetReportRes, envelopeReportRes, settingsRes, notificationsRes, participantsRes] = await Promise.all([
         axios.get(`${API_BASE_URL}/api/transactions`),
-        axios.get(`${API_BASE_URL}/api/categories`),
-        axios.get(`${API_BASE_URL}/api/summary`, { params: filters })
+        // Incluye las archivadas para mostrar el historial; el formulario las oculta
+        axios.get(`${API_BASE_URL}/api/categories`, { params: { includeArchived: true } }),
+        axios.get(`${API_BASE_URL}/api/accounts`),
+        axios.get(`${API_BASE_URL}/api/tags`),
+        axios.get(`${API_BASE_URL}/api/summary`, { params: filters }),
+        axios.get(`${API_BASE_URL}/api/summary/tags`, { params: filters }),
+        axios.get(`${API_BASE_URL}/api/bills/upcoming`, { params: { days: 30 } }),
+        // Presupuestos y sobres del mes en curso
+        axios.get(`${API_BASE_URL}/api/budgets/report`),
+        axios.get(`${API_BASE_URL}/api/envelopes`),
+        axios.get(`${API_BASE_URL}/api/settings`),
+        // Las escrituras evalúan las reglas de notificación en el servidor
+        axios.get(`${API_BASE_URL}/api/notifications`),
+        axios.get(`${API_BASE_URL}/api/participants`)
       ]);
 
       setTransactions(transactionsRes.data);
       setCategories(categoriesRes.data);
+      setAccounts(accountsRes.data);
+      setTags(tagsRes.data);
       setSummary(summaryRes.data);
+      setTagTotals(tagTotalsRes.data);
+      setUpcomingBills(billsRes.data);
+      setBudgetReport(budgetReportRes.data);
+      setEnvelopeReport(envelopeReportRes.data);
+      setBudgetMode(settingsRes.data.budget_mode);
+      setNotifications(notificationsRes.data);
+      setParticipants(participantsRes.data);
       setError('');
     } catch (err) {
       setError('Error al cargar los datos: ' + (err.response?.data?.error || err.message));
@@ -64,10 +183,40 @@ function App() {
     loadData(summaryFilters); // Recargar usando filtros actuales
   };
 
-  const formatCurrency = (amount) => {
+  const handleBillPaid = async (bill) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/bills/${bill.id}/pay`);
+      loadData(summaryFilters); // El pago registra un gasto, recargar con filtros activos
+    } catch (err) {
+      setError('Error al marcar la factura como pagada: ' + (err.response?.data?.details || err.message));
+    }
+  };
+
+  const handleNotificationRead = async (notification, read) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/notifications/${notification.id}`, { read });
+      setNotifications(prev => prev.map(item => (item.id === notification.id ? response.data : item)));
+    } catch (err) {
+      setError('Error al actualizar la notificación: ' + (err.response?.data?.details || err.message));
+    }
+  };
+
+  const handleAllNotificationsRead = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/notifications/read-all`);
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    } catch (err) {
+      setError('Error al actualizar las notificaciones: ' + (err.response?.data?.details || err.message));
+    }
+  };
+
+  // Moneda base del hogar informada por el servidor en el resumen
+  const baseCurrency = summary.baseCurrency || 'EUR';
+
+  const formatCurrency = (amount, currency = baseCurrency) => {
     return new Intl.NumberFormat('es-ES', {
       style: 'currency',
-      currency: 'EUR',
+      currency: currency || baseCurrency,
       minimumFractionDigits: 2
     }).format(amount);
   };
@@ -82,11 +231,52 @@ function App() {
     );
   }
 
+  if (!user) {
+    return (
+      <div className="container">
+        <header className="header">
+          <h1>Control de Gastos del Hogar</h1>
+          <p>Gestiona tus ingresos y gastos de manera sencilla</p>
+        </header>
+        <Login onLogin={handleLogin} />
+      </div>
+    );
+  }
+
+  if (!user.household) {
+    return (
+      <div className="container">
+        <header className="header">
+          <h1>Control de Gastos del Hogar</h1>
+          <p>Gestiona tus ingresos y gastos de manera sencilla</p>
+          <div className="header-user">
+            <span>{user.name || user.email}</span>
+            <button onClick={handleLogout} className="btn btn-sm btn-secondary">
+              Cerrar sesión
+            </button>
+          </div>
+        </header>
+        <HouseholdSetup onHouseholdJoined={loadSession} />
+      </div>
+    );
+  }
+
   return (
     <div className="container">
       <header className="header">
         <h1>Control de Gastos del Hogar</h1>
         <p>Gestiona tus ingresos y gastos de manera sencilla</p>
+        <NotificationBell
+          notifications={notifications}
+          onMarkRead={handleNotificationRead}
+          onMarkAllRead={handleAllNotificationsRead}
+        />
+        <div className="header-user">
+          <span>{user.name || user.email} · {user.household.name}</span>
+          <button onClick={handleLogout} className="btn btn-sm btn-secondary">
+            Cerrar sesión
+          </button>
+        </div>
       </header>
 
       {error && (
@@ -108,6 +298,12 @@ function App() {
         >
           Agregar Transacción
         </button>
+        <button
+          className={`nav-tab ${activeTab === 'import' ? 'active' : ''}`}
+          onClick={() => setActiveTab('import')}
+        >
+          Importar
+        </button>
         <button
           className={`nav-tab ${activeTab === 'list' ? 'active' : ''}`}
           onClick={() => setActiveTab('list')}
@@ -120,29 +316,120 @@ function App() {
         >
           Gráficos
         </button>
+        <button
+          className={`nav-tab ${activeTab === 'recurring' ? 'active' : ''}`}
+          onClick={() => setActiveTab('recurring')}
+        >
+          Recurrentes
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'bills' ? 'active' : ''}`}
+          onClick={() => setActiveTab('bills')}
+        >
+          Facturas
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'budgets' ? 'active' : ''}`}
+          onClick={() => setActiveTab('budgets')}
+        >
+          Presupuestos
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'goals' ? 'active' : ''}`}
+          onClick={() => setActiveTab('goals')}
+        >
+          Metas
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'shared' ? 'active' : ''}`}
+          onClick={() => setActiveTab('shared')}
+        >
+          Compartidos
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'alerts' ? 'active' : ''}`}
+          onClick={() => setActiveTab('alerts')}
+        >
+          Alertas
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'categories' ? 'active' : ''}`}
+          onClick={() => setActiveTab('categories')}
+        >
+          Categorías
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'currencies' ? 'active' : ''}`}
+          onClick={() => setActiveTab('currencies')}
+        >
+          Monedas
+        </button>
+        <button
+          className={`nav-tab ${activeTab === 'household' ? 'active' : ''}`}
+          onClick={() => setActiveTab('household')}
+        >
+          Hogar
+        </button>
       </nav>
 
       <main>
         {activeTab === 'summary' && (
           <Summary 
             summary={summary} 
+            tagTotals={tagTotals}
+            upcomingBills={upcomingBills}
+            budgetMode={budgetMode}
+            budgetReport={budgetReport}
+            envelopeReport={envelopeReport}
             formatCurrency={formatCurrency}
             onRefresh={loadData}
+            onPayBill={handleBillPaid}
           />
         )}
 
         {activeTab === 'add' && (
           <TransactionForm
             categories={categories}
+            accounts={accounts}
+            tags={tags}
+            participants={participants}
+            baseCurrency={baseCurrency}
             onTransactionAdded={handleTransactionAdded}
             formatCurrency={formatCurrency}
           />
         )}
 
+        {activeTab === 'import' && (
+          <div>
+            <CsvImport
+              categories={categories}
+              accounts={accounts}
+              formatCurrency={formatCurrency}
+              onImported={() => loadData(summaryFilters)}
+            />
+            <StatementImport
+              categories={categories}
+              accounts={accounts}
+              formatCurrency={formatCurrency}
+              onImported={() => loadData(summaryFilters)}
+            />
+            <QifImport
+              categories={categories}
+              accounts={accounts}
+              formatCurrency={formatCurrency}
+              onImported={() => loadData(summaryFilters)}
+            />
+          </div>
+        )}
+
         {activeTab === 'list' && (
           <TransactionList
             transactions={transactions}
             categories={categories}
+            accounts={accounts}
+            tags={tags}
+            participants={participants}
+            baseCurrency={baseCurrency}
             onTransactionUpdated={handleTransactionUpdated}
             onTransactionDeleted={handleTransactionDeleted}
             formatCurrency={formatCurrency}
@@ -156,6 +443,77 @@ function App() {
             formatCurrency={formatCurrency}
           />
         )}
+
+        {activeTab === 'recurring' && (
+          <RecurringRules
+            categories={categories}
+            accounts={accounts}
+            formatCurrency={formatCurrency}
+            onRulesChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'bills' && (
+          <Bills
+            categories={categories}
+            accounts={accounts}
+            formatCurrency={formatCurrency}
+            onBillsChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'budgets' && (
+          <Budgets
+            categories={categories}
+            budgetMode={budgetMode}
+            formatCurrency={formatCurrency}
+            onBudgetsChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'goals' && (
+          <Goals
+            categories={categories}
+            accounts={accounts}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {activeTab === 'shared' && (
+          <SharedExpenses
+            formatCurrency={formatCurrency}
+            onParticipantsChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'alerts' && (
+          <NotificationRules
+            categories={categories}
+            accounts={accounts}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {activeTab === 'categories' && (
+          <Categories
+            formatCurrency={formatCurrency}
+            onCategoriesChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'currencies' && (
+          <ExchangeRates
+            baseCurrency={baseCurrency}
+            onSettingsChanged={() => loadData(summaryFilters)}
+          />
+        )}
+
+        {activeTab === 'household' && (
+          <Household
+            currentUser={user}
+            onHouseholdChanged={loadSession}
+          />
+        )}
       </main>
     </div>
   );
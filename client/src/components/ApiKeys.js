@@ -0,0 +1,163 @@
+/**
+ * Componente de claves de API
+ * El propietario crea claves para scripts y automatizaciones, ve cuándo se usó cada una por
+ * última vez y las revoca. La clave completa solo se muestra una vez, al crearla
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const SCOPE_LABELS = {
+  write: 'Lectura y escritura',
+  read: 'Solo lectura'
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('es-ES') : '—');
+
+const ApiKeys = () => {
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('write');
+  const [createdKey, setCreatedKey] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const loadKeys = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/api-keys`);
+      setKeys(response.data);
+    } catch (err) {
+      setError('Error al cargar las claves de API: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/api-keys`, { name: name.trim(), scope });
+      const { key, ...apiKey } = response.data;
+      setKeys(prev => [apiKey, ...prev]);
+      setCreatedKey({ name: apiKey.name, key });
+      setName('');
+      setScope('write');
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al crear la clave de API');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`¿Revocar la clave "${apiKey.name}"? Los scripts que la usen dejarán de funcionar.`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/api-keys/${apiKey.id}/revoke`);
+      setKeys(prev => prev.map(item => (item.id === apiKey.id ? response.data : item)));
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al revocar la clave de API');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Claves de API</h2>
+      {error && <div className="error">{error}</div>}
+      <p className="household-hint">
+        Para scripts y automatizaciones: envía la clave en la cabecera <code>Authorization: Bearer &lt;clave&gt;</code>.
+        Una clave de escritura actúa como editor y una de solo lectura como lector.
+      </p>
+
+      {createdKey && (
+        <div className="success">
+          Copia la clave "{createdKey.name}" ahora; no se volverá a mostrar:{' '}
+          <strong className="invite-code">{createdKey.key}</strong>{' '}
+          <button onClick={() => setCreatedKey(null)} className="btn btn-sm btn-secondary">
+            Hecho
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="filters">
+        <div className="form-group">
+          <label htmlFor="api_key_name">Nombre</label>
+          <input
+            type="text"
+            id="api_key_name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Script de gastos"
+            maxLength="100"
+            className="form-control"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="api_key_scope">Alcance</label>
+          <select
+            id="api_key_scope"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="form-control"
+          >
+            {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <button type="submit" className="btn btn-primary" disabled={!name.trim()}>
+            Crear clave
+          </button>
+        </div>
+      </form>
+
+      {keys.length === 0 ? (
+        <div className="empty-state">No hay claves de API.</div>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Nombre</th>
+              <th>Clave</th>
+              <th>Alcance</th>
+              <th>Último uso</th>
+              <th>Estado</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(apiKey => (
+              <tr key={apiKey.id}>
+                <td>
+                  {apiKey.name}
+                  {apiKey.created_by_name && <div className="household-hint">{apiKey.created_by_name}</div>}
+                </td>
+                <td><code>{apiKey.key_prefix}…</code></td>
+                <td>{SCOPE_LABELS[apiKey.scope]}</td>
+                <td>{formatDateTime(apiKey.last_used_at)}</td>
+                <td className={apiKey.revoked_at ? 'negative' : 'positive'}>
+                  {apiKey.revoked_at ? `Revocada ${formatDateTime(apiKey.revoked_at)}` : 'Activa'}
+                </td>
+                <td>
+                  {!apiKey.revoked_at && (
+                    <button onClick={() => handleRevoke(apiKey)} className="btn btn-sm btn-danger">
+                      Revocar
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
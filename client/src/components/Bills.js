@@ -0,0 +1,300 @@
+/**
+ * Componente de facturas
+ * Permite registrar facturas con su fecha de vencimiento e importe esperado
+ * y marcarlas como pagadas, lo que registra el gasto correspondiente
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const STATUS_LABELS = {
+  pending: 'Pendiente',
+  overdue: 'Vencida',
+  paid: 'Pagada'
+};
+
+const emptyForm = {
+  name: '',
+  amount: '',
+  category: '',
+  account_id: '',
+  due_date: new Date().toISOString().split('T')[0],
+  notes: ''
+};
+
+const Bills = ({ categories, accounts = [], formatCurrency, onBillsChanged }) => {
+  const [bills, setBills] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadBills();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadBills = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/bills`);
+      setBills(response.data);
+    } catch (err) {
+      setError('Error al cargar las facturas: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (bill) => {
+    setEditingId(bill.id);
+    setFormData({
+      name: bill.name,
+      amount: bill.amount.toString(),
+      category: bill.category,
+      account_id: bill.account_id ? bill.account_id.toString() : '',
+      due_date: bill.due_date,
+      notes: bill.notes || ''
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = {
+      name: formData.name.trim(),
+      amount: parseFloat(formData.amount),
+      category: formData.category,
+      due_date: formData.due_date,
+      notes: formData.notes.trim(),
+      ...(formData.account_id ? { account_id: parseInt(formData.account_id) } : {})
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/api/bills/${editingId}`, payload);
+        setSuccess('Factura actualizada');
+      } else {
+        await axios.post(`${API_BASE_URL}/api/bills`, payload);
+        setSuccess('Factura creada');
+      }
+      resetForm();
+      await loadBills();
+      onBillsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar la factura');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (bill) => {
+    if (!window.confirm(`¿Eliminar la factura "${bill.name}"? Si ya estaba pagada, su transacción se conserva.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/bills/${bill.id}`);
+      setBills(prev => prev.filter(item => item.id !== bill.id));
+      if (editingId === bill.id) {
+        resetForm();
+      }
+      onBillsChanged();
+    } catch (err) {
+      setError('Error al eliminar la factura');
+    }
+  };
+
+  const handlePay = async (bill) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/bills/${bill.id}/pay`);
+      setSuccess(`Factura "${bill.name}" marcada como pagada`);
+      await loadBills();
+      onBillsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al marcar la factura como pagada');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Categorías de gasto activas (y la actual si la factura ya la usaba)
+  const expenseCategories = categories
+    .filter(cat => cat.type === 'expense')
+    .filter(cat => !cat.archived_at || cat.name === formData.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>{editingId ? 'Editar Factura' : 'Nueva Factura'}</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="bill_name">Nombre</label>
+            <input
+              type="text"
+              id="bill_name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="Factura de la luz"
+              maxLength="255"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="bill_amount">Monto esperado</label>
+            <input
+              type="number"
+              id="bill_amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="bill_category">Categoría</label>
+            <select id="bill_category" name="category" value={formData.category} onChange={handleChange} className="form-control">
+              <option value="">Selecciona una categoría</option>
+              {expenseCategories.map(category => (
+                <option key={category.id} value={category.name}>
+                  {category.icon} {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          {accounts.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="bill_account">Cuenta</label>
+              <select id="bill_account" name="account_id" value={formData.account_id} onChange={handleChange} className="form-control">
+                <option value="">Cuenta por defecto</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="bill_due_date">Vencimiento</label>
+            <input
+              type="date"
+              id="bill_due_date"
+              name="due_date"
+              value={formData.due_date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="bill_notes">Notas</label>
+            <input
+              type="text"
+              id="bill_notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              maxLength="255"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !formData.name.trim() || !formData.amount || !formData.category || !formData.due_date}
+            >
+              {editingId ? 'Actualizar' : 'Crear'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancelar
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Facturas</h2>
+        {bills.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay facturas registradas.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Factura</th>
+                <th>Categoría</th>
+                <th>Monto</th>
+                <th>Vencimiento</th>
+                <th>Estado</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {bills.map(bill => (
+                <tr key={bill.id}>
+                  <td>{bill.name}</td>
+                  <td>{bill.category_icon || '📁'} {bill.category}</td>
+                  <td className="negative">{formatCurrency(bill.amount, bill.currency)}</td>
+                  <td>{bill.due_date}</td>
+                  <td>
+                    <span className={`bill-status ${bill.status}`}>{STATUS_LABELS[bill.status]}</span>
+                    {bill.paid_at && ` (${bill.paid_at})`}
+                  </td>
+                  <td>
+                    {bill.status !== 'paid' && (
+                      <button onClick={() => handlePay(bill)} className="btn btn-sm btn-primary" disabled={loading}>
+                        Marcar pagada
+                      </button>
+                    )}
+                    {bill.status !== 'paid' && (
+                      <button onClick={() => handleEdit(bill)} className="btn btn-sm btn-secondary">
+                        Editar
+                      </button>
+                    )}
+                    <button onClick={() => handleDelete(bill)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Bills;
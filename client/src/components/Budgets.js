@@ -0,0 +1,265 @@
+/**
+ * Componente de presupuestos
+ * Permite elegir el modo de presupuesto del hogar. En el modo de límites se fija un
+ * límite mensual de gasto por categoría y se ve cuánto se ha usado; en el modo de
+ * sobres se muestra el componente Envelopes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Envelopes from './Envelopes';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const Budgets = ({ categories, budgetMode, formatCurrency, onBudgetsChanged }) => {
+  const [month, setMonth] = useState(currentMonth());
+  const [report, setReport] = useState(null);
+  const [formData, setFormData] = useState({ category: '', amount: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (budgetMode === 'limits') {
+      loadReport(month);
+    }
+  }, [month, budgetMode]);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadReport = async (selectedMonth) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/budgets/report`, { params: { month: selectedMonth } });
+      setReport(response.data);
+    } catch (err) {
+      setError('Error al cargar los presupuestos: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData({ category: '', amount: '' });
+    setEditingId(null);
+  };
+
+  const handleEdit = (item) => {
+    setEditingId(item.budget_id);
+    setFormData({ category: item.category, amount: item.budget.toString() });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = {
+      category: formData.category,
+      month,
+      amount: parseFloat(formData.amount)
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/api/budgets/${editingId}`, payload);
+        setSuccess('Presupuesto actualizado');
+      } else {
+        await axios.post(`${API_BASE_URL}/api/budgets`, payload);
+        setSuccess('Presupuesto creado');
+      }
+      resetForm();
+      await loadReport(month);
+      onBudgetsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar el presupuesto');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`¿Eliminar el presupuesto de "${item.category}" para ${month}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/budgets/${item.budget_id}`);
+      if (editingId === item.budget_id) {
+        resetForm();
+      }
+      await loadReport(month);
+      onBudgetsChanged();
+    } catch (err) {
+      setError('Error al eliminar el presupuesto');
+    }
+  };
+
+  const handleMonthChange = (e) => {
+    resetForm();
+    setMonth(e.target.value || currentMonth());
+  };
+
+  const handleModeChange = async (e) => {
+    setError('');
+
+    try {
+      await axios.put(`${API_BASE_URL}/api/settings`, { budget_mode: e.target.value });
+      onBudgetsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al cambiar el modo de presupuesto');
+    }
+  };
+
+  const modeSelector = (
+    <div className="card">
+      <div className="form-group">
+        <label htmlFor="budget_mode">Modo de presupuesto</label>
+        <select id="budget_mode" value={budgetMode} onChange={handleModeChange} className="form-control">
+          <option value="limits">Límites mensuales por categoría</option>
+          <option value="envelopes">Sobres (lo no gastado se arrastra al mes siguiente)</option>
+        </select>
+      </div>
+    </div>
+  );
+
+  if (budgetMode === 'envelopes') {
+    return (
+      <div>
+        {error && <div className="error">{error}</div>}
+        {modeSelector}
+        <Envelopes
+          categories={categories}
+          formatCurrency={formatCurrency}
+          onEnvelopesChanged={onBudgetsChanged}
+        />
+      </div>
+    );
+  }
+
+  // Categorías de gasto activas (y la actual si el presupuesto ya la usaba)
+  const expenseCategories = categories
+    .filter(cat => cat.type === 'expense')
+    .filter(cat => !cat.archived_at || cat.name === formData.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {modeSelector}
+
+      <div className="card">
+        <h2>{editingId ? 'Editar Presupuesto' : 'Nuevo Presupuesto'}</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="budget_month">Mes</label>
+            <input
+              type="month"
+              id="budget_month"
+              value={month}
+              onChange={handleMonthChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="budget_category">Categoría</label>
+            <select id="budget_category" name="category" value={formData.category} onChange={handleChange} className="form-control">
+              <option value="">Selecciona una categoría</option>
+              {expenseCategories.map(category => (
+                <option key={category.id} value={category.name}>
+                  {category.icon} {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="budget_amount">Límite mensual</label>
+            <input
+              type="number"
+              id="budget_amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !formData.category || !formData.amount}
+            >
+              {editingId ? 'Actualizar' : 'Crear'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancelar
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Presupuestos de {month}</h2>
+        {!report || report.categories.length === 0 ? (
+          <div className="empty-state">
+            <p>No hay presupuestos para este mes.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Categoría</th>
+                <th>Límite</th>
+                <th>Gastado</th>
+                <th>Restante</th>
+                <th>Usado</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.categories.map(item => (
+                <tr key={item.budget_id}>
+                  <td>{item.icon || '📁'} {item.category}</td>
+                  <td>{formatCurrency(item.budget)}</td>
+                  <td>{formatCurrency(item.spent)}</td>
+                  <td className={item.remaining >= 0 ? 'positive' : 'negative'}>
+                    {formatCurrency(item.remaining)}
+                  </td>
+                  <td>{item.percent}%</td>
+                  <td>
+                    <button onClick={() => handleEdit(item)} className="btn btn-sm btn-secondary">
+                      Editar
+                    </button>
+                    <button onClick={() => handleDelete(item)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,309 @@
+/**
+ * Componente de gestión de categorías
+ * Permite crear, archivar y eliminar categorías y fusionar categorías duplicadas
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const emptyForm = {
+  name: '',
+  type: 'expense',
+  parent_id: '',
+  color: '#3498DB',
+  icon: ''
+};
+
+const Categories = ({ formatCurrency, onCategoriesChanged }) => {
+  const [categories, setCategories] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [mergeSourceId, setMergeSourceId] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadCategories = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/categories/stats`);
+      setCategories(response.data);
+    } catch (err) {
+      setError('Error al cargar las categorías: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  // Nombre con la ruta de sus categorías padre (ej: "Servicios › Luz")
+  const categoryLabel = (category) => {
+    const parent = categories.find(c => c.id === category.parent_id);
+    return parent ? `${categoryLabel(parent)} › ${category.name}` : category.name;
+  };
+
+  const sortedCategories = [...categories].sort((a, b) =>
+    a.type.localeCompare(b.type) || categoryLabel(a).localeCompare(categoryLabel(b))
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Al cambiar el tipo, la categoría padre elegida deja de ser válida
+      ...(name === 'type' ? { parent_id: '' } : {})
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/categories`, {
+        name: formData.name.trim(),
+        type: formData.type,
+        color: formData.color,
+        ...(formData.icon ? { icon: formData.icon } : {}),
+        ...(formData.parent_id ? { parent_id: parseInt(formData.parent_id) } : {})
+      });
+      setSuccess('Categoría creada');
+      setFormData(emptyForm);
+      await loadCategories();
+      onCategoriesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al crear la categoría');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`¿Eliminar la categoría "${category.name}"?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/categories/${category.id}`);
+      setSuccess('Categoría eliminada');
+      await loadCategories();
+      onCategoriesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al eliminar la categoría');
+    }
+  };
+
+  const handleArchive = async (category) => {
+    const action = category.archived_at ? 'unarchive' : 'archive';
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/categories/${category.id}/${action}`);
+      setSuccess(category.archived_at ? 'Categoría reactivada' : 'Categoría archivada');
+      await loadCategories();
+      onCategoriesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al actualizar la categoría');
+    }
+  };
+
+  const startMerge = (category) => {
+    setMergeSourceId(category.id);
+    setMergeTargetId('');
+    setError('');
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    const source = categories.find(c => c.id === mergeSourceId);
+    const target = categories.find(c => c.id === parseInt(mergeTargetId));
+    if (!window.confirm(`¿Fusionar "${source.name}" en "${target.name}"? La categoría "${source.name}" se eliminará.`)) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/categories/${mergeSourceId}/merge`, {
+        target_id: target.id
+      });
+      const { movedTransactions, movedSplits } = response.data;
+      setSuccess(`${movedTransactions} transacciones y ${movedSplits} divisiones movidas a "${target.name}"`);
+      setMergeSourceId(null);
+      await loadCategories();
+      onCategoriesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al fusionar las categorías');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const mergeSource = categories.find(c => c.id === mergeSourceId);
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>Nueva Categoría</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="category_name">Nombre</label>
+            <input
+              type="text"
+              id="category_name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              maxLength="100"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="category_type">Tipo</label>
+            <select id="category_type" name="type" value={formData.type} onChange={handleChange} className="form-control">
+              <option value="expense">Gasto</option>
+              <option value="income">Ingreso</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="category_parent">Categoría padre</label>
+            <select id="category_parent" name="parent_id" value={formData.parent_id} onChange={handleChange} className="form-control">
+              <option value="">Ninguna</option>
+              {sortedCategories
+                .filter(category => category.type === formData.type)
+                .map(category => (
+                  <option key={category.id} value={category.id}>{categoryLabel(category)}</option>
+                ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="category_icon">Icono</label>
+            <input
+              type="text"
+              id="category_icon"
+              name="icon"
+              value={formData.icon}
+              onChange={handleChange}
+              maxLength="50"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="category_color">Color</label>
+            <input
+              type="color"
+              id="category_color"
+              name="color"
+              value={formData.color}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary" disabled={loading || !formData.name.trim()}>
+              Crear
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {mergeSource && (
+        <div className="card">
+          <h2>Fusionar "{mergeSource.name}"</h2>
+          <p className="help-text">
+            Sus {mergeSource.transaction_count} transacciones y sus subcategorías pasarán a la categoría
+            elegida y "{mergeSource.name}" se eliminará.
+          </p>
+          <form onSubmit={handleMerge} className="filters">
+            <div className="form-group">
+              <label htmlFor="merge_target">Fusionar en</label>
+              <select
+                id="merge_target"
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+                className="form-control"
+              >
+                <option value="">Selecciona una categoría</option>
+                {sortedCategories
+                  .filter(category => category.type === mergeSource.type && category.id !== mergeSource.id)
+                  .map(category => (
+                    <option key={category.id} value={category.id}>{categoryLabel(category)}</option>
+                  ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary" disabled={loading || !mergeTargetId}>
+                {loading ? 'Fusionando...' : 'Fusionar'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setMergeSourceId(null)}>
+                Cancelar
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <h2>Categorías</h2>
+        {categories.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay categorías registradas.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Categoría</th>
+                <th>Tipo</th>
+                <th>Transacciones</th>
+                <th>Total</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedCategories.map(category => (
+                <tr key={category.id}>
+                  <td>
+                    {category.icon || '📁'} {categoryLabel(category)}
+                    {category.archived_at && <span className="archived-badge">Archivada</span>}
+                  </td>
+                  <td>{category.type === 'income' ? 'Ingreso' : 'Gasto'}</td>
+                  <td>{category.transaction_count}</td>
+                  <td>{formatCurrency(category.total_amount, category.currency)}</td>
+                  <td>
+                    <button onClick={() => handleArchive(category)} className="btn btn-sm btn-secondary">
+                      {category.archived_at ? 'Reactivar' : 'Archivar'}
+                    </button>
+                    <button onClick={() => startMerge(category)} className="btn btn-sm btn-secondary">
+                      Fusionar
+                    </button>
+                    <button onClick={() => handleDelete(category)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
@@ -34,6 +34,13 @@ ChartJS.register(
 const Charts = ({ summary, transactions, formatCurrency }) => {
   const [chartType, setChartType] = useState('categories');
   const [timeRange, setTimeRange] = useState('all');
+  // Categorías abiertas en el gráfico circular (de la raíz hacia la actual)
+  const [drillPath, setDrillPath] = useState([]);
+
+  // Al cambiar de gráfico se vuelve al primer nivel de categorías
+  useEffect(() => {
+    setDrillPath([]);
+  }, [chartType]);
 
   // Colores para los gráficos
   const colors = {
@@ -58,6 +65,33 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
     }]
   };
 
+  // Nodos visibles en el gráfico circular según el nivel abierto
+  // Al abrir una categoría padre se muestran sus subcategorías y, si tiene
+  // importes propios, una porción con lo registrado directamente en ella
+  const getPieNodes = (tree) => {
+    if (drillPath.length === 0) {
+      return tree;
+    }
+
+    const current = drillPath[drillPath.length - 1];
+    const nodes = [...current.children];
+    if (current.ownTotal > 0) {
+      nodes.push({ category: `${current.category} (directo)`, total: current.ownTotal, children: [] });
+    }
+    return nodes;
+  };
+
+  const buildPieData = (nodes, label) => ({
+    labels: nodes.map(node => (node.children.length > 0 ? `${node.category} ▸` : node.category)),
+    datasets: [{
+      label,
+      data: nodes.map(node => node.total),
+      backgroundColor: colors.categories.slice(0, nodes.length),
+      borderColor: colors.categories.slice(0, nodes.length),
+      borderWidth: 1
+    }]
+  });
+
   // Datos para gráfico de categorías (ingresos)
   const incomeCategoriesData = {
     labels: summary.incomeByCategory.map(item => item.category),
@@ -94,7 +128,8 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
     }
 
     // Procesar transacciones
-    transactions.forEach(transaction => {
+    // Las transferencias entre cuentas no son ingresos ni gastos
+    transactions.filter(t => !t.transfer_id).forEach(transaction => {
       const date = new Date(transaction.date);
       if (date.getFullYear() === currentYear) {
         const monthKey = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
@@ -180,18 +215,53 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
     }
   };
 
+  // Gráfico circular con navegación de categoría padre a subcategorías
+  const renderCategoryPie = (tree, fallbackData, label) => {
+    if (!tree) {
+      return <Pie data={fallbackData} options={pieOptions} />;
+    }
+
+    const nodes = getPieNodes(tree);
+    const options = {
+      ...pieOptions,
+      onClick: (event, elements) => {
+        if (elements.length === 0) return;
+        const node = nodes[elements[0].index];
+        if (node && node.children.length > 0) {
+          setDrillPath(prev => [...prev, node]);
+        }
+      }
+    };
+
+    return (
+      <div style={{ height: '100%' }}>
+        {drillPath.length > 0 && (
+          <div className="chart-breadcrumb">
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => setDrillPath(prev => prev.slice(0, -1))}>
+              ← Volver
+            </button>
+            <span>{drillPath.map(node => node.category).join(' › ')}</span>
+          </div>
+        )}
+        <div style={{ height: drillPath.length > 0 ? 'calc(100% - 40px)' : '100%' }}>
+          <Pie data={buildPieData(nodes, label)} options={options} />
+        </div>
+      </div>
+    );
+  };
+
   const renderChart = () => {
     switch (chartType) {
       case 'expense-categories':
         return summary.expensesByCategory.length > 0 ? (
-          <Pie data={expenseCategoriesData} options={pieOptions} />
+          renderCategoryPie(summary.expensesByCategoryTree, expenseCategoriesData, 'Gastos por Categoría')
         ) : (
           <div className="empty-chart">No hay datos de gastos por categoría</div>
         );
       
       case 'income-categories':
         return summary.incomeByCategory.length > 0 ? (
-          <Pie data={incomeCategoriesData} options={pieOptions} />
+          renderCategoryPie(summary.incomeByCategoryTree, incomeCategoriesData, 'Ingresos por Categoría')
         ) : (
           <div className="empty-chart">No hay datos de ingresos por categoría</div>
         );
@@ -245,8 +315,8 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
               className="form-control"
             >
               <option value="categories">Gastos por Categoría (Barras)</option>
-              <option value="expense-categories">Gastos por Categoría (Circular)</option>
-              <option value="income-categories">Ingresos por Categoría (Circular)</option>
+              <option value="expense-categories">Gastos por Categoría (Circular, clic para ver subcategorías)</option>
+              <option value="income-categories">Ingresos por Categoría (Circular, clic para ver subcategorías)</option>
               <option value="comparison">Comparación Ingresos vs Gastos</option>
               <option value="monthly">Evolución Mensual</option>
             </select>
@@ -269,7 +339,7 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
             <div className="stat-label">Gasto Promedio por Transacción</div>
             <div className="stat-value">
               {summary.expensesByCategory.length > 0 
-                ? formatCurrency(summary.totalExpenses / transactions.filter(t => t.type === 'expense').length)
+                ? formatCurrency(summary.totalExpenses / transactions.filter(t => t.type === 'expense' && !t.transfer_id).length)
                 : formatCurrency(0)
               }
             </div>
@@ -279,7 +349,7 @@ const Charts = ({ summary, transactions, formatCurrency }) => {
             <div className="stat-label">Ingreso Promedio por Transacción</div>
             <div className="stat-value">
               {summary.incomeByCategory.length > 0 
-                ? formatCurrency(summary.totalIncome / transactions.filter(t => t.type === 'income').length)
+                ? formatCurrency(summary.totalIncome / transactions.filter(t => t.type === 'income' && !t.transfer_id).length)
                 : formatCurrency(0)
               }
             </div>
@@ -0,0 +1,321 @@
+/**
+ * Componente de importación de CSV
+ * Asistente en tres pasos para importar el extracto de un banco: elegir el archivo y su
+ * formato, asignar las columnas y las categorías por defecto, y revisar la vista previa con
+ * los errores de cada fila antes de importar las filas válidas
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const DELIMITER_LABELS = {
+  '': 'Detectar automáticamente',
+  ',': 'Coma (,)',
+  ';': 'Punto y coma (;)',
+  '\t': 'Tabulador',
+  '|': 'Barra vertical (|)'
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+const SIGN_CONVENTION_LABELS = {
+  negative_expense: 'Los importes negativos son gastos',
+  negative_income: 'Los importes negativos son ingresos (tarjetas)',
+  debit_credit: 'Columnas separadas de cargos y abonos'
+};
+
+const FIELD_LABELS = {
+  date: 'Fecha *',
+  description: 'Descripción *',
+  amount: 'Importe *',
+  debit: 'Cargo',
+  credit: 'Abono',
+  category: 'Categoría',
+  currency: 'Moneda'
+};
+
+const STEP_TITLES = {
+  1: 'Archivo y formato',
+  2: 'Columnas y categorías',
+  3: 'Revisar e importar'
+};
+
+const initialOptions = {
+  delimiter: '',
+  decimal_separator: '.',
+  date_format: 'YYYY-MM-DD',
+  sign_convention: 'negative_expense',
+  has_header: true,
+  default_category_expense: '',
+  default_category_income: '',
+  account_id: ''
+};
+
+const CsvImport = ({ categories, accounts, formatCurrency, onImported }) => {
+  const [step, setStep] = useState(1);
+  const [csv, setCsv] = useState('');
+  const [options, setOptions] = useState(initialOptions);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Cargar el contenido de un archivo CSV local
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setCsv(event.target.result);
+      setMapping(null);
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setOptions(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : parseInt(value, 10) }));
+  };
+
+  // Opciones tal como las espera la API; sin asignación la API la propone a partir del encabezado
+  const requestOptions = (currentMapping) => ({
+    ...options,
+    delimiter: options.delimiter || undefined,
+    account_id: options.account_id ? parseInt(options.account_id, 10) : null,
+    mapping: currentMapping || undefined
+  });
+
+  const loadPreview = async (nextStep, currentMapping = mapping) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/csv/preview`, {
+        csv,
+        options: requestOptions(currentMapping)
+      });
+      setPreview(response.data);
+      setMapping(response.data.mapping);
+      setStep(nextStep);
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al leer el archivo CSV');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/csv`, {
+        csv,
+        options: requestOptions(mapping)
+      });
+      const { created, failed } = response.data;
+      setSuccess(`${created} transacciones importadas${failed > 0 ? `; ${failed} filas omitidas por errores` : ''}`);
+      setTimeout(() => setSuccess(''), 3000);
+      setCsv('');
+      setOptions(initialOptions);
+      setMapping(null);
+      setPreview(null);
+      setStep(1);
+      onImported();
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al importar las transacciones');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeCategories = (type) => categories
+    .filter(cat => cat.type === type && !cat.archived_at)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const mappedFields = options.sign_convention === 'debit_credit'
+    ? ['date', 'description', 'debit', 'credit', 'category', 'currency']
+    : ['date', 'description', 'amount', 'category', 'currency'];
+
+  return (
+    <div className="card">
+      <h2>Importar CSV · Paso {step} de 3: {STEP_TITLES[step]}</h2>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {step === 1 && (
+        <div>
+          <p className="help-text">
+            Exporta los movimientos desde la web de tu banco en CSV. En el siguiente paso podrás indicar qué
+            columna contiene cada dato.
+          </p>
+          <div className="form-group">
+            <input type="file" accept=".csv,.txt,text/csv" onChange={handleFileChange} className="form-control" />
+          </div>
+          <div className="filters">
+            <div className="form-group">
+              <label htmlFor="import_delimiter">Separador</label>
+              <select id="import_delimiter" name="delimiter" value={options.delimiter} onChange={handleOptionChange} className="form-control">
+                {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                  <option key={label} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="import_decimal_separator">Separador decimal</label>
+              <select id="import_decimal_separator" name="decimal_separator" value={options.decimal_separator} onChange={handleOptionChange} className="form-control">
+                <option value=".">Punto (1234.56)</option>
+                <option value=",">Coma (1.234,56)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="import_date_format">Formato de fecha</label>
+              <select id="import_date_format" name="date_format" value={options.date_format} onChange={handleOptionChange} className="form-control">
+                {DATE_FORMATS.map(format => (
+                  <option key={format} value={format}>{format}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="import_sign_convention">Ingresos y gastos</label>
+              <select id="import_sign_convention" name="sign_convention" value={options.sign_convention} onChange={handleOptionChange} className="form-control">
+                {Object.entries(SIGN_CONVENTION_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>
+                <input type="checkbox" name="has_header" checked={options.has_header} onChange={handleOptionChange} />{' '}
+                La primera fila es el encabezado
+              </label>
+            </div>
+          </div>
+          <button onClick={() => loadPreview(2, null)} className="btn btn-primary" disabled={loading || !csv.trim()}>
+            {loading ? 'Leyendo...' : 'Siguiente'}
+          </button>
+        </div>
+      )}
+
+      {step === 2 && preview && (
+        <div>
+          <p className="help-text">
+            Separador detectado: <strong>{DELIMITER_LABELS[preview.options.delimiter]}</strong>. Las filas sin
+            columna de categoría usan la categoría por defecto de su tipo.
+          </p>
+          <div className="filters">
+            {mappedFields.map(field => (
+              <div className="form-group" key={field}>
+                <label htmlFor={`import_map_${field}`}>{FIELD_LABELS[field]}</label>
+                <select
+                  id={`import_map_${field}`}
+                  value={mapping[field] ?? ''}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                  className="form-control"
+                >
+                  <option value="">Sin asignar</option>
+                  {preview.columns.map((column, index) => (
+                    <option key={index} value={index}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="filters">
+            <div className="form-group">
+              <label htmlFor="import_default_expense">Categoría de gastos</label>
+              <select id="import_default_expense" name="default_category_expense" value={options.default_category_expense} onChange={handleOptionChange} className="form-control">
+                <option value="">Sin categoría por defecto</option>
+                {activeCategories('expense').map(cat => (
+                  <option key={cat.id} value={cat.name}>{cat.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="import_default_income">Categoría de ingresos</label>
+              <select id="import_default_income" name="default_category_income" value={options.default_category_income} onChange={handleOptionChange} className="form-control">
+                <option value="">Sin categoría por defecto</option>
+                {activeCategories('income').map(cat => (
+                  <option key={cat.id} value={cat.name}>{cat.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="import_account">Cuenta</label>
+              <select id="import_account" name="account_id" value={options.account_id} onChange={handleOptionChange} className="form-control">
+                <option value="">Cuenta por defecto</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <button onClick={() => setStep(1)} className="btn btn-secondary" disabled={loading}>
+            Atrás
+          </button>{' '}
+          <button onClick={() => loadPreview(3)} className="btn btn-primary" disabled={loading}>
+            {loading ? 'Validando...' : 'Vista previa'}
+          </button>
+        </div>
+      )}
+
+      {step === 3 && preview && (
+        <div>
+          <p className="help-text">
+            {preview.valid} de {preview.total} filas se importarán.
+            {preview.invalid > 0 && ` Las ${preview.invalid} filas con errores se omitirán.`}
+          </p>
+          {preview.rows.length === 0 ? (
+            <div className="empty-state">El archivo no contiene filas.</div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Línea</th>
+                  <th>Fecha</th>
+                  <th>Descripción</th>
+                  <th>Categoría</th>
+                  <th>Importe</th>
+                  <th>Errores</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.line}>
+                    <td>{row.line}</td>
+                    <td>{row.data?.date || '—'}</td>
+                    <td>{row.data?.description || '—'}</td>
+                    <td>{row.data?.category || '—'}</td>
+                    <td className={row.data?.type === 'income' ? 'positive' : 'negative'}>
+                      {row.data?.amount ? formatCurrency(row.data.amount, row.data.currency) : '—'}
+                    </td>
+                    <td className={row.errors.length > 0 ? 'negative' : 'positive'}>
+                      {row.errors.length > 0 ? row.errors.join(' • ') : 'OK'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button onClick={() => setStep(2)} className="btn btn-secondary" disabled={loading}>
+            Atrás
+          </button>{' '}
+          <button onClick={handleImport} className="btn btn-primary" disabled={loading || preview.valid === 0}>
+            {loading ? 'Importando...' : `Importar ${preview.valid} transacciones`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvImport;
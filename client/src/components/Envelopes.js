@@ -0,0 +1,205 @@
+/**
+ * Componente de presupuesto por sobres
+ * Permite repartir los ingresos del mes entre las categorías de gastos. Lo no gastado
+ * se arrastra al mes siguiente y el exceso de gasto deja el sobre en negativo.
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const Envelopes = ({ categories, formatCurrency, onEnvelopesChanged }) => {
+  const [month, setMonth] = useState(currentMonth());
+  const [report, setReport] = useState(null);
+  const [amounts, setAmounts] = useState({});
+  const [newCategory, setNewCategory] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadReport(month);
+  }, [month]);
+
+  const loadReport = async (selectedMonth) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/envelopes`, { params: { month: selectedMonth } });
+      setReport(response.data);
+      // Importes editables de lo asignado en el mes, por categoría
+      setAmounts(Object.fromEntries(
+        response.data.envelopes.map(envelope => [envelope.category_id, envelope.assigned.toString()])
+      ));
+    } catch (err) {
+      setError('Error al cargar los sobres: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const saveAllocation = async (categoryId, amount) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.put(`${API_BASE_URL}/api/envelopes/allocations`, {
+        category_id: categoryId,
+        month,
+        amount: parseFloat(amount) || 0
+      });
+      await loadReport(month);
+      onEnvelopesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al asignar el sobre');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAmountBlur = (envelope) => {
+    const value = amounts[envelope.category_id];
+    if ((parseFloat(value) || 0) !== envelope.assigned) {
+      saveAllocation(envelope.category_id, value);
+    }
+  };
+
+  const handleAddEnvelope = (e) => {
+    e.preventDefault();
+    saveAllocation(parseInt(newCategory), amounts.new);
+    setNewCategory('');
+    setAmounts(prev => ({ ...prev, new: '' }));
+  };
+
+  // Categorías de gasto activas que todavía no tienen sobre en el mes
+  const availableCategories = categories
+    .filter(cat => cat.type === 'expense' && !cat.archived_at)
+    .filter(cat => !report || !report.envelopes.some(envelope => envelope.category_id === cat.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div>
+      {error && <div className="error">{error}</div>}
+
+      {report && (
+        <div className="summary-grid">
+          <div className={`summary-card ${report.availableToAssign >= 0 ? 'income' : 'expense'}`}>
+            <h3>Disponible para asignar</h3>
+            <div className={`amount ${report.availableToAssign >= 0 ? 'positive' : 'negative'}`}>
+              {formatCurrency(report.availableToAssign)}
+            </div>
+            <div className="subtitle">Ingresos acumulados sin asignar</div>
+          </div>
+          <div className="summary-card">
+            <h3>Asignado en {report.month}</h3>
+            <div className="amount">{formatCurrency(report.assigned)}</div>
+            <div className="subtitle">Ingresos del mes: {formatCurrency(report.income)}</div>
+          </div>
+          <div className="summary-card expense">
+            <h3>Gastado en {report.month}</h3>
+            <div className="amount">{formatCurrency(report.spent)}</div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <h2>Sobres</h2>
+        <div className="filters">
+          <div className="form-group">
+            <label htmlFor="envelope_month">Mes</label>
+            <input
+              type="month"
+              id="envelope_month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value || currentMonth())}
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        <form onSubmit={handleAddEnvelope} className="filters">
+          <div className="form-group">
+            <label htmlFor="envelope_category">Nuevo sobre</label>
+            <select
+              id="envelope_category"
+              value={newCategory}
+              onChange={(e) => setNewCategory(e.target.value)}
+              className="form-control"
+            >
+              <option value="">Selecciona una categoría</option>
+              {availableCategories.map(category => (
+                <option key={category.id} value={category.id}>
+                  {category.icon} {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="envelope_amount">Asignar</label>
+            <input
+              type="number"
+              id="envelope_amount"
+              value={amounts.new || ''}
+              onChange={(e) => setAmounts(prev => ({ ...prev, new: e.target.value }))}
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary" disabled={loading || !newCategory || !amounts.new}>
+              Asignar
+            </button>
+          </div>
+        </form>
+
+        {!report || report.envelopes.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay sobres con saldo en este mes.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Sobre</th>
+                <th>Arrastre</th>
+                <th>Asignado</th>
+                <th>Gastado</th>
+                <th>Saldo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.envelopes.map(envelope => (
+                <tr key={envelope.category_id}>
+                  <td>
+                    {envelope.icon || '📁'} {envelope.category}
+                    {envelope.archived && <span className="archived-badge">Archivada</span>}
+                  </td>
+                  <td className={envelope.carryover >= 0 ? '' : 'negative'}>
+                    {formatCurrency(envelope.carryover)}
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      value={amounts[envelope.category_id] ?? ''}
+                      onChange={(e) => setAmounts(prev => ({ ...prev, [envelope.category_id]: e.target.value }))}
+                      onBlur={() => handleAmountBlur(envelope)}
+                      step="0.01"
+                      min="0"
+                      disabled={loading}
+                      className="form-control"
+                    />
+                  </td>
+                  <td>{formatCurrency(envelope.spent)}</td>
+                  <td className={envelope.balance >= 0 ? 'positive' : 'negative'}>
+                    {formatCurrency(envelope.balance)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Envelopes;
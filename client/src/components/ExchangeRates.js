@@ -0,0 +1,293 @@
+/**
+ * Componente de gestión de monedas
+ * Permite elegir la moneda base del hogar y registrar o importar tipos de cambio
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const ExchangeRates = ({ baseCurrency, onSettingsChanged }) => {
+  const [rates, setRates] = useState([]);
+  const [newBaseCurrency, setNewBaseCurrency] = useState(baseCurrency);
+  const [formData, setFormData] = useState({
+    from_currency: '',
+    to_currency: baseCurrency,
+    rate: '',
+    date: new Date().toISOString().split('T')[0]
+  });
+  const [csv, setCsv] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadRates();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadRates = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/exchange-rates`);
+      setRates(response.data);
+    } catch (err) {
+      setError('Error al cargar los tipos de cambio: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name.endsWith('currency') ? value.toUpperCase() : value
+    }));
+  };
+
+  const handleBaseCurrencySubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.put(`${API_BASE_URL}/api/settings`, { base_currency: newBaseCurrency.toUpperCase() });
+      setSuccess('Moneda base actualizada');
+      onSettingsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al actualizar la moneda base');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRateSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/exchange-rates`, {
+        ...formData,
+        rate: parseFloat(formData.rate)
+      });
+      setSuccess('Tipo de cambio guardado');
+      setFormData(prev => ({ ...prev, from_currency: '', rate: '' }));
+      await loadRates();
+      onSettingsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar el tipo de cambio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/exchange-rates/import`, { csv });
+      const { imported, errors } = response.data;
+      setSuccess(`${imported} tipos de cambio importados`);
+      if (errors.length > 0) {
+        setError(errors.map(item => `Línea ${item.line}: ${item.error}`).join(' • '));
+      }
+      setCsv('');
+      await loadRates();
+      onSettingsChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error al importar los tipos de cambio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Cargar el contenido de un archivo CSV local en el área de texto
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => setCsv(event.target.result);
+    reader.readAsText(file);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('¿Eliminar este tipo de cambio?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/exchange-rates/${id}`);
+      setRates(prev => prev.filter(rate => rate.id !== id));
+      onSettingsChanged();
+    } catch (err) {
+      setError('Error al eliminar el tipo de cambio');
+    }
+  };
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>Moneda Base</h2>
+        <p className="help-text">
+          Todos los reportes se expresan en la moneda base. Moneda actual: <strong>{baseCurrency}</strong>
+        </p>
+        <form onSubmit={handleBaseCurrencySubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="base_currency">Código ISO</label>
+            <input
+              type="text"
+              id="base_currency"
+              value={newBaseCurrency}
+              onChange={(e) => setNewBaseCurrency(e.target.value.toUpperCase())}
+              maxLength="3"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary" disabled={loading || newBaseCurrency.length !== 3}>
+              Guardar
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Nuevo Tipo de Cambio</h2>
+        <form onSubmit={handleRateSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="from_currency">1 unidad de</label>
+            <input
+              type="text"
+              id="from_currency"
+              name="from_currency"
+              value={formData.from_currency}
+              onChange={handleChange}
+              placeholder="USD"
+              maxLength="3"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rate">Equivale a</label>
+            <input
+              type="number"
+              id="rate"
+              name="rate"
+              value={formData.rate}
+              onChange={handleChange}
+              step="any"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="to_currency">Unidades de</label>
+            <input
+              type="text"
+              id="to_currency"
+              name="to_currency"
+              value={formData.to_currency}
+              onChange={handleChange}
+              maxLength="3"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rate_date">Fecha</label>
+            <input
+              type="date"
+              id="rate_date"
+              name="date"
+              value={formData.date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !formData.from_currency || !formData.to_currency || !formData.rate}
+            >
+              Guardar
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Importar desde CSV</h2>
+        <p className="help-text">
+          Una cotización por línea: fecha,moneda_origen,moneda_destino,cotización (ej: 2024-01-15,USD,EUR,0.9134)
+        </p>
+        <form onSubmit={handleImport}>
+          <div className="form-group">
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="form-control" />
+          </div>
+          <div className="form-group">
+            <textarea
+              value={csv}
+              onChange={(e) => setCsv(e.target.value)}
+              rows="5"
+              className="form-control"
+              placeholder="fecha,moneda_origen,moneda_destino,cotización"
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={loading || !csv.trim()}>
+            {loading ? 'Importando...' : 'Importar'}
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Tipos de Cambio Registrados</h2>
+        {rates.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay tipos de cambio registrados.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Par</th>
+                <th>Cotización</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate.id}>
+                  <td>{rate.date}</td>
+                  <td>{rate.from_currency} → {rate.to_currency}</td>
+                  <td>{rate.rate}</td>
+                  <td>
+                    <button onClick={() => handleDelete(rate.id)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRates;
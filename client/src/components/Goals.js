@@ -0,0 +1,289 @@
+/**
+ * Componente de metas de ahorro
+ * Permite definir metas con importe y fecha objetivo vinculadas a una categoría o a una
+ * cuenta, y muestra su progreso calculado a partir de las transacciones
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const STATUS_LABELS = {
+  completed: 'Cumplida',
+  on_track: 'En camino',
+  behind: 'Retrasada',
+  overdue: 'Vencida'
+};
+
+const emptyForm = {
+  name: '',
+  target_amount: '',
+  target_date: '',
+  start_date: '',
+  link: 'category',
+  category: '',
+  account_id: ''
+};
+
+const Goals = ({ categories, accounts = [], formatCurrency }) => {
+  const [goals, setGoals] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadGoals();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadGoals = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/goals`);
+      setGoals(response.data);
+    } catch (err) {
+      setError('Error al cargar las metas: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (goal) => {
+    setEditingId(goal.id);
+    setFormData({
+      name: goal.name,
+      target_amount: goal.target_amount.toString(),
+      target_date: goal.target_date,
+      start_date: goal.start_date || '',
+      link: goal.account_id ? 'account' : 'category',
+      category: goal.category || '',
+      account_id: goal.account_id ? goal.account_id.toString() : ''
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = {
+      name: formData.name.trim(),
+      target_amount: parseFloat(formData.target_amount),
+      target_date: formData.target_date,
+      start_date: formData.start_date || null,
+      ...(formData.link === 'account'
+        ? { account_id: parseInt(formData.account_id) }
+        : { category: formData.category })
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/api/goals/${editingId}`, payload);
+        setSuccess('Meta actualizada');
+      } else {
+        await axios.post(`${API_BASE_URL}/api/goals`, payload);
+        setSuccess('Meta creada');
+      }
+      resetForm();
+      await loadGoals();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar la meta');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`¿Eliminar la meta "${goal.name}"? Las transacciones no se modifican.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/goals/${goal.id}`);
+      setGoals(prev => prev.filter(item => item.id !== goal.id));
+      if (editingId === goal.id) {
+        resetForm();
+      }
+    } catch (err) {
+      setError('Error al eliminar la meta');
+    }
+  };
+
+  // Categorías de gasto activas (y la actual si la meta ya la usaba)
+  const expenseCategories = categories
+    .filter(cat => cat.type === 'expense')
+    .filter(cat => !cat.archived_at || cat.name === formData.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const isLinked = formData.link === 'account' ? formData.account_id : formData.category;
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>{editingId ? 'Editar Meta' : 'Nueva Meta de Ahorro'}</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="goal_name">Nombre</label>
+            <input
+              type="text"
+              id="goal_name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="Viaje a Japón"
+              maxLength="255"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="goal_target_amount">Importe objetivo</label>
+            <input
+              type="number"
+              id="goal_target_amount"
+              name="target_amount"
+              value={formData.target_amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="goal_target_date">Fecha objetivo</label>
+            <input
+              type="date"
+              id="goal_target_date"
+              name="target_date"
+              value={formData.target_date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="goal_start_date">Contar desde (opcional)</label>
+            <input
+              type="date"
+              id="goal_start_date"
+              name="start_date"
+              value={formData.start_date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="goal_link">Aportaciones desde</label>
+            <select id="goal_link" name="link" value={formData.link} onChange={handleChange} className="form-control">
+              <option value="category">Una categoría de gastos</option>
+              <option value="account">Una cuenta</option>
+            </select>
+          </div>
+          {formData.link === 'category' ? (
+            <div className="form-group">
+              <label htmlFor="goal_category">Categoría</label>
+              <select id="goal_category" name="category" value={formData.category} onChange={handleChange} className="form-control">
+                <option value="">Selecciona una categoría</option>
+                {expenseCategories.map(category => (
+                  <option key={category.id} value={category.name}>
+                    {category.icon} {category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="goal_account">Cuenta</label>
+              <select id="goal_account" name="account_id" value={formData.account_id} onChange={handleChange} className="form-control">
+                <option value="">Selecciona una cuenta</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !formData.name.trim() || !formData.target_amount || !formData.target_date || !isLinked}
+            >
+              {editingId ? 'Actualizar' : 'Crear'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancelar
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Metas de Ahorro</h2>
+        {goals.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay metas de ahorro.</p>
+          </div>
+        ) : (
+          <div className="budget-list">
+            {goals.map(goal => (
+              <div key={goal.id} className="budget-item">
+                <div className="category-info">
+                  <div className="category-name">
+                    {goal.name} <span className={`goal-status ${goal.status}`}>{STATUS_LABELS[goal.status]}</span>
+                  </div>
+                  <div className="category-amount">
+                    {formatCurrency(goal.saved, goal.currency)} / {formatCurrency(goal.target_amount, goal.currency)}
+                  </div>
+                </div>
+                <div className="budget-bar">
+                  <div
+                    className={`budget-bar-fill ${goal.status === 'behind' || goal.status === 'overdue' ? 'warning' : ''}`}
+                    style={{ width: `${goal.percent}%` }}
+                  ></div>
+                </div>
+                <div className="budget-remaining">
+                  {goal.account_id ? `Cuenta ${goal.account_name}` : `Categoría ${goal.category}`} ·
+                  Objetivo {goal.target_date}
+                  {goal.required_monthly !== null && ` · Necesitas ${formatCurrency(goal.required_monthly, goal.currency)}/mes`}
+                  {' · '}Media {formatCurrency(goal.monthly_average, goal.currency)}/mes
+                  {goal.status !== 'completed' && ` · Estimada: ${goal.projected_completion || 'sin aportaciones suficientes'}`}
+                </div>
+                <div className="transaction-actions">
+                  <button onClick={() => handleEdit(goal)} className="btn btn-sm btn-secondary">
+                    Editar
+                  </button>
+                  <button onClick={() => handleDelete(goal)} className="btn btn-sm btn-danger">
+                    Eliminar
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Goals;
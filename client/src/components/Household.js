@@ -0,0 +1,219 @@
+/**
+ * Componente del hogar
+ * Muestra los miembros del hogar y su rol. El propietario puede renombrar el hogar, ver y
+ * regenerar el código de invitación, cambiar roles, quitar miembros y gestionar las claves de API;
+ * los demás pueden salir
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import ApiKeys from './ApiKeys';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const ROLE_LABELS = {
+  owner: 'Propietario',
+  editor: 'Editor',
+  viewer: 'Lector'
+};
+
+const Household = ({ currentUser, onHouseholdChanged }) => {
+  const [household, setHousehold] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadHousehold();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const applyHousehold = (data) => {
+    setHousehold(data);
+    setName(data.name);
+  };
+
+  const loadHousehold = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/household`);
+      applyHousehold(response.data);
+    } catch (err) {
+      setError('Error al cargar el hogar: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/household`, { name: name.trim() });
+      applyHousehold(response.data);
+      setSuccess('Hogar renombrado');
+      onHouseholdChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al renombrar el hogar');
+    }
+  };
+
+  const handleRegenerateCode = async () => {
+    if (!window.confirm('¿Generar un código nuevo? El código actual dejará de servir.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/household/invite-code`);
+      applyHousehold(response.data);
+      setSuccess('Código de invitación regenerado');
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al regenerar el código');
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    setError('');
+
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/household/members/${member.user_id}`, { role });
+      applyHousehold(response.data);
+      setSuccess('Rol actualizado');
+      if (member.user_id === currentUser.id) {
+        onHouseholdChanged();
+      }
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al cambiar el rol');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user_id === currentUser.id;
+    const message = isSelf
+      ? '¿Salir del hogar? Necesitarás un código de invitación para volver.'
+      : `¿Quitar a ${member.name || member.email} del hogar? Sus transacciones se conservan.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/household/members/${member.user_id}`);
+      if (isSelf) {
+        onHouseholdChanged();
+        return;
+      }
+      setHousehold(prev => ({ ...prev, members: prev.members.filter(item => item.user_id !== member.user_id) }));
+      setSuccess('Miembro quitado del hogar');
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al quitar el miembro');
+    }
+  };
+
+  if (!household) {
+    return error ? <div className="error">{error}</div> : null;
+  }
+
+  const isOwner = household.role === 'owner';
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>Hogar</h2>
+        {isOwner ? (
+          <div>
+            <form onSubmit={handleRename} className="filters">
+              <div className="form-group">
+                <label htmlFor="household_rename">Nombre</label>
+                <input
+                  type="text"
+                  id="household_rename"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength="100"
+                  className="form-control"
+                />
+              </div>
+              <div className="form-group">
+                <button type="submit" className="btn btn-primary" disabled={!name.trim() || name.trim() === household.name}>
+                  Renombrar
+                </button>
+              </div>
+            </form>
+            <p className="household-hint">
+              Código de invitación: <strong className="invite-code">{household.invite_code}</strong>{' '}
+              <button onClick={handleRegenerateCode} className="btn btn-sm btn-secondary">
+                Generar nuevo
+              </button>
+            </p>
+            <p className="household-hint">
+              Quien se une con el código entra como lector; cambia su rol para que pueda registrar movimientos.
+            </p>
+          </div>
+        ) : (
+          <p className="household-hint">
+            {household.name} · Tu rol: {ROLE_LABELS[household.role]}
+          </p>
+        )}
+      </div>
+
+      <div className="card">
+        <h2>Miembros</h2>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Miembro</th>
+              <th>Rol</th>
+              <th>Desde</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {household.members.map(member => (
+              <tr key={member.user_id}>
+                <td>
+                  {member.name || member.email}
+                  {member.name && <div className="household-hint">{member.email}</div>}
+                </td>
+                <td>
+                  {isOwner ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className="form-control"
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    ROLE_LABELS[member.role]
+                  )}
+                </td>
+                <td>{new Date(member.joined_at).toLocaleDateString('es-ES')}</td>
+                <td>
+                  {(isOwner || member.user_id === currentUser.id) && (
+                    <button onClick={() => handleRemove(member)} className="btn btn-sm btn-danger">
+                      {member.user_id === currentUser.id ? 'Salir' : 'Quitar'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {isOwner && <ApiKeys />}
+    </div>
+  );
+};
+
+export default Household;
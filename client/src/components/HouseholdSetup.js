@@ -0,0 +1,89 @@
+/**
+ * Componente de alta en el hogar
+ * Se muestra a los usuarios que aún no pertenecen al hogar: el primero lo crea y los demás
+ * se unen con el código de invitación que les comparte el propietario
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const HouseholdSetup = ({ onHouseholdJoined }) => {
+  const [name, setName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (request) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await request();
+      onHouseholdJoined();
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al acceder al hogar');
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    submit(() => axios.post(`${API_BASE_URL}/api/household`, { name: name.trim() }));
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    submit(() => axios.post(`${API_BASE_URL}/api/household/join`, { invite_code: inviteCode.trim() }));
+  };
+
+  return (
+    <div className="login-card">
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>Unirse a un Hogar</h2>
+        <p className="household-hint">Pide el código de invitación al propietario del hogar.</p>
+        <form onSubmit={handleJoin}>
+          <div className="form-group">
+            <label htmlFor="invite_code">Código de invitación</label>
+            <input
+              type="text"
+              id="invite_code"
+              value={inviteCode}
+              onChange={(e) => setInviteCode(e.target.value)}
+              className="form-control"
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={loading || !inviteCode.trim()}>
+            Unirse
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Crear el Hogar</h2>
+        <p className="household-hint">Solo si aún no existe: quien lo crea queda como propietario.</p>
+        <form onSubmit={handleCreate}>
+          <div className="form-group">
+            <label htmlFor="household_name">Nombre del hogar</label>
+            <input
+              type="text"
+              id="household_name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength="100"
+              className="form-control"
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={loading || !name.trim()}>
+            Crear hogar
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdSetup;
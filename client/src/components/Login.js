@@ -0,0 +1,113 @@
+/**
+ * Componente de inicio de sesión
+ * Permite iniciar sesión o registrar un usuario nuevo; al completarse entrega a App
+ * el usuario y el token de la sesión
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const Login = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ email: '', password: '', name: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const isRegister = mode === 'register';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = isRegister
+      ? { email: formData.email.trim(), password: formData.password, name: formData.name.trim() }
+      : { email: formData.email.trim(), password: formData.password };
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/${mode}`, payload);
+      onLogin(response.data);
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al iniciar sesión');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card login-card">
+      <h2>{isRegister ? 'Crear Cuenta' : 'Iniciar Sesión'}</h2>
+      {error && <div className="error">{error}</div>}
+
+      <form onSubmit={handleSubmit}>
+        {isRegister && (
+          <div className="form-group">
+            <label htmlFor="login_name">Nombre</label>
+            <input
+              type="text"
+              id="login_name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              maxLength="100"
+              className="form-control"
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="login_email">Email</label>
+          <input
+            type="email"
+            id="login_email"
+            name="email"
+            value={formData.email}
+            onChange={handleChange}
+            autoComplete="username"
+            className="form-control"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="login_password">Contraseña</label>
+          <input
+            type="password"
+            id="login_password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            className="form-control"
+          />
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={loading || !formData.email.trim() || !formData.password}
+        >
+          {isRegister ? 'Registrarse' : 'Entrar'}
+        </button>
+      </form>
+
+      <p className="login-switch">
+        {isRegister ? '¿Ya tienes cuenta?' : '¿Aún no tienes cuenta?'}{' '}
+        <button type="button" className="btn btn-sm btn-secondary" onClick={toggleMode}>
+          {isRegister ? 'Iniciar sesión' : 'Crear cuenta'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default Login;
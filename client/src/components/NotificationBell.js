@@ -0,0 +1,63 @@
+/**
+ * Componente de campana de notificaciones
+ * Muestra en la cabecera cuántas notificaciones hay sin leer y, al abrirla, la lista
+ * de avisos generados por las reglas de notificación
+ */
+
+import React, { useState } from 'react';
+
+const NotificationBell = ({ notifications, onMarkRead, onMarkAllRead }) => {
+  const [open, setOpen] = useState(false);
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  return (
+    <div className="notification-bell">
+      <button
+        type="button"
+        className="notification-bell-button"
+        onClick={() => setOpen(prev => !prev)}
+        title="Notificaciones"
+      >
+        🔔
+        {unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notificaciones</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="btn btn-sm btn-secondary" onClick={onMarkAllRead}>
+                Marcar todas como leídas
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <div className="empty-state">
+              <p>No hay notificaciones.</p>
+            </div>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item ${notification.read ? '' : 'unread'}`}
+                  onClick={() => onMarkRead(notification, !notification.read)}
+                  title={notification.read ? 'Marcar como no leída' : 'Marcar como leída'}
+                >
+                  <div>{notification.message}</div>
+                  <div className="notification-date">
+                    {new Date(notification.created_at).toLocaleString('es-ES')}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
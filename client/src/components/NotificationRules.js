@@ -0,0 +1,240 @@
+/**
+ * Componente de reglas de notificación
+ * Permite configurar los umbrales que generan avisos: gasto mensual de una categoría,
+ * gasto individual grande y saldo bajo de una cuenta o del total
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const RULE_LABELS = {
+  category_spend: 'Gasto mensual de una categoría mayor que',
+  large_transaction: 'Gasto individual mayor que',
+  low_balance: 'Saldo menor que'
+};
+
+const emptyForm = { type: 'category_spend', threshold: '', category: '', account_id: '' };
+
+const NotificationRules = ({ categories, accounts = [], formatCurrency }) => {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadRules = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/notification-rules`);
+      setRules(response.data);
+    } catch (err) {
+      setError('Error al cargar las reglas: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setFormData({
+      type: rule.type,
+      threshold: rule.threshold.toString(),
+      category: rule.category || '',
+      account_id: rule.account_id ? rule.account_id.toString() : ''
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = { type: formData.type, threshold: parseFloat(formData.threshold) };
+    if (formData.type === 'category_spend') {
+      payload.category = formData.category;
+    } else if (formData.type === 'low_balance' && formData.account_id) {
+      payload.account_id = parseInt(formData.account_id);
+    }
+
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/api/notification-rules/${editingId}`, payload);
+        setSuccess('Regla actualizada');
+      } else {
+        await axios.post(`${API_BASE_URL}/api/notification-rules`, payload);
+        setSuccess('Regla creada');
+      }
+      resetForm();
+      await loadRules();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar la regla');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm('¿Eliminar esta regla? Las notificaciones ya generadas se conservan.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/notification-rules/${rule.id}`);
+      setRules(prev => prev.filter(item => item.id !== rule.id));
+      if (editingId === rule.id) {
+        resetForm();
+      }
+    } catch (err) {
+      setError('Error al eliminar la regla');
+    }
+  };
+
+  // Categorías de gasto activas (y la actual si la regla ya la usaba)
+  const expenseCategories = categories
+    .filter(cat => cat.type === 'expense')
+    .filter(cat => !cat.archived_at || cat.name === formData.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const describeTarget = (rule) => {
+    if (rule.type === 'category_spend') {
+      return `${rule.category_icon || '📁'} ${rule.category}`;
+    }
+    if (rule.type === 'low_balance') {
+      return rule.account_name || 'Total de las cuentas';
+    }
+    return 'Cualquier categoría';
+  };
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>{editingId ? 'Editar Regla' : 'Nueva Regla de Notificación'}</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="rule_type">Avisar cuando</label>
+            <select id="rule_type" name="type" value={formData.type} onChange={handleChange} className="form-control">
+              {Object.entries(RULE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule_threshold">Umbral</label>
+            <input
+              type="number"
+              id="rule_threshold"
+              name="threshold"
+              value={formData.threshold}
+              onChange={handleChange}
+              step="0.01"
+              className="form-control"
+            />
+          </div>
+          {formData.type === 'category_spend' && (
+            <div className="form-group">
+              <label htmlFor="rule_category">Categoría</label>
+              <select id="rule_category" name="category" value={formData.category} onChange={handleChange} className="form-control">
+                <option value="">Selecciona una categoría</option>
+                {expenseCategories.map(category => (
+                  <option key={category.id} value={category.name}>
+                    {category.icon} {category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {formData.type === 'low_balance' && (
+            <div className="form-group">
+              <label htmlFor="rule_account">Cuenta</label>
+              <select id="rule_account" name="account_id" value={formData.account_id} onChange={handleChange} className="form-control">
+                <option value="">Total de todas las cuentas</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || formData.threshold === '' || (formData.type === 'category_spend' && !formData.category)}
+            >
+              {editingId ? 'Actualizar' : 'Crear'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancelar
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Reglas de Notificación</h2>
+        {rules.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay reglas de notificación.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Regla</th>
+                <th>Aplica a</th>
+                <th>Umbral</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td>{RULE_LABELS[rule.type]}</td>
+                  <td>{describeTarget(rule)}</td>
+                  <td>{formatCurrency(rule.threshold)}</td>
+                  <td>
+                    <button onClick={() => handleEdit(rule)} className="btn btn-sm btn-secondary">
+                      Editar
+                    </button>
+                    <button onClick={() => handleDelete(rule)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationRules;
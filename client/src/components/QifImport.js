@@ -0,0 +1,234 @@
+/**
+ * Componente de importación de QIF
+ * Importa el historial exportado por programas de finanzas personales (Quicken, Microsoft
+ * Money, Money Manager Ex) con sus categorías y divisiones. La prueba sin guardar muestra
+ * las categorías que se crearán y los errores de cada movimiento
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const TYPE_LABELS = {
+  income: 'Ingresos',
+  expense: 'Gastos'
+};
+
+const initialOptions = {
+  date_format: 'MM/DD/YYYY',
+  decimal_separator: '.',
+  default_category_expense: '',
+  default_category_income: '',
+  account_id: ''
+};
+
+const QifImport = ({ categories, accounts, formatCurrency, onImported }) => {
+  const [qif, setQif] = useState('');
+  const [options, setOptions] = useState(initialOptions);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Cargar el contenido de un archivo QIF local
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setQif(event.target.result);
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, value } = e.target;
+    setOptions(prev => ({ ...prev, [name]: value }));
+    setPreview(null);
+  };
+
+  const postQif = (dryRun) => axios.post(`${API_BASE_URL}/api/import/qif`, {
+    qif,
+    dry_run: dryRun,
+    options: {
+      ...options,
+      account_id: options.account_id ? parseInt(options.account_id, 10) : null
+    }
+  });
+
+  const handleDryRun = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await postQif(true);
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al leer el archivo QIF');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await postQif(false);
+      const { created, failed, categories_created: categoriesCreated } = response.data;
+      setSuccess(`${created} transacciones importadas y ${categoriesCreated.length} categorías creadas; ${failed} movimientos con errores`);
+      setTimeout(() => setSuccess(''), 3000);
+      setQif('');
+      setPreview(null);
+      onImported();
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al importar el archivo QIF');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeCategories = (type) => categories
+    .filter(cat => cat.type === type && !cat.archived_at)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Categoría de la transacción o de sus divisiones
+  const rowCategory = (data) => (data.splits
+    ? data.splits.map(split => `${split.category || '—'} (${formatCurrency(split.amount)})`).join(', ')
+    : data.category || '—');
+
+  return (
+    <div className="card">
+      <h2>Importar QIF</h2>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+      <p className="help-text">
+        Las categorías del archivo que no existan se crearán; "Principal:Sub" se importa como la subcategoría Sub.
+        Las transferencias entre cuentas no se importan.
+      </p>
+
+      <div className="form-group">
+        <input type="file" accept=".qif" onChange={handleFileChange} className="form-control" />
+      </div>
+      <div className="filters">
+        <div className="form-group">
+          <label htmlFor="qif_date_format">Formato de fecha</label>
+          <select id="qif_date_format" name="date_format" value={options.date_format} onChange={handleOptionChange} className="form-control">
+            <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+            <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="qif_decimal_separator">Separador decimal</label>
+          <select id="qif_decimal_separator" name="decimal_separator" value={options.decimal_separator} onChange={handleOptionChange} className="form-control">
+            <option value=".">Punto (1234.56)</option>
+            <option value=",">Coma (1.234,56)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="qif_account">Cuenta</label>
+          <select id="qif_account" name="account_id" value={options.account_id} onChange={handleOptionChange} className="form-control">
+            <option value="">Cuenta por defecto</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="qif_default_expense">Gastos sin categoría</label>
+          <select id="qif_default_expense" name="default_category_expense" value={options.default_category_expense} onChange={handleOptionChange} className="form-control">
+            <option value="">Sin categoría por defecto</option>
+            {activeCategories('expense').map(cat => (
+              <option key={cat.id} value={cat.name}>{cat.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="qif_default_income">Ingresos sin categoría</label>
+          <select id="qif_default_income" name="default_category_income" value={options.default_category_income} onChange={handleOptionChange} className="form-control">
+            <option value="">Sin categoría por defecto</option>
+            {activeCategories('income').map(cat => (
+              <option key={cat.id} value={cat.name}>{cat.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button onClick={handleDryRun} className="btn btn-secondary" disabled={loading || !qif.trim()}>
+        {loading && !preview ? 'Leyendo...' : 'Probar sin guardar'}
+      </button>
+
+      {preview && (
+        <div>
+          <p className="help-text">
+            {preview.valid} de {preview.total} movimientos se importarán.
+            {preview.invalid > 0 && ` Los ${preview.invalid} movimientos con errores se omitirán.`}
+          </p>
+
+          {preview.categories_to_create.length > 0 && (
+            <div>
+              <h3>Categorías que se crearán</h3>
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Categoría</th>
+                    <th>Tipo</th>
+                    <th>Categoría padre</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.categories_to_create.map(category => (
+                    <tr key={category.name}>
+                      <td>{category.name}</td>
+                      <td>{TYPE_LABELS[category.type]}</td>
+                      <td>{category.parent || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {preview.rows.length === 0 ? (
+            <div className="empty-state">El archivo no contiene movimientos.</div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Fecha</th>
+                  <th>Descripción</th>
+                  <th>Categoría</th>
+                  <th>Importe</th>
+                  <th>Errores</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.line}>
+                    <td>{row.data.date || '—'}</td>
+                    <td>{row.data.description || '—'}</td>
+                    <td>{rowCategory(row.data)}</td>
+                    <td className={row.data.type === 'income' ? 'positive' : 'negative'}>
+                      {row.data.amount ? formatCurrency(row.data.amount, row.data.currency) : '—'}
+                    </td>
+                    <td className={row.errors.length > 0 ? 'negative' : 'positive'}>
+                      {row.errors.length > 0 ? row.errors.join(' • ') : 'OK'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button onClick={handleImport} className="btn btn-primary" disabled={loading || preview.valid === 0}>
+            {loading ? 'Importando...' : `Importar ${preview.valid} movimientos`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QifImport;
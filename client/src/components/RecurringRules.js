@@ -0,0 +1,352 @@
+/**
+ * Componente de transacciones recurrentes
+ * Permite gestionar las reglas (alquiler, salario, suscripciones) que el servidor
+ * convierte automáticamente en transacciones en cada fecha de ocurrencia
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const FREQUENCY_LABELS = {
+  weekly: 'Semanal',
+  monthly: 'Mensual',
+  yearly: 'Anual'
+};
+
+const emptyForm = {
+  type: 'expense',
+  amount: '',
+  description: '',
+  category: '',
+  account_id: '',
+  frequency: 'monthly',
+  day_of_month: '',
+  start_date: new Date().toISOString().split('T')[0],
+  end_date: ''
+};
+
+const RecurringRules = ({ categories, accounts = [], formatCurrency, onRulesChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadRules = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/recurring-rules`);
+      setRules(response.data);
+    } catch (err) {
+      setError('Error al cargar las reglas recurrentes: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Al cambiar el tipo, la categoría elegida deja de ser válida
+      ...(name === 'type' ? { category: '' } : {})
+    }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setFormData({
+      type: rule.type,
+      amount: rule.amount.toString(),
+      description: rule.description,
+      category: rule.category,
+      account_id: rule.account_id ? rule.account_id.toString() : '',
+      frequency: rule.frequency,
+      day_of_month: rule.day_of_month ? rule.day_of_month.toString() : '',
+      start_date: rule.start_date,
+      end_date: rule.end_date || ''
+    });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const payload = {
+      type: formData.type,
+      amount: parseFloat(formData.amount),
+      description: formData.description.trim(),
+      category: formData.category,
+      frequency: formData.frequency,
+      start_date: formData.start_date,
+      end_date: formData.end_date || null,
+      ...(formData.account_id ? { account_id: parseInt(formData.account_id) } : {}),
+      ...(formData.frequency === 'monthly' && formData.day_of_month
+        ? { day_of_month: parseInt(formData.day_of_month) }
+        : {})
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/api/recurring-rules/${editingId}`, payload);
+        setSuccess('Regla actualizada');
+      } else {
+        await axios.post(`${API_BASE_URL}/api/recurring-rules`, payload);
+        setSuccess('Regla creada');
+      }
+      resetForm();
+      await loadRules();
+      onRulesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al guardar la regla recurrente');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`¿Eliminar la regla "${rule.description}"? Las transacciones ya registradas se conservan.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/recurring-rules/${rule.id}`);
+      setRules(prev => prev.filter(item => item.id !== rule.id));
+      if (editingId === rule.id) {
+        resetForm();
+      }
+    } catch (err) {
+      setError('Error al eliminar la regla recurrente');
+    }
+  };
+
+  const handleRunNow = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/recurring-rules/run`);
+      setSuccess(`${response.data.created} transacciones registradas`);
+      await loadRules();
+      onRulesChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al registrar las transacciones pendientes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const scheduleLabel = (rule) => {
+    if (rule.frequency === 'monthly') {
+      return `Mensual (día ${rule.day_of_month})`;
+    }
+    return FREQUENCY_LABELS[rule.frequency];
+  };
+
+  // Categorías activas del tipo elegido (y la actual si la regla ya la usaba)
+  const filteredCategories = categories
+    .filter(cat => cat.type === formData.type)
+    .filter(cat => !cat.archived_at || cat.name === formData.category)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>{editingId ? 'Editar Regla Recurrente' : 'Nueva Regla Recurrente'}</h2>
+        <form onSubmit={handleSubmit} className="filters">
+          <div className="form-group">
+            <label htmlFor="rule_type">Tipo</label>
+            <select id="rule_type" name="type" value={formData.type} onChange={handleChange} className="form-control">
+              <option value="expense">Gasto</option>
+              <option value="income">Ingreso</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule_description">Descripción</label>
+            <input
+              type="text"
+              id="rule_description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder="Alquiler"
+              maxLength="255"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule_amount">Monto</label>
+            <input
+              type="number"
+              id="rule_amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule_category">Categoría</label>
+            <select id="rule_category" name="category" value={formData.category} onChange={handleChange} className="form-control">
+              <option value="">Selecciona una categoría</option>
+              {filteredCategories.map(category => (
+                <option key={category.id} value={category.name}>
+                  {category.icon} {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          {accounts.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="rule_account">Cuenta</label>
+              <select id="rule_account" name="account_id" value={formData.account_id} onChange={handleChange} className="form-control">
+                <option value="">Cuenta por defecto</option>
+                {accounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="rule_frequency">Frecuencia</label>
+            <select id="rule_frequency" name="frequency" value={formData.frequency} onChange={handleChange} className="form-control">
+              {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {formData.frequency === 'monthly' && (
+            <div className="form-group">
+              <label htmlFor="rule_day">Día del mes</label>
+              <input
+                type="number"
+                id="rule_day"
+                name="day_of_month"
+                value={formData.day_of_month}
+                onChange={handleChange}
+                min="1"
+                max="31"
+                placeholder="Día de inicio"
+                className="form-control"
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="rule_start">Desde</label>
+            <input
+              type="date"
+              id="rule_start"
+              name="start_date"
+              value={formData.start_date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="rule_end">Hasta (opcional)</label>
+            <input
+              type="date"
+              id="rule_end"
+              name="end_date"
+              value={formData.end_date}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !formData.description.trim() || !formData.amount || !formData.category}
+            >
+              {editingId ? 'Actualizar' : 'Crear'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancelar
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h2>Reglas Recurrentes</h2>
+        <p className="help-text">
+          Las transacciones se registran automáticamente al iniciar el servidor y una vez al día.
+        </p>
+        <button onClick={handleRunNow} className="btn btn-secondary" disabled={loading}>
+          Registrar pendientes ahora
+        </button>
+        {rules.length === 0 ? (
+          <div className="empty-state">
+            <p>Aún no hay reglas recurrentes.</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Descripción</th>
+                <th>Categoría</th>
+                <th>Monto</th>
+                <th>Frecuencia</th>
+                <th>Próxima</th>
+                <th>Hasta</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td>{rule.description}</td>
+                  <td>{rule.category_icon || '📁'} {rule.category}</td>
+                  <td className={rule.type === 'income' ? 'positive' : 'negative'}>
+                    {formatCurrency(rule.amount, rule.currency)}
+                  </td>
+                  <td>{scheduleLabel(rule)}</td>
+                  <td>{rule.next_occurrence || 'Finalizada'}</td>
+                  <td>{rule.end_date || '—'}</td>
+                  <td>
+                    <button onClick={() => handleEdit(rule)} className="btn btn-sm btn-secondary">
+                      Editar
+                    </button>
+                    <button onClick={() => handleDelete(rule)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringRules;
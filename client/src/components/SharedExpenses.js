@@ -0,0 +1,392 @@
+/**
+ * Componente de gastos compartidos
+ * Gestiona los participantes, muestra quién debe a quién (en la moneda base) con los pagos
+ * mínimos para saldar las deudas y registra los pagos entre participantes
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+const emptySettlement = () => ({
+  from_participant_id: '',
+  to_participant_id: '',
+  amount: '',
+  date: new Date().toISOString().split('T')[0],
+  note: ''
+});
+
+const SharedExpenses = ({ formatCurrency, onParticipantsChanged }) => {
+  const [participants, setParticipants] = useState([]);
+  const [report, setReport] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [name, setName] = useState('');
+  const [settlement, setSettlement] = useState(emptySettlement());
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  // Limpiar mensajes después de un tiempo
+  useEffect(() => {
+    if (success) {
+      const timer = setTimeout(() => setSuccess(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [success]);
+
+  const loadData = async () => {
+    try {
+      const [participantsRes, reportRes, historyRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/participants`),
+        axios.get(`${API_BASE_URL}/api/settlements`),
+        axios.get(`${API_BASE_URL}/api/settlements/history`)
+      ]);
+      setParticipants(participantsRes.data);
+      setReport(reportRes.data);
+      setHistory(historyRes.data);
+    } catch (err) {
+      setError('Error al cargar los gastos compartidos: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleAddParticipant = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/participants`, { name: name.trim() });
+      setName('');
+      setSuccess('Participante añadido');
+      loadData();
+      onParticipantsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al añadir el participante');
+    }
+  };
+
+  const handleDeleteParticipant = async (participant) => {
+    if (!window.confirm(`¿Eliminar a ${participant.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/participants/${participant.id}`);
+      setSuccess('Participante eliminado');
+      loadData();
+      onParticipantsChanged();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al eliminar el participante');
+    }
+  };
+
+  const recordSettlement = async (data) => {
+    setError('');
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/settlements`, data);
+      setSuccess('Pago registrado');
+      loadData();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al registrar el pago');
+      return false;
+    }
+  };
+
+  const handleSettlePayment = (payment) => {
+    if (!window.confirm(`¿Registrar que ${payment.from_name} pagó ${formatCurrency(payment.amount, report.currency)} a ${payment.to_name}?`)) {
+      return;
+    }
+
+    recordSettlement({
+      from_participant_id: payment.from_participant_id,
+      to_participant_id: payment.to_participant_id,
+      amount: payment.amount
+    });
+  };
+
+  const handleSettlementChange = (e) => {
+    const { name: field, value } = e.target;
+    setSettlement(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmitSettlement = async (e) => {
+    e.preventDefault();
+
+    const saved = await recordSettlement({
+      from_participant_id: parseInt(settlement.from_participant_id),
+      to_participant_id: parseInt(settlement.to_participant_id),
+      amount: parseFloat(settlement.amount),
+      date: settlement.date,
+      note: settlement.note.trim()
+    });
+    if (saved) {
+      setSettlement(emptySettlement());
+    }
+  };
+
+  const handleDeleteSettlement = async (item) => {
+    if (!window.confirm('¿Eliminar este pago? La deuda que saldaba volverá a quedar pendiente.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/settlements/${item.id}`);
+      setSuccess('Pago eliminado');
+      loadData();
+    } catch (err) {
+      setError(err.response?.data?.details || 'Error al eliminar el pago');
+    }
+  };
+
+  const canSubmitSettlement = settlement.from_participant_id && settlement.to_participant_id &&
+    settlement.from_participant_id !== settlement.to_participant_id && parseFloat(settlement.amount) > 0;
+
+  return (
+    <div>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="card">
+        <h2>Participantes</h2>
+        <form onSubmit={handleAddParticipant} className="filters">
+          <div className="form-group">
+            <label htmlFor="participant_name">Nombre</label>
+            <input
+              type="text"
+              id="participant_name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength="100"
+              className="form-control"
+            />
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary" disabled={!name.trim()}>
+              Añadir
+            </button>
+          </div>
+        </form>
+
+        {participants.length === 0 ? (
+          <div className="empty-state">
+            Añade a las personas con las que compartes gastos; luego marca un gasto como compartido al registrarlo.
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Participante</th>
+                <th>Saldo</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {participants.map(participant => {
+                const balance = report?.balances.find(item => item.participant_id === participant.id)?.balance || 0;
+                return (
+                  <tr key={participant.id}>
+                    <td>{participant.name}</td>
+                    <td className={balance > 0 ? 'positive' : balance < 0 ? 'negative' : ''}>
+                      {balance > 0 ? 'Le deben ' : balance < 0 ? 'Debe ' : ''}
+                      {formatCurrency(Math.abs(balance), report?.currency)}
+                    </td>
+                    <td>
+                      <button onClick={() => handleDeleteParticipant(participant)} className="btn btn-sm btn-danger">
+                        Eliminar
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {report && (
+        <div className="card">
+          <h2>Cómo saldar las cuentas</h2>
+          {report.missing_rates > 0 && (
+            <p className="household-hint">
+              {report.missing_rates} partes en otra moneda no tienen tipo de cambio y no se incluyen.
+            </p>
+          )}
+          {report.payments.length === 0 ? (
+            <div className="empty-state">No hay deudas pendientes.</div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Paga</th>
+                  <th>A</th>
+                  <th>Importe</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.payments.map(payment => (
+                  <tr key={`${payment.from_participant_id}-${payment.to_participant_id}`}>
+                    <td>{payment.from_name}</td>
+                    <td>{payment.to_name}</td>
+                    <td>{formatCurrency(payment.amount, report.currency)}</td>
+                    <td>
+                      <button onClick={() => handleSettlePayment(payment)} className="btn btn-sm btn-primary">
+                        Saldar
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {report.pairs.length > 0 && (
+            <div>
+              <h3>Deudas entre participantes</h3>
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Quién debe</th>
+                    <th>A quién</th>
+                    <th>Importe</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.pairs.map(pair => (
+                    <tr key={`${pair.from_participant_id}-${pair.to_participant_id}`}>
+                      <td>{pair.from_name}</td>
+                      <td>{pair.to_name}</td>
+                      <td>{formatCurrency(pair.amount, report.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {participants.length > 1 && (
+        <div className="card">
+          <h2>Registrar un Pago</h2>
+          <form onSubmit={handleSubmitSettlement} className="filters">
+            <div className="form-group">
+              <label htmlFor="settlement_from">Paga</label>
+              <select
+                id="settlement_from"
+                name="from_participant_id"
+                value={settlement.from_participant_id}
+                onChange={handleSettlementChange}
+                className="form-control"
+              >
+                <option value="">Selecciona</option>
+                {participants.map(participant => (
+                  <option key={participant.id} value={participant.id}>{participant.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settlement_to">A</label>
+              <select
+                id="settlement_to"
+                name="to_participant_id"
+                value={settlement.to_participant_id}
+                onChange={handleSettlementChange}
+                className="form-control"
+              >
+                <option value="">Selecciona</option>
+                {participants
+                  .filter(participant => participant.id.toString() !== settlement.from_participant_id)
+                  .map(participant => (
+                    <option key={participant.id} value={participant.id}>{participant.name}</option>
+                  ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settlement_amount">Importe ({report?.currency})</label>
+              <input
+                type="number"
+                id="settlement_amount"
+                name="amount"
+                value={settlement.amount}
+                onChange={handleSettlementChange}
+                step="0.01"
+                min="0"
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settlement_date">Fecha</label>
+              <input
+                type="date"
+                id="settlement_date"
+                name="date"
+                value={settlement.date}
+                onChange={handleSettlementChange}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settlement_note">Nota</label>
+              <input
+                type="text"
+                id="settlement_note"
+                name="note"
+                value={settlement.note}
+                onChange={handleSettlementChange}
+                maxLength="255"
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary" disabled={!canSubmitSettlement}>
+                Registrar
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div className="card">
+          <h2>Pagos Registrados</h2>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Paga</th>
+                <th>A</th>
+                <th>Importe</th>
+                <th>Nota</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map(item => (
+                <tr key={item.id}>
+                  <td>{new Date(item.date).toLocaleDateString('es-ES')}</td>
+                  <td>{item.from_name}</td>
+                  <td>{item.to_name}</td>
+                  <td>{formatCurrency(item.amount, report?.currency)}</td>
+                  <td>{item.note}</td>
+                  <td>
+                    <button onClick={() => handleDeleteSettlement(item)} className="btn btn-sm btn-danger">
+                      Eliminar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedExpenses;
@@ -0,0 +1,213 @@
+/**
+ * Componente de importación de extractos bancarios
+ * Importa extractos OFX/QFX, camt.053 (XML ISO 20022) y MT940. Cada movimiento trae su
+ * identificador en el banco (FITID o referencia del banco), así que al volver a importar un
+ * extracto se omiten los movimientos que ya se importaron en la misma cuenta
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
+
+// Endpoint, campo del cuerpo y extensiones de cada formato
+const FORMATS = {
+  ofx: { label: 'OFX / QFX', path: 'ofx', field: 'ofx', accept: '.ofx,.qfx' },
+  camt053: { label: 'camt.053 (XML)', path: 'camt053', field: 'camt', accept: '.xml,.camt,.053' },
+  mt940: { label: 'MT940', path: 'mt940', field: 'mt940', accept: '.sta,.mt940,.940,.txt' }
+};
+
+const initialOptions = {
+  default_category_expense: '',
+  default_category_income: '',
+  account_id: ''
+};
+
+const StatementImport = ({ categories, accounts, formatCurrency, onImported }) => {
+  const [format, setFormat] = useState('ofx');
+  const [content, setContent] = useState('');
+  const [options, setOptions] = useState(initialOptions);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Cargar el contenido de un extracto local
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setContent(event.target.result);
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleFormatChange = (e) => {
+    setFormat(e.target.value);
+    setContent('');
+    setPreview(null);
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, value } = e.target;
+    setOptions(prev => ({ ...prev, [name]: value }));
+    setPreview(null);
+  };
+
+  const requestBody = () => ({
+    [FORMATS[format].field]: content,
+    options: {
+      ...options,
+      account_id: options.account_id ? parseInt(options.account_id, 10) : null
+    }
+  });
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/${FORMATS[format].path}/preview`, requestBody());
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al leer el extracto');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/import/${FORMATS[format].path}`, requestBody());
+      const { created, skipped, failed } = response.data;
+      setSuccess(`${created} transacciones importadas, ${skipped} ya importadas y ${failed} con errores`);
+      setTimeout(() => setSuccess(''), 3000);
+      setContent('');
+      setPreview(null);
+      onImported();
+    } catch (err) {
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error al importar el extracto');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const activeCategories = (type) => categories
+    .filter(cat => cat.type === type && !cat.archived_at)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const rowStatus = (row) => {
+    if (row.errors.length > 0) return row.errors.join(' • ');
+    return row.duplicate ? 'Ya importado' : 'OK';
+  };
+
+  // camt.053 y MT940 distinguen la fecha de contabilización de la fecha valor
+  const showValueDate = preview && preview.rows.some(row => row.value_date);
+
+  return (
+    <div className="card">
+      <h2>Importar extracto bancario</h2>
+      {success && <div className="success">{success}</div>}
+      {error && <div className="error">{error}</div>}
+      <p className="help-text">
+        Los abonos se registran como ingresos y los cargos como gastos, con la categoría por defecto de su tipo.
+        En camt.053 y MT940 la transacción toma la fecha de contabilización; la descripción incluye la contraparte,
+        el concepto y la fecha valor si es distinta. Los movimientos pendientes no se importan.
+      </p>
+
+      <div className="filters">
+        <div className="form-group">
+          <label htmlFor="statement_format">Formato</label>
+          <select id="statement_format" value={format} onChange={handleFormatChange} className="form-control">
+            {Object.entries(FORMATS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="statement_file">Archivo</label>
+          <input id="statement_file" key={format} type="file" accept={FORMATS[format].accept} onChange={handleFileChange} className="form-control" />
+        </div>
+      </div>
+      <div className="filters">
+        <div className="form-group">
+          <label htmlFor="statement_account">Cuenta</label>
+          <select id="statement_account" name="account_id" value={options.account_id} onChange={handleOptionChange} className="form-control">
+            <option value="">Cuenta por defecto</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="statement_default_expense">Categoría de gastos *</label>
+          <select id="statement_default_expense" name="default_category_expense" value={options.default_category_expense} onChange={handleOptionChange} className="form-control">
+            <option value="">Selecciona una categoría</option>
+            {activeCategories('expense').map(cat => (
+              <option key={cat.id} value={cat.name}>{cat.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="statement_default_income">Categoría de ingresos *</label>
+          <select id="statement_default_income" name="default_category_income" value={options.default_category_income} onChange={handleOptionChange} className="form-control">
+            <option value="">Selecciona una categoría</option>
+            {activeCategories('income').map(cat => (
+              <option key={cat.id} value={cat.name}>{cat.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button onClick={handlePreview} className="btn btn-secondary" disabled={loading || !content.trim()}>
+        {loading && !preview ? 'Leyendo...' : 'Vista previa'}
+      </button>
+
+      {preview && (
+        <div>
+          <p className="help-text">
+            {preview.valid} movimientos nuevos, {preview.duplicates} ya importados y {preview.invalid} con errores.
+          </p>
+          {preview.rows.length === 0 ? (
+            <div className="empty-state">El extracto no contiene movimientos.</div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Fecha</th>
+                  {showValueDate && <th>Fecha valor</th>}
+                  <th>Descripción</th>
+                  <th>Importe</th>
+                  <th>Estado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.line}>
+                    <td>{row.data?.date || '—'}</td>
+                    {showValueDate && <td>{row.value_date || '—'}</td>}
+                    <td>{row.data?.description || '—'}</td>
+                    <td className={row.data?.type === 'income' ? 'positive' : 'negative'}>
+                      {row.data?.amount ? formatCurrency(row.data.amount, row.data.currency) : '—'}
+                    </td>
+                    <td className={row.errors.length > 0 ? 'negative' : ''}>{rowStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button onClick={handleImport} className="btn btn-primary" disabled={loading || preview.valid === 0}>
+            {loading ? 'Importando...' : `Importar ${preview.valid} movimientos`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementImport;
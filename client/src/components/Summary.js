@@ -5,7 +5,17 @@
 
 import React, { useState } from 'react';
 
-const Summary = ({ summary, formatCurrency, onRefresh }) => {
+const Summary = ({
+  summary,
+  tagTotals = [],
+  upcomingBills = [],
+  budgetMode = 'limits',
+  budgetReport = null,
+  envelopeReport = null,
+  formatCurrency,
+  onRefresh,
+  onPayBill
+}) => {
   const [dateRange, setDateRange] = useState({
     startDate: '',
     endDate: ''
@@ -40,8 +50,48 @@ const Summary = ({ summary, formatCurrency, onRefresh }) => {
     return ((amount / total) * 100).toFixed(1);
   };
 
+  const overdueBills = upcomingBills.filter(bill => bill.status === 'overdue');
+  const pendingBills = upcomingBills.filter(bill => bill.status === 'pending');
+
+  const dueLabel = (bill) => {
+    if (bill.days_until_due === 0) return 'vence hoy';
+    if (bill.days_until_due < 0) return `vencida hace ${-bill.days_until_due} día(s)`;
+    return `vence en ${bill.days_until_due} día(s)`;
+  };
+
+  const renderBill = (bill) => (
+    <li key={bill.id} className="bill-item">
+      <span className="bill-name">{bill.name}</span>
+      <span className="bill-due">{bill.due_date} · {dueLabel(bill)}</span>
+      <span className="bill-amount">{formatCurrency(bill.amount, bill.currency)}</span>
+      <button onClick={() => onPayBill(bill)} className="btn btn-sm btn-primary">
+        Marcar pagada
+      </button>
+    </li>
+  );
+
   return (
     <div>
+      {/* Facturas vencidas */}
+      {overdueBills.length > 0 && (
+        <div className="error bills-alert">
+          <strong>⚠️ {overdueBills.length} factura(s) vencida(s) sin pagar</strong>
+          <ul className="bill-list">
+            {overdueBills.map(renderBill)}
+          </ul>
+        </div>
+      )}
+
+      {/* Próximos vencimientos */}
+      {pendingBills.length > 0 && (
+        <div className="card">
+          <h3>Próximos Vencimientos</h3>
+          <ul className="bill-list">
+            {pendingBills.map(renderBill)}
+          </ul>
+        </div>
+      )}
+
       {/* Filtros de fecha */}
       <div className="card">
         <h3>Filtros de Período</h3>
@@ -133,6 +183,116 @@ const Summary = ({ summary, formatCurrency, onRefresh }) => {
         </div>
       </div>
 
+      {/* Sobres: disponible para asignar y saldo de cada sobre */}
+      {budgetMode === 'envelopes' && envelopeReport && (
+        <div className="card">
+          <h3>Sobres de {envelopeReport.month}</h3>
+          <div className={`envelope-available ${envelopeReport.availableToAssign >= 0 ? 'positive' : 'negative'}`}>
+            Disponible para asignar: {formatCurrency(envelopeReport.availableToAssign)}
+          </div>
+          <div className="account-balances">
+            {envelopeReport.envelopes.map(envelope => (
+              <div key={envelope.category_id} className="account-balance-item">
+                <div className="account-name">{envelope.icon || '📁'} {envelope.category}</div>
+                <div className="account-opening">
+                  Asignado: {formatCurrency(envelope.assigned)} · Gastado: {formatCurrency(envelope.spent)}
+                </div>
+                <div className={`account-balance ${envelope.balance >= 0 ? 'positive' : 'negative'}`}>
+                  {formatCurrency(envelope.balance)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Presupuesto del mes frente al gasto real */}
+      {budgetMode === 'limits' && budgetReport && budgetReport.categories.length > 0 && (
+        <div className="card">
+          <h3>Presupuesto de {budgetReport.month}</h3>
+          <p className="help-text">
+            Gastado {formatCurrency(budgetReport.totalSpent)} de {formatCurrency(budgetReport.totalBudgeted)}
+          </p>
+          <div className="budget-list">
+            {budgetReport.categories.map(item => (
+              <div key={item.budget_id} className="budget-item">
+                <div className="category-info">
+                  <div className="category-name">{item.icon || '📁'} {item.category}</div>
+                  <div className="category-amount">
+                    {formatCurrency(item.spent)} / {formatCurrency(item.budget)}
+                  </div>
+                </div>
+                <div className="budget-bar">
+                  <div
+                    className={`budget-bar-fill ${item.percent > 100 ? 'over' : item.percent >= 80 ? 'warning' : ''}`}
+                    style={{ width: `${Math.min(item.percent, 100)}%` }}
+                  ></div>
+                </div>
+                <div className={`budget-remaining ${item.remaining < 0 ? 'negative' : ''}`}>
+                  {item.percent}% usado · {item.remaining >= 0
+                    ? `quedan ${formatCurrency(item.remaining)}`
+                    : `excedido en ${formatCurrency(-item.remaining)}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Importes por moneda */}
+      {[...(summary.incomeByCurrency || []), ...(summary.expensesByCurrency || [])]
+        .some(item => item.currency !== summary.baseCurrency) && (
+        <div className="card">
+          <h3>Importes por Moneda</h3>
+          <p className="help-text">
+            Los totales se expresan en {summary.baseCurrency} usando la cotización vigente en la fecha de cada transacción.
+          </p>
+          <div className="currency-breakdown">
+            {[
+              ...(summary.incomeByCurrency || []).map(item => ({ ...item, type: 'income' })),
+              ...(summary.expensesByCurrency || []).map(item => ({ ...item, type: 'expense' }))
+            ].map(item => (
+              <div key={`${item.type}-${item.currency}`} className="currency-item">
+                <div className="currency-label">
+                  {item.type === 'income' ? 'Ingresos' : 'Gastos'} en {item.currency}
+                </div>
+                <div className={`currency-original ${item.type}`}>
+                  {formatCurrency(item.total, item.currency)}
+                </div>
+                <div className="currency-converted">
+                  ≈ {formatCurrency(item.convertedTotal)}
+                </div>
+                {item.missingRates > 0 && (
+                  <div className="error-text">
+                    {item.missingRates} transacción(es) sin cotización disponible
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Saldos por cuenta */}
+      {summary.accounts && summary.accounts.length > 0 && (
+        <div className="card">
+          <h3>Saldos por Cuenta</h3>
+          <div className="account-balances">
+            {summary.accounts.map(account => (
+              <div key={account.id} className="account-balance-item">
+                <div className="account-name">{account.name}</div>
+                <div className="account-opening">
+                  Saldo inicial: {formatCurrency(account.openingBalance)}
+                </div>
+                <div className={`account-balance ${account.balance >= 0 ? 'positive' : 'negative'}`}>
+                  {formatCurrency(account.balance)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Gastos por categoría */}
       {summary.expensesByCategory.length > 0 && (
         <div className="card">
@@ -189,6 +349,42 @@ const Summary = ({ summary, formatCurrency, onRefresh }) => {
         </div>
       )}
 
+      {/* Totales por etiqueta */}
+      {tagTotals.length > 0 && (
+        <div className="card">
+          <h3>Totales por Etiqueta</h3>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Etiqueta</th>
+                <th>Transacciones</th>
+                <th>Ingresos</th>
+                <th>Gastos</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tagTotals.map(tag => (
+                <tr key={tag.id}>
+                  <td>
+                    <span
+                      className="transaction-tag"
+                      style={tag.color ? { backgroundColor: tag.color, color: 'white' } : undefined}
+                    >
+                      #{tag.name}
+                    </span>
+                  </td>
+                  <td>{tag.transactionCount}</td>
+                  <td className="positive">{formatCurrency(tag.totalIncome)}</td>
+                  <td className="negative">{formatCurrency(tag.totalExpenses)}</td>
+                  <td className={tag.balance >= 0 ? 'positive' : 'negative'}>{formatCurrency(tag.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Estado vacío */}
       {summary.totalIncome === 0 && summary.totalExpenses === 0 && (
         <div className="empty-state">
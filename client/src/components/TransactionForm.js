@@ -8,13 +8,29 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5001');
 
-const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editTransaction, onEditComplete }) => {
+// Monedas ofrecidas en el selector (la moneda base se agrega siempre)
+const COMMON_CURRENCIES = ['EUR', 'USD', 'GBP', 'ARS', 'BRL', 'CLP', 'COP', 'MXN', 'UYU'];
+
+// Formas de repartir un gasto compartido
+const SHARE_METHODS = {
+  equal: 'A partes iguales',
+  percentage: 'Por porcentajes',
+  exact: 'Importes exactos'
+};
+
+const TransactionForm = ({ categories, accounts = [], tags = [], participants = [], baseCurrency = 'EUR', onTransactionAdded, formatCurrency, editTransaction, onEditComplete }) => {
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
     description: '',
     category: '',
-    date: new Date().toISOString().split('T')[0]
+    account_id: '',
+    to_account_id: '',
+    currency: baseCurrency,
+    date: new Date().toISOString().split('T')[0],
+    splits: [],
+    tags: '',
+    shared: null
   });
   
   const [errors, setErrors] = useState({});
@@ -29,11 +45,38 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
         amount: editTransaction.amount.toString(),
         description: editTransaction.description,
         category: editTransaction.category,
-        date: editTransaction.date
+        account_id: editTransaction.account_id ? editTransaction.account_id.toString() : '',
+        currency: editTransaction.currency || baseCurrency,
+        date: editTransaction.date,
+        splits: (editTransaction.splits || []).map(split => ({
+          category: split.category,
+          amount: split.amount.toString(),
+          memo: split.memo || ''
+        })),
+        tags: (editTransaction.tags || []).map(tag => tag.name).join(', '),
+        shared: editTransaction.shared ? {
+          paid_by: editTransaction.shared.paid_by.toString(),
+          method: editTransaction.shared.method,
+          participants: editTransaction.shared.participants.map(share => ({
+            participant_id: share.participant_id,
+            value: share.value === null ? '' : share.value.toString()
+          }))
+        } : null
       });
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [editTransaction]);
 
+  // Preseleccionar la primera cuenta si no hay ninguna elegida
+  useEffect(() => {
+    if (!formData.account_id && accounts.length > 0) {
+      setFormData(prev => ({
+        ...prev,
+        account_id: accounts[0].id.toString()
+      }));
+    }
+  }, [accounts, formData.account_id]);
+
   // Limpiar mensajes después de un tiempo
   useEffect(() => {
     if (success) {
@@ -42,6 +85,15 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
     }
   }, [success]);
 
+  const isTransfer = formData.type === 'transfer';
+  const hasSplits = formData.splits.length > 0;
+  const splitsTotal = formData.splits.reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+  const unassignedAmount = Math.round(((parseFloat(formData.amount) || 0) - splitsTotal) * 100) / 100;
+  const shared = formData.shared;
+  const sharesTotal = shared
+    ? Math.round(shared.participants.reduce((sum, share) => sum + (parseFloat(share.value) || 0), 0) * 100) / 100
+    : 0;
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -59,10 +111,44 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
       newErrors.description = 'La descripción no puede exceder 255 caracteres';
     }
 
-    if (!formData.category) {
+    if (!isTransfer && !hasSplits && !formData.category) {
       newErrors.category = 'La categoría es requerida';
     }
 
+    if (hasSplits) {
+      if (formData.splits.some(split => !split.category || !(parseFloat(split.amount) > 0))) {
+        newErrors.splits = 'Cada división necesita una categoría y un monto mayor a 0';
+      } else if (unassignedAmount !== 0) {
+        newErrors.splits = 'La suma de las divisiones debe ser igual al monto total';
+      }
+    }
+
+    if (shared) {
+      if (!shared.paid_by) {
+        newErrors.shared = 'Indica quién pagó el gasto compartido';
+      } else if (shared.participants.length === 0) {
+        newErrors.shared = 'Elige al menos un participante';
+      } else if (shared.method !== 'equal' && shared.participants.some(share => !(parseFloat(share.value) > 0))) {
+        newErrors.shared = 'Indica la parte de cada participante';
+      } else if (shared.method === 'percentage' && sharesTotal !== 100) {
+        newErrors.shared = 'Los porcentajes deben sumar 100';
+      } else if (shared.method === 'exact' && sharesTotal !== Math.round((parseFloat(formData.amount) || 0) * 100) / 100) {
+        newErrors.shared = 'La suma de las partes debe ser igual al monto total';
+      }
+    }
+
+    if (!formData.account_id) {
+      newErrors.account_id = 'La cuenta es requerida';
+    }
+
+    if (isTransfer) {
+      if (!formData.to_account_id) {
+        newErrors.to_account_id = 'La cuenta de destino es requerida';
+      } else if (formData.to_account_id === formData.account_id) {
+        newErrors.to_account_id = 'La cuenta de destino debe ser distinta de la de origen';
+      }
+    }
+
     if (!formData.date) {
       newErrors.date = 'La fecha es requerida';
     }
@@ -86,15 +172,84 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
       }));
     }
 
-    // Si cambia el tipo, limpiar la categoría
+    // Si cambia el tipo, limpiar la categoría, las divisiones y el reparto (solo los gastos se comparten)
     if (name === 'type') {
       setFormData(prev => ({
         ...prev,
-        category: ''
+        category: '',
+        splits: [],
+        shared: null
       }));
     }
   };
 
+  const handleAddSplit = () => {
+    setFormData(prev => ({
+      ...prev,
+      // La primera división propone todo el monto pendiente de asignar
+      splits: [...prev.splits, { category: '', amount: unassignedAmount > 0 ? unassignedAmount.toString() : '', memo: '' }]
+    }));
+  };
+
+  const handleSplitChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      splits: prev.splits.map((split, i) => (i === index ? { ...split, [field]: value } : split))
+    }));
+
+    if (errors.splits) {
+      setErrors(prev => ({
+        ...prev,
+        splits: ''
+      }));
+    }
+  };
+
+  const handleRemoveSplit = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      splits: prev.splits.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleToggleShared = () => {
+    setFormData(prev => ({
+      ...prev,
+      shared: prev.shared ? null : { paid_by: '', method: 'equal', participants: [] }
+    }));
+  };
+
+  const handleSharedChange = (changes) => {
+    setFormData(prev => ({
+      ...prev,
+      shared: { ...prev.shared, ...changes }
+    }));
+
+    if (errors.shared) {
+      setErrors(prev => ({
+        ...prev,
+        shared: ''
+      }));
+    }
+  };
+
+  const handleToggleShare = (participantId) => {
+    const included = shared.participants.some(share => share.participant_id === participantId);
+    handleSharedChange({
+      participants: included
+        ? shared.participants.filter(share => share.participant_id !== participantId)
+        : [...shared.participants, { participant_id: participantId, value: '' }]
+    });
+  };
+
+  const handleShareValueChange = (participantId, value) => {
+    handleSharedChange({
+      participants: shared.participants.map(share => (
+        share.participant_id === participantId ? { ...share, value } : share
+      ))
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -106,13 +261,54 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
     setErrors({});
 
     try {
+      const { to_account_id, category, ...transactionFields } = formData;
       const transactionData = {
-        ...formData,
-        amount: parseFloat(formData.amount)
+        ...transactionFields,
+        amount: parseFloat(formData.amount),
+        account_id: parseInt(formData.account_id),
+        splits: formData.splits.map(split => ({
+          category: split.category,
+          amount: parseFloat(split.amount),
+          memo: split.memo
+        })),
+        // Las etiquetas se escriben separadas por comas
+        tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        shared: shared ? {
+          paid_by: parseInt(shared.paid_by),
+          method: shared.method,
+          participants: shared.participants.map(share => (
+            shared.method === 'equal'
+              ? { participant_id: share.participant_id }
+              : { participant_id: share.participant_id, value: parseFloat(share.value) }
+          ))
+        } : null
       };
 
+      // En una transacción dividida la categoría principal es opcional
+      if (category) {
+        transactionData.category = category;
+      }
+
       let response;
-      if (editTransaction) {
+      if (isTransfer) {
+        response = await axios.post(`${API_BASE_URL}/api/transfers`, {
+          from_account_id: parseInt(formData.account_id),
+          to_account_id: parseInt(to_account_id),
+          amount: parseFloat(formData.amount),
+          description: formData.description,
+          date: formData.date
+        });
+        setSuccess('Transferencia creada correctamente');
+        onTransactionAdded(response.data);
+
+        setFormData(prev => ({
+          ...prev,
+          amount: '',
+          description: '',
+          to_account_id: '',
+          date: new Date().toISOString().split('T')[0]
+        }));
+      } else if (editTransaction) {
         response = await axios.put(`${API_BASE_URL}/api/transactions/${editTransaction.id}`, transactionData);
         setSuccess('Transacción actualizada correctamente');
         if (onEditComplete) {
@@ -123,14 +319,20 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
         setSuccess('Transacción creada correctamente');
         onTransactionAdded(response.data);
         
-        // Limpiar formulario después de crear
-        setFormData({
+        // Limpiar formulario después de crear (conservando la cuenta elegida)
+        setFormData(prev => ({
           type: 'expense',
           amount: '',
           description: '',
           category: '',
-          date: new Date().toISOString().split('T')[0]
-        });
+          account_id: prev.account_id,
+          to_account_id: '',
+          currency: prev.currency,
+          date: new Date().toISOString().split('T')[0],
+          splits: [],
+          tags: '',
+          shared: null
+        }));
       }
     } catch (error) {
       console.error('Error guardando transacción:', error);
@@ -156,15 +358,35 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
         amount: '',
         description: '',
         category: '',
-        date: new Date().toISOString().split('T')[0]
+        account_id: '',
+        to_account_id: '',
+        currency: baseCurrency,
+        date: new Date().toISOString().split('T')[0],
+        splits: [],
+        tags: '',
+        shared: null
       });
       setErrors({});
       setSuccess('');
     }
   };
 
-  // Filtrar categorías por tipo
-  const filteredCategories = categories.filter(cat => cat.type === formData.type);
+  // Nombre de la categoría precedido por el de su categoría padre
+  const categoryLabel = (category) => {
+    const parent = categories.find(cat => cat.id === category.parent_id);
+    return parent ? `${categoryLabel(parent)} › ${category.name}` : category.name;
+  };
+
+  // Categorías archivadas que ya usa la transacción en edición (se pueden conservar)
+  const currentCategoryNames = editTransaction
+    ? [editTransaction.category, ...(editTransaction.splits || []).map(split => split.category)]
+    : [];
+
+  // Filtrar categorías por tipo, sin las archivadas, dejando cada subcategoría junto a su padre
+  const filteredCategories = categories
+    .filter(cat => cat.type === formData.type)
+    .filter(cat => !cat.archived_at || currentCategoryNames.includes(cat.name))
+    .sort((a, b) => categoryLabel(a).localeCompare(categoryLabel(b)));
 
   return (
     <div className="card">
@@ -195,6 +417,7 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
           >
             <option value="expense">Gasto</option>
             <option value="income">Ingreso</option>
+            {!editTransaction && <option value="transfer">Transferencia entre cuentas</option>}
           </select>
           {errors.type && <div className="error-text">{errors.type}</div>}
         </div>
@@ -216,11 +439,29 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
           {errors.amount && <div className="error-text">{errors.amount}</div>}
           {formData.amount && !errors.amount && (
             <div className="help-text">
-              {formatCurrency(parseFloat(formData.amount) || 0)}
+              {formatCurrency(parseFloat(formData.amount) || 0, formData.currency)}
             </div>
           )}
         </div>
 
+        <div className="form-group">
+          <label htmlFor="currency">Moneda</label>
+          <select
+            id="currency"
+            name="currency"
+            value={formData.currency}
+            onChange={handleChange}
+            className="form-control"
+            disabled={loading}
+          >
+            {[baseCurrency, ...COMMON_CURRENCIES.filter(code => code !== baseCurrency)].map(code => (
+              <option key={code} value={code}>
+                {code}{code === baseCurrency ? ' (moneda base)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
         <div className="form-group">
           <label htmlFor="description">Descripción *</label>
           <input
@@ -240,26 +481,250 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
           </div>
         </div>
 
+        {!isTransfer && (
+          <div className="form-group">
+            <label htmlFor="category">{hasSplits ? 'Categoría principal' : 'Categoría *'}</label>
+            <select
+              id="category"
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className={`form-control ${errors.category ? 'error' : ''}`}
+              disabled={loading}
+            >
+              <option value="">Selecciona una categoría</option>
+              {filteredCategories.map(category => (
+                <option key={category.id} value={category.name}>
+                  {category.icon ? `${category.icon} ` : ''}{categoryLabel(category)}
+                </option>
+              ))}
+            </select>
+            {errors.category && <div className="error-text">{errors.category}</div>}
+            {hasSplits && (
+              <div className="help-text">
+                Si no eliges una, se usa la categoría de la primera división
+              </div>
+            )}
+          </div>
+        )}
+
+        {!isTransfer && (
+          <div className="form-group">
+            <label>Divisiones</label>
+            {formData.splits.map((split, index) => (
+              <div key={index} className="split-row">
+                <select
+                  value={split.category}
+                  onChange={(e) => handleSplitChange(index, 'category', e.target.value)}
+                  className="form-control"
+                  disabled={loading}
+                  aria-label={`Categoría de la división ${index + 1}`}
+                >
+                  <option value="">Categoría</option>
+                  {filteredCategories.map(category => (
+                    <option key={category.id} value={category.name}>
+                      {category.icon ? `${category.icon} ` : ''}{categoryLabel(category)}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  value={split.amount}
+                  onChange={(e) => handleSplitChange(index, 'amount', e.target.value)}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  className="form-control"
+                  disabled={loading}
+                  aria-label={`Monto de la división ${index + 1}`}
+                />
+                <input
+                  type="text"
+                  value={split.memo}
+                  onChange={(e) => handleSplitChange(index, 'memo', e.target.value)}
+                  placeholder="Nota (opcional)"
+                  maxLength="255"
+                  className="form-control"
+                  disabled={loading}
+                  aria-label={`Nota de la división ${index + 1}`}
+                />
+                <button
+                  type="button"
+                  className="btn btn-sm btn-danger"
+                  onClick={() => handleRemoveSplit(index)}
+                  disabled={loading}
+                  title="Quitar división"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {errors.splits && <div className="error-text">{errors.splits}</div>}
+            {hasSplits && (
+              <div className="help-text">
+                Sin asignar: {formatCurrency(unassignedAmount, formData.currency)}
+              </div>
+            )}
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={handleAddSplit}
+              disabled={loading}
+            >
+              ➕ Añadir división
+            </button>
+          </div>
+        )}
+
         <div className="form-group">
-          <label htmlFor="category">Categoría *</label>
+          <label htmlFor="account_id">{isTransfer ? 'Cuenta de origen *' : 'Cuenta *'}</label>
           <select
-            id="category"
-            name="category"
-            value={formData.category}
+            id="account_id"
+            name="account_id"
+            value={formData.account_id}
             onChange={handleChange}
-            className={`form-control ${errors.category ? 'error' : ''}`}
+            className={`form-control ${errors.account_id ? 'error' : ''}`}
             disabled={loading}
           >
-            <option value="">Selecciona una categoría</option>
-            {filteredCategories.map(category => (
-              <option key={category.id} value={category.name}>
-                {category.icon ? `${category.icon} ` : ''}{category.name}
+            <option value="">Selecciona una cuenta</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>
+                {account.name}
               </option>
             ))}
           </select>
-          {errors.category && <div className="error-text">{errors.category}</div>}
+          {errors.account_id && <div className="error-text">{errors.account_id}</div>}
         </div>
 
+        {isTransfer && (
+          <div className="form-group">
+            <label htmlFor="to_account_id">Cuenta de destino *</label>
+            <select
+              id="to_account_id"
+              name="to_account_id"
+              value={formData.to_account_id}
+              onChange={handleChange}
+              className={`form-control ${errors.to_account_id ? 'error' : ''}`}
+              disabled={loading}
+            >
+              <option value="">Selecciona una cuenta</option>
+              {accounts
+                .filter(account => account.id.toString() !== formData.account_id)
+                .map(account => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}
+                  </option>
+                ))}
+            </select>
+            {errors.to_account_id && <div className="error-text">{errors.to_account_id}</div>}
+          </div>
+        )}
+
+        {formData.type === 'expense' && participants.length > 0 && (
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(shared)}
+                onChange={handleToggleShared}
+                disabled={loading}
+              />{' '}
+              Gasto compartido
+            </label>
+            {shared && (
+              <div>
+                <div className="split-row share-settings">
+                  <select
+                    value={shared.paid_by}
+                    onChange={(e) => handleSharedChange({ paid_by: e.target.value })}
+                    className="form-control"
+                    disabled={loading}
+                    aria-label="Quién pagó"
+                  >
+                    <option value="">¿Quién pagó?</option>
+                    {participants.map(participant => (
+                      <option key={participant.id} value={participant.id}>
+                        {participant.name}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={shared.method}
+                    onChange={(e) => handleSharedChange({ method: e.target.value })}
+                    className="form-control"
+                    disabled={loading}
+                    aria-label="Forma de reparto"
+                  >
+                    {Object.entries(SHARE_METHODS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {participants.map(participant => {
+                  const share = shared.participants.find(item => item.participant_id === participant.id);
+                  return (
+                    <div key={participant.id} className="share-row">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(share)}
+                          onChange={() => handleToggleShare(participant.id)}
+                          disabled={loading}
+                        />{' '}
+                        {participant.name}
+                      </label>
+                      {share && shared.method !== 'equal' && (
+                        <input
+                          type="number"
+                          value={share.value}
+                          onChange={(e) => handleShareValueChange(participant.id, e.target.value)}
+                          placeholder={shared.method === 'percentage' ? '%' : '0.00'}
+                          step="0.01"
+                          min="0"
+                          className="form-control"
+                          disabled={loading}
+                          aria-label={`Parte de ${participant.name}`}
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+                {errors.shared && <div className="error-text">{errors.shared}</div>}
+                {shared.method !== 'equal' && (
+                  <div className="help-text">
+                    Asignado: {shared.method === 'percentage' ? `${sharesTotal}%` : formatCurrency(sharesTotal, formData.currency)}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {!isTransfer && (
+          <div className="form-group">
+            <label htmlFor="tags">Etiquetas</label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="vacaciones 2026, cumpleaños"
+              list="tag-suggestions"
+              className="form-control"
+              disabled={loading}
+            />
+            <datalist id="tag-suggestions">
+              {tags.map(tag => (
+                <option key={tag.id} value={tag.name} />
+              ))}
+            </datalist>
+            <div className="help-text">
+              Separa varias etiquetas con comas; las nuevas se crean automáticamente
+            </div>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="date">Fecha *</label>
           <input
@@ -280,7 +745,7 @@ const TransactionForm = ({ categories, onTransactionAdded, formatCurrency, editT
             className="btn btn-primary"
             disabled={loading}
           >
-            {loading ? 'Guardando...' : (editTransaction ? 'Actualizar' : 'Crear Transacción')}
+            {loading ? 'Guardando...' : (editTransaction ? 'Actualizar' : (isTransfer ? 'Crear Transferencia' : 'Crear Transacción'))}
           </button>
           
           <button
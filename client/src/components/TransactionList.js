@@ -12,6 +12,10 @@ const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || (process.env.NODE_ENV
 const TransactionList = ({ 
   transactions: initialTransactions, 
   categories, 
+  accounts = [],
+  tags = [],
+  participants = [],
+  baseCurrency,
   onTransactionUpdated, 
   onTransactionDeleted, 
   formatCurrency 
@@ -21,6 +25,8 @@ const TransactionList = ({
   const [filters, setFilters] = useState({
     type: '',
     category: '',
+    accountId: '',
+    tag: '',
     startDate: '',
     endDate: '',
     search: ''
@@ -41,13 +47,28 @@ const TransactionList = ({
     let filtered = [...transactions];
 
     // Filtro por tipo
-    if (filters.type) {
-      filtered = filtered.filter(t => t.type === filters.type);
+    if (filters.type === 'transfer') {
+      filtered = filtered.filter(t => t.transfer_id);
+    } else if (filters.type) {
+      filtered = filtered.filter(t => t.type === filters.type && !t.transfer_id);
     }
 
-    // Filtro por categoría
+    // Filtro por categoría (incluye las transacciones con alguna división en ella)
     if (filters.category) {
-      filtered = filtered.filter(t => t.category === filters.category);
+      filtered = filtered.filter(t =>
+        t.category === filters.category ||
+        (t.splits || []).some(split => split.category === filters.category)
+      );
+    }
+
+    // Filtro por cuenta
+    if (filters.accountId) {
+      filtered = filtered.filter(t => String(t.account_id) === filters.accountId);
+    }
+
+    // Filtro por etiqueta
+    if (filters.tag) {
+      filtered = filtered.filter(t => (t.tags || []).some(tag => tag.name === filters.tag));
     }
 
     // Filtro por rango de fechas
@@ -63,7 +84,12 @@ const TransactionList = ({
       const searchLower = filters.search.toLowerCase();
       filtered = filtered.filter(t => 
         t.description.toLowerCase().includes(searchLower) ||
-        t.category.toLowerCase().includes(searchLower)
+        t.category.toLowerCase().includes(searchLower) ||
+        (t.splits || []).some(split =>
+          split.category.toLowerCase().includes(searchLower) ||
+          (split.memo || '').toLowerCase().includes(searchLower)
+        ) ||
+        (t.tags || []).some(tag => tag.name.toLowerCase().includes(searchLower))
       );
     }
 
@@ -83,6 +109,8 @@ const TransactionList = ({
     setFilters({
       type: '',
       category: '',
+      accountId: '',
+      tag: '',
       startDate: '',
       endDate: '',
       search: ''
@@ -104,8 +132,13 @@ const TransactionList = ({
     setEditingTransaction(null);
   };
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('¿Estás seguro de que quieres eliminar esta transacción?')) {
+  const handleDelete = async (transaction) => {
+    const { id, transfer_id: transferId } = transaction;
+    const message = transferId
+      ? '¿Estás seguro de que quieres eliminar esta transferencia? Se eliminarán ambos movimientos.'
+      : '¿Estás seguro de que quieres eliminar esta transacción?';
+
+    if (!window.confirm(message)) {
       return;
     }
 
@@ -113,10 +146,15 @@ const TransactionList = ({
     setError('');
 
     try {
-      await axios.delete(`${API_BASE_URL}/api/transactions/${id}`);
-      
+      if (transferId) {
+        await axios.delete(`${API_BASE_URL}/api/transfers/${transferId}`);
+        setTransactions(prev => prev.filter(t => t.transfer_id !== transferId));
+      } else {
+        await axios.delete(`${API_BASE_URL}/api/transactions/${id}`);
+        setTransactions(prev => prev.filter(t => t.id !== id));
+      }
+
       // Actualizar la lista local
-      setTransactions(prev => prev.filter(t => t.id !== id));
       onTransactionDeleted(id);
     } catch (error) {
       console.error('Error eliminando transacción:', error);
@@ -150,6 +188,10 @@ const TransactionList = ({
     return (
       <TransactionForm
         categories={categories}
+        accounts={accounts}
+        tags={tags}
+        participants={participants}
+        baseCurrency={baseCurrency}
         editTransaction={editingTransaction}
         onEditComplete={handleEditComplete}
         formatCurrency={formatCurrency}
@@ -195,6 +237,7 @@ const TransactionList = ({
               <option value="">Todos</option>
               <option value="income">Ingresos</option>
               <option value="expense">Gastos</option>
+              <option value="transfer">Transferencias</option>
             </select>
           </div>
 
@@ -218,6 +261,42 @@ const TransactionList = ({
             </select>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="accountId">Cuenta</label>
+            <select
+              id="accountId"
+              name="accountId"
+              value={filters.accountId}
+              onChange={handleFilterChange}
+              className="form-control"
+            >
+              <option value="">Todas</option>
+              {accounts.map(account => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="tag">Etiqueta</label>
+            <select
+              id="tag"
+              name="tag"
+              value={filters.tag}
+              onChange={handleFilterChange}
+              className="form-control"
+            >
+              <option value="">Todas</option>
+              {tags.map(tag => (
+                <option key={tag.id} value={tag.name}>
+                  {tag.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div className="form-group">
             <label htmlFor="startDate">Desde</label>
             <input
@@ -257,8 +336,10 @@ const TransactionList = ({
         <div className="filter-stats">
           <p>
             Mostrando {filteredTransactions.length} de {transactions.length} transacciones
-            {filters.type && ` • Tipo: ${filters.type === 'income' ? 'Ingresos' : 'Gastos'}`}
+            {filters.type && ` • Tipo: ${{ income: 'Ingresos', expense: 'Gastos', transfer: 'Transferencias' }[filters.type]}`}
             {filters.category && ` • Categoría: ${filters.category}`}
+            {filters.accountId && ` • Cuenta: ${accounts.find(a => String(a.id) === filters.accountId)?.name || ''}`}
+            {filters.tag && ` • Etiqueta: ${filters.tag}`}
             {filters.search && ` • Búsqueda: "${filters.search}"`}
           </p>
         </div>
@@ -283,30 +364,87 @@ const TransactionList = ({
                   {transaction.description}
                 </div>
                 <div className="transaction-details">
-                  <span className="transaction-category">
-                    {categories.find(c => c.name === transaction.category)?.icon || '📁'} {transaction.category}
-                  </span>
+                  {transaction.transfer_id ? (
+                    <span className="transaction-category">
+                      ↔️ Transferencia {transaction.type === 'expense' ? 'enviada' : 'recibida'}
+                    </span>
+                  ) : transaction.splits && transaction.splits.length > 0 ? (
+                    <span className="transaction-category">
+                      ✂️ Dividida en {transaction.splits.length} categorías
+                    </span>
+                  ) : (
+                    <span className="transaction-category">
+                      {transaction.category_icon || '📁'} {transaction.category}
+                    </span>
+                  )}
+                  {transaction.recurring_rule_id && (
+                    <span className="transaction-recurring" title="Generada por una regla recurrente">
+                      🔁 Recurrente
+                    </span>
+                  )}
+                  {transaction.account_id && (
+                    <span className="transaction-account">
+                      🏦 {accounts.find(a => a.id === transaction.account_id)?.name || 'Sin cuenta'}
+                    </span>
+                  )}
+                  {transaction.shared && (
+                    <span
+                      className="transaction-shared"
+                      title={transaction.shared.participants
+                        .map(share => `${share.name}: ${formatCurrency(share.amount, transaction.currency)}`)
+                        .join(', ')}
+                    >
+                      👥 Pagó {transaction.shared.paid_by_name} · {transaction.shared.participants.length} personas
+                    </span>
+                  )}
+                  {transaction.created_by_name && (
+                    <span className="transaction-author" title="Miembro que la registró">
+                      👤 {transaction.created_by_name}
+                    </span>
+                  )}
                   <span className="transaction-date">
                     {formatDate(transaction.date)}
                   </span>
+                  {(transaction.tags || []).map(tag => (
+                    <span
+                      key={tag.id}
+                      className="transaction-tag"
+                      style={tag.color ? { backgroundColor: tag.color, color: 'white' } : undefined}
+                    >
+                      #{tag.name}
+                    </span>
+                  ))}
                 </div>
+                {transaction.splits && transaction.splits.length > 0 && (
+                  <ul className="transaction-splits">
+                    {transaction.splits.map(split => (
+                      <li key={split.id}>
+                        {split.category_icon || '📁'} {split.category}
+                        {split.memo && <span className="split-memo"> — {split.memo}</span>}
+                        <span className="split-amount">{formatCurrency(split.amount, transaction.currency)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
               
               <div className="transaction-amount-container">
-                <div className={`transaction-amount ${transaction.type}`}>
-                  {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                <div className={`transaction-amount ${transaction.transfer_id ? 'transfer' : transaction.type}`}>
+                  {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount, transaction.currency)}
                 </div>
                 
                 <div className="transaction-actions">
+                  {!transaction.transfer_id && (
+                    <button
+                      onClick={() => handleEdit(transaction)}
+                      className="btn btn-sm btn-secondary"
+                      disabled={loading}
+                    >
+                      Editar
+                    </button>
+                  )}
                   <button
-                    onClick={() => handleEdit(transaction)}
-                    className="btn btn-sm btn-secondary"
-                    disabled={loading}
-                  >
-                    Editar
-                  </button>
-                  <button
-                    onClick={() => handleDelete(transaction.id)}
+                    onClick={() => handleDelete(transaction)}
                     className="btn btn-sm btn-danger"
                     disabled={loading}
                   >
@@ -16,6 +16,9 @@ class DatabaseManager {
     this.dbType = process.env.DATABASE_TYPE || 'sqlite';
     this.connection = null;
     this.isConnected = false;
+    // Cola de escrituras SQLite: todas comparten una conexión, así que una transacción no
+    // puede empezar mientras otra sigue abierta
+    this.sqliteQueue = Promise.resolve();
   }
 
   /**
@@ -111,30 +114,64 @@ class DatabaseManager {
 
   /**
    * Ejecuta consulta en SQLite
+   * Las escrituras esperan a que terminen las transacciones en curso; si no, formarían
+   * parte de ellas y se desharían con su ROLLBACK
    */
   async querySQLite(query, params) {
+    if (query.trim().toUpperCase().startsWith('SELECT')) {
+      return await this.allSQLite(query, params);
+    }
+    return await this.enqueueSQLite(() => this.runSQLite(query, params));
+  }
+
+  /**
+   * Ejecuta una consulta de lectura en SQLite
+   * @returns {Promise<Array>} Filas obtenidas
+   */
+  allSQLite(query, params = []) {
     return new Promise((resolve, reject) => {
-      if (query.trim().toUpperCase().startsWith('SELECT')) {
-        this.connection.all(query, params, (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      } else {
-        this.connection.run(query, params, function(err) {
-          if (err) reject(err);
-          else resolve({ 
-            lastID: this.lastID, 
-            changes: this.changes,
-            affectedRows: this.changes 
-          });
+      this.connection.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Ejecuta una consulta de escritura en SQLite
+   * @returns {Promise<Object>} { lastID, changes, affectedRows }
+   */
+  runSQLite(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.run(query, params, function(err) {
+        // Dentro del callback "this" es la sentencia, no el gestor
+        if (err) reject(err);
+        else resolve({ 
+          lastID: this.lastID, 
+          changes: this.changes,
+          affectedRows: this.changes 
         });
-      }
+      });
     });
   }
 
+  /**
+   * Agrega una tarea a la cola de escrituras SQLite
+   * Cada tarea empieza cuando termina la anterior, haya fallado o no
+   * @param {Function} task - Función que devuelve una promesa
+   * @returns {Promise} Resultado de la tarea
+   */
+  enqueueSQLite(task) {
+    const result = this.sqliteQueue.then(task);
+    this.sqliteQueue = result.catch(() => {});
+    return result;
+  }
+
   /**
    * Ejecuta múltiples consultas en una transacción
    * @param {Array} queries - Array de objetos {query, params}
+   *        params puede ser una función que recibe los resultados anteriores
+   *        (útil para usar el ID generado por un INSERT previo)
    */
   async transaction(queries) {
     if (this.dbType === 'postgresql') {
@@ -154,7 +191,8 @@ class DatabaseManager {
       const results = [];
       
       for (const { query, params } of queries) {
-        const result = await client.query(query, params);
+        const values = typeof params === 'function' ? params(results) : params;
+        const result = await client.query(query, values);
         results.push(result.rows);
       }
       
@@ -170,51 +208,35 @@ class DatabaseManager {
 
   /**
    * Transacción SQLite
+   * Se encola detrás de las demás escrituras; los errores de BEGIN, COMMIT y ROLLBACK
+   * rechazan la promesa en lugar de lanzarse fuera de ella
    */
   async transactionSQLite(queries) {
-    return new Promise((resolve, reject) => {
-      this.connection.serialize(() => {
-        this.connection.run('BEGIN TRANSACTION');
-        
-        const results = [];
-        let completed = 0;
-        
-        const executeNext = (index) => {
-          if (index >= queries.length) {
-            this.connection.run('COMMIT', (err) => {
-              if (err) reject(err);
-              else resolve(results);
-            });
-            return;
-          }
-          
-          const { query, params } = queries[index];
-          
+    return await this.enqueueSQLite(async () => {
+      await this.runSQLite('BEGIN TRANSACTION');
+
+      const results = [];
+      try {
+        for (const { query, params } of queries) {
+          const values = typeof params === 'function' ? params(results) : params;
           if (query.trim().toUpperCase().startsWith('SELECT')) {
-            this.connection.all(query, params, (err, rows) => {
-              if (err) {
-                this.connection.run('ROLLBACK');
-                reject(err);
-              } else {
-                results.push(rows);
-                executeNext(index + 1);
-              }
-            });
+            results.push(await this.allSQLite(query, values));
           } else {
-            this.connection.run(query, params, function(err) {
-              if (err) {
-                this.connection.run('ROLLBACK');
-                reject(err);
-              } else {
-                results.push({ lastID: this.lastID, changes: this.changes });
-                executeNext(index + 1);
-              }
-            });
+            const { lastID, changes } = await this.runSQLite(query, values);
+            results.push({ lastID, changes });
           }
-        };
-        
-        executeNext(0);
-      });
+        }
+
+        await this.runSQLite('COMMIT');
+        return results;
+      } catch (error) {
+        try {
+          await this.runSQLite('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Error revirtiendo transacción SQLite:', rollbackError);
+        }
+        throw error;
+      }
     });
   }
 
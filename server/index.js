@@ -33,10 +33,32 @@ require('dotenv').config();
 const dbManager = require('./config/database');
 const Transaction = require('./models/Transaction');
 const Category = require('./models/Category');
+const Account = require('./models/Account');
+const Transfer = require('./models/Transfer');
+const ExchangeRate = require('./models/ExchangeRate');
+const Setting = require('./models/Setting');
+const Tag = require('./models/Tag');
+const RecurringRule = require('./models/RecurringRule');
+const Bill = require('./models/Bill');
+const Budget = require('./models/Budget');
+const Envelope = require('./models/Envelope');
+const Goal = require('./models/Goal');
+const Notification = require('./models/Notification');
+const NotificationRule = require('./models/NotificationRule');
+const Webhook = require('./models/Webhook');
+const User = require('./models/User');
+const Household = require('./models/Household');
+const Participant = require('./models/Participant');
+const Settlement = require('./models/Settlement');
+const ApiKey = require('./models/ApiKey');
+const Import = require('./models/Import');
+const { getJwtSecret } = require('./utils/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const RECURRING_RULES_INTERVAL_MS = 24 * 60 * 60 * 1000; // una vez al día
+const WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000; // cada 30 segundos
 
 // Configuración de rate limiting
 const limiter = rateLimit({
@@ -46,15 +68,68 @@ const limiter = rateLimit({
     error: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde.'
   },
   standardHeaders: true,
+  legacyHeaders: false,
+  // Las peticiones con una clave de API válida cuentan en su propio límite
+  skip: req => Boolean(req.apiKey)
+});
+
+// Límite propio de cada clave de API, independiente de la IP desde la que se use
+const apiKeyLimiter = rateLimit({
+  windowMs: parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutos
+  max: parseInt(process.env.API_KEY_RATE_LIMIT_MAX_REQUESTS) || 300,
+  message: {
+    error: 'Demasiadas solicitudes con esta clave de API, intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: req => `api-key:${req.apiKey.id}`,
+  skip: req => !req.apiKey
+});
+
+// Límite más estricto para el registro y el inicio de sesión
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  message: {
+    error: 'Demasiados intentos de inicio de sesión, intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
   legacyHeaders: false
 });
 
+// Rutas de la API accesibles sin token (relativas a /api)
+const PUBLIC_API_PATHS = ['/health', '/auth/register', '/auth/login'];
+
+// Rutas de la API accesibles sin pertenecer a un hogar, para crearlo o unirse a uno
+const NO_HOUSEHOLD_API_PATHS = ['/auth/logout', '/auth/me', '/household', '/household/join'];
+
+// Rutas de la API (y sus subrutas) que no aceptan claves de API: la sesión, el hogar y las propias claves
+const API_KEY_BLOCKED_PATHS = ['/auth', '/household', '/api-keys'];
+
+/**
+ * Identifica la clave de API de la petición antes de aplicar los límites de solicitudes
+ * Solo marca las claves válidas; las inválidas siguen contando en el límite por IP
+ */
+const identifyApiKey = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && ApiKey.isApiKey(token)) {
+      req.apiKey = await ApiKey.authenticate(token);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Middleware de seguridad y utilidades
 app.use(helmet({
   contentSecurityPolicy: NODE_ENV === 'production' ? undefined : false
 }));
 app.use(compression());
+app.use('/api', identifyApiKey);
 app.use(limiter);
+app.use(apiKeyLimiter);
 app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
 app.use(cors({
   origin: NODE_ENV === 'production' ? false : [
@@ -74,6 +149,83 @@ app.use((req, res, next) => {
   next();
 });
 
+// Middleware de autenticación
+// Todas las rutas /api/* salvo PUBLIC_API_PATHS exigen la cabecera Authorization: Bearer <token>
+// (token de sesión o clave de API) y, salvo NO_HOUSEHOLD_API_PATHS, que el usuario pertenezca al hogar
+const authenticate = async (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  
+  try {
+    // Las claves de API actúan en nombre del miembro que las creó con el rol de su alcance,
+    // limitado al rol que ese miembro tiene ahora en el hogar
+    if (req.apiKey) {
+      if (API_KEY_BLOCKED_PATHS.some(blocked => req.path === blocked || req.path.startsWith(`${blocked}/`))) {
+        return res.status(403).json({
+          error: 'Acceso denegado',
+          details: 'Las claves de API no permiten gestionar la sesión, el hogar ni las claves'
+        });
+      }
+      
+      req.user = await User.getById(req.apiKey.created_by);
+      req.household = {
+        id: req.apiKey.household_id,
+        name: req.apiKey.household_name,
+        role: ApiKey.roleFor(req.apiKey)
+      };
+      return next();
+    }
+    
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' && token ? await User.authenticate(token) : null;
+    
+    if (!session) {
+      return res.status(401).json({
+        error: 'No autenticado',
+        details: 'Inicia sesión para acceder a la API'
+      });
+    }
+    
+    req.user = session.user;
+    req.tokenClaims = session.claims;
+    req.household = await Household.getMembership(session.user.id);
+    
+    if (!req.household && !NO_HOUSEHOLD_API_PATHS.includes(req.path)) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        details: 'Crea el hogar o únete a él con un código de invitación'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+app.use('/api', authenticate);
+
+/**
+ * Crea un middleware que exige uno de los roles indicados en el hogar
+ * @param {...string} roles - Roles permitidos ('owner', 'editor', 'viewer')
+ * @returns {Function} Middleware de Express
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.household || !roles.includes(req.household.role)) {
+    return res.status(403).json({
+      error: 'Acceso denegado',
+      details: req.household
+        ? `Tu rol en el hogar (${req.household.role}) no permite esta operación`
+        : 'Crea el hogar o únete a él con un código de invitación'
+    });
+  }
+  next();
+};
+
+// Crear y editar datos exige ser editor; borrar historial y gestionar el hogar, propietario
+const canEdit = requireRole('owner', 'editor');
+const ownerOnly = requireRole('owner');
+
 // Servir archivos estáticos del frontend en producción
 if (NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
@@ -87,243 +239,1955 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'ValidationError') {
     return res.status(400).json({
       error: 'Error de validación',
+      details: err.message,
+      ...(err.validCategories ? { validCategories: err.validCategories } : {})
+    });
+  }
+  
+  // Error de autenticación
+  if (err.name === 'AuthenticationError') {
+    return res.status(401).json({
+      error: 'No autenticado',
       details: err.message
     });
   }
-  
-  // Error de base de datos
-  if (err.code === 'SQLITE_CONSTRAINT' || err.code === '23505') {
-    return res.status(409).json({
-      error: 'Conflicto en la base de datos',
-      details: 'El recurso ya existe o viola una restricción'
-    });
+  
+  // Error de base de datos
+  if (err.code === 'SQLITE_CONSTRAINT' || err.code === '23505') {
+    return res.status(409).json({
+      error: 'Conflicto en la base de datos',
+      details: 'El recurso ya existe o viola una restricción'
+    });
+  }
+  
+  // Error genérico
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    details: NODE_ENV === 'development' ? err.message : 'Algo salió mal'
+  });
+};
+
+// Inicializar base de datos
+async function initializeDatabase() {
+  try {
+    await dbManager.connect();
+    console.log('✅ Base de datos conectada exitosamente');
+    
+    // Ejecutar migraciones si es necesario sin cerrar la conexión compartida
+    const { runMigrations } = require('./scripts/migrate');
+    await runMigrations(false);
+    
+    // Inicializar categorías por defecto
+    await Category.initializeDefaultCategories();
+    
+    // Inicializar cuenta por defecto
+    await Account.initializeDefaultAccounts();
+    
+    // Inicializar moneda base
+    await Setting.initializeBaseCurrency();
+    
+  } catch (error) {
+    console.error('❌ Error inicializando base de datos:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Evalúa las reglas de notificación después de escribir transacciones
+ * Un fallo se registra en el log sin afectar a la escritura ya realizada
+ * @param {Object|null} transaction - Transacción creada o actualizada
+ */
+async function evaluateNotifications(transaction = null) {
+  try {
+    await Notification.evaluate(transaction);
+  } catch (error) {
+    console.error('❌ Error evaluando notificaciones:', error);
+  }
+}
+
+/**
+ * Envía un evento a los webhooks suscritos sin retrasar la respuesta
+ * Los envíos fallidos quedan pendientes y se reintentan en segundo plano
+ * @param {string} event - Evento (por ejemplo 'transaction.created')
+ * @param {Object} data - Datos del evento
+ */
+function emitWebhook(event, data) {
+  Webhook.dispatch(event, data).catch(error => {
+    console.error('❌ Error enviando webhooks:', error);
+  });
+}
+
+/**
+ * Procesa las transacciones generadas por las reglas recurrentes o importadas igual que las
+ * creadas a mano: evalúa las reglas de notificación con cada una y avisa a los webhooks
+ * @param {Array<number>} transactionIds - IDs de las transacciones creadas
+ */
+async function processCreatedTransactions(transactionIds) {
+  for (const id of transactionIds) {
+    const transaction = await Transaction.getById(id);
+    if (transaction) {
+      await evaluateNotifications(transaction);
+      emitWebhook('transaction.created', transaction);
+    }
+  }
+}
+
+// ==========================================
+// RUTAS DE LA API
+// ==========================================
+
+// Ruta de salud del servidor
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    database: dbManager.isConnectionActive() ? 'Connected' : 'Disconnected',
+    version: '1.0.0'
+  });
+});
+
+// ==========================================
+// RUTAS DE AUTENTICACIÓN
+// ==========================================
+
+/**
+ * POST /api/auth/register
+ * Registra un usuario (body: { email, password, name? }) y devuelve { user, token }
+ */
+app.post('/api/auth/register', authLimiter, async (req, res, next) => {
+  try {
+    const session = await User.register(req.body);
+    res.status(201).json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Inicia sesión (body: { email, password }) y devuelve { user, token }
+ */
+app.post('/api/auth/login', authLimiter, async (req, res, next) => {
+  try {
+    const session = await User.login(req.body);
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Cierra la sesión revocando el token usado en la petición
+ */
+app.post('/api/auth/logout', async (req, res, next) => {
+  try {
+    await User.logout(req.tokenClaims);
+    res.json({ message: 'Sesión cerrada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Obtiene el usuario de la sesión actual con su hogar y su rol (household es null si aún no pertenece a ninguno)
+ */
+app.get('/api/auth/me', (req, res) => {
+  const household = req.household
+    ? { id: req.household.id, name: req.household.name, role: req.household.role }
+    : null;
+  res.json({ ...req.user, household });
+});
+
+// ==========================================
+// RUTAS DEL HOGAR
+// ==========================================
+
+/**
+ * GET /api/household
+ * Obtiene el hogar del usuario con sus miembros (el código de invitación solo lo ve el propietario)
+ */
+app.get('/api/household', async (req, res, next) => {
+  try {
+    const household = await Household.getForUser(req.user.id);
+    
+    if (!household) {
+      return res.status(404).json({ error: 'No perteneces a ningún hogar' });
+    }
+    
+    res.json(household);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/household
+ * Crea el hogar (body: { name }) con el usuario como propietario
+ */
+app.post('/api/household', async (req, res, next) => {
+  try {
+    const household = await Household.create(req.user.id, req.body);
+    res.status(201).json(household);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/household
+ * Renombra el hogar (body: { name })
+ */
+app.put('/api/household', ownerOnly, async (req, res, next) => {
+  try {
+    await Household.update(req.household.id, req.body);
+    res.json(await Household.getForUser(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/household/join
+ * Une al usuario al hogar con un código de invitación (body: { invite_code }) como viewer
+ */
+app.post('/api/household/join', async (req, res, next) => {
+  try {
+    const household = await Household.join(req.user.id, req.body);
+    res.json(household);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/household/invite-code
+ * Genera un código de invitación nuevo; el anterior deja de servir
+ */
+app.post('/api/household/invite-code', ownerOnly, async (req, res, next) => {
+  try {
+    await Household.regenerateInviteCode(req.household.id);
+    res.json(await Household.getForUser(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/household/members/:userId
+ * Cambia el rol de un miembro (body: { role })
+ */
+app.put('/api/household/members/:userId', ownerOnly, async (req, res, next) => {
+  try {
+    const updated = await Household.setMemberRole(req.household.id, req.params.userId, req.body);
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Miembro no encontrado' });
+    }
+    
+    res.json(await Household.getForUser(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/household/members/:userId
+ * Quita a un miembro del hogar; cualquier miembro puede quitarse a sí mismo para salir
+ */
+app.delete('/api/household/members/:userId', async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (req.household.role !== 'owner' && userId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        details: `Tu rol en el hogar (${req.household.role}) no permite esta operación`
+      });
+    }
+    
+    const removed = await Household.removeMember(req.household.id, userId);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Miembro no encontrado' });
+    }
+    
+    res.json({ message: 'Miembro quitado del hogar' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE CLAVES DE API
+// ==========================================
+
+/**
+ * GET /api/api-keys
+ * Obtiene las claves de API del hogar (sin la clave, que solo se muestra al crearla)
+ */
+app.get('/api/api-keys', ownerOnly, async (req, res, next) => {
+  try {
+    const keys = await ApiKey.getAll(req.household.id);
+    res.json(keys);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Crea una clave de API (name y scope 'read' o 'write'); la respuesta incluye la clave completa
+ */
+app.post('/api/api-keys', ownerOnly, async (req, res, next) => {
+  try {
+    const key = await ApiKey.create(req.household.id, req.user.id, req.body);
+    res.status(201).json(key);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ * Revoca una clave de API; deja de aceptarse de inmediato
+ */
+app.post('/api/api-keys/:id/revoke', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const key = await ApiKey.revoke(req.household.id, id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'Clave de API no encontrada' });
+    }
+
+    res.json(key);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE TRANSACCIONES
+// ==========================================
+
+/**
+ * GET /api/transactions
+ * Obtiene todas las transacciones con filtros opcionales
+ */
+app.get('/api/transactions', async (req, res, next) => {
+  try {
+    const filters = {
+      type: req.query.type,
+      category: req.query.category,
+      categoryId: req.query.categoryId,
+      accountId: req.query.accountId,
+      tags: req.query.tags ? req.query.tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    };
+    
+    const transactions = await Transaction.getAll(filters);
+    res.json(transactions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/transactions/:id
+ * Obtiene una transacción específica por ID
+ */
+app.get('/api/transactions/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const transaction = await Transaction.getById(id);
+    
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transacción no encontrada' });
+    }
+    
+    res.json(transaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/transactions
+ * Crea una nueva transacción
+ */
+app.post('/api/transactions', canEdit, async (req, res, next) => {
+  try {
+    const transaction = await Transaction.create(req.body, req.user.id);
+    await evaluateNotifications(transaction);
+    emitWebhook('transaction.created', transaction);
+    res.status(201).json(transaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/transactions/:id
+ * Actualiza una transacción existente
+ */
+app.put('/api/transactions/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const transaction = await Transaction.update(id, req.body);
+    await evaluateNotifications(transaction);
+    emitWebhook('transaction.updated', transaction);
+    res.json(transaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/transactions/:id
+ * Elimina una transacción
+ */
+app.delete('/api/transactions/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const transaction = await Transaction.getById(id);
+    const deleted = await Transaction.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Transacción no encontrada' });
+    }
+    
+    emitWebhook('transaction.deleted', transaction);
+    res.json({ message: 'Transacción eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE IMPORTACIÓN
+// ==========================================
+
+/**
+ * POST /api/import/csv/preview
+ * Lee un CSV de movimientos bancarios y devuelve cada fila con los errores que impedirían
+ * importarla, sin guardar nada. Body: { csv, options } (separador, separador decimal, formato
+ * de fecha, convención de signo, asignación de columnas y categorías por defecto)
+ */
+app.post('/api/import/csv/preview', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.csv) {
+      return res.status(400).json({ error: 'El contenido CSV es requerido' });
+    }
+
+    const preview = await Import.previewCsv(req.body.csv, req.body.options);
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/csv
+ * Importa las filas válidas de un CSV en una única transacción de base de datos
+ * Body: { csv, options } con las mismas opciones que la vista previa
+ */
+app.post('/api/import/csv', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.csv) {
+      return res.status(400).json({ error: 'El contenido CSV es requerido' });
+    }
+
+    const result = await Import.importCsv(req.body.csv, req.body.options, req.user.id);
+    await processCreatedTransactions(result.transaction_ids);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/ofx/preview
+ * Lee un extracto OFX/QFX y devuelve cada movimiento con sus errores, marcando los que ya
+ * se importaron, sin guardar nada. Body: { ofx, options } (categorías por defecto y cuenta)
+ */
+app.post('/api/import/ofx/preview', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.ofx) {
+      return res.status(400).json({ error: 'El contenido OFX es requerido' });
+    }
+
+    const preview = await Import.previewOfx(req.body.ofx, req.body.options);
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/ofx
+ * Importa los movimientos de un extracto OFX/QFX; los que ya se importaron (mismo FITID en
+ * la misma cuenta) se omiten. Body: { ofx, options }
+ */
+app.post('/api/import/ofx', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.ofx) {
+      return res.status(400).json({ error: 'El contenido OFX es requerido' });
+    }
+
+    const result = await Import.importOfx(req.body.ofx, req.body.options, req.user.id);
+    await processCreatedTransactions(result.transaction_ids);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/qif
+ * Importa un archivo QIF con sus categorías y divisiones; las categorías que no existen se
+ * crean. Body: { qif, options, dry_run }. Con dry_run: true no se guarda nada y se devuelve la
+ * vista previa con las categorías que se crearían
+ */
+app.post('/api/import/qif', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.qif) {
+      return res.status(400).json({ error: 'El contenido QIF es requerido' });
+    }
+
+    const dryRun = req.body.dry_run === true;
+    const result = await Import.importQif(req.body.qif, req.body.options, req.user.id, dryRun);
+    if (!dryRun) {
+      await processCreatedTransactions(result.transaction_ids);
+      result.categories_created.forEach(category => emitWebhook('category.changed', { action: 'created', category }));
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/camt053/preview
+ * Lee un extracto camt.053 (XML ISO 20022) y devuelve cada movimiento con sus fechas de
+ * contabilización y valor y sus errores, sin guardar nada. Body: { camt, options }
+ */
+app.post('/api/import/camt053/preview', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.camt) {
+      return res.status(400).json({ error: 'El contenido camt.053 es requerido' });
+    }
+
+    const preview = await Import.previewCamt053(req.body.camt, req.body.options);
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/camt053
+ * Importa los movimientos contabilizados de un extracto camt.053; los que ya se importaron
+ * (misma referencia del banco en la misma cuenta) se omiten. Body: { camt, options }
+ */
+app.post('/api/import/camt053', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.camt) {
+      return res.status(400).json({ error: 'El contenido camt.053 es requerido' });
+    }
+
+    const result = await Import.importCamt053(req.body.camt, req.body.options, req.user.id);
+    await processCreatedTransactions(result.transaction_ids);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/mt940/preview
+ * Lee un extracto MT940 y devuelve cada movimiento con sus fechas de contabilización y valor
+ * y sus errores, sin guardar nada. Body: { mt940, options }
+ */
+app.post('/api/import/mt940/preview', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.mt940) {
+      return res.status(400).json({ error: 'El contenido MT940 es requerido' });
+    }
+
+    const preview = await Import.previewMt940(req.body.mt940, req.body.options);
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/import/mt940
+ * Importa los movimientos de un extracto MT940; los que ya se importaron (misma referencia
+ * del banco en la misma cuenta) se omiten. Body: { mt940, options }
+ */
+app.post('/api/import/mt940', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.mt940) {
+      return res.status(400).json({ error: 'El contenido MT940 es requerido' });
+    }
+
+    const result = await Import.importMt940(req.body.mt940, req.body.options, req.user.id);
+    await processCreatedTransactions(result.transaction_ids);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE CATEGORÍAS
+// ==========================================
+
+/**
+ * GET /api/categories
+ * Obtiene todas las categorías con filtros opcionales
+ */
+app.get('/api/categories', async (req, res, next) => {
+  try {
+    const filters = {
+      type: req.query.type,
+      parentId: req.query.parentId,
+      includeArchived: req.query.includeArchived === 'true'
+    };
+    
+    const categories = await Category.getAll(filters);
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/categories/stats
+ * Obtiene categorías con estadísticas de uso
+ * Debe declararse antes de /api/categories/:id para no ser capturada por esa ruta
+ */
+app.get('/api/categories/stats', async (req, res, next) => {
+  try {
+    const { type } = req.query;
+    const categories = await Category.getWithUsageStats(type);
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/categories/:id
+ * Obtiene una categoría específica por ID
+ */
+app.get('/api/categories/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.getById(id);
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+    
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/categories
+ * Crea una nueva categoría
+ */
+app.post('/api/categories', canEdit, async (req, res, next) => {
+  try {
+    const category = await Category.create(req.body);
+    emitWebhook('category.changed', { action: 'created', category });
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/categories/:id
+ * Actualiza una categoría existente
+ */
+app.put('/api/categories/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.update(id, req.body);
+    emitWebhook('category.changed', { action: 'updated', category });
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/categories/:id
+ * Elimina una categoría
+ */
+app.delete('/api/categories/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.getById(id);
+    const deleted = await Category.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+    
+    emitWebhook('category.changed', { action: 'deleted', category });
+    res.json({ message: 'Categoría eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/categories/:id/archive
+ * Archiva una categoría: deja de ofrecerse para nuevas transacciones pero conserva su historial
+ */
+app.post('/api/categories/:id/archive', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.setArchived(id, true);
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+    
+    emitWebhook('category.changed', { action: 'archived', category });
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/categories/:id/unarchive
+ * Reactiva una categoría archivada
+ */
+app.post('/api/categories/:id/unarchive', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.setArchived(id, false);
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+    
+    emitWebhook('category.changed', { action: 'unarchived', category });
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/categories/:id/merge
+ * Fusiona la categoría en otra del mismo tipo (body: { target_id })
+ * Mueve sus transacciones y subcategorías a la destino y elimina la origen
+ */
+app.post('/api/categories/:id/merge', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await Category.merge(id, req.body);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Categoría no encontrada' });
+    }
+    
+    emitWebhook('category.changed', { action: 'merged', source_id: parseInt(id), category: result.category });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE ETIQUETAS
+// ==========================================
+
+/**
+ * GET /api/tags
+ * Obtiene todas las etiquetas con su cantidad de transacciones
+ */
+app.get('/api/tags', async (req, res, next) => {
+  try {
+    const tags = await Tag.getAll();
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tags/:id
+ * Obtiene una etiqueta específica por ID
+ */
+app.get('/api/tags/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const tag = await Tag.getById(id);
+    
+    if (!tag) {
+      return res.status(404).json({ error: 'Etiqueta no encontrada' });
+    }
+    
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tags
+ * Crea una nueva etiqueta
+ */
+app.post('/api/tags', canEdit, async (req, res, next) => {
+  try {
+    const tag = await Tag.create(req.body);
+    res.status(201).json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tags/:id
+ * Actualiza una etiqueta existente
+ */
+app.put('/api/tags/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const tag = await Tag.update(id, req.body);
+    res.json(tag);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tags/:id
+ * Elimina una etiqueta y la quita de las transacciones que la usaban
+ */
+app.delete('/api/tags/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Tag.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Etiqueta no encontrada' });
+    }
+    
+    res.json({ message: 'Etiqueta eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE CUENTAS
+// ==========================================
+
+/**
+ * GET /api/accounts
+ * Obtiene todas las cuentas con filtros opcionales
+ */
+app.get('/api/accounts', async (req, res, next) => {
+  try {
+    const filters = {
+      type: req.query.type
+    };
+    
+    const accounts = await Account.getAll(filters);
+    res.json(accounts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/accounts/:id
+ * Obtiene una cuenta específica por ID
+ */
+app.get('/api/accounts/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const account = await Account.getById(id);
+    
+    if (!account) {
+      return res.status(404).json({ error: 'Cuenta no encontrada' });
+    }
+    
+    res.json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Crea una nueva cuenta
+ */
+app.post('/api/accounts', canEdit, async (req, res, next) => {
+  try {
+    const account = await Account.create(req.body);
+    res.status(201).json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/accounts/:id
+ * Actualiza una cuenta existente
+ */
+app.put('/api/accounts/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const account = await Account.update(id, req.body);
+    res.json(account);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ * Elimina una cuenta
+ */
+app.delete('/api/accounts/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Account.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Cuenta no encontrada' });
+    }
+    
+    res.json({ message: 'Cuenta eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE TRANSACCIONES RECURRENTES
+// ==========================================
+
+/**
+ * GET /api/recurring-rules
+ * Obtiene las reglas recurrentes con su próxima ocurrencia
+ */
+app.get('/api/recurring-rules', async (req, res, next) => {
+  try {
+    const rules = await RecurringRule.getAll();
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/recurring-rules/run
+ * Registra ahora las ocurrencias vencidas de todas las reglas
+ * Debe declararse antes de /api/recurring-rules/:id
+ */
+app.post('/api/recurring-rules/run', canEdit, async (req, res, next) => {
+  try {
+    const transactionIds = await RecurringRule.materializeDue();
+    await processCreatedTransactions(transactionIds);
+    res.json({ created: transactionIds.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/recurring-rules/:id
+ * Obtiene una regla recurrente específica por ID
+ */
+app.get('/api/recurring-rules/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const rule = await RecurringRule.getById(id);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Regla recurrente no encontrada' });
+    }
+    
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/recurring-rules
+ * Crea una regla recurrente y registra sus ocurrencias ya vencidas
+ */
+app.post('/api/recurring-rules', canEdit, async (req, res, next) => {
+  try {
+    const rule = await RecurringRule.create(req.body);
+    await processCreatedTransactions(await RecurringRule.materialize(rule));
+    res.status(201).json(await RecurringRule.getById(rule.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/recurring-rules/:id
+ * Actualiza una regla recurrente existente
+ */
+app.put('/api/recurring-rules/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const rule = await RecurringRule.update(id, req.body);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Regla recurrente no encontrada' });
+    }
+    
+    await processCreatedTransactions(await RecurringRule.materialize(rule));
+    res.json(await RecurringRule.getById(id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/recurring-rules/:id
+ * Elimina una regla recurrente (las transacciones ya generadas se conservan)
+ */
+app.delete('/api/recurring-rules/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await RecurringRule.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Regla recurrente no encontrada' });
+    }
+    
+    res.json({ message: 'Regla recurrente eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE FACTURAS
+// ==========================================
+
+/**
+ * GET /api/bills
+ * Obtiene las facturas con su estado (filtro opcional: status=pending|overdue|paid)
+ */
+app.get('/api/bills', async (req, res, next) => {
+  try {
+    const bills = await Bill.getAll({ status: req.query.status });
+    res.json(bills);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bills/upcoming
+ * Obtiene las facturas sin pagar que vencen en los próximos días (days, por defecto 30)
+ * Incluye las vencidas. Debe declararse antes de /api/bills/:id
+ */
+app.get('/api/bills/upcoming', async (req, res, next) => {
+  try {
+    const bills = await Bill.getUpcoming(req.query.days);
+    res.json(bills);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bills/:id
+ * Obtiene una factura específica por ID
+ */
+app.get('/api/bills/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const bill = await Bill.getById(id);
+    
+    if (!bill) {
+      return res.status(404).json({ error: 'Factura no encontrada' });
+    }
+    
+    res.json(bill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bills
+ * Crea una nueva factura
+ */
+app.post('/api/bills', canEdit, async (req, res, next) => {
+  try {
+    const bill = await Bill.create(req.body);
+    res.status(201).json(bill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/bills/:id
+ * Actualiza una factura existente
+ */
+app.put('/api/bills/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const bill = await Bill.update(id, req.body);
+    
+    if (!bill) {
+      return res.status(404).json({ error: 'Factura no encontrada' });
+    }
+    
+    res.json(bill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bills/:id
+ * Elimina una factura (la transacción de su pago se conserva)
+ */
+app.delete('/api/bills/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Bill.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Factura no encontrada' });
+    }
+    
+    res.json({ message: 'Factura eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bills/:id/pay
+ * Marca una factura como pagada y registra la transacción de gasto
+ * Body opcional: { amount, date, account_id }
+ */
+app.post('/api/bills/:id/pay', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await Bill.pay(id, req.body, req.user.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Factura no encontrada' });
+    }
+    
+    await evaluateNotifications(result.transaction);
+    emitWebhook('transaction.created', result.transaction);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE PRESUPUESTOS
+// ==========================================
+
+/**
+ * GET /api/budgets
+ * Obtiene los presupuestos (filtro opcional: month=YYYY-MM)
+ */
+app.get('/api/budgets', async (req, res, next) => {
+  try {
+    const budgets = await Budget.getAll({ month: req.query.month });
+    res.json(budgets);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/budgets/report
+ * Compara los presupuestos de un mes (month=YYYY-MM, por defecto el actual) con el gasto real
+ * Debe declararse antes de /api/budgets/:id
+ */
+app.get('/api/budgets/report', async (req, res, next) => {
+  try {
+    const report = await Budget.getReport(req.query.month);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/budgets/:id
+ * Obtiene un presupuesto específico por ID
+ */
+app.get('/api/budgets/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const budget = await Budget.getById(id);
+    
+    if (!budget) {
+      return res.status(404).json({ error: 'Presupuesto no encontrado' });
+    }
+    
+    res.json(budget);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/budgets
+ * Crea un presupuesto mensual para una categoría de gastos
+ */
+app.post('/api/budgets', canEdit, async (req, res, next) => {
+  try {
+    const budget = await Budget.create(req.body);
+    res.status(201).json(budget);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/budgets/:id
+ * Actualiza un presupuesto existente
+ */
+app.put('/api/budgets/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const budget = await Budget.update(id, req.body);
+    
+    if (!budget) {
+      return res.status(404).json({ error: 'Presupuesto no encontrado' });
+    }
+    
+    res.json(budget);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/budgets/:id
+ * Elimina un presupuesto
+ */
+app.delete('/api/budgets/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Budget.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Presupuesto no encontrado' });
+    }
+    
+    res.json({ message: 'Presupuesto eliminado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE SOBRES
+// ==========================================
+
+/**
+ * GET /api/envelopes
+ * Obtiene el estado de los sobres de un mes (month=YYYY-MM, por defecto el actual)
+ * con el saldo arrastrado, lo asignado, lo gastado y el disponible para asignar
+ */
+app.get('/api/envelopes', async (req, res, next) => {
+  try {
+    const report = await Envelope.getReport(req.query.month);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/envelopes/allocations
+ * Obtiene las asignaciones a sobres (filtro opcional: month=YYYY-MM)
+ */
+app.get('/api/envelopes/allocations', async (req, res, next) => {
+  try {
+    const allocations = await Envelope.getAllocations({ month: req.query.month });
+    res.json(allocations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/envelopes/allocations
+ * Fija lo asignado a un sobre en un mes (amount 0 elimina la asignación)
+ */
+app.put('/api/envelopes/allocations', canEdit, async (req, res, next) => {
+  try {
+    const allocation = await Envelope.setAllocation(req.body);
+    res.json(allocation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE METAS DE AHORRO
+// ==========================================
+
+/**
+ * GET /api/goals
+ * Obtiene las metas de ahorro con su progreso, la aportación mensual necesaria
+ * y la fecha estimada de cumplimiento
+ */
+app.get('/api/goals', async (req, res, next) => {
+  try {
+    const goals = await Goal.getAll();
+    res.json(goals);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/goals/:id
+ * Obtiene una meta de ahorro específica por ID
+ */
+app.get('/api/goals/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const goal = await Goal.getById(id);
+    
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta de ahorro no encontrada' });
+    }
+    
+    res.json(goal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/goals
+ * Crea una meta de ahorro vinculada a una categoría o a una cuenta
+ */
+app.post('/api/goals', canEdit, async (req, res, next) => {
+  try {
+    const goal = await Goal.create(req.body);
+    res.status(201).json(goal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/goals/:id
+ * Actualiza una meta de ahorro existente
+ */
+app.put('/api/goals/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const goal = await Goal.update(id, req.body);
+    
+    if (!goal) {
+      return res.status(404).json({ error: 'Meta de ahorro no encontrada' });
+    }
+    
+    res.json(goal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/goals/:id
+ * Elimina una meta de ahorro
+ */
+app.delete('/api/goals/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Goal.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Meta de ahorro no encontrada' });
+    }
+    
+    res.json({ message: 'Meta de ahorro eliminada correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE GASTOS COMPARTIDOS
+// ==========================================
+
+/**
+ * GET /api/participants
+ * Obtiene las personas entre las que se reparten los gastos compartidos
+ */
+app.get('/api/participants', async (req, res, next) => {
+  try {
+    const participants = await Participant.getAll();
+    res.json(participants);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/participants
+ * Crea un nuevo participante
+ */
+app.post('/api/participants', canEdit, async (req, res, next) => {
+  try {
+    const participant = await Participant.create(req.body);
+    res.status(201).json(participant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/participants/:id
+ * Renombra un participante
+ */
+app.put('/api/participants/:id', canEdit, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const participant = await Participant.update(id, req.body);
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participante no encontrado' });
+    }
+
+    res.json(participant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/participants/:id
+ * Elimina un participante sin gastos compartidos ni pagos registrados
+ */
+app.delete('/api/participants/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Participant.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Participante no encontrado' });
+    }
+
+    res.json({ message: 'Participante eliminado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settlements
+ * Obtiene quién debe a quién en la moneda base: saldo de cada participante, deuda pendiente
+ * entre cada par y pagos sugeridos (como mucho uno menos que participantes) para saldarlo todo
+ */
+app.get('/api/settlements', async (req, res, next) => {
+  try {
+    const balances = await Settlement.getBalances();
+    res.json(balances);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settlements/history
+ * Obtiene los pagos registrados entre participantes
+ */
+app.get('/api/settlements/history', async (req, res, next) => {
+  try {
+    const settlements = await Settlement.getAll();
+    res.json(settlements);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settlements
+ * Salda una deuda registrando el pago de un participante a otro
+ */
+app.post('/api/settlements', canEdit, async (req, res, next) => {
+  try {
+    const settlement = await Settlement.create(req.body);
+    res.status(201).json(settlement);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settlements/:id
+ * Elimina un pago registrado; la deuda que saldaba vuelve a quedar pendiente
+ */
+app.delete('/api/settlements/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await Settlement.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pago no encontrado' });
+    }
+
+    res.json({ message: 'Pago eliminado correctamente' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================
+// RUTAS DE NOTIFICACIONES
+// ==========================================
+
+/**
+ * GET /api/notifications
+ * Obtiene las notificaciones, de la más reciente a la más antigua
+ * Query opcional: status ('read' o 'unread')
+ */
+app.get('/api/notifications', async (req, res, next) => {
+  try {
+    const notifications = await Notification.getAll({ status: req.query.status });
+    res.json(notifications);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Marca como leídas todas las notificaciones pendientes
+ * Cualquier miembro del hogar puede hacerlo, también los lectores y las claves de solo lectura
+ */
+app.post('/api/notifications/read-all', async (req, res, next) => {
+  try {
+    const updated = await Notification.markAllRead();
+    res.json({ updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/:id
+ * Marca una notificación como leída o no leída; como read-all, no exige poder editar
+ * Body: { read: true | false }
+ */
+app.put('/api/notifications/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const notification = await Notification.setRead(id, req.body.read);
+    
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+    
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notification-rules
+ * Obtiene las reglas de notificación
+ */
+app.get('/api/notification-rules', async (req, res, next) => {
+  try {
+    const rules = await NotificationRule.getAll();
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notification-rules
+ * Crea una regla de notificación
+ */
+app.post('/api/notification-rules', canEdit, async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.create(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
   }
-  
-  // Error genérico
-  res.status(500).json({
-    error: 'Error interno del servidor',
-    details: NODE_ENV === 'development' ? err.message : 'Algo salió mal'
-  });
-};
+});
 
-// Inicializar base de datos
-async function initializeDatabase() {
+/**
+ * PUT /api/notification-rules/:id
+ * Actualiza una regla de notificación existente
+ */
+app.put('/api/notification-rules/:id', canEdit, async (req, res, next) => {
   try {
-    await dbManager.connect();
-    console.log('✅ Base de datos conectada exitosamente');
+    const { id } = req.params;
+    const rule = await NotificationRule.update(id, req.body);
     
-    // Ejecutar migraciones si es necesario sin cerrar la conexión compartida
-    const { runMigrations } = require('./scripts/migrate');
-    await runMigrations(false);
+    if (!rule) {
+      return res.status(404).json({ error: 'Regla de notificación no encontrada' });
+    }
     
-    // Inicializar categorías por defecto
-    await Category.initializeDefaultCategories();
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/notification-rules/:id
+ * Elimina una regla de notificación
+ */
+app.delete('/api/notification-rules/:id', ownerOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await NotificationRule.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Regla de notificación no encontrada' });
+    }
     
+    res.json({ message: 'Regla de notificación eliminada correctamente' });
   } catch (error) {
-    console.error('❌ Error inicializando base de datos:', error);
-    process.exit(1);
+    next(error);
   }
-}
+});
 
 // ==========================================
-// RUTAS DE LA API
+// RUTAS DE WEBHOOKS
 // ==========================================
 
-// Ruta de salud del servidor
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    database: dbManager.isConnectionActive() ? 'Connected' : 'Disconnected',
-    version: '1.0.0'
-  });
+/**
+ * GET /api/webhooks
+ * Obtiene los webhooks (sin su secreto)
+ */
+app.get('/api/webhooks', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.getAll();
+    res.json(webhooks);
+  } catch (error) {
+    next(error);
+  }
 });
 
-// ==========================================
-// RUTAS DE TRANSACCIONES
-// ==========================================
-
 /**
- * GET /api/transactions
- * Obtiene todas las transacciones con filtros opcionales
+ * GET /api/webhooks/:id
+ * Obtiene un webhook específico por ID
  */
-app.get('/api/transactions', async (req, res, next) => {
+app.get('/api/webhooks/:id', async (req, res, next) => {
   try {
-    const filters = {
-      type: req.query.type,
-      category: req.query.category,
-      startDate: req.query.startDate,
-      endDate: req.query.endDate,
-      limit: req.query.limit ? parseInt(req.query.limit) : undefined
-    };
+    const { id } = req.params;
+    const webhook = await Webhook.getById(id);
     
-    const transactions = await Transaction.getAll(filters);
-    res.json(transactions);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+    
+    res.json(webhook);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/transactions/:id
- * Obtiene una transacción específica por ID
+ * POST /api/webhooks
+ * Crea un webhook (body: { url, events, secret? }); la respuesta incluye el secreto
+ * Solo el propietario elige a qué direcciones envía datos el servidor
  */
-app.get('/api/transactions/:id', async (req, res, next) => {
+app.post('/api/webhooks', ownerOnly, async (req, res, next) => {
+  try {
+    const webhook = await Webhook.create(req.body);
+    res.status(201).json(webhook);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Actualiza un webhook; sin secreto se conserva el actual
+ */
+app.put('/api/webhooks/:id', ownerOnly, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const transaction = await Transaction.getById(id);
+    const webhook = await Webhook.update(id, req.body);
     
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transacción no encontrada' });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
     }
     
-    res.json(transaction);
+    res.json(webhook);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/transactions
- * Crea una nueva transacción
+ * DELETE /api/webhooks/:id
+ * Elimina un webhook y su registro de envíos
  */
-app.post('/api/transactions', async (req, res, next) => {
+app.delete('/api/webhooks/:id', ownerOnly, async (req, res, next) => {
   try {
-    const transaction = await Transaction.create(req.body);
-    res.status(201).json(transaction);
+    const { id } = req.params;
+    const deleted = await Webhook.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+    
+    res.json({ message: 'Webhook eliminado correctamente' });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * PUT /api/transactions/:id
- * Actualiza una transacción existente
+ * GET /api/webhooks/:id/deliveries
+ * Obtiene los últimos envíos de un webhook con su estado e intentos
  */
-app.put('/api/transactions/:id', async (req, res, next) => {
+app.get('/api/webhooks/:id/deliveries', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const transaction = await Transaction.update(id, req.body);
-    res.json(transaction);
+    const deliveries = await Webhook.getDeliveries(id);
+    
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+    
+    res.json(deliveries);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * DELETE /api/transactions/:id
- * Elimina una transacción
+ * POST /api/webhooks/:id/ping
+ * Envía un evento de prueba y devuelve el resultado del envío
  */
-app.delete('/api/transactions/:id', async (req, res, next) => {
+app.post('/api/webhooks/:id/ping', canEdit, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const deleted = await Transaction.delete(id);
+    const delivery = await Webhook.ping(id);
     
-    if (!deleted) {
-      return res.status(404).json({ error: 'Transacción no encontrada' });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook no encontrado' });
     }
     
-    res.json({ message: 'Transacción eliminada correctamente' });
+    res.json(delivery);
   } catch (error) {
     next(error);
   }
 });
 
 // ==========================================
-// RUTAS DE CATEGORÍAS
+// RUTAS DE TRANSFERENCIAS
 // ==========================================
 
 /**
- * GET /api/categories
- * Obtiene todas las categorías con filtros opcionales
+ * GET /api/transfers
+ * Obtiene las transferencias entre cuentas con filtros opcionales
  */
-app.get('/api/categories', async (req, res, next) => {
+app.get('/api/transfers', async (req, res, next) => {
   try {
     const filters = {
-      type: req.query.type
+      accountId: req.query.accountId,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
     };
     
-    const categories = await Category.getAll(filters);
-    res.json(categories);
+    const transfers = await Transfer.getAll(filters);
+    res.json(transfers);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/categories/:id
- * Obtiene una categoría específica por ID
+ * GET /api/transfers/:id
+ * Obtiene una transferencia específica por ID
  */
-app.get('/api/categories/:id', async (req, res, next) => {
+app.get('/api/transfers/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const category = await Category.getById(id);
+    const transfer = await Transfer.getById(id);
     
-    if (!category) {
-      return res.status(404).json({ error: 'Categoría no encontrada' });
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transferencia no encontrada' });
     }
     
-    res.json(category);
+    res.json(transfer);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/categories/stats
- * Obtiene categorías con estadísticas de uso
+ * POST /api/transfers
+ * Crea una transferencia entre dos cuentas
  */
-app.get('/api/categories/stats', async (req, res, next) => {
+app.post('/api/transfers', canEdit, async (req, res, next) => {
   try {
-    const { type } = req.query;
-    const categories = await Category.getWithUsageStats(type);
-    res.json(categories);
+    const transfer = await Transfer.create(req.body, req.user.id);
+    await evaluateNotifications();
+    res.status(201).json(transfer);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/categories
- * Crea una nueva categoría
+ * DELETE /api/transfers/:id
+ * Elimina una transferencia (ambos movimientos)
  */
-app.post('/api/categories', async (req, res, next) => {
+app.delete('/api/transfers/:id', ownerOnly, async (req, res, next) => {
   try {
-    const category = await Category.create(req.body);
-    res.status(201).json(category);
+    const { id } = req.params;
+    const deleted = await Transfer.delete(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Transferencia no encontrada' });
+    }
+    
+    res.json({ message: 'Transferencia eliminada correctamente' });
   } catch (error) {
     next(error);
   }
 });
 
+// ==========================================
+// RUTAS DE MONEDAS Y CONFIGURACIÓN
+// ==========================================
+
 /**
- * PUT /api/categories/:id
- * Actualiza una categoría existente
+ * GET /api/settings
+ * Obtiene la configuración del hogar (moneda base y modo de presupuesto)
+ */
+app.get('/api/settings', async (req, res, next) => {
+  try {
+    const settings = await Setting.getAll();
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Actualiza la configuración del hogar
+ */
+app.put('/api/settings', ownerOnly, async (req, res, next) => {
+  try {
+    const settings = await Setting.update(req.body);
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/exchange-rates
+ * Obtiene los tipos de cambio registrados
+ */
+app.get('/api/exchange-rates', async (req, res, next) => {
+  try {
+    const filters = {
+      currency: req.query.currency
+    };
+    
+    const rates = await ExchangeRate.getAll(filters);
+    res.json(rates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/exchange-rates
+ * Registra un tipo de cambio (reemplaza el del mismo par y fecha)
+ */
+app.post('/api/exchange-rates', canEdit, async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.create(req.body);
+    res.status(201).json(rate);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/exchange-rates/import
+ * Importa tipos de cambio desde un CSV (fecha,moneda_origen,moneda_destino,cotización)
+ */
+app.post('/api/exchange-rates/import', canEdit, async (req, res, next) => {
+  try {
+    if (!req.body.csv) {
+      return res.status(400).json({ error: 'El contenido CSV es requerido' });
+    }
+    
+    const result = await ExchangeRate.importCsv(req.body.csv);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/exchange-rates/:id
+ * Actualiza un tipo de cambio existente
  */
-app.put('/api/categories/:id', async (req, res, next) => {
+app.put('/api/exchange-rates/:id', canEdit, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const category = await Category.update(id, req.body);
-    res.json(category);
+    const rate = await ExchangeRate.update(id, req.body);
+    res.json(rate);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * DELETE /api/categories/:id
- * Elimina una categoría
+ * DELETE /api/exchange-rates/:id
+ * Elimina un tipo de cambio
  */
-app.delete('/api/categories/:id', async (req, res, next) => {
+app.delete('/api/exchange-rates/:id', ownerOnly, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const deleted = await Category.delete(id);
+    const deleted = await ExchangeRate.delete(id);
     
     if (!deleted) {
-      return res.status(404).json({ error: 'Categoría no encontrada' });
+      return res.status(404).json({ error: 'Tipo de cambio no encontrado' });
     }
     
-    res.json({ message: 'Categoría eliminada correctamente' });
+    res.json({ message: 'Tipo de cambio eliminado correctamente' });
   } catch (error) {
     next(error);
   }
@@ -335,7 +2199,7 @@ app.delete('/api/categories/:id', async (req, res, next) => {
 
 /**
  * GET /api/summary
- * Obtiene resumen financiero con estadísticas generales
+ * Obtiene resumen financiero con estadísticas generales y saldos por cuenta
  */
 app.get('/api/summary', async (req, res, next) => {
   try {
@@ -344,8 +2208,42 @@ app.get('/api/summary', async (req, res, next) => {
       endDate: req.query.endDate
     };
     
-    const summary = await Transaction.getStatistics(filters);
-    res.json(summary);
+    const [summary, accounts] = await Promise.all([
+      Transaction.getStatistics(filters),
+      Account.getBalances(filters)
+    ]);
+    res.json({ ...summary, accounts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/summary/tags
+ * Obtiene los totales de ingresos y gastos por etiqueta en el mismo período que el resumen
+ */
+app.get('/api/summary/tags', async (req, res, next) => {
+  try {
+    const filters = {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    };
+    
+    const totals = await Tag.getTotals(filters);
+    res.json(totals);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/category-integrity
+ * Lista las transacciones cuya categoría no existe o es de otro tipo
+ */
+app.get('/api/reports/category-integrity', async (req, res, next) => {
+  try {
+    const report = await Transaction.getCategoryIntegrityReport();
+    res.json(report);
   } catch (error) {
     next(error);
   }
@@ -389,14 +2287,63 @@ if (NODE_ENV === 'production') {
 // INICIALIZACIÓN DEL SERVIDOR
 // ==========================================
 
+/**
+ * Registra las transacciones recurrentes vencidas
+ * Un fallo se registra en el log sin detener el servidor; la siguiente ejecución
+ * completará las ocurrencias pendientes.
+ */
+async function runRecurringRules() {
+  try {
+    const transactionIds = await RecurringRule.materializeDue();
+    if (transactionIds.length > 0) {
+      console.log(`🔁 ${transactionIds.length} transacción(es) recurrente(s) registrada(s)`);
+      await processCreatedTransactions(transactionIds);
+    }
+  } catch (error) {
+    console.error('❌ Error registrando transacciones recurrentes:', error);
+  }
+}
+
+// Indica si hay una pasada de reintentos de webhooks en curso
+let webhookRetriesRunning = false;
+
+/**
+ * Reintenta los envíos de webhooks pendientes cuyo siguiente intento ya venció
+ * Una pasada lenta (cada envío puede esperar hasta el timeout) no se solapa con la siguiente
+ */
+async function runWebhookRetries() {
+  if (webhookRetriesRunning) {
+    return;
+  }
+
+  webhookRetriesRunning = true;
+  try {
+    await Webhook.retryDue();
+  } catch (error) {
+    console.error('❌ Error reintentando webhooks:', error);
+  } finally {
+    webhookRetriesRunning = false;
+  }
+}
+
 /**
  * Inicia el servidor después de inicializar la base de datos
  */
 async function startServer() {
   try {
+    // Comprobar que hay clave para firmar los tokens antes de aceptar peticiones
+    getJwtSecret();
+    
     // Inicializar base de datos
     await initializeDatabase();
     
+    // Registrar las transacciones recurrentes al iniciar y luego una vez al día
+    await runRecurringRules();
+    const recurringRulesTimer = setInterval(runRecurringRules, RECURRING_RULES_INTERVAL_MS);
+    
+    // Reintentar periódicamente los envíos de webhooks pendientes
+    const webhookRetryTimer = setInterval(runWebhookRetries, WEBHOOK_RETRY_INTERVAL_MS);
+    
     // Iniciar servidor
     const server = app.listen(PORT, () => {
       console.log('🚀 ===================================');
@@ -415,6 +2362,8 @@ async function startServer() {
     // Configurar cierre graceful
     const gracefulShutdown = async (signal) => {
       console.log(`\n🛑 Recibida señal ${signal}. Cerrando servidor...`);
+      clearInterval(recurringRulesTimer);
+      clearInterval(webhookRetryTimer);
       
       server.close(async () => {
         console.log('🔌 Servidor HTTP cerrado');
@@ -458,5 +2407,12 @@ async function startServer() {
   }
 }
 
-// Iniciar el servidor
-startServer();
+// Iniciar el servidor al ejecutar el archivo directamente; las pruebas importan la aplicación
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  initializeDatabase
+};
@@ -0,0 +1,414 @@
+/**
+ * Modelo de Cuenta
+ * Maneja las cuentas donde se mueve el dinero (efectivo, banco, tarjeta de crédito, ahorros)
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Tipos de cuenta soportados
+ */
+const ACCOUNT_TYPES = ['cash', 'bank', 'credit_card', 'savings'];
+
+/**
+ * Esquema de validación para cuentas
+ */
+const accountSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required()
+    .messages({
+      'string.min': 'El nombre de la cuenta no puede estar vacío',
+      'string.max': 'El nombre de la cuenta no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la cuenta es requerido'
+    }),
+  type: Joi.string().valid(...ACCOUNT_TYPES).required()
+    .messages({
+      'any.only': 'El tipo debe ser "cash", "bank", "credit_card" o "savings"',
+      'any.required': 'El tipo de cuenta es requerido'
+    }),
+  opening_balance: Joi.number().precision(2).default(0)
+    .messages({
+      'number.base': 'El saldo inicial debe ser un número'
+    }),
+  description: Joi.string().max(255).allow('').optional()
+    .messages({
+      'string.max': 'La descripción no puede exceder 255 caracteres'
+    })
+});
+
+class Account {
+  /**
+   * Valida los datos de una cuenta
+   * @param {Object} data - Datos de la cuenta
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return accountSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Obtiene todas las cuentas con filtros opcionales
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>} Lista de cuentas
+   */
+  static async getAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM accounts WHERE 1=1';
+      const params = [];
+      let paramIndex = 1;
+
+      // Filtrar por tipo
+      if (filters.type) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND type = $${paramIndex}`;
+        } else {
+          query += ' AND type = ?';
+        }
+        params.push(filters.type);
+        paramIndex++;
+      }
+
+      // Ordenar por nombre
+      query += ' ORDER BY name ASC';
+
+      const accounts = await dbManager.query(query, params);
+      return accounts.map(account => ({
+        ...account,
+        opening_balance: parseFloat(account.opening_balance)
+      }));
+    } catch (error) {
+      console.error('Error obteniendo cuentas:', error);
+      throw new Error('Error al obtener las cuentas');
+    }
+  }
+
+  /**
+   * Obtiene una cuenta por ID
+   * @param {number} id - ID de la cuenta
+   * @returns {Promise<Object|null>} Cuenta encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM accounts WHERE id = $1'
+        : 'SELECT * FROM accounts WHERE id = ?';
+
+      const accounts = await dbManager.query(query, [id]);
+      if (accounts.length === 0) {
+        return null;
+      }
+
+      return {
+        ...accounts[0],
+        opening_balance: parseFloat(accounts[0].opening_balance)
+      };
+    } catch (error) {
+      console.error('Error obteniendo cuenta por ID:', error);
+      throw new Error('Error al obtener la cuenta');
+    }
+  }
+
+  /**
+   * Obtiene una cuenta por nombre
+   * @param {string} name - Nombre de la cuenta
+   * @returns {Promise<Object|null>} Cuenta encontrada o null
+   */
+  static async getByName(name) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM accounts WHERE LOWER(name) = LOWER($1)'
+        : 'SELECT * FROM accounts WHERE LOWER(name) = LOWER(?)';
+
+      const accounts = await dbManager.query(query, [name]);
+      return accounts.length > 0 ? accounts[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo cuenta por nombre:', error);
+      throw new Error('Error al obtener la cuenta');
+    }
+  }
+
+  /**
+   * Obtiene la cuenta por defecto (la más antigua)
+   * Se usa cuando una transacción no indica cuenta
+   * @returns {Promise<Object|null>} Cuenta por defecto o null
+   */
+  static async getDefault() {
+    try {
+      const accounts = await dbManager.query('SELECT * FROM accounts ORDER BY id ASC LIMIT 1');
+      return accounts.length > 0 ? accounts[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo cuenta por defecto:', error);
+      throw new Error('Error al obtener la cuenta por defecto');
+    }
+  }
+
+  /**
+   * Crea una nueva cuenta
+   * @param {Object} data - Datos de la cuenta
+   * @returns {Promise<Object>} Cuenta creada
+   */
+  static async create(data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { name, type, opening_balance, description } = value;
+
+      // Verificar si la cuenta ya existe
+      const existingAccount = await this.getByName(name);
+      if (existingAccount) {
+        throw new Error('Ya existe una cuenta con ese nombre');
+      }
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = `
+          INSERT INTO accounts (name, type, opening_balance, description, created_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          RETURNING *
+        `;
+        const result = await dbManager.query(query, [name, type, opening_balance, description]);
+        return await this.getById(result[0].id);
+      } else {
+        const query = `
+          INSERT INTO accounts (name, type, opening_balance, description)
+          VALUES (?, ?, ?, ?)
+        `;
+        const result = await dbManager.query(query, [name, type, opening_balance, description]);
+
+        // Obtener la cuenta creada
+        return await this.getById(result.lastID);
+      }
+    } catch (error) {
+      console.error('Error creando cuenta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza una cuenta existente
+   * @param {number} id - ID de la cuenta
+   * @param {Object} data - Nuevos datos de la cuenta
+   * @returns {Promise<Object>} Cuenta actualizada
+   */
+  static async update(id, data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { name, type, opening_balance, description } = value;
+
+      // Verificar si existe otra cuenta con el mismo nombre
+      const existingAccount = await this.getByName(name);
+      if (existingAccount && existingAccount.id !== parseInt(id)) {
+        throw new Error('Ya existe una cuenta con ese nombre');
+      }
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = `
+          UPDATE accounts
+          SET name = $1, type = $2, opening_balance = $3, description = $4, updated_at = NOW()
+          WHERE id = $5
+          RETURNING *
+        `;
+        const result = await dbManager.query(query, [name, type, opening_balance, description, id]);
+
+        if (result.length === 0) {
+          throw new Error('Cuenta no encontrada');
+        }
+      } else {
+        const query = `
+          UPDATE accounts
+          SET name = ?, type = ?, opening_balance = ?, description = ?
+          WHERE id = ?
+        `;
+        const result = await dbManager.query(query, [name, type, opening_balance, description, id]);
+
+        if (result.changes === 0) {
+          throw new Error('Cuenta no encontrada');
+        }
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando cuenta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una cuenta
+   * @param {number} id - ID de la cuenta
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      // Verificar si la cuenta está siendo usada en transacciones
+      const usageQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM transactions WHERE account_id = $1'
+        : 'SELECT COUNT(*) as count FROM transactions WHERE account_id = ?';
+
+      const usageResult = await dbManager.query(usageQuery, [id]);
+      const usageCount = parseInt(usageResult[0].count);
+
+      if (usageCount > 0) {
+        throw new Error(`No se puede eliminar la cuenta porque está siendo usada en ${usageCount} transacción(es)`);
+      }
+
+      const rulesQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM recurring_rules WHERE account_id = $1'
+        : 'SELECT COUNT(*) as count FROM recurring_rules WHERE account_id = ?';
+      const rulesCount = parseInt((await dbManager.query(rulesQuery, [id]))[0].count);
+      if (rulesCount > 0) {
+        throw new Error(`No se puede eliminar la cuenta porque la usan ${rulesCount} regla(s) recurrente(s)`);
+      }
+
+      const billsQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM bills WHERE account_id = $1'
+        : 'SELECT COUNT(*) as count FROM bills WHERE account_id = ?';
+      const billsCount = parseInt((await dbManager.query(billsQuery, [id]))[0].count);
+      if (billsCount > 0) {
+        throw new Error(`No se puede eliminar la cuenta porque la usan ${billsCount} factura(s)`);
+      }
+
+      const goalsQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM goals WHERE account_id = $1'
+        : 'SELECT COUNT(*) as count FROM goals WHERE account_id = ?';
+      const goalsCount = parseInt((await dbManager.query(goalsQuery, [id]))[0].count);
+      if (goalsCount > 0) {
+        throw new Error(`No se puede eliminar la cuenta porque la usan ${goalsCount} meta(s) de ahorro`);
+      }
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = 'DELETE FROM accounts WHERE id = $1 RETURNING *';
+        const result = await dbManager.query(query, [id]);
+        return result.length > 0;
+      } else {
+        const query = 'DELETE FROM accounts WHERE id = ?';
+        const result = await dbManager.query(query, [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando cuenta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el saldo inicial y el saldo actual de cada cuenta
+   * El saldo actual es el saldo inicial más los ingresos y transferencias recibidas,
+   * menos los gastos y transferencias enviadas registrados hasta la fecha final del filtro (o hasta hoy si no se indica)
+   * @param {Object} filters - Filtros de fecha
+   * @returns {Promise<Array>} Cuentas con sus saldos
+   */
+  static async getBalances(filters = {}) {
+    try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      let dateFilter = '';
+      const params = [];
+
+      if (filters.endDate) {
+        dateFilter = dbManager.getDatabaseType() === 'postgresql'
+          ? ' AND t.date <= $1'
+          : ' AND t.date <= ?';
+        params.push(filters.endDate);
+      }
+
+      // Importes convertidos a la moneda base (las filas sin cotización no suman)
+      const query = `
+        SELECT
+          a.id,
+          a.name,
+          a.type,
+          a.opening_balance,
+          COALESCE(SUM(CASE WHEN m.type = 'income' AND m.transfer_id IS NULL THEN m.converted_amount ELSE 0 END), 0) as total_income,
+          COALESCE(SUM(CASE WHEN m.type = 'expense' AND m.transfer_id IS NULL THEN m.converted_amount ELSE 0 END), 0) as total_expenses,
+          COALESCE(SUM(CASE WHEN m.type = 'income' AND m.transfer_id IS NOT NULL THEN m.converted_amount ELSE 0 END), 0) as transfers_in,
+          COALESCE(SUM(CASE WHEN m.type = 'expense' AND m.transfer_id IS NOT NULL THEN m.converted_amount ELSE 0 END), 0) as transfers_out
+        FROM accounts a
+        LEFT JOIN (
+          SELECT t.account_id, t.type, t.transfer_id, ${ExchangeRate.convertedAmountSql('t', baseCurrency)} as converted_amount
+          FROM transactions t
+          WHERE 1=1${dateFilter}
+        ) m ON m.account_id = a.id
+        GROUP BY a.id, a.name, a.type, a.opening_balance
+        ORDER BY a.name ASC
+      `;
+
+      const accounts = await dbManager.query(query, params);
+
+      return accounts.map(account => {
+        const openingBalance = parseFloat(account.opening_balance);
+        const totalIncome = roundAmount(account.total_income);
+        const totalExpenses = roundAmount(account.total_expenses);
+        const transfersIn = roundAmount(account.transfers_in);
+        const transfersOut = roundAmount(account.transfers_out);
+
+        return {
+          id: account.id,
+          name: account.name,
+          type: account.type,
+          openingBalance,
+          totalIncome,
+          totalExpenses,
+          transfersIn,
+          transfersOut,
+          currency: baseCurrency,
+          balance: roundAmount(openingBalance + totalIncome - totalExpenses + transfersIn - transfersOut)
+        };
+      });
+    } catch (error) {
+      console.error('Error obteniendo saldos de cuentas:', error);
+      throw new Error('Error al obtener los saldos de las cuentas');
+    }
+  }
+
+  /**
+   * Inicializa la cuenta por defecto y asigna a ella las transacciones
+   * registradas antes de que existieran las cuentas
+   * @returns {Promise<void>}
+   */
+  static async initializeDefaultAccounts() {
+    try {
+      let defaultAccount = await this.getDefault();
+
+      if (!defaultAccount) {
+        defaultAccount = await this.create({
+          name: 'Efectivo',
+          type: 'cash',
+          opening_balance: 0,
+          description: 'Cuenta por defecto'
+        });
+        console.log(`✅ Cuenta creada: ${defaultAccount.name}`);
+      }
+
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE transactions SET account_id = $1 WHERE account_id IS NULL'
+        : 'UPDATE transactions SET account_id = ? WHERE account_id IS NULL';
+      await dbManager.query(query, [defaultAccount.id]);
+
+      console.log('✅ Cuentas por defecto inicializadas');
+    } catch (error) {
+      console.error('Error inicializando cuentas por defecto:', error);
+      throw error;
+    }
+  }
+}
+
+Account.TYPES = ACCOUNT_TYPES;
+
+module.exports = Account;
@@ -0,0 +1,232 @@
+/**
+ * Modelo de Clave de API
+ * Las claves de API permiten que scripts y automatizaciones usen la API del hogar sin iniciar
+ * sesión. Se envían como Authorization: Bearer <clave>; la clave completa solo se muestra al
+ * crearla y en la base de datos se guarda su hash SHA-256. Una clave de solo lectura actúa con
+ * el rol de lector y una de escritura con el de editor, nunca con el de propietario ni con más
+ * permisos que los que tiene en ese momento el miembro que la creó.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+/**
+ * Prefijo que distingue las claves de API de los tokens de sesión
+ */
+const KEY_PREFIX = 'hk_';
+
+/**
+ * Alcances de una clave y el rol del hogar con el que actúa
+ */
+const SCOPE_ROLES = {
+  read: 'viewer',
+  write: 'editor'
+};
+
+/**
+ * Esquema de validación para claves de API
+ */
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'El nombre de la clave no puede estar vacío',
+      'string.max': 'El nombre de la clave no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la clave es requerido'
+    }),
+  scope: Joi.string().valid(...Object.keys(SCOPE_ROLES)).default('write')
+    .messages({
+      'any.only': `El alcance debe ser uno de: ${Object.keys(SCOPE_ROLES).join(', ')}`
+    })
+});
+
+const SELECT_API_KEYS = `
+  SELECT k.id, k.household_id, k.name, k.key_prefix, k.scope, k.created_by,
+    COALESCE(u.name, u.email) as created_by_name, k.last_used_at, k.revoked_at, k.created_at
+  FROM api_keys k
+  LEFT JOIN users u ON u.id = k.created_by
+`;
+
+class ApiKey {
+  /**
+   * Valida los datos de una clave de API
+   * @param {Object} data - Datos de la clave
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return apiKeySchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Indica si un token tiene el formato de una clave de API
+   * @param {string} token - Token recibido en la cabecera Authorization
+   * @returns {boolean} True si es una clave de API
+   */
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Calcula el hash con el que se guarda una clave
+   * Las claves son aleatorias y largas, por lo que basta un hash rápido sin sal
+   * @param {string} key - Clave en texto plano
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Obtiene el rol del hogar con el que actúa una clave
+   * El alcance se limita al rol actual de quien la creó: la clave de escritura de un miembro
+   * que pasó a ser lector solo permite consultar
+   * @param {Object} apiKey - Clave de API con el rol de su creador (creator_role)
+   * @returns {string} Rol ('viewer' o 'editor')
+   */
+  static roleFor(apiKey) {
+    return apiKey.creator_role === 'viewer' ? 'viewer' : SCOPE_ROLES[apiKey.scope];
+  }
+
+  /**
+   * Obtiene las claves de un hogar, incluidas las revocadas
+   * @param {number} householdId - ID del hogar
+   * @returns {Promise<Array>} Claves (sin el hash), de la más reciente a la más antigua
+   */
+  static async getAll(householdId) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_API_KEYS} WHERE k.household_id = $1 ORDER BY k.created_at DESC, k.id DESC`
+        : `${SELECT_API_KEYS} WHERE k.household_id = ? ORDER BY k.created_at DESC, k.id DESC`;
+
+      return await dbManager.query(query, [householdId]);
+    } catch (error) {
+      console.error('Error obteniendo claves de API:', error);
+      throw new Error('Error al obtener las claves de API');
+    }
+  }
+
+  /**
+   * Obtiene una clave de un hogar por ID
+   * @param {number} householdId - ID del hogar
+   * @param {number} id - ID de la clave
+   * @returns {Promise<Object|null>} Clave encontrada o null
+   */
+  static async getById(householdId, id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_API_KEYS} WHERE k.household_id = $1 AND k.id = $2`
+        : `${SELECT_API_KEYS} WHERE k.household_id = ? AND k.id = ?`;
+
+      const keys = await dbManager.query(query, [householdId, id]);
+      return keys.length > 0 ? keys[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo clave de API por ID:', error);
+      throw new Error('Error al obtener la clave de API');
+    }
+  }
+
+  /**
+   * Crea una clave de API para el hogar
+   * @param {number} householdId - ID del hogar
+   * @param {number} userId - ID del miembro que la crea
+   * @param {Object} data - Datos de la clave (name y scope)
+   * @returns {Promise<Object>} Clave creada con la propiedad key (la única vez que se muestra)
+   */
+  static async create(householdId, userId, data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const keyPrefix = key.slice(0, KEY_PREFIX.length + 8);
+    const params = [householdId, value.name, keyPrefix, this.hash(key), value.scope, userId];
+
+    try {
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO api_keys (household_id, name, key_prefix, key_hash, scope, created_by, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          RETURNING id
+        `, params);
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO api_keys (household_id, name, key_prefix, key_hash, scope, created_by)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, params);
+        id = result.lastID;
+      }
+
+      return { ...(await this.getById(householdId, id)), key };
+    } catch (error) {
+      console.error('Error creando clave de API:', error);
+      throw new Error('Error al crear la clave de API');
+    }
+  }
+
+  /**
+   * Revoca una clave; deja de aceptarse pero se conserva en el listado
+   * @param {number} householdId - ID del hogar
+   * @param {number} id - ID de la clave
+   * @returns {Promise<Object|null>} Clave revocada o null si no existe
+   */
+  static async revoke(householdId, id) {
+    try {
+      const revokedAt = new Date().toISOString();
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, $1) WHERE household_id = $2 AND id = $3'
+        : 'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE household_id = ? AND id = ?';
+
+      await dbManager.query(query, [revokedAt, householdId, id]);
+      return await this.getById(householdId, id);
+    } catch (error) {
+      console.error('Error revocando clave de API:', error);
+      throw new Error('Error al revocar la clave de API');
+    }
+  }
+
+  /**
+   * Comprueba una clave recibida en una petición y registra su último uso
+   * @param {string} key - Clave en texto plano
+   * @returns {Promise<Object|null>} Clave con el nombre del hogar y el rol actual de su creador
+   *          (creator_role), o null si no existe, está revocada o su creador ya no es miembro del hogar
+   */
+  static async authenticate(key) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const query = isPostgres
+      ? `SELECT k.id, k.household_id, h.name as household_name, k.name, k.scope, k.created_by,
+           m.role as creator_role
+         FROM api_keys k JOIN households h ON h.id = k.household_id
+         JOIN household_members m ON m.household_id = k.household_id AND m.user_id = k.created_by
+         WHERE k.key_hash = $1 AND k.revoked_at IS NULL`
+      : `SELECT k.id, k.household_id, h.name as household_name, k.name, k.scope, k.created_by,
+           m.role as creator_role
+         FROM api_keys k JOIN households h ON h.id = k.household_id
+         JOIN household_members m ON m.household_id = k.household_id AND m.user_id = k.created_by
+         WHERE k.key_hash = ? AND k.revoked_at IS NULL`;
+
+    const keys = await dbManager.query(query, [this.hash(key)]);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    await dbManager.query(
+      isPostgres ? 'UPDATE api_keys SET last_used_at = $1 WHERE id = $2' : 'UPDATE api_keys SET last_used_at = ? WHERE id = ?',
+      [new Date().toISOString(), keys[0].id]
+    );
+    return keys[0];
+  }
+}
+
+ApiKey.SCOPE_ROLES = SCOPE_ROLES;
+
+module.exports = ApiKey;
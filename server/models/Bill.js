@@ -0,0 +1,417 @@
+/**
+ * Modelo de Factura
+ * Una factura es un gasto previsto con fecha de vencimiento e importe esperado.
+ * Al marcarla como pagada se registra la transacción de gasto correspondiente.
+ * Estados: 'pending' (por vencer), 'overdue' (vencida sin pagar) y 'paid'.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Category = require('./Category');
+const Setting = require('./Setting');
+const Transaction = require('./Transaction');
+const { toISODate, fromDbDate, addDays } = require('../utils/dates');
+
+/**
+ * Días que abarca por defecto la consulta de próximos vencimientos
+ */
+const DEFAULT_UPCOMING_DAYS = 30;
+
+/**
+ * Esquema de validación para facturas
+ */
+const billSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required()
+    .messages({
+      'string.min': 'El nombre de la factura no puede estar vacío',
+      'string.max': 'El nombre de la factura no puede exceder 255 caracteres',
+      'any.required': 'El nombre de la factura es requerido'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El monto esperado debe ser mayor a 0',
+      'any.required': 'El monto esperado es requerido'
+    }),
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100)
+    .when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'La categoría no puede estar vacía',
+      'any.required': 'La categoría es requerida'
+    }),
+  account_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).optional()
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    }),
+  due_date: Joi.date().iso().required()
+    .messages({
+      'date.format': 'La fecha de vencimiento debe estar en formato ISO (YYYY-MM-DD)',
+      'any.required': 'La fecha de vencimiento es requerida'
+    }),
+  notes: Joi.string().max(255).allow('').optional()
+    .messages({
+      'string.max': 'Las notas no pueden exceder 255 caracteres'
+    })
+});
+
+/**
+ * Esquema de validación para el pago de una factura
+ * Si no se indican, se usan el monto esperado, la fecha de hoy y la cuenta de la factura
+ */
+const paymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional()
+    .messages({
+      'number.positive': 'El monto pagado debe ser mayor a 0'
+    }),
+  date: Joi.date().iso().optional()
+    .messages({
+      'date.format': 'La fecha de pago debe estar en formato ISO (YYYY-MM-DD)'
+    }),
+  account_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    })
+});
+
+/**
+ * Error de validación para una factura que ya está pagada
+ * @returns {Error} ValidationError
+ */
+function alreadyPaidError() {
+  const e = new Error('La factura ya está pagada');
+  e.name = 'ValidationError';
+  return e;
+}
+
+/**
+ * Consulta base de facturas junto con los datos de su categoría
+ */
+const SELECT_BILLS = `
+  SELECT b.*, c.name as category_name, c.icon as category_icon
+  FROM bills b
+  LEFT JOIN categories c ON c.id = b.category_id
+`;
+
+class Bill {
+  /**
+   * Valida los datos de una factura
+   * @param {Object} data - Datos de la factura
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return billSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Da formato a una fila de bills e incluye su estado y los días hasta el vencimiento
+   * @param {Object} row - Fila obtenida con SELECT_BILLS
+   * @param {string} today - Fecha actual (YYYY-MM-DD)
+   * @returns {Object} Factura
+   */
+  static format(row, today = toISODate(new Date())) {
+    const { category_name, ...bill } = row;
+    const dueDate = fromDbDate(bill.due_date);
+    const paidAt = fromDbDate(bill.paid_at);
+
+    let status = 'pending';
+    if (paidAt) {
+      status = 'paid';
+    } else if (dueDate < today) {
+      status = 'overdue';
+    }
+
+    return {
+      ...bill,
+      category: category_name || bill.category,
+      amount: parseFloat(bill.amount),
+      due_date: dueDate,
+      paid_at: paidAt,
+      status,
+      days_until_due: Math.round((new Date(dueDate) - new Date(today)) / 86400000)
+    };
+  }
+
+  /**
+   * Obtiene todas las facturas
+   * @param {Object} filters - Filtros (status: 'pending', 'overdue' o 'paid')
+   * @returns {Promise<Array>} Facturas ordenadas por fecha de vencimiento
+   */
+  static async getAll(filters = {}) {
+    try {
+      const bills = await dbManager.query(`${SELECT_BILLS} ORDER BY b.due_date ASC, b.id ASC`);
+      const formatted = bills.map(bill => this.format(bill));
+      return filters.status
+        ? formatted.filter(bill => bill.status === filters.status)
+        : formatted;
+    } catch (error) {
+      console.error('Error obteniendo facturas:', error);
+      throw new Error('Error al obtener las facturas');
+    }
+  }
+
+  /**
+   * Obtiene las facturas sin pagar que vencen en los próximos días
+   * Incluye siempre las vencidas, que aparecen primero
+   * @param {number|string} days - Días hacia adelante a partir de hoy
+   * @returns {Promise<Array>} Facturas pendientes ordenadas por vencimiento
+   */
+  static async getUpcoming(days = DEFAULT_UPCOMING_DAYS) {
+    const { error, value } = Joi.number().integer().min(0).max(366).validate(days);
+    if (error) {
+      const e = new Error('El parámetro days debe ser un número entero entre 0 y 366');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const today = toISODate(new Date());
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_BILLS} WHERE b.paid_at IS NULL AND b.due_date <= $1 ORDER BY b.due_date ASC, b.id ASC`
+        : `${SELECT_BILLS} WHERE b.paid_at IS NULL AND b.due_date <= ? ORDER BY b.due_date ASC, b.id ASC`;
+
+      const bills = await dbManager.query(query, [addDays(today, value)]);
+      return bills.map(bill => this.format(bill, today));
+    } catch (error) {
+      console.error('Error obteniendo próximos vencimientos:', error);
+      throw new Error('Error al obtener los próximos vencimientos');
+    }
+  }
+
+  /**
+   * Obtiene una factura por ID
+   * @param {number} id - ID de la factura
+   * @returns {Promise<Object|null>} Factura encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_BILLS} WHERE b.id = $1`
+        : `${SELECT_BILLS} WHERE b.id = ?`;
+
+      const bills = await dbManager.query(query, [id]);
+      return bills.length > 0 ? this.format(bills[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo factura por ID:', error);
+      throw new Error('Error al obtener la factura');
+    }
+  }
+
+  /**
+   * Valida los datos y resuelve cuenta, categoría y moneda de una factura
+   * Las facturas son siempre gastos, así que la categoría debe ser de gastos
+   * @param {Object} data - Datos de la factura
+   * @param {Object|null} current - Factura actual al editar (conserva su categoría aunque esté archivada)
+   * @returns {Promise<Array>} Valores en el orden de las columnas de bills
+   */
+  static async prepare(data, current = null) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const accountId = await Transaction.resolveAccountId(value.account_id);
+    const { category_id: categoryId, category } = await Transaction.resolveCategory(
+      value,
+      'expense',
+      current && current.category_id ? [current.category_id] : []
+    );
+    const currency = value.currency || await Setting.getBaseCurrency();
+
+    return [
+      value.name, value.amount, categoryId, category, accountId, currency,
+      toISODate(value.due_date), value.notes || null
+    ];
+  }
+
+  /**
+   * Crea una nueva factura
+   * @param {Object} data - Datos de la factura
+   * @returns {Promise<Object>} Factura creada
+   */
+  static async create(data) {
+    const values = await this.prepare(data);
+
+    try {
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO bills (name, amount, category_id, category, account_id, currency, due_date, notes, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+          RETURNING id
+        `, values);
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO bills (name, amount, category_id, category, account_id, currency, due_date, notes)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, values);
+        id = result.lastID;
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error creando factura:', error);
+      throw new Error('Error al crear la factura');
+    }
+  }
+
+  /**
+   * Actualiza una factura
+   * @param {number} id - ID de la factura
+   * @param {Object} data - Nuevos datos de la factura
+   * @returns {Promise<Object|null>} Factura actualizada o null si no existe
+   */
+  static async update(id, data) {
+    const current = await this.getById(id);
+    if (!current) {
+      return null;
+    }
+
+    const values = await this.prepare(data, current);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          UPDATE bills
+          SET name = $1, amount = $2, category_id = $3, category = $4, account_id = $5, currency = $6,
+            due_date = $7, notes = $8, updated_at = NOW()
+          WHERE id = $9
+        `
+        : `
+          UPDATE bills
+          SET name = ?, amount = ?, category_id = ?, category = ?, account_id = ?, currency = ?,
+            due_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+      await dbManager.query(query, [...values, id]);
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando factura:', error);
+      throw new Error('Error al actualizar la factura');
+    }
+  }
+
+  /**
+   * Elimina una factura (la transacción de su pago, si existe, se conserva)
+   * @param {number} id - ID de la factura
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM bills WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM bills WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando factura:', error);
+      throw new Error('Error al eliminar la factura');
+    }
+  }
+
+  /**
+   * Marca una factura como pagada y registra la transacción de gasto correspondiente
+   * @param {number} id - ID de la factura
+   * @param {Object} data - Datos del pago (amount, date y account_id opcionales)
+   * @param {number|null} paidBy - ID del miembro que registra el pago
+   * @returns {Promise<Object|null>} { bill, transaction } o null si la factura no existe
+   */
+  static async pay(id, data = {}, paidBy = null) {
+    const { error, value } = paymentSchema.validate(data, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const bill = await this.getById(id);
+    if (!bill) {
+      return null;
+    }
+
+    if (bill.status === 'paid') {
+      throw alreadyPaidError();
+    }
+
+    // El pago registra un gasto nuevo, que no puede usar una categoría archivada
+    const category = bill.category_id ? await Category.getById(bill.category_id) : null;
+    if (category && category.archived_at) {
+      const e = new Error(`La categoría "${category.name}" de la factura está archivada; asigna otra categoría a la factura antes de pagarla`);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const paidAt = value.date ? toISODate(value.date) : toISODate(new Date());
+    const prepared = await Transaction.prepareCreate({
+      type: 'expense',
+      amount: value.amount || bill.amount,
+      description: bill.name,
+      ...(bill.category_id ? { category_id: bill.category_id } : { category: bill.category }),
+      account_id: value.account_id || bill.account_id || undefined,
+      currency: bill.currency,
+      date: paidAt
+    });
+
+    // Marcar la factura solo si sigue sin pagar y registrar el gasto en la misma transacción:
+    // de dos pagos simultáneos, el segundo no encuentra la factura pendiente y se revierte
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const [insert, ...related] = Transaction.createQueries(prepared, paidBy, 1);
+    const queries = [
+      {
+        query: isPostgres
+          ? 'UPDATE bills SET paid_at = $1, updated_at = NOW() WHERE id = $2 AND paid_at IS NULL RETURNING id'
+          : 'UPDATE bills SET paid_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND paid_at IS NULL',
+        params: [paidAt, id]
+      },
+      {
+        ...insert,
+        params: previous => {
+          const changes = isPostgres ? previous[0].length : previous[0].changes;
+          if (changes === 0) {
+            throw alreadyPaidError();
+          }
+          return insert.params;
+        }
+      },
+      ...related,
+      {
+        query: isPostgres
+          ? 'UPDATE bills SET transaction_id = $1 WHERE id = $2'
+          : 'UPDATE bills SET transaction_id = ? WHERE id = ?',
+        params: previous => [Transaction.insertedId(previous, 1), id]
+      }
+    ];
+
+    let transactionId;
+    try {
+      const results = await dbManager.transaction(queries);
+      transactionId = Transaction.insertedId(results, 1);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw error;
+      }
+      console.error('Error marcando factura como pagada:', error);
+      throw new Error('Error al marcar la factura como pagada');
+    }
+
+    return { bill: await this.getById(id), transaction: await Transaction.getById(transactionId) };
+  }
+}
+
+Bill.DEFAULT_UPCOMING_DAYS = DEFAULT_UPCOMING_DAYS;
+
+module.exports = Bill;
@@ -0,0 +1,326 @@
+/**
+ * Modelo de Presupuesto
+ * Un presupuesto fija el límite de gasto de una categoría de gastos en un mes.
+ * El límite de una categoría padre incluye el gasto de sus subcategorías.
+ * Los importes se expresan en la moneda base.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Category = require('./Category');
+const Transaction = require('./Transaction');
+const { toISODate, monthRange } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Formato de mes aceptado (YYYY-MM)
+ */
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Esquema de validación para presupuestos
+ */
+const budgetSchema = Joi.object({
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100)
+    .when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'La categoría no puede estar vacía',
+      'any.required': 'La categoría es requerida'
+    }),
+  month: Joi.string().pattern(MONTH_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'El mes debe tener el formato YYYY-MM',
+      'any.required': 'El mes es requerido'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El límite del presupuesto debe ser mayor a 0',
+      'any.required': 'El límite del presupuesto es requerido'
+    })
+});
+
+/**
+ * Consulta base de presupuestos junto con los datos de su categoría
+ */
+const SELECT_BUDGETS = `
+  SELECT b.*, c.name as category, c.color as category_color, c.icon as category_icon
+  FROM budgets b
+  JOIN categories c ON c.id = b.category_id
+`;
+
+class Budget {
+  /**
+   * Valida los datos de un presupuesto
+   * @param {Object} data - Datos del presupuesto
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return budgetSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Valida un mes recibido como parámetro; si no se indica, usa el mes actual
+   * @param {string} month - Mes en formato YYYY-MM
+   * @returns {string} Mes validado
+   */
+  static resolveMonth(month) {
+    if (month === undefined || month === null || month === '') {
+      return toISODate(new Date()).slice(0, 7);
+    }
+    if (!MONTH_PATTERN.test(month)) {
+      const e = new Error('El mes debe tener el formato YYYY-MM');
+      e.name = 'ValidationError';
+      throw e;
+    }
+    return month;
+  }
+
+  /**
+   * Da formato a una fila de budgets
+   * @param {Object} row - Fila obtenida con SELECT_BUDGETS
+   * @returns {Object} Presupuesto
+   */
+  static format(row) {
+    return { ...row, amount: parseFloat(row.amount) };
+  }
+
+  /**
+   * Obtiene los presupuestos
+   * @param {Object} filters - Filtros (month)
+   * @returns {Promise<Array>} Presupuestos ordenados por mes y categoría
+   */
+  static async getAll(filters = {}) {
+    const params = [];
+    let whereClause = '';
+    if (filters.month) {
+      params.push(this.resolveMonth(filters.month));
+      whereClause = dbManager.getDatabaseType() === 'postgresql'
+        ? 'WHERE b.month = $1'
+        : 'WHERE b.month = ?';
+    }
+
+    try {
+      const budgets = await dbManager.query(
+        `${SELECT_BUDGETS} ${whereClause} ORDER BY b.month DESC, c.name ASC`,
+        params
+      );
+      return budgets.map(budget => this.format(budget));
+    } catch (error) {
+      console.error('Error obteniendo presupuestos:', error);
+      throw new Error('Error al obtener los presupuestos');
+    }
+  }
+
+  /**
+   * Obtiene un presupuesto por ID
+   * @param {number} id - ID del presupuesto
+   * @returns {Promise<Object|null>} Presupuesto encontrado o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_BUDGETS} WHERE b.id = $1`
+        : `${SELECT_BUDGETS} WHERE b.id = ?`;
+
+      const budgets = await dbManager.query(query, [id]);
+      return budgets.length > 0 ? this.format(budgets[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo presupuesto por ID:', error);
+      throw new Error('Error al obtener el presupuesto');
+    }
+  }
+
+  /**
+   * Valida los datos y resuelve la categoría de un presupuesto
+   * Solo se admiten categorías de gastos, y una única por mes
+   * @param {Object} data - Datos del presupuesto
+   * @param {Object|null} current - Presupuesto actual al editar
+   * @returns {Promise<Array>} Valores [category_id, month, amount]
+   */
+  static async prepare(data, current = null) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const { category_id: categoryId, category } = await Transaction.resolveCategory(
+      value,
+      'expense',
+      current ? [current.category_id] : []
+    );
+
+    const existing = await dbManager.query(
+      dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT id FROM budgets WHERE category_id = $1 AND month = $2'
+        : 'SELECT id FROM budgets WHERE category_id = ? AND month = ?',
+      [categoryId, value.month]
+    );
+    if (existing.length > 0 && (!current || existing[0].id !== current.id)) {
+      const e = new Error(`Ya existe un presupuesto para "${category}" en ${value.month}`);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    return [categoryId, value.month, value.amount];
+  }
+
+  /**
+   * Crea un nuevo presupuesto
+   * @param {Object} data - Datos del presupuesto (category o category_id, month, amount)
+   * @returns {Promise<Object>} Presupuesto creado
+   */
+  static async create(data) {
+    const values = await this.prepare(data);
+
+    try {
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(
+          'INSERT INTO budgets (category_id, month, amount, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id',
+          values
+        );
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(
+          'INSERT INTO budgets (category_id, month, amount) VALUES (?, ?, ?)',
+          values
+        );
+        id = result.lastID;
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error creando presupuesto:', error);
+      throw new Error('Error al crear el presupuesto');
+    }
+  }
+
+  /**
+   * Actualiza un presupuesto
+   * @param {number} id - ID del presupuesto
+   * @param {Object} data - Nuevos datos del presupuesto
+   * @returns {Promise<Object|null>} Presupuesto actualizado o null si no existe
+   */
+  static async update(id, data) {
+    const current = await this.getById(id);
+    if (!current) {
+      return null;
+    }
+
+    const values = await this.prepare(data, current);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE budgets SET category_id = $1, month = $2, amount = $3, updated_at = NOW() WHERE id = $4'
+        : 'UPDATE budgets SET category_id = ?, month = ?, amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      await dbManager.query(query, [...values, id]);
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando presupuesto:', error);
+      throw new Error('Error al actualizar el presupuesto');
+    }
+  }
+
+  /**
+   * Elimina un presupuesto
+   * @param {number} id - ID del presupuesto
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM budgets WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM budgets WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando presupuesto:', error);
+      throw new Error('Error al eliminar el presupuesto');
+    }
+  }
+
+  /**
+   * Compara los presupuestos de un mes con el gasto real
+   * El gasto sale de Transaction.getStatistics para el mes, de modo que coincide con el
+   * resumen: divisiones por categoría, conversión a la moneda base y, en las categorías
+   * padre, el gasto de sus subcategorías. Los totales no cuentan dos veces una subcategoría
+   * con presupuesto propio cuya categoría padre también lo tiene.
+   * @param {string} month - Mes en formato YYYY-MM (por defecto el actual)
+   * @returns {Promise<Object>} { month, baseCurrency, totalBudgeted, totalSpent, totalRemaining, categories }
+   *          donde cada categoría incluye budget, spent, remaining y percent (porcentaje usado)
+   */
+  static async getReport(month) {
+    const reportMonth = this.resolveMonth(month);
+    const [budgets, statistics, allCategories] = await Promise.all([
+      this.getAll({ month: reportMonth }),
+      Transaction.getStatistics(monthRange(reportMonth)),
+      Category.getAll({ includeArchived: true })
+    ]);
+
+    // Gasto acumulado (con subcategorías) de cada categoría del árbol
+    const spentByCategoryId = new Map();
+    const collect = (nodes) => {
+      for (const node of nodes) {
+        if (node.id) {
+          spentByCategoryId.set(node.id, node.total);
+        }
+        collect(node.children);
+      }
+    };
+    collect(statistics.expensesByCategoryTree);
+
+    const categories = budgets.map(budget => {
+      const spent = spentByCategoryId.get(budget.category_id) || 0;
+      return {
+        budget_id: budget.id,
+        category_id: budget.category_id,
+        category: budget.category,
+        color: budget.category_color,
+        icon: budget.category_icon,
+        budget: budget.amount,
+        spent,
+        remaining: roundAmount(budget.amount - spent),
+        percent: Math.round((spent / budget.amount) * 1000) / 10
+      };
+    }).sort((a, b) => b.percent - a.percent);
+
+    // Solo suman en los totales las categorías sin un antecesor con presupuesto
+    const budgetedIds = new Set(categories.map(item => item.category_id));
+    const parentIds = new Map(allCategories.map(category => [category.id, category.parent_id]));
+    const hasBudgetedAncestor = (categoryId) => {
+      let parentId = parentIds.get(categoryId);
+      while (parentId) {
+        if (budgetedIds.has(parentId)) {
+          return true;
+        }
+        parentId = parentIds.get(parentId);
+      }
+      return false;
+    };
+    const topLevel = categories.filter(item => !hasBudgetedAncestor(item.category_id));
+
+    const totalBudgeted = roundAmount(topLevel.reduce((sum, item) => sum + item.budget, 0));
+    const totalSpent = roundAmount(topLevel.reduce((sum, item) => sum + item.spent, 0));
+
+    return {
+      month: reportMonth,
+      baseCurrency: statistics.baseCurrency,
+      totalBudgeted,
+      totalSpent,
+      totalRemaining: roundAmount(totalBudgeted - totalSpent),
+      categories
+    };
+  }
+}
+
+module.exports = Budget;
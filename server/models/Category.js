@@ -5,6 +5,10 @@
 
 const Joi = require('joi');
 const dbManager = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const TransactionSplit = require('./TransactionSplit');
+const { roundAmount } = require('../utils/amounts');
 
 /**
  * Esquema de validación para categorías
@@ -32,6 +36,22 @@ const categorySchema = Joi.object({
   icon: Joi.string().max(50).optional()
     .messages({
       'string.max': 'El icono no puede exceder 50 caracteres'
+    }),
+  parent_id: Joi.number().integer().positive().allow(null).optional()
+    .messages({
+      'number.base': 'La categoría padre debe ser un ID numérico',
+      'number.positive': 'La categoría padre debe ser un ID válido'
+    })
+});
+
+/**
+ * Esquema de validación para fusionar categorías
+ */
+const mergeSchema = Joi.object({
+  target_id: Joi.number().integer().positive().required()
+    .messages({
+      'number.base': 'La categoría destino debe ser un ID numérico',
+      'any.required': 'La categoría destino es requerida'
     })
 });
 
@@ -45,8 +65,112 @@ class Category {
     return categorySchema.validate(data, { abortEarly: false });
   }
 
+  /**
+   * Verifica que la categoría padre exista, sea del mismo tipo y no genere un ciclo
+   * @param {number|null} id - ID de la categoría que se guarda (null si es nueva)
+   * @param {number|null} parentId - ID de la categoría padre propuesta
+   * @param {string} type - Tipo de la categoría
+   */
+  static async validateParent(id, parentId, type) {
+    if (id) {
+      // Las subcategorías deben conservar el tipo de su padre
+      const children = await this.getAll({ parentId: id, includeArchived: true });
+      if (children.some(child => child.type !== type)) {
+        const e = new Error('No se puede cambiar el tipo de una categoría con subcategorías de otro tipo');
+        e.name = 'ValidationError';
+        throw e;
+      }
+    }
+
+    if (!parentId) {
+      return;
+    }
+
+    const parent = await this.getById(parentId);
+    if (!parent) {
+      const e = new Error('La categoría padre no existe');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (parent.type !== type) {
+      const e = new Error('La categoría padre debe ser del mismo tipo');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    // Recorrer los ancestros del padre: si aparece la propia categoría habría un ciclo
+    let ancestor = parent;
+    while (ancestor) {
+      if (id && ancestor.id === parseInt(id)) {
+        const e = new Error('La categoría padre no puede ser la propia categoría ni una de sus subcategorías');
+        e.name = 'ValidationError';
+        throw e;
+      }
+      ancestor = ancestor.parent_id ? await this.getById(ancestor.parent_id) : null;
+    }
+  }
+
+  /**
+   * Construye el árbol de totales por categoría a partir de los totales de cada hoja
+   * Cada nodo tiene ownTotal (importes registrados directamente en la categoría) y
+   * total (ownTotal más el de todas sus subcategorías). Las categorías sin movimientos
+   * se omiten; las que no existen en la tabla se tratan como raíces.
+   * @param {Array} categories - Categorías (id, name, parent_id, color, icon)
+   * @param {Array} byCategory - Totales por categoría [{ category, total }]
+   * @returns {Array} Nodos raíz ordenados por total descendente
+   */
+  static buildTotalsTree(categories, byCategory) {
+    const ownTotals = new Map(byCategory.map(item => [item.category, item.total]));
+    const nodes = new Map();
+    const roots = [];
+
+    for (const category of categories) {
+      nodes.set(category.id, {
+        id: category.id,
+        category: category.name,
+        color: category.color,
+        icon: category.icon,
+        ownTotal: roundAmount(ownTotals.get(category.name) || 0),
+        total: 0,
+        children: []
+      });
+    }
+
+    for (const category of categories) {
+      const node = nodes.get(category.id);
+      if (category.parent_id && nodes.has(category.parent_id)) {
+        nodes.get(category.parent_id).children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    const knownNames = new Set(categories.map(category => category.name));
+    for (const item of byCategory) {
+      if (!knownNames.has(item.category)) {
+        roots.push({ id: null, category: item.category, ownTotal: roundAmount(item.total), total: 0, children: [] });
+      }
+    }
+
+    const rollUp = (node) => {
+      const childrenTotal = node.children.reduce((sum, child) => sum + rollUp(child), 0);
+      node.total = roundAmount(node.ownTotal + childrenTotal);
+      node.children = node.children
+        .filter(child => child.total !== 0)
+        .sort((a, b) => b.total - a.total);
+      return node.total;
+    };
+    roots.forEach(rollUp);
+
+    return roots
+      .filter(node => node.total !== 0)
+      .sort((a, b) => b.total - a.total);
+  }
+
   /**
    * Obtiene todas las categorías con filtros opcionales
+   * Las categorías archivadas solo se incluyen con filters.includeArchived
    * @param {Object} filters - Filtros de búsqueda
    * @returns {Promise<Array>} Lista de categorías
    */
@@ -56,6 +180,10 @@ class Category {
       const params = [];
       let paramIndex = 1;
 
+      if (!filters.includeArchived) {
+        query += ' AND archived_at IS NULL';
+      }
+
       // Filtrar por tipo
       if (filters.type) {
         if (dbManager.getDatabaseType() === 'postgresql') {
@@ -67,6 +195,17 @@ class Category {
         paramIndex++;
       }
 
+      // Filtrar por categoría padre
+      if (filters.parentId) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND parent_id = $${paramIndex}`;
+        } else {
+          query += ' AND parent_id = ?';
+        }
+        params.push(filters.parentId);
+        paramIndex++;
+      }
+
       // Ordenar por nombre
       query += ' ORDER BY name ASC';
 
@@ -131,8 +270,11 @@ class Category {
       throw e;
     }
 
+    await this.validateParent(null, value.parent_id, value.type);
+
     try {
       const { name, type, description, color, icon } = value;
+      const parentId = value.parent_id || null;
       
       // Verificar si la categoría ya existe
       const existingCategory = await this.getByName(name);
@@ -142,18 +284,18 @@ class Category {
 
       if (dbManager.getDatabaseType() === 'postgresql') {
         const query = `
-          INSERT INTO categories (name, type, description, color, icon, created_at) 
-          VALUES ($1, $2, $3, $4, $5, NOW()) 
+          INSERT INTO categories (name, type, description, color, icon, parent_id, created_at) 
+          VALUES ($1, $2, $3, $4, $5, $6, NOW()) 
           RETURNING *
         `;
-        const result = await dbManager.query(query, [name, type, description, color, icon]);
+        const result = await dbManager.query(query, [name, type, description, color, icon, parentId]);
         return result[0];
       } else {
         const query = `
-          INSERT INTO categories (name, type, description, color, icon) 
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO categories (name, type, description, color, icon, parent_id) 
+          VALUES (?, ?, ?, ?, ?, ?)
         `;
-        const result = await dbManager.query(query, [name, type, description, color, icon]);
+        const result = await dbManager.query(query, [name, type, description, color, icon, parentId]);
         
         // Obtener la categoría creada
         return await this.getById(result.lastID);
@@ -164,6 +306,24 @@ class Category {
     }
   }
 
+  /**
+   * Construye la consulta que inserta una categoría dentro de dbManager.transaction
+   * No valida los datos: es para categorías ya comprobadas, como las que crea una importación
+   * junto con sus transacciones. El ID insertado se obtiene con Transaction.insertedId.
+   * @param {Object} category - { name, type }
+   * @param {number|Function|null} parentId - ID del padre, o función que lo obtiene a partir de
+   *        los resultados anteriores de la transacción
+   * @returns {Object} Consulta {query, params}
+   */
+  static insertQuery({ name, type }, parentId = null) {
+    const resolveParentId = typeof parentId === 'function' ? parentId : () => parentId;
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'INSERT INTO categories (name, type, parent_id, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id'
+      : 'INSERT INTO categories (name, type, parent_id) VALUES (?, ?, ?)';
+
+    return { query, params: results => [name, type, resolveParentId(results)] };
+  }
+
   /**
    * Actualiza una categoría existente
    * @param {number} id - ID de la categoría
@@ -180,8 +340,11 @@ class Category {
       throw e;
     }
 
+    await this.validateParent(id, value.parent_id, value.type);
+
     try {
       const { name, type, description, color, icon } = value;
+      const parentId = value.parent_id || null;
       
       // Verificar si existe otra categoría con el mismo nombre
       const existingCategory = await this.getByName(name);
@@ -189,29 +352,43 @@ class Category {
         throw new Error('Ya existe una categoría con ese nombre');
       }
 
+      // Las transacciones están vinculadas por category_id; el nombre guardado en
+      // ellas se actualiza en la misma operación para que un renombre no deje datos desfasados
       if (dbManager.getDatabaseType() === 'postgresql') {
         const query = `
           UPDATE categories 
-          SET name = $1, type = $2, description = $3, color = $4, icon = $5, updated_at = NOW()
-          WHERE id = $6
+          SET name = $1, type = $2, description = $3, color = $4, icon = $5, parent_id = $6, updated_at = NOW()
+          WHERE id = $7
           RETURNING *
         `;
-        const result = await dbManager.query(query, [name, type, description, color, icon, id]);
+        const results = await dbManager.transaction([
+          { query, params: [name, type, description, color, icon, parentId, id] },
+          { query: 'UPDATE transactions SET category = $1 WHERE category_id = $2', params: [name, id] },
+          { query: 'UPDATE transaction_splits SET category = $1 WHERE category_id = $2', params: [name, id] },
+          { query: 'UPDATE recurring_rules SET category = $1 WHERE category_id = $2', params: [name, id] },
+          { query: 'UPDATE bills SET category = $1 WHERE category_id = $2', params: [name, id] }
+        ]);
         
-        if (result.length === 0) {
+        if (results[0].length === 0) {
           throw new Error('Categoría no encontrada');
         }
         
-        return result[0];
+        return results[0][0];
       } else {
         const query = `
           UPDATE categories 
-          SET name = ?, type = ?, description = ?, color = ?, icon = ?
+          SET name = ?, type = ?, description = ?, color = ?, icon = ?, parent_id = ?
           WHERE id = ?
         `;
-        const result = await dbManager.query(query, [name, type, description, color, icon, id]);
+        const results = await dbManager.transaction([
+          { query, params: [name, type, description, color, icon, parentId, id] },
+          { query: 'UPDATE transactions SET category = ? WHERE category_id = ?', params: [name, id] },
+          { query: 'UPDATE transaction_splits SET category = ? WHERE category_id = ?', params: [name, id] },
+          { query: 'UPDATE recurring_rules SET category = ? WHERE category_id = ?', params: [name, id] },
+          { query: 'UPDATE bills SET category = ? WHERE category_id = ?', params: [name, id] }
+        ]);
         
-        if (result.changes === 0) {
+        if (results[0].changes === 0) {
           throw new Error('Categoría no encontrada');
         }
         
@@ -224,16 +401,16 @@ class Category {
   }
 
   /**
-   * Elimina una categoría
+   * Elimina una categoría (sus presupuestos y asignaciones a sobres se eliminan con ella)
    * @param {number} id - ID de la categoría
    * @returns {Promise<boolean>} True si se eliminó correctamente
    */
   static async delete(id) {
     try {
-      // Verificar si la categoría está siendo usada en transacciones
+      // Verificar si la categoría está siendo usada en transacciones o divisiones
       const usageQuery = dbManager.getDatabaseType() === 'postgresql'
-        ? 'SELECT COUNT(*) as count FROM transactions WHERE category = (SELECT name FROM categories WHERE id = $1)'
-        : 'SELECT COUNT(*) as count FROM transactions WHERE category = (SELECT name FROM categories WHERE id = ?)';
+        ? `SELECT COUNT(DISTINCT id) as count FROM ${TransactionSplit.categoryLinesSql()} t WHERE category_id = $1`
+        : `SELECT COUNT(DISTINCT id) as count FROM ${TransactionSplit.categoryLinesSql()} t WHERE category_id = ?`;
       
       const usageResult = await dbManager.query(usageQuery, [id]);
       const usageCount = parseInt(usageResult[0].count);
@@ -242,6 +419,35 @@ class Category {
         throw new Error(`No se puede eliminar la categoría porque está siendo usada en ${usageCount} transacción(es)`);
       }
 
+      const children = await this.getAll({ parentId: id, includeArchived: true });
+      if (children.length > 0) {
+        throw new Error(`No se puede eliminar la categoría porque tiene ${children.length} subcategoría(s)`);
+      }
+
+      const rulesQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM recurring_rules WHERE category_id = $1'
+        : 'SELECT COUNT(*) as count FROM recurring_rules WHERE category_id = ?';
+      const rulesCount = parseInt((await dbManager.query(rulesQuery, [id]))[0].count);
+      if (rulesCount > 0) {
+        throw new Error(`No se puede eliminar la categoría porque la usan ${rulesCount} regla(s) recurrente(s)`);
+      }
+
+      const billsQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM bills WHERE category_id = $1'
+        : 'SELECT COUNT(*) as count FROM bills WHERE category_id = ?';
+      const billsCount = parseInt((await dbManager.query(billsQuery, [id]))[0].count);
+      if (billsCount > 0) {
+        throw new Error(`No se puede eliminar la categoría porque la usan ${billsCount} factura(s)`);
+      }
+
+      const goalsQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT COUNT(*) as count FROM goals WHERE category_id = $1'
+        : 'SELECT COUNT(*) as count FROM goals WHERE category_id = ?';
+      const goalsCount = parseInt((await dbManager.query(goalsQuery, [id]))[0].count);
+      if (goalsCount > 0) {
+        throw new Error(`No se puede eliminar la categoría porque la usan ${goalsCount} meta(s) de ahorro`);
+      }
+
       if (dbManager.getDatabaseType() === 'postgresql') {
         const query = 'DELETE FROM categories WHERE id = $1 RETURNING *';
         const result = await dbManager.query(query, [id]);
@@ -257,13 +463,145 @@ class Category {
     }
   }
 
+  /**
+   * Archiva o reactiva una categoría
+   * Una categoría archivada deja de ofrecerse para nuevas transacciones pero conserva
+   * su historial y sigue apareciendo en los reportes.
+   * @param {number} id - ID de la categoría
+   * @param {boolean} archived - True para archivar, false para reactivar
+   * @returns {Promise<Object|null>} Categoría actualizada o null si no existe
+   */
+  static async setArchived(id, archived) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = archived
+          ? 'UPDATE categories SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW() WHERE id = $1 RETURNING *'
+          : 'UPDATE categories SET archived_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING *';
+        const result = await dbManager.query(query, [id]);
+        return result.length > 0 ? result[0] : null;
+      } else {
+        const query = archived
+          ? 'UPDATE categories SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP) WHERE id = ?'
+          : 'UPDATE categories SET archived_at = NULL WHERE id = ?';
+        const result = await dbManager.query(query, [id]);
+        return result.changes > 0 ? await this.getById(id) : null;
+      }
+    } catch (error) {
+      console.error('Error archivando categoría:', error);
+      throw new Error(archived ? 'Error al archivar la categoría' : 'Error al reactivar la categoría');
+    }
+  }
+
+  /**
+   * Fusiona una categoría en otra del mismo tipo
+   * Las transacciones, divisiones, reglas recurrentes, facturas, presupuestos, sobres, metas, reglas de
+   * notificación y subcategorías de la categoría origen pasan a la categoría destino y la categoría origen se elimina,
+   * todo en una única transacción de base de datos.
+   * @param {number} id - ID de la categoría origen
+   * @param {Object} data - Objeto con target_id (categoría destino)
+   * @returns {Promise<Object|null>} { category, movedTransactions, movedSplits, movedSubcategories }
+   *          o null si la categoría origen no existe
+   */
+  static async merge(id, data) {
+    const { error, value } = mergeSchema.validate(data, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const source = await this.getById(id);
+    if (!source) {
+      return null;
+    }
+
+    const target = await this.getById(value.target_id);
+    if (!target) {
+      const e = new Error('La categoría destino no existe');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (target.id === source.id) {
+      const e = new Error('La categoría destino debe ser distinta de la de origen');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (target.type !== source.type) {
+      const e = new Error('Solo se pueden fusionar categorías del mismo tipo');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    // Las subcategorías de la origen pasan a la destino: no puede ser una de ellas
+    let ancestor = target;
+    while (ancestor.parent_id) {
+      if (ancestor.parent_id === source.id) {
+        const e = new Error('No se puede fusionar una categoría en una de sus subcategorías');
+        e.name = 'ValidationError';
+        throw e;
+      }
+      ancestor = await this.getById(ancestor.parent_id);
+    }
+
+    try {
+      const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+      const queries = isPostgres
+        ? [
+          { query: 'UPDATE transactions SET category_id = $1, category = $2 WHERE category_id = $3 RETURNING id', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE transaction_splits SET category_id = $1, category = $2 WHERE category_id = $3 RETURNING id', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE categories SET parent_id = $1 WHERE parent_id = $2 RETURNING id', params: [target.id, source.id] },
+          { query: 'UPDATE recurring_rules SET category_id = $1, category = $2 WHERE category_id = $3', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE bills SET category_id = $1, category = $2 WHERE category_id = $3', params: [target.id, target.name, source.id] },
+          ...mergeMonthlyAmountsQueries('budgets', target.id, source.id),
+          ...mergeMonthlyAmountsQueries('envelope_allocations', target.id, source.id),
+          { query: 'UPDATE goals SET category_id = $1 WHERE category_id = $2', params: [target.id, source.id] },
+          { query: 'UPDATE notification_rules SET category_id = $1 WHERE category_id = $2', params: [target.id, source.id] },
+          { query: 'DELETE FROM categories WHERE id = $1', params: [source.id] }
+        ]
+        : [
+          { query: 'UPDATE transactions SET category_id = ?, category = ? WHERE category_id = ?', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE transaction_splits SET category_id = ?, category = ? WHERE category_id = ?', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE categories SET parent_id = ? WHERE parent_id = ?', params: [target.id, source.id] },
+          { query: 'UPDATE recurring_rules SET category_id = ?, category = ? WHERE category_id = ?', params: [target.id, target.name, source.id] },
+          { query: 'UPDATE bills SET category_id = ?, category = ? WHERE category_id = ?', params: [target.id, target.name, source.id] },
+          ...mergeMonthlyAmountsQueries('budgets', target.id, source.id),
+          ...mergeMonthlyAmountsQueries('envelope_allocations', target.id, source.id),
+          { query: 'UPDATE goals SET category_id = ? WHERE category_id = ?', params: [target.id, source.id] },
+          { query: 'UPDATE notification_rules SET category_id = ? WHERE category_id = ?', params: [target.id, source.id] },
+          { query: 'DELETE FROM categories WHERE id = ?', params: [source.id] }
+        ];
+
+      const results = await dbManager.transaction(queries);
+      const affectedRows = result => (isPostgres ? result.length : result.changes);
+
+      return {
+        category: target,
+        movedTransactions: affectedRows(results[0]),
+        movedSplits: affectedRows(results[1]),
+        movedSubcategories: affectedRows(results[2])
+      };
+    } catch (error) {
+      console.error('Error fusionando categorías:', error);
+      throw new Error('Error al fusionar las categorías');
+    }
+  }
+
   /**
    * Obtiene categorías con estadísticas de uso
+   * Las transacciones divididas cuentan en la categoría de cada división.
+   * Además de los totales propios, cada categoría incluye los acumulados con sus
+   * subcategorías (rolled_up_total_amount y rolled_up_transaction_count).
+   * Los importes se expresan en la moneda base; original_totals conserva el total por moneda
    * @param {string} type - Tipo de categoría ('income' o 'expense')
    * @returns {Promise<Array>} Categorías con estadísticas
    */
   static async getWithUsageStats(type = null) {
     try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      const convertedAmount = ExchangeRate.convertedAmountSql('t', baseCurrency);
       let query;
       const params = [];
       let paramIndex = 1;
@@ -272,11 +610,11 @@ class Category {
         query = `
           SELECT 
             c.*,
-            COALESCE(COUNT(t.id), 0) as transaction_count,
-            COALESCE(SUM(t.amount), 0) as total_amount,
-            COALESCE(AVG(t.amount), 0) as avg_amount
+            COALESCE(COUNT(DISTINCT t.id), 0) as transaction_count,
+            COALESCE(SUM(${convertedAmount}), 0) as total_amount,
+            COALESCE(AVG(${convertedAmount}), 0) as avg_amount
           FROM categories c
-          LEFT JOIN transactions t ON c.name = t.category
+          LEFT JOIN ${TransactionSplit.categoryLinesSql()} t ON t.category_id = c.id
         `;
         
         if (type) {
@@ -286,18 +624,18 @@ class Category {
         }
         
         query += `
-          GROUP BY c.id, c.name, c.type, c.description, c.color, c.icon, c.created_at, c.updated_at
+          GROUP BY c.id, c.name, c.type, c.description, c.color, c.icon, c.parent_id, c.created_at, c.updated_at
           ORDER BY c.name ASC
         `;
       } else {
         query = `
           SELECT 
             c.*,
-            COALESCE(COUNT(t.id), 0) as transaction_count,
-            COALESCE(SUM(t.amount), 0) as total_amount,
-            COALESCE(AVG(t.amount), 0) as avg_amount
+            COALESCE(COUNT(DISTINCT t.id), 0) as transaction_count,
+            COALESCE(SUM(${convertedAmount}), 0) as total_amount,
+            COALESCE(AVG(${convertedAmount}), 0) as avg_amount
           FROM categories c
-          LEFT JOIN transactions t ON c.name = t.category
+          LEFT JOIN ${TransactionSplit.categoryLinesSql()} t ON t.category_id = c.id
         `;
         
         if (type) {
@@ -311,14 +649,57 @@ class Category {
         `;
       }
 
-      const categories = await dbManager.query(query, params);
+      const [categories, originalTotals] = await Promise.all([
+        dbManager.query(query, params),
+        dbManager.query(`
+          SELECT category_id, currency, SUM(amount) as total
+          FROM ${TransactionSplit.categoryLinesSql()} t
+          WHERE transfer_id IS NULL AND category_id IS NOT NULL
+          GROUP BY category_id, currency
+        `)
+      ]);
       
-      return categories.map(category => ({
+      const withStats = categories.map(category => ({
         ...category,
+        currency: baseCurrency,
         transaction_count: parseInt(category.transaction_count),
-        total_amount: parseFloat(category.total_amount),
-        avg_amount: parseFloat(category.avg_amount)
+        total_amount: roundAmount(category.total_amount),
+        avg_amount: roundAmount(category.avg_amount),
+        original_totals: originalTotals
+          .filter(item => item.category_id === category.id)
+          .map(item => ({ currency: item.currency, total: roundAmount(item.total) }))
       }));
+
+      // Acumular en cada categoría los totales de todas sus subcategorías
+      const childrenByParent = new Map();
+      for (const category of withStats) {
+        if (category.parent_id) {
+          if (!childrenByParent.has(category.parent_id)) {
+            childrenByParent.set(category.parent_id, []);
+          }
+          childrenByParent.get(category.parent_id).push(category);
+        }
+      }
+
+      const rollUp = (category) => {
+        const children = childrenByParent.get(category.id) || [];
+        return children.reduce((totals, child) => {
+          const childTotals = rollUp(child);
+          return {
+            amount: totals.amount + childTotals.amount,
+            count: totals.count + childTotals.count
+          };
+        }, { amount: category.total_amount, count: category.transaction_count });
+      };
+
+      return withStats.map(category => {
+        const totals = rollUp(category);
+        return {
+          ...category,
+          rolled_up_total_amount: roundAmount(totals.amount),
+          rolled_up_transaction_count: totals.count
+        };
+      });
     } catch (error) {
       console.error('Error obteniendo categorías con estadísticas:', error);
       throw new Error('Error al obtener las categorías con estadísticas');
@@ -374,4 +755,37 @@ class Category {
   }
 }
 
+/**
+ * Construye las consultas que pasan los importes mensuales de una categoría a otra al fusionarlas
+ * Sirve para las tablas con una fila por categoría y mes (presupuestos y asignaciones a sobres).
+ * En los meses en que ambas tienen importe, se suman en la destino.
+ * @param {string} table - Tabla con columnas category_id, month y amount
+ * @param {number} targetId - ID de la categoría destino
+ * @param {number} sourceId - ID de la categoría origen
+ * @returns {Array} Consultas {query, params} para dbManager.transaction
+ */
+function mergeMonthlyAmountsQueries(table, targetId, sourceId) {
+  const p = dbManager.getDatabaseType() === 'postgresql'
+    ? index => `$${index}`
+    : () => '?';
+
+  return [
+    {
+      query: `UPDATE ${table} SET amount = amount + (
+          SELECT s.amount FROM ${table} s WHERE s.category_id = ${p(1)} AND s.month = ${table}.month
+        ) WHERE category_id = ${p(2)} AND month IN (SELECT month FROM ${table} WHERE category_id = ${p(3)})`,
+      params: [sourceId, targetId, sourceId]
+    },
+    {
+      query: `DELETE FROM ${table} WHERE category_id = ${p(1)}
+        AND month IN (SELECT month FROM ${table} WHERE category_id = ${p(2)})`,
+      params: [sourceId, targetId]
+    },
+    {
+      query: `UPDATE ${table} SET category_id = ${p(1)} WHERE category_id = ${p(2)}`,
+      params: [targetId, sourceId]
+    }
+  ];
+}
+
 module.exports = Category;
@@ -0,0 +1,273 @@
+/**
+ * Modelo de Sobres
+ * En el modo de presupuesto por sobres, los ingresos de cada mes se asignan a las
+ * categorías de gastos. El saldo de cada sobre se arrastra de un mes a otro: lo no
+ * gastado se acumula y el exceso de gasto deja un saldo negativo en el mes siguiente.
+ * Los saldos se calculan a partir de las transacciones y de las asignaciones guardadas,
+ * siempre en la moneda base.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Budget = require('./Budget');
+const Category = require('./Category');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const Transaction = require('./Transaction');
+const TransactionSplit = require('./TransactionSplit');
+const { monthRange } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Esquema de validación para la asignación de un sobre
+ * Un importe de 0 elimina la asignación del mes
+ */
+const allocationSchema = Joi.object({
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100)
+    .when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'La categoría no puede estar vacía',
+      'any.required': 'La categoría es requerida'
+    }),
+  month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required()
+    .messages({
+      'string.pattern.base': 'El mes debe tener el formato YYYY-MM',
+      'any.required': 'El mes es requerido'
+    }),
+  amount: Joi.number().min(0).precision(2).required()
+    .messages({
+      'number.min': 'El importe asignado no puede ser negativo',
+      'any.required': 'El importe asignado es requerido'
+    })
+});
+
+class Envelope {
+  /**
+   * Valida los datos de una asignación
+   * @param {Object} data - Datos de la asignación
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return allocationSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Expresión SQL que obtiene el mes (YYYY-MM) de la fecha de una transacción
+   * @param {string} alias - Alias de la tabla de transacciones
+   * @returns {string} Expresión SQL
+   */
+  static monthSql(alias) {
+    return dbManager.getDatabaseType() === 'postgresql'
+      ? `TO_CHAR(${alias}.date, 'YYYY-MM')`
+      : `SUBSTR(${alias}.date, 1, 7)`;
+  }
+
+  /**
+   * Obtiene las asignaciones a sobres
+   * @param {Object} filters - Filtros (month)
+   * @returns {Promise<Array>} Asignaciones con el nombre de su categoría
+   */
+  static async getAllocations(filters = {}) {
+    const params = [];
+    let whereClause = '';
+    if (filters.month) {
+      params.push(Budget.resolveMonth(filters.month));
+      whereClause = dbManager.getDatabaseType() === 'postgresql'
+        ? 'WHERE a.month = $1'
+        : 'WHERE a.month = ?';
+    }
+
+    try {
+      const allocations = await dbManager.query(`
+        SELECT a.*, c.name as category, c.icon as category_icon
+        FROM envelope_allocations a
+        JOIN categories c ON c.id = a.category_id
+        ${whereClause}
+        ORDER BY a.month DESC, c.name ASC
+      `, params);
+      return allocations.map(allocation => ({ ...allocation, amount: parseFloat(allocation.amount) }));
+    } catch (error) {
+      console.error('Error obteniendo asignaciones:', error);
+      throw new Error('Error al obtener las asignaciones de los sobres');
+    }
+  }
+
+  /**
+   * Fija el importe asignado a un sobre en un mes (reemplaza el anterior)
+   * @param {Object} data - { category o category_id, month, amount }
+   * @returns {Promise<Object>} Asignación resultante ({ category_id, category, month, amount })
+   */
+  static async setAllocation(data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    // Una categoría archivada indicada por ID se admite para poder cubrir el saldo de su sobre
+    const { category_id: categoryId, category } = await Transaction.resolveCategory(
+      value,
+      'expense',
+      value.category_id ? [value.category_id] : []
+    );
+
+    try {
+      const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+      if (value.amount === 0) {
+        await dbManager.query(
+          isPostgres
+            ? 'DELETE FROM envelope_allocations WHERE category_id = $1 AND month = $2'
+            : 'DELETE FROM envelope_allocations WHERE category_id = ? AND month = ?',
+          [categoryId, value.month]
+        );
+      } else {
+        await dbManager.query(
+          isPostgres
+            ? `
+              INSERT INTO envelope_allocations (category_id, month, amount, created_at) VALUES ($1, $2, $3, NOW())
+              ON CONFLICT (category_id, month) DO UPDATE SET amount = excluded.amount, updated_at = NOW()
+            `
+            : `
+              INSERT INTO envelope_allocations (category_id, month, amount) VALUES (?, ?, ?)
+              ON CONFLICT (category_id, month) DO UPDATE SET amount = excluded.amount, updated_at = CURRENT_TIMESTAMP
+            `,
+          [categoryId, value.month, value.amount]
+        );
+      }
+
+      return { category_id: categoryId, category, month: value.month, amount: value.amount };
+    } catch (error) {
+      console.error('Error guardando asignación:', error);
+      throw new Error('Error al guardar la asignación del sobre');
+    }
+  }
+
+  /**
+   * Calcula el estado de los sobres en un mes
+   * Para cada sobre: carryover (saldo arrastrado de meses anteriores, negativo si se gastó
+   * de más), assigned y spent del mes, y balance al cierre del mes. El arrastre empieza en el
+   * primer mes con asignación del sobre, así que el gasto anterior no lo reduce.
+   * availableToAssign es el total de ingresos hasta el mes menos todo lo asignado hasta el mes.
+   * @param {string} month - Mes en formato YYYY-MM (por defecto el actual)
+   * @returns {Promise<Object>} { month, baseCurrency, income, assigned, spent, availableToAssign, envelopes }
+   */
+  static async getReport(month) {
+    const reportMonth = Budget.resolveMonth(month);
+    const { endDate } = monthRange(reportMonth);
+
+    try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      const p = dbManager.getDatabaseType() === 'postgresql' ? '$1' : '?';
+
+      const [spendingRows, incomeRows, allocationRows, categories] = await Promise.all([
+        dbManager.query(`
+          SELECT category_id, month, SUM(converted_amount) as total
+          FROM (
+            SELECT t.category_id, ${this.monthSql('t')} as month,
+              ${ExchangeRate.convertedAmountSql('t', baseCurrency)} as converted_amount
+            FROM ${TransactionSplit.categoryLinesSql()} t
+            WHERE t.type = 'expense' AND t.transfer_id IS NULL AND t.date <= ${p}
+          ) lines
+          GROUP BY category_id, month
+        `, [endDate]),
+        dbManager.query(`
+          SELECT month, SUM(converted_amount) as total
+          FROM (
+            SELECT ${this.monthSql('t')} as month,
+              ${ExchangeRate.convertedAmountSql('t', baseCurrency)} as converted_amount
+            FROM transactions t
+            WHERE t.type = 'income' AND t.transfer_id IS NULL AND t.date <= ${p}
+          ) income
+          GROUP BY month
+        `, [endDate]),
+        dbManager.query(
+          `SELECT category_id, month, amount FROM envelope_allocations WHERE month <= ${p}`,
+          [reportMonth]
+        ),
+        Category.getAll({ type: 'expense', includeArchived: true })
+      ]);
+
+      // Acumular por sobre lo asignado y gastado antes del mes y durante el mes
+      const envelopes = new Map();
+      const firstMonths = new Map();
+      for (const row of allocationRows) {
+        if (!firstMonths.has(row.category_id) || row.month < firstMonths.get(row.category_id)) {
+          firstMonths.set(row.category_id, row.month);
+        }
+      }
+      const envelopeFor = (categoryId) => {
+        if (!envelopes.has(categoryId)) {
+          envelopes.set(categoryId, { previous: 0, assigned: 0, spent: 0 });
+        }
+        return envelopes.get(categoryId);
+      };
+
+      for (const row of allocationRows) {
+        const envelope = envelopeFor(row.category_id);
+        const amount = parseFloat(row.amount);
+        if (row.month === reportMonth) {
+          envelope.assigned += amount;
+        } else {
+          envelope.previous += amount;
+        }
+      }
+
+      // Las líneas sin categoría vinculada no pertenecen a ningún sobre
+      for (const row of spendingRows.filter(item => item.category_id)) {
+        const amount = parseFloat(row.total || 0);
+        if (row.month === reportMonth) {
+          envelopeFor(row.category_id).spent += amount;
+        } else if (firstMonths.has(row.category_id) && row.month >= firstMonths.get(row.category_id)) {
+          envelopeFor(row.category_id).previous -= amount;
+        }
+      }
+
+      const categoriesById = new Map(categories.map(category => [category.id, category]));
+      const report = Array.from(envelopes.entries())
+        .filter(([categoryId]) => categoriesById.has(categoryId))
+        .map(([categoryId, envelope]) => {
+          const category = categoriesById.get(categoryId);
+          return {
+            category_id: categoryId,
+            category: category.name,
+            color: category.color,
+            icon: category.icon,
+            archived: Boolean(category.archived_at),
+            carryover: roundAmount(envelope.previous),
+            assigned: roundAmount(envelope.assigned),
+            spent: roundAmount(envelope.spent),
+            balance: roundAmount(envelope.previous + envelope.assigned - envelope.spent)
+          };
+        })
+        .filter(envelope => envelope.carryover !== 0 || envelope.assigned !== 0 || envelope.spent !== 0)
+        .sort((a, b) => a.category.localeCompare(b.category));
+
+      const totalIncome = incomeRows.reduce((sum, row) => sum + parseFloat(row.total || 0), 0);
+      const monthIncome = incomeRows
+        .filter(row => row.month === reportMonth)
+        .reduce((sum, row) => sum + parseFloat(row.total || 0), 0);
+      const totalAssigned = allocationRows.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+
+      return {
+        month: reportMonth,
+        baseCurrency,
+        income: roundAmount(monthIncome),
+        assigned: roundAmount(report.reduce((sum, envelope) => sum + envelope.assigned, 0)),
+        spent: roundAmount(report.reduce((sum, envelope) => sum + envelope.spent, 0)),
+        availableToAssign: roundAmount(totalIncome - totalAssigned),
+        envelopes: report
+      };
+    } catch (error) {
+      console.error('Error calculando sobres:', error);
+      throw new Error('Error al calcular los sobres');
+    }
+  }
+}
+
+module.exports = Envelope;
@@ -0,0 +1,337 @@
+/**
+ * Modelo de Tipo de Cambio
+ * Maneja las cotizaciones entre monedas usadas para convertir importes a la moneda base
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const { toISODate } = require('../utils/dates');
+const { detectDelimiter, parseCsv } = require('../utils/csv');
+
+/**
+ * Patrón de código de moneda ISO 4217
+ */
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Esquema de validación para tipos de cambio
+ * rate indica cuántas unidades de to_currency equivalen a 1 unidad de from_currency
+ */
+const exchangeRateSchema = Joi.object({
+  from_currency: Joi.string().uppercase().pattern(CURRENCY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'La moneda de origen debe ser un código de 3 letras (ej: USD)',
+      'any.required': 'La moneda de origen es requerida'
+    }),
+  to_currency: Joi.string().uppercase().pattern(CURRENCY_PATTERN).invalid(Joi.ref('from_currency')).required()
+    .messages({
+      'string.pattern.base': 'La moneda de destino debe ser un código de 3 letras (ej: EUR)',
+      'any.invalid': 'La moneda de destino debe ser distinta de la de origen',
+      'any.required': 'La moneda de destino es requerida'
+    }),
+  rate: Joi.number().positive().required()
+    .messages({
+      'number.base': 'La cotización debe ser un número',
+      'number.positive': 'La cotización debe ser mayor a 0',
+      'any.required': 'La cotización es requerida'
+    }),
+  date: Joi.date().iso().required()
+    .messages({
+      'date.format': 'La fecha debe estar en formato ISO (YYYY-MM-DD)',
+      'any.required': 'La fecha es requerida'
+    })
+});
+
+/**
+ * Normaliza una cotización escrita con coma decimal ("0,9234" → "0.9234")
+ * @param {string} rate - Cotización tal como aparece en el archivo
+ * @returns {string} Cotización con punto decimal
+ */
+function normalizeRate(rate) {
+  return rate && !rate.includes('.') ? rate.replace(',', '.') : rate;
+}
+
+class ExchangeRate {
+  /**
+   * Valida los datos de un tipo de cambio
+   * @param {Object} data - Datos del tipo de cambio
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return exchangeRateSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Construye la expresión SQL que convierte el importe de una transacción a la moneda base
+   * Usa la cotización más reciente en o antes de la fecha de la transacción, directa o inversa.
+   * Devuelve NULL si no hay cotización disponible.
+   * @param {string} alias - Alias de la tabla de transacciones en la consulta
+   * @param {string} baseCurrency - Moneda base
+   * @param {string} amountColumn - Columna con el importe a convertir
+   * @returns {string} Expresión SQL
+   */
+  static convertedAmountSql(alias, baseCurrency, amountColumn = 'amount') {
+    if (!CURRENCY_PATTERN.test(baseCurrency)) {
+      throw new Error(`Moneda base inválida: ${baseCurrency}`);
+    }
+
+    return `(${alias}.${amountColumn} * CASE WHEN ${alias}.currency = '${baseCurrency}' THEN 1 ELSE COALESCE(
+      (SELECT r.rate FROM exchange_rates r
+        WHERE r.from_currency = ${alias}.currency AND r.to_currency = '${baseCurrency}' AND r.date <= ${alias}.date
+        ORDER BY r.date DESC LIMIT 1),
+      (SELECT 1.0 / r.rate FROM exchange_rates r
+        WHERE r.from_currency = '${baseCurrency}' AND r.to_currency = ${alias}.currency AND r.date <= ${alias}.date
+        ORDER BY r.date DESC LIMIT 1)
+    ) END)`;
+  }
+
+  /**
+   * Obtiene todos los tipos de cambio con filtros opcionales
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>} Lista de tipos de cambio
+   */
+  static async getAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM exchange_rates WHERE 1=1';
+      const params = [];
+      let paramIndex = 1;
+
+      // Filtrar por moneda (origen o destino)
+      if (filters.currency) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND (from_currency = $${paramIndex} OR to_currency = $${paramIndex})`;
+          params.push(filters.currency.toUpperCase());
+        } else {
+          query += ' AND (from_currency = ? OR to_currency = ?)';
+          params.push(filters.currency.toUpperCase(), filters.currency.toUpperCase());
+        }
+        paramIndex++;
+      }
+
+      query += ' ORDER BY date DESC, from_currency ASC, to_currency ASC';
+
+      const rates = await dbManager.query(query, params);
+      return rates.map(rate => ({
+        ...rate,
+        rate: parseFloat(rate.rate)
+      }));
+    } catch (error) {
+      console.error('Error obteniendo tipos de cambio:', error);
+      throw new Error('Error al obtener los tipos de cambio');
+    }
+  }
+
+  /**
+   * Obtiene un tipo de cambio por ID
+   * @param {number} id - ID del tipo de cambio
+   * @returns {Promise<Object|null>} Tipo de cambio encontrado o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM exchange_rates WHERE id = $1'
+        : 'SELECT * FROM exchange_rates WHERE id = ?';
+
+      const rates = await dbManager.query(query, [id]);
+      if (rates.length === 0) {
+        return null;
+      }
+
+      return {
+        ...rates[0],
+        rate: parseFloat(rates[0].rate)
+      };
+    } catch (error) {
+      console.error('Error obteniendo tipo de cambio por ID:', error);
+      throw new Error('Error al obtener el tipo de cambio');
+    }
+  }
+
+  /**
+   * Construye la consulta que inserta o reemplaza la cotización de un par en una fecha
+   * @returns {string} Consulta SQL
+   */
+  static upsertQuery() {
+    return dbManager.getDatabaseType() === 'postgresql'
+      ? `
+        INSERT INTO exchange_rates (from_currency, to_currency, rate, date, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (from_currency, to_currency, date) DO UPDATE SET rate = excluded.rate
+        RETURNING *
+      `
+      : `
+        INSERT INTO exchange_rates (from_currency, to_currency, rate, date)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (from_currency, to_currency, date) DO UPDATE SET rate = excluded.rate
+      `;
+  }
+
+  /**
+   * Crea un tipo de cambio (o reemplaza la cotización del mismo par y fecha)
+   * @param {Object} data - Datos del tipo de cambio
+   * @returns {Promise<Object>} Tipo de cambio guardado
+   */
+  static async create(data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { from_currency, to_currency, rate } = value;
+      const date = toISODate(value.date);
+
+      await dbManager.query(this.upsertQuery(), [from_currency, to_currency, rate, date]);
+
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT id FROM exchange_rates WHERE from_currency = $1 AND to_currency = $2 AND date = $3'
+        : 'SELECT id FROM exchange_rates WHERE from_currency = ? AND to_currency = ? AND date = ?';
+      const rows = await dbManager.query(query, [from_currency, to_currency, date]);
+
+      return await this.getById(rows[0].id);
+    } catch (error) {
+      console.error('Error creando tipo de cambio:', error);
+      throw new Error('Error al guardar el tipo de cambio');
+    }
+  }
+
+  /**
+   * Actualiza un tipo de cambio existente
+   * @param {number} id - ID del tipo de cambio
+   * @param {Object} data - Nuevos datos del tipo de cambio
+   * @returns {Promise<Object>} Tipo de cambio actualizado
+   */
+  static async update(id, data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { from_currency, to_currency, rate } = value;
+      const date = toISODate(value.date);
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = `
+          UPDATE exchange_rates
+          SET from_currency = $1, to_currency = $2, rate = $3, date = $4
+          WHERE id = $5
+          RETURNING *
+        `;
+        const result = await dbManager.query(query, [from_currency, to_currency, rate, date, id]);
+
+        if (result.length === 0) {
+          throw new Error('Tipo de cambio no encontrado');
+        }
+      } else {
+        const query = `
+          UPDATE exchange_rates
+          SET from_currency = ?, to_currency = ?, rate = ?, date = ?
+          WHERE id = ?
+        `;
+        const result = await dbManager.query(query, [from_currency, to_currency, rate, date, id]);
+
+        if (result.changes === 0) {
+          throw new Error('Tipo de cambio no encontrado');
+        }
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando tipo de cambio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un tipo de cambio
+   * @param {number} id - ID del tipo de cambio
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = 'DELETE FROM exchange_rates WHERE id = $1 RETURNING *';
+        const result = await dbManager.query(query, [id]);
+        return result.length > 0;
+      } else {
+        const query = 'DELETE FROM exchange_rates WHERE id = ?';
+        const result = await dbManager.query(query, [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando tipo de cambio:', error);
+      throw new Error('Error al eliminar el tipo de cambio');
+    }
+  }
+
+  /**
+   * Importa tipos de cambio desde texto CSV
+   * Formato esperado por línea: fecha,moneda_origen,moneda_destino,cotización
+   * El separador se detecta como en la importación de transacciones (",", ";", tabulador o
+   * "|") y la cotización admite coma decimal ("2024-01-31;USD;EUR;0,9234"). Las líneas que
+   * empiezan por "#" se ignoran y la primera fila puede ser un encabezado.
+   * Las filas válidas se guardan en una única transacción; las inválidas se informan.
+   * @param {string} csv - Contenido del archivo CSV
+   * @returns {Promise<Object>} Resultado con filas importadas y errores por línea
+   */
+  static async importCsv(csv) {
+    // Los comentarios se vacían en lugar de quitarse para conservar los números de línea
+    const content = String(csv || '')
+      .split(/\r?\n/)
+      .map(line => (line.trim().startsWith('#') ? '' : line))
+      .join('\n');
+    const rows = [];
+    const errors = [];
+
+    parseCsv(content, detectDelimiter(content)).forEach(({ line, fields }, index) => {
+      const [date, from_currency, to_currency, rawRate] = fields;
+      const rate = normalizeRate(rawRate);
+
+      // Saltar encabezado
+      if (index === 0 && isNaN(parseFloat(rate))) {
+        return;
+      }
+
+      const { error, value } = this.validate({ date, from_currency, to_currency, rate });
+      if (error) {
+        errors.push({
+          line,
+          error: error.details.map(detail => detail.message).join(', ')
+        });
+        return;
+      }
+
+      rows.push(value);
+    });
+
+    if (rows.length > 0) {
+      try {
+        await dbManager.transaction(rows.map(row => ({
+          query: this.upsertQuery(),
+          params: [row.from_currency, row.to_currency, row.rate, toISODate(row.date)]
+        })));
+      } catch (error) {
+        console.error('Error importando tipos de cambio:', error);
+        throw new Error('Error al importar los tipos de cambio');
+      }
+    }
+
+    return {
+      imported: rows.length,
+      errors
+    };
+  }
+}
+
+ExchangeRate.CURRENCY_PATTERN = CURRENCY_PATTERN;
+
+module.exports = ExchangeRate;
@@ -0,0 +1,384 @@
+/**
+ * Modelo de Meta de Ahorro
+ * Una meta tiene un importe objetivo y una fecha límite, y se vincula a una categoría
+ * de gastos (por ejemplo "Ahorro viaje") o a una cuenta (por ejemplo la cuenta de ahorro).
+ * Las aportaciones no se registran aparte: se obtienen de las transacciones que coinciden
+ * con la meta, convertidas a la moneda base.
+ *  - Meta por categoría: cada gasto (o división) en la categoría es una aportación.
+ *  - Meta por cuenta: los movimientos netos de la cuenta (ingresos y transferencias
+ *    recibidas menos gastos y transferencias enviadas); sin fecha de inicio también
+ *    cuenta el saldo inicial de la cuenta.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Account = require('./Account');
+const Envelope = require('./Envelope');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const Transaction = require('./Transaction');
+const TransactionSplit = require('./TransactionSplit');
+const { toISODate, fromDbDate, addMonths } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Esquema de validación para metas de ahorro
+ * Debe indicarse una categoría (category o category_id) o una cuenta (account_id), no ambas
+ */
+const goalSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required()
+    .messages({
+      'string.min': 'El nombre de la meta no puede estar vacío',
+      'string.max': 'El nombre de la meta no puede exceder 255 caracteres',
+      'any.required': 'El nombre de la meta es requerido'
+    }),
+  target_amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El importe objetivo debe ser mayor a 0',
+      'any.required': 'El importe objetivo es requerido'
+    }),
+  target_date: Joi.date().iso().required()
+    .messages({
+      'date.format': 'La fecha objetivo debe estar en formato ISO (YYYY-MM-DD)',
+      'any.required': 'La fecha objetivo es requerida'
+    }),
+  start_date: Joi.date().iso().allow(null).optional()
+    .messages({
+      'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)'
+    }),
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100).optional()
+    .messages({
+      'string.min': 'La categoría no puede estar vacía'
+    }),
+  account_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    })
+});
+
+/**
+ * Consulta base de metas junto con el nombre de su categoría o cuenta
+ */
+const SELECT_GOALS = `
+  SELECT g.*, c.name as category, c.icon as category_icon, a.name as account_name
+  FROM goals g
+  LEFT JOIN categories c ON c.id = g.category_id
+  LEFT JOIN accounts a ON a.id = g.account_id
+`;
+
+class Goal {
+  /**
+   * Valida los datos de una meta
+   * @param {Object} data - Datos de la meta
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return goalSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Obtiene las aportaciones mensuales a una meta
+   * @param {Object} goal - Fila de goals
+   * @param {string} baseCurrency - Moneda base
+   * @returns {Promise<Array>} Aportaciones [{ month, amount }] ordenadas por mes
+   */
+  static async getContributions(goal, baseCurrency) {
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const params = [goal.category_id || goal.account_id];
+    let dateFilter = '';
+    if (goal.start_date) {
+      dateFilter = isPostgres ? ' AND t.date >= $2' : ' AND t.date >= ?';
+      params.push(fromDbDate(goal.start_date));
+    }
+
+    const convertedAmount = ExchangeRate.convertedAmountSql('t', baseCurrency);
+    const query = goal.category_id
+      ? `
+        SELECT month, SUM(amount) as total
+        FROM (
+          SELECT ${Envelope.monthSql('t')} as month, ${convertedAmount} as amount
+          FROM ${TransactionSplit.categoryLinesSql()} t
+          WHERE t.category_id = ${isPostgres ? '$1' : '?'} AND t.transfer_id IS NULL${dateFilter}
+        ) contributions
+        GROUP BY month
+        ORDER BY month ASC
+      `
+      : `
+        SELECT month, SUM(amount) as total
+        FROM (
+          SELECT ${Envelope.monthSql('t')} as month,
+            CASE WHEN t.type = 'income' THEN ${convertedAmount} ELSE -${convertedAmount} END as amount
+          FROM transactions t
+          WHERE t.account_id = ${isPostgres ? '$1' : '?'}${dateFilter}
+        ) contributions
+        GROUP BY month
+        ORDER BY month ASC
+      `;
+
+    const rows = await dbManager.query(query, params);
+    return rows.map(row => ({ month: row.month, amount: roundAmount(row.total) }));
+  }
+
+  /**
+   * Calcula el progreso de una meta
+   * - saved, remaining y percent: lo ahorrado frente al objetivo
+   * - monthly_average: aportación media por mes desde el inicio de la meta
+   * - required_monthly: aportación mensual necesaria para llegar a la fecha objetivo
+   *   (null si la meta está cumplida o la fecha ya pasó)
+   * - projected_completion: fecha estimada de cumplimiento al ritmo medio actual
+   *   (null si está cumplida o si el ritmo no es positivo)
+   * - status: 'completed', 'on_track', 'behind' u 'overdue'
+   * @param {Object} row - Fila obtenida con SELECT_GOALS
+   * @param {string} baseCurrency - Moneda base
+   * @returns {Promise<Object>} Meta con su progreso y sus aportaciones por mes
+   */
+  static async withProgress(row, baseCurrency) {
+    const today = toISODate(new Date());
+    const currentMonth = today.slice(0, 7);
+    const goal = {
+      ...row,
+      target_amount: parseFloat(row.target_amount),
+      target_date: fromDbDate(row.target_date),
+      start_date: fromDbDate(row.start_date)
+    };
+
+    const contributions = await this.getContributions(goal, baseCurrency);
+    let openingBalance = 0;
+    if (goal.account_id && !goal.start_date) {
+      const account = await Account.getById(goal.account_id);
+      openingBalance = account ? account.opening_balance : 0;
+    }
+
+    const contributed = contributions.reduce((sum, item) => sum + item.amount, 0);
+    const saved = roundAmount(openingBalance + contributed);
+    const remaining = roundAmount(Math.max(goal.target_amount - saved, 0));
+
+    // Meses transcurridos desde el inicio (o la primera aportación) hasta el mes actual, incluidos
+    const firstMonth = goal.start_date ? goal.start_date.slice(0, 7) : (contributions[0] || {}).month;
+    const monthsElapsed = firstMonth ? Math.max(monthsBetween(firstMonth, currentMonth) + 1, 1) : 1;
+    const monthlyAverage = roundAmount(contributed / monthsElapsed);
+
+    let status;
+    let requiredMonthly = null;
+    let projectedCompletion = null;
+    if (remaining === 0) {
+      status = 'completed';
+    } else {
+      if (monthlyAverage > 0) {
+        projectedCompletion = addMonths(today, Math.ceil(remaining / monthlyAverage));
+      }
+      if (goal.target_date < today) {
+        status = 'overdue';
+      } else {
+        requiredMonthly = roundAmount(remaining / Math.max(monthsBetween(currentMonth, goal.target_date.slice(0, 7)), 1));
+        status = projectedCompletion && projectedCompletion <= goal.target_date ? 'on_track' : 'behind';
+      }
+    }
+
+    return {
+      ...goal,
+      currency: baseCurrency,
+      saved,
+      remaining,
+      percent: Math.min(Math.round((saved / goal.target_amount) * 1000) / 10, 100),
+      monthly_average: monthlyAverage,
+      required_monthly: requiredMonthly,
+      projected_completion: projectedCompletion,
+      status,
+      contributions
+    };
+  }
+
+  /**
+   * Obtiene todas las metas con su progreso
+   * @returns {Promise<Array>} Metas ordenadas por fecha objetivo
+   */
+  static async getAll() {
+    try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      const goals = await dbManager.query(`${SELECT_GOALS} ORDER BY g.target_date ASC, g.id ASC`);
+      const result = [];
+      for (const goal of goals) {
+        result.push(await this.withProgress(goal, baseCurrency));
+      }
+      return result;
+    } catch (error) {
+      console.error('Error obteniendo metas:', error);
+      throw new Error('Error al obtener las metas de ahorro');
+    }
+  }
+
+  /**
+   * Obtiene una meta por ID con su progreso
+   * @param {number} id - ID de la meta
+   * @returns {Promise<Object|null>} Meta encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_GOALS} WHERE g.id = $1`
+        : `${SELECT_GOALS} WHERE g.id = ?`;
+
+      const goals = await dbManager.query(query, [id]);
+      if (goals.length === 0) {
+        return null;
+      }
+      return await this.withProgress(goals[0], await Setting.getBaseCurrency());
+    } catch (error) {
+      console.error('Error obteniendo meta por ID:', error);
+      throw new Error('Error al obtener la meta de ahorro');
+    }
+  }
+
+  /**
+   * Valida los datos y resuelve la categoría o la cuenta de una meta
+   * @param {Object} data - Datos de la meta
+   * @param {Object|null} current - Meta actual al editar (conserva su categoría aunque esté archivada)
+   * @returns {Promise<Array>} Valores en el orden de las columnas de goals
+   */
+  static async prepare(data, current = null) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const hasCategory = Boolean(value.category || value.category_id);
+    if (hasCategory === Boolean(value.account_id)) {
+      const e = new Error('La meta debe vincularse a una categoría o a una cuenta (solo una de ellas)');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const startDate = value.start_date ? toISODate(value.start_date) : null;
+    const targetDate = toISODate(value.target_date);
+    if (startDate && startDate > targetDate) {
+      const e = new Error('La fecha de inicio no puede ser posterior a la fecha objetivo');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    let categoryId = null;
+    let accountId = null;
+    if (hasCategory) {
+      ({ category_id: categoryId } = await Transaction.resolveCategory(
+        value,
+        'expense',
+        current && current.category_id ? [current.category_id] : []
+      ));
+    } else {
+      accountId = await Transaction.resolveAccountId(value.account_id);
+    }
+
+    return [value.name, value.target_amount, targetDate, startDate, categoryId, accountId];
+  }
+
+  /**
+   * Crea una nueva meta de ahorro
+   * @param {Object} data - Datos de la meta
+   * @returns {Promise<Object>} Meta creada con su progreso
+   */
+  static async create(data) {
+    const values = await this.prepare(data);
+
+    try {
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO goals (name, target_amount, target_date, start_date, category_id, account_id, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          RETURNING id
+        `, values);
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO goals (name, target_amount, target_date, start_date, category_id, account_id)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, values);
+        id = result.lastID;
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error creando meta:', error);
+      throw new Error('Error al crear la meta de ahorro');
+    }
+  }
+
+  /**
+   * Actualiza una meta de ahorro
+   * @param {number} id - ID de la meta
+   * @param {Object} data - Nuevos datos de la meta
+   * @returns {Promise<Object|null>} Meta actualizada o null si no existe
+   */
+  static async update(id, data) {
+    const current = await this.getById(id);
+    if (!current) {
+      return null;
+    }
+
+    const values = await this.prepare(data, current);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          UPDATE goals
+          SET name = $1, target_amount = $2, target_date = $3, start_date = $4, category_id = $5,
+            account_id = $6, updated_at = NOW()
+          WHERE id = $7
+        `
+        : `
+          UPDATE goals
+          SET name = ?, target_amount = ?, target_date = ?, start_date = ?, category_id = ?,
+            account_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+      await dbManager.query(query, [...values, id]);
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando meta:', error);
+      throw new Error('Error al actualizar la meta de ahorro');
+    }
+  }
+
+  /**
+   * Elimina una meta de ahorro (las transacciones vinculadas no se modifican)
+   * @param {number} id - ID de la meta
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM goals WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM goals WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando meta:', error);
+      throw new Error('Error al eliminar la meta de ahorro');
+    }
+  }
+}
+
+/**
+ * Cuenta los meses que van de un mes a otro
+ * @param {string} from - Mes inicial (YYYY-MM)
+ * @param {string} to - Mes final (YYYY-MM)
+ * @returns {number} Diferencia en meses (negativa si to es anterior a from)
+ */
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+module.exports = Goal;
@@ -0,0 +1,378 @@
+/**
+ * Modelo de Hogar
+ * El hogar es dueño del libro de cuentas (transacciones, categorías y el resto de datos) y
+ * agrupa a los usuarios que lo comparten. Cada usuario pertenece como mucho a un hogar, con
+ * uno de estos roles:
+ * - owner: gestiona el hogar y sus miembros y es el único que puede borrar historial
+ * - editor: crea y edita datos
+ * - viewer: solo consulta
+ * La instalación aloja un único hogar: la configuración, las cuentas y los presupuestos son
+ * comunes, así que los demás usuarios se unen con el código de invitación.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+/**
+ * Roles de los miembros, de más a menos permisos
+ */
+const ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Rol con el que entran los miembros que se unen con el código de invitación
+ */
+const DEFAULT_MEMBER_ROLE = 'viewer';
+
+/**
+ * Esquema de validación para crear o renombrar el hogar
+ */
+const householdSchema = Joi.object({
+  name: Joi.string().min(1).max(100).trim().required()
+    .messages({
+      'string.empty': 'El nombre del hogar no puede estar vacío',
+      'string.max': 'El nombre del hogar no puede exceder 100 caracteres',
+      'any.required': 'El nombre del hogar es requerido'
+    })
+});
+
+/**
+ * Esquema de validación para unirse a un hogar
+ */
+const joinSchema = Joi.object({
+  invite_code: Joi.string().trim().uppercase().required()
+    .messages({
+      'string.empty': 'El código de invitación es requerido',
+      'any.required': 'El código de invitación es requerido'
+    })
+});
+
+/**
+ * Esquema de validación para cambiar el rol de un miembro
+ */
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+    .messages({
+      'any.only': `El rol debe ser uno de: ${ROLES.join(', ')}`,
+      'any.required': 'El rol es requerido'
+    })
+});
+
+/**
+ * Indica si un error de escritura se debe a que la instalación ya tiene hogar
+ * (índice único idx_households_singleton)
+ * @param {Error} error - Error de la base de datos
+ * @returns {boolean} true si es un conflicto con el hogar existente
+ */
+function isSingletonConflict(error) {
+  return error.code === '23505'
+    ? error.constraint === 'idx_households_singleton'
+    : /UNIQUE constraint failed: index 'idx_households_singleton'/.test(error.message || '');
+}
+
+class Household {
+  /**
+   * Valida datos con un esquema y lanza un ValidationError si no son válidos
+   * @param {Object} schema - Esquema Joi
+   * @param {Object} data - Datos a validar
+   * @returns {Object} Datos validados
+   */
+  static validateData(schema, data) {
+    const { error, value } = schema.validate(data, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+    return value;
+  }
+
+  /**
+   * Genera un código de invitación aleatorio
+   * @returns {string} Código de 10 caracteres hexadecimales en mayúsculas
+   */
+  static generateInviteCode() {
+    return crypto.randomBytes(5).toString('hex').toUpperCase();
+  }
+
+  /**
+   * Obtiene el hogar al que pertenece un usuario y su rol en él
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object|null>} { id, name, invite_code, role, created_at } o null si no pertenece a ninguno
+   */
+  static async getMembership(userId) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? `SELECT h.id, h.name, h.invite_code, h.created_at, m.role
+         FROM household_members m JOIN households h ON h.id = m.household_id
+         WHERE m.user_id = $1`
+      : `SELECT h.id, h.name, h.invite_code, h.created_at, m.role
+         FROM household_members m JOIN households h ON h.id = m.household_id
+         WHERE m.user_id = ?`;
+
+    const rows = await dbManager.query(query, [userId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Obtiene los miembros de un hogar
+   * @param {number} householdId - ID del hogar
+   * @returns {Promise<Array>} Miembros con user_id, email, name, role y joined_at
+   */
+  static async getMembers(householdId) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? `SELECT u.id as user_id, u.email, u.name, m.role, m.created_at as joined_at
+         FROM household_members m JOIN users u ON u.id = m.user_id
+         WHERE m.household_id = $1 ORDER BY m.created_at, m.id`
+      : `SELECT u.id as user_id, u.email, u.name, m.role, m.created_at as joined_at
+         FROM household_members m JOIN users u ON u.id = m.user_id
+         WHERE m.household_id = ? ORDER BY m.created_at, m.id`;
+
+    return await dbManager.query(query, [householdId]);
+  }
+
+  /**
+   * Obtiene el hogar de un usuario con sus miembros
+   * El código de invitación solo se muestra al propietario.
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object|null>} Hogar con role y members, o null si no pertenece a ninguno
+   */
+  static async getForUser(userId) {
+    try {
+      const membership = await this.getMembership(userId);
+      if (!membership) {
+        return null;
+      }
+
+      const { invite_code: inviteCode, ...household } = membership;
+      return {
+        ...household,
+        ...(membership.role === 'owner' ? { invite_code: inviteCode } : {}),
+        members: await this.getMembers(membership.id)
+      };
+    } catch (error) {
+      console.error('Error obteniendo hogar:', error);
+      throw new Error('Error al obtener el hogar');
+    }
+  }
+
+  /**
+   * Crea el hogar con el usuario como propietario
+   * Solo se permite si la instalación aún no tiene hogar; el índice idx_households_singleton
+   * rechaza el segundo hogar aunque dos peticiones pasen la comprobación a la vez.
+   * @param {number} userId - ID del usuario que crea el hogar
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} Hogar creado
+   */
+  static async create(userId, data) {
+    const value = this.validateData(householdSchema, data);
+
+    const alreadyExists = () => {
+      const e = new Error('Ya existe un hogar; pide a su propietario el código de invitación');
+      e.name = 'ValidationError';
+      return e;
+    };
+
+    const [{ count }] = await dbManager.query('SELECT COUNT(*) as count FROM households');
+    if (parseInt(count) > 0) {
+      throw alreadyExists();
+    }
+
+    try {
+      const inviteCode = this.generateInviteCode();
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        await dbManager.transaction([
+          { query: 'INSERT INTO households (name, invite_code, created_at) VALUES ($1, $2, NOW())', params: [value.name, inviteCode] },
+          {
+            query: "INSERT INTO household_members (household_id, user_id, role) VALUES ((SELECT id FROM households WHERE invite_code = $1), $2, 'owner')",
+            params: [inviteCode, userId]
+          }
+        ]);
+      } else {
+        await dbManager.transaction([
+          { query: 'INSERT INTO households (name, invite_code) VALUES (?, ?)', params: [value.name, inviteCode] },
+          {
+            query: "INSERT INTO household_members (household_id, user_id, role) VALUES ((SELECT id FROM households WHERE invite_code = ?), ?, 'owner')",
+            params: [inviteCode, userId]
+          }
+        ]);
+      }
+
+      return await this.getForUser(userId);
+    } catch (error) {
+      if (isSingletonConflict(error)) {
+        throw alreadyExists();
+      }
+      console.error('Error creando hogar:', error);
+      throw new Error('Error al crear el hogar');
+    }
+  }
+
+  /**
+   * Une a un usuario al hogar del código de invitación con el rol por defecto
+   * @param {number} userId - ID del usuario
+   * @param {Object} data - { invite_code }
+   * @returns {Promise<Object>} Hogar al que se unió
+   */
+  static async join(userId, data) {
+    const value = this.validateData(joinSchema, data);
+
+    if (await this.getMembership(userId)) {
+      const e = new Error('Ya perteneces a un hogar');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT id FROM households WHERE invite_code = $1'
+      : 'SELECT id FROM households WHERE invite_code = ?';
+    const households = await dbManager.query(query, [value.invite_code]);
+    if (households.length === 0) {
+      const e = new Error('El código de invitación no es válido');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const insertQuery = dbManager.getDatabaseType() === 'postgresql'
+        ? 'INSERT INTO household_members (household_id, user_id, role) VALUES ($1, $2, $3)'
+        : 'INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, ?)';
+      await dbManager.query(insertQuery, [households[0].id, userId, DEFAULT_MEMBER_ROLE]);
+
+      return await this.getForUser(userId);
+    } catch (error) {
+      console.error('Error uniéndose al hogar:', error);
+      throw new Error('Error al unirse al hogar');
+    }
+  }
+
+  /**
+   * Renombra un hogar
+   * @param {number} householdId - ID del hogar
+   * @param {Object} data - { name }
+   * @returns {Promise<void>}
+   */
+  static async update(householdId, data) {
+    const value = this.validateData(householdSchema, data);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE households SET name = $1, updated_at = NOW() WHERE id = $2'
+        : 'UPDATE households SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      await dbManager.query(query, [value.name, householdId]);
+    } catch (error) {
+      console.error('Error actualizando hogar:', error);
+      throw new Error('Error al actualizar el hogar');
+    }
+  }
+
+  /**
+   * Genera un código de invitación nuevo; el anterior deja de servir
+   * @param {number} householdId - ID del hogar
+   * @returns {Promise<void>}
+   */
+  static async regenerateInviteCode(householdId) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE households SET invite_code = $1, updated_at = NOW() WHERE id = $2'
+        : 'UPDATE households SET invite_code = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      await dbManager.query(query, [this.generateInviteCode(), householdId]);
+    } catch (error) {
+      console.error('Error regenerando código de invitación:', error);
+      throw new Error('Error al regenerar el código de invitación');
+    }
+  }
+
+  /**
+   * Busca un miembro de un hogar
+   * @param {number} householdId - ID del hogar
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object|null>} Fila de household_members o null
+   */
+  static async findMember(householdId, userId) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT * FROM household_members WHERE household_id = $1 AND user_id = $2'
+      : 'SELECT * FROM household_members WHERE household_id = ? AND user_id = ?';
+    const members = await dbManager.query(query, [householdId, userId]);
+    return members.length > 0 ? members[0] : null;
+  }
+
+  /**
+   * Impide dejar el hogar sin propietario al cambiar el rol de un miembro o quitarlo
+   * @param {number} householdId - ID del hogar
+   * @param {Object} member - Miembro que deja de ser propietario
+   */
+  static async ensureAnotherOwner(householdId, member) {
+    if (member.role !== 'owner') {
+      return;
+    }
+
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? "SELECT COUNT(*) as count FROM household_members WHERE household_id = $1 AND role = 'owner'"
+      : "SELECT COUNT(*) as count FROM household_members WHERE household_id = ? AND role = 'owner'";
+    const [{ count }] = await dbManager.query(query, [householdId]);
+    if (parseInt(count) <= 1) {
+      const e = new Error('El hogar debe tener al menos un propietario');
+      e.name = 'ValidationError';
+      throw e;
+    }
+  }
+
+  /**
+   * Cambia el rol de un miembro
+   * @param {number} householdId - ID del hogar
+   * @param {number} userId - ID del usuario miembro
+   * @param {Object} data - { role }
+   * @returns {Promise<boolean>} False si el usuario no es miembro del hogar
+   */
+  static async setMemberRole(householdId, userId, data) {
+    const { role } = this.validateData(roleSchema, data);
+
+    const member = await this.findMember(householdId, userId);
+    if (!member) {
+      return false;
+    }
+    if (role !== 'owner') {
+      await this.ensureAnotherOwner(householdId, member);
+    }
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE household_members SET role = $1 WHERE id = $2'
+        : 'UPDATE household_members SET role = ? WHERE id = ?';
+      await dbManager.query(query, [role, member.id]);
+      return true;
+    } catch (error) {
+      console.error('Error cambiando rol del miembro:', error);
+      throw new Error('Error al cambiar el rol del miembro');
+    }
+  }
+
+  /**
+   * Quita a un miembro del hogar
+   * Sus transacciones se conservan con el registro de quién las creó.
+   * @param {number} householdId - ID del hogar
+   * @param {number} userId - ID del usuario miembro
+   * @returns {Promise<boolean>} False si el usuario no es miembro del hogar
+   */
+  static async removeMember(householdId, userId) {
+    const member = await this.findMember(householdId, userId);
+    if (!member) {
+      return false;
+    }
+    await this.ensureAnotherOwner(householdId, member);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'DELETE FROM household_members WHERE id = $1'
+        : 'DELETE FROM household_members WHERE id = ?';
+      await dbManager.query(query, [member.id]);
+      return true;
+    } catch (error) {
+      console.error('Error quitando miembro del hogar:', error);
+      throw new Error('Error al quitar el miembro del hogar');
+    }
+  }
+}
+
+module.exports = Household;
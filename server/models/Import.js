@@ -0,0 +1,1123 @@
+/**
+ * Modelo de Importación de transacciones
+ * Convierte los movimientos de un extracto bancario en transacciones. Cada formato se lee a
+ * filas candidatas { line, data, errors }; la vista previa valida cada fila como lo haría
+ * Transaction.create y la confirmación guarda todas las filas válidas en una única
+ * transacción de base de datos, informando de las que no se pudieron importar. Las filas con
+ * external_id (el identificador del movimiento en el banco) se omiten si ya se importaron.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Transaction = require('./Transaction');
+const { detectDelimiter, parseCsv } = require('../utils/csv');
+const Category = require('./Category');
+const { parseOfx } = require('../utils/ofx');
+const { parseQif, parseQifDate } = require('../utils/qif');
+const { parseCamt053 } = require('../utils/camt');
+const { parseMt940 } = require('../utils/mt940');
+
+/**
+ * Formatos de fecha admitidos en los archivos
+ */
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+/**
+ * Convenciones de signo para distinguir ingresos de gastos
+ * - negative_expense: los importes negativos son gastos (extractos de cuenta)
+ * - negative_income: los importes negativos son ingresos (extractos de tarjeta)
+ * - debit_credit: columnas separadas de cargos (gastos) y abonos (ingresos)
+ */
+const SIGN_CONVENTIONS = ['negative_expense', 'negative_income', 'debit_credit'];
+
+/**
+ * Campos de una transacción que se pueden asignar a columnas del CSV
+ */
+const MAPPING_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'category', 'currency'];
+
+/**
+ * Patrones para proponer la asignación de columnas a partir del encabezado
+ * Se prueban en este orden y cada columna se asigna como mucho a un campo
+ */
+const HEADER_PATTERNS = [
+  ['date', /fecha|date|booking|operaci/],
+  ['debit', /cargo|debe|debit|salida/],
+  ['credit', /abono|haber|credit|entrada/],
+  ['amount', /importe|monto|amount|cantidad/],
+  ['description', /concepto|descrip|detalle|description|memo|payee|beneficiario|referencia/],
+  ['category', /categor/],
+  ['currency', /moneda|divisa|currency/]
+];
+
+const columnIndex = Joi.number().integer().min(0);
+
+/**
+ * Esquema de las opciones comunes a todos los formatos: categorías por defecto, cuenta y moneda
+ */
+const baseOptionsSchema = Joi.object({
+  default_category_expense: Joi.string().max(100).allow('', null).optional(),
+  default_category_income: Joi.string().max(100).allow('', null).optional(),
+  account_id: Joi.number().integer().positive().allow(null).optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).allow(null, '').optional()
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    })
+});
+
+/**
+ * Esquema de las opciones de importación de CSV
+ */
+const csvOptionsSchema = baseOptionsSchema.keys({
+  delimiter: Joi.string().valid(',', ';', '\t', '|').optional()
+    .messages({
+      'any.only': 'El separador debe ser coma, punto y coma, tabulador o barra vertical'
+    }),
+  decimal_separator: Joi.string().valid('.', ',').default('.')
+    .messages({
+      'any.only': 'El separador decimal debe ser punto o coma'
+    }),
+  date_format: Joi.string().valid(...DATE_FORMATS).default('YYYY-MM-DD')
+    .messages({
+      'any.only': `El formato de fecha debe ser uno de: ${DATE_FORMATS.join(', ')}`
+    }),
+  sign_convention: Joi.string().valid(...SIGN_CONVENTIONS).default('negative_expense')
+    .messages({
+      'any.only': `La convención de signo debe ser una de: ${SIGN_CONVENTIONS.join(', ')}`
+    }),
+  has_header: Joi.boolean().default(true),
+  mapping: Joi.object(Object.fromEntries(MAPPING_FIELDS.map(field => [field, columnIndex.allow(null).optional()]))).optional()
+    .messages({
+      'object.unknown': `Los campos asignables son: ${MAPPING_FIELDS.join(', ')}`
+    })
+});
+
+/**
+ * Esquema de las opciones de importación de QIF
+ * Quicken en inglés escribe las fechas como mes/día/año; otros programas, como día/mes/año
+ */
+const qifOptionsSchema = baseOptionsSchema.keys({
+  decimal_separator: Joi.string().valid('.', ',').default('.')
+    .messages({
+      'any.only': 'El separador decimal debe ser punto o coma'
+    }),
+  date_format: Joi.string().valid('MM/DD/YYYY', 'DD/MM/YYYY').default('MM/DD/YYYY')
+    .messages({
+      'any.only': 'El formato de fecha debe ser MM/DD/YYYY o DD/MM/YYYY'
+    })
+});
+
+/**
+ * Convierte un importe escrito en el archivo a número
+ * Admite símbolos de moneda, separadores de miles, signo al final ("12,50-") y paréntesis
+ * para los negativos
+ * @param {string} text - Importe tal como aparece en el archivo
+ * @param {string} decimalSeparator - '.' o ','
+ * @returns {number} Importe (NaN si no es un número)
+ */
+function parseAmount(text, decimalSeparator = '.') {
+  let value = String(text || '').replace(/[\s ]/g, '').replace(/[^\d.,()+-]/g, '');
+  if (!value) {
+    return NaN;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(value)) {
+    negative = true;
+    value = value.slice(1, -1);
+  }
+  if (value.endsWith('-')) {
+    negative = true;
+    value = value.slice(0, -1);
+  }
+
+  value = decimalSeparator === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+
+  if (!/^[+-]?\d*\.?\d+$/.test(value)) {
+    return NaN;
+  }
+  const amount = parseFloat(value);
+  return negative ? -amount : amount;
+}
+
+/**
+ * Convierte una fecha escrita en el archivo a formato YYYY-MM-DD
+ * @param {string} text - Fecha tal como aparece en el archivo
+ * @param {string} format - Uno de DATE_FORMATS
+ * @returns {string|null} Fecha en formato YYYY-MM-DD o null si no es válida
+ */
+function parseDate(text, format) {
+  const value = String(text || '').trim();
+  const patterns = {
+    'YYYY-MM-DD': [/^(\d{4})-(\d{1,2})-(\d{1,2})/, ['year', 'month', 'day']],
+    'DD/MM/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/, ['day', 'month', 'year']],
+    'MM/DD/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/, ['month', 'day', 'year']],
+    'DD-MM-YYYY': [/^(\d{1,2})-(\d{1,2})-(\d{2}|\d{4})$/, ['day', 'month', 'year']],
+    'DD.MM.YYYY': [/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/, ['day', 'month', 'year']],
+    'YYYYMMDD': [/^(\d{4})(\d{2})(\d{2})$/, ['year', 'month', 'day']]
+  };
+
+  const [pattern, order] = patterns[format];
+  const match = value.match(pattern);
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  order.forEach((part, index) => {
+    parts[part] = parseInt(match[index + 1], 10);
+  });
+  if (parts.year < 100) {
+    parts.year += 2000;
+  }
+
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (date.getUTCFullYear() !== parts.year || date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Propone la asignación de columnas a partir de los nombres del encabezado
+ * @param {Array<string>} header - Nombres de las columnas
+ * @returns {Object} Índice de columna por campo
+ */
+function guessMapping(header) {
+  const normalized = header.map(name => name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+  const mapping = {};
+  const used = new Set();
+
+  for (const [field, pattern] of HEADER_PATTERNS) {
+    const index = normalized.findIndex((name, i) => !used.has(i) && pattern.test(name));
+    if (index !== -1) {
+      mapping[field] = index;
+      used.add(index);
+    }
+  }
+
+  // Con columna de importe no hacen falta las de cargo y abono
+  if (mapping.amount !== undefined && (mapping.debit === undefined || mapping.credit === undefined)) {
+    delete mapping.debit;
+    delete mapping.credit;
+  }
+  return mapping;
+}
+
+/**
+ * Valida las opciones de importación
+ * @param {Object} schema - Esquema del formato
+ * @param {Object} options - Opciones recibidas
+ * @returns {Object} Opciones con los valores por defecto aplicados
+ */
+function validateOptions(schema, options = {}) {
+  const { error, value } = schema.validate(options || {}, { abortEarly: false });
+  if (error) {
+    const errorMessage = error.details.map(detail => detail.message).join(', ');
+    const e = new Error(errorMessage);
+    e.name = 'ValidationError';
+    throw e;
+  }
+  return value;
+}
+
+/**
+ * Lanza un ValidationError si el contenido del archivo está vacío
+ * @param {string} content - Contenido del archivo
+ * @param {string} format - Nombre del formato para el mensaje
+ */
+function requireContent(content, format) {
+  if (!content || !String(content).trim()) {
+    const e = new Error(`El contenido ${format} es requerido`);
+    e.name = 'ValidationError';
+    throw e;
+  }
+}
+
+/**
+ * Une el nombre y la nota de un movimiento en su descripción
+ * La nota suele ampliar el nombre; solo se agrega si aporta algo
+ * @param {string|null} name - Nombre del movimiento (beneficiario o concepto)
+ * @param {string|null} memo - Nota del movimiento
+ * @returns {string|null} Descripción
+ */
+function joinDescription(name, memo) {
+  return name && memo && !name.includes(memo) ? `${name} - ${memo}` : name || memo;
+}
+
+/**
+ * Descripción de un movimiento de extracto (camt.053 o MT940)
+ * La transacción guarda la fecha de contabilización; si la fecha valor es distinta se
+ * conserva al final de la descripción
+ * @param {Object} movement - Movimiento leído del extracto
+ * @returns {string|null} "Contraparte - Concepto (valor YYYY-MM-DD)"
+ */
+function statementDescription(movement) {
+  const base = joinDescription(movement.counterparty, movement.remittance);
+  if (!movement.valueDate || !movement.bookingDate || movement.valueDate === movement.bookingDate) {
+    return base;
+  }
+  const suffix = ` (valor ${movement.valueDate})`;
+  return `${(base || '').slice(0, 255 - suffix.length)}${suffix}`.trim();
+}
+
+/**
+ * Convierte los movimientos de un extracto camt.053 o MT940 en filas candidatas
+ * Los apuntes pendientes no se importan: su importe y su fecha aún pueden cambiar.
+ * @param {Object} statement - { currency, movements } leído por parseCamt053 o parseMt940
+ * @param {Object} settings - Opciones de importación validadas
+ * @returns {Array<Object>} Filas { line, external_id, booking_date, value_date, data, errors }
+ */
+function statementRows(statement, settings) {
+  return statement.movements.map(movement => {
+    const errors = [];
+    if (!movement.booked) {
+      errors.push('El movimiento está pendiente de contabilizar');
+    }
+    const date = movement.bookingDate || movement.valueDate;
+    if (!date) {
+      errors.push('El movimiento no tiene una fecha válida');
+    }
+
+    const data = toTransactionData({
+      signed: movement.amount,
+      rawAmount: movement.rawAmount,
+      date,
+      description: statementDescription(movement),
+      currency: settings.currency || movement.currency || statement.currency
+    }, settings, errors);
+
+    return {
+      line: movement.line,
+      external_id: movement.reference || null,
+      booking_date: movement.bookingDate,
+      value_date: movement.valueDate,
+      data,
+      errors
+    };
+  });
+}
+
+/**
+ * Separa una ruta de categoría QIF en sus niveles
+ * @param {string} path - Ruta de la categoría ("Auto:Combustible")
+ * @returns {Array<string>} Nombres de las categorías, de la principal a la última
+ */
+function categorySegments(path) {
+  return path.split(':').map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Normaliza una ruta de categoría QIF (" Auto : Combustible" → "Auto:Combustible")
+ * @param {string} path - Ruta de la categoría
+ * @returns {string} Ruta sin espacios alrededor de cada nivel
+ */
+function categoryPath(path) {
+  return categorySegments(path).join(':');
+}
+
+/**
+ * Construye los datos de una transacción a partir de un movimiento leído del archivo
+ * Los importes positivos son ingresos y los negativos gastos; las filas sin categoría ni
+ * divisiones usan la categoría por defecto de su tipo, y la cuenta y la moneda de las opciones.
+ * @param {Object} movement - { signed, rawAmount, date, description, category, splits, currency }
+ * @param {Object} settings - Opciones de importación validadas
+ * @param {Array<string>} errors - Lista a la que se agregan los errores de lectura
+ * @returns {Object} Datos de la transacción (pueden ser incompletos si hubo errores)
+ */
+function toTransactionData({ signed, rawAmount, date, description, category, splits, currency }, settings, errors) {
+  let type;
+  if (isNaN(signed)) {
+    errors.push(`El importe "${rawAmount || ''}" no es un número`);
+  } else if (signed === 0) {
+    errors.push('El importe es 0');
+  } else {
+    type = signed < 0 ? 'expense' : 'income';
+  }
+
+  const data = {
+    type,
+    amount: isNaN(signed) ? undefined : Math.round(Math.abs(signed) * 100) / 100,
+    description: (description || '').slice(0, 255) || undefined,
+    date: date || undefined
+  };
+
+  if (splits && splits.length > 0) {
+    data.splits = splits;
+  } else {
+    const categoryName = category ||
+      (type === 'income' ? settings.default_category_income : settings.default_category_expense);
+    if (categoryName) {
+      data.category = categoryName;
+    }
+  }
+  if (settings.account_id) {
+    data.account_id = settings.account_id;
+  }
+  const currencyCode = currency || settings.currency;
+  if (currencyCode) {
+    data.currency = currencyCode.toUpperCase();
+  }
+
+  return data;
+}
+
+/**
+ * Mensaje de error de una fila a partir de un error de validación
+ * Los errores de categoría traen la lista de categorías válidas, que en la importación sobra
+ * @param {Error} error - Error lanzado al validar o resolver la fila
+ * @returns {string} Mensaje
+ */
+function rowErrorMessage(error) {
+  return error.validCategories ? error.message.split('. Categorías válidas:')[0] : error.message;
+}
+
+/**
+ * Indica si un error de escritura se debe a un movimiento bancario que ya se importó en la
+ * cuenta (índice único de account_id y external_id)
+ * @param {Error} error - Error de la base de datos
+ * @returns {boolean} true si es un conflicto de external_id
+ */
+function isExternalIdConflict(error) {
+  return error.code === '23505'
+    ? error.constraint === 'idx_transactions_external_id'
+    : /UNIQUE constraint failed: transactions\.account_id, transactions\.external_id/.test(error.message || '');
+}
+
+class Import {
+  /**
+   * Lee un CSV a filas candidatas según las opciones de importación
+   * @param {string} csv - Contenido del archivo
+   * @param {Object} options - Opciones de importación (ver csvOptionsSchema)
+   * @returns {Object} { options, columns, mapping, rows } donde cada fila es { line, fields, data, errors }
+   */
+  static readCsv(csv, options = {}) {
+    requireContent(csv, 'CSV');
+
+    const settings = validateOptions(csvOptionsSchema, options);
+    const delimiter = settings.delimiter || detectDelimiter(csv);
+    const records = parseCsv(csv, delimiter);
+    const width = Math.max(0, ...records.map(record => record.fields.length));
+
+    const header = settings.has_header && records.length > 0 ? records[0].fields : null;
+    const columns = Array.from({ length: width }, (_, index) => (header && header[index]) || `Columna ${index + 1}`);
+    const dataRecords = header ? records.slice(1) : records;
+
+    const mapping = settings.mapping
+      ? Object.fromEntries(Object.entries(settings.mapping).filter(([, index]) => index !== null && index !== undefined))
+      : (header ? guessMapping(header) : {});
+
+    const missing = [];
+    if (mapping.date === undefined) {
+      missing.push('fecha');
+    }
+    if (mapping.description === undefined) {
+      missing.push('descripción');
+    }
+    if (settings.sign_convention === 'debit_credit'
+      ? mapping.debit === undefined && mapping.credit === undefined
+      : mapping.amount === undefined) {
+      missing.push(settings.sign_convention === 'debit_credit' ? 'cargo o abono' : 'importe');
+    }
+
+    const rows = dataRecords.map(record => {
+      const row = { line: record.line, fields: record.fields, data: null, errors: [] };
+      if (missing.length > 0) {
+        row.errors.push(`Asigna una columna a: ${missing.join(', ')}`);
+        return row;
+      }
+      row.data = this.csvRecordToTransaction(record.fields, mapping, settings, row.errors);
+      return row;
+    });
+
+    return {
+      options: { ...settings, delimiter },
+      columns,
+      mapping,
+      rows
+    };
+  }
+
+  /**
+   * Convierte los campos de una fila del CSV en los datos de una transacción
+   * @param {Array<string>} fields - Campos de la fila
+   * @param {Object} mapping - Índice de columna por campo
+   * @param {Object} settings - Opciones de importación validadas
+   * @param {Array<string>} errors - Lista a la que se agregan los errores de lectura
+   * @returns {Object} Datos de la transacción (pueden ser incompletos si hubo errores)
+   */
+  static csvRecordToTransaction(fields, mapping, settings, errors) {
+    const field = name => (mapping[name] !== undefined ? (fields[mapping[name]] || '').trim() : '');
+
+    const date = parseDate(field('date'), settings.date_format);
+    if (!date) {
+      errors.push(`La fecha "${field('date')}" no tiene el formato ${settings.date_format}`);
+    }
+
+    let signed = NaN;
+    if (settings.sign_convention === 'debit_credit') {
+      const debit = field('debit') ? parseAmount(field('debit'), settings.decimal_separator) : 0;
+      const credit = field('credit') ? parseAmount(field('credit'), settings.decimal_separator) : 0;
+      if (!isNaN(debit) && !isNaN(credit)) {
+        signed = Math.abs(credit) - Math.abs(debit);
+      }
+    } else {
+      const amount = parseAmount(field('amount'), settings.decimal_separator);
+      signed = settings.sign_convention === 'negative_income' ? -amount : amount;
+    }
+
+    return toTransactionData({
+      signed,
+      rawAmount: field('amount') || field('debit') || field('credit'),
+      date,
+      description: field('description'),
+      category: field('category'),
+      currency: field('currency')
+    }, settings, errors);
+  }
+
+  /**
+   * Lee un extracto OFX/QFX a filas candidatas
+   * Cada movimiento conserva su FITID como external_id para no importarlo dos veces.
+   * @param {string} ofx - Contenido del archivo
+   * @param {Object} options - Opciones de importación (categorías por defecto, cuenta y moneda)
+   * @returns {Object} { options, currency, rows } donde cada fila es { line, external_id, data, errors }
+   */
+  static readOfx(ofx, options = {}) {
+    requireContent(ofx, 'OFX');
+
+    const settings = validateOptions(baseOptionsSchema, options);
+    const statement = parseOfx(ofx);
+
+    const rows = statement.transactions.map(movement => {
+      const errors = [];
+      if (!movement.date) {
+        errors.push(`La fecha "${movement.rawDate || ''}" no es válida`);
+      }
+
+      const data = toTransactionData({
+        signed: movement.amount,
+        rawAmount: movement.rawAmount,
+        date: movement.date,
+        description: joinDescription(movement.name, movement.memo),
+        currency: settings.currency || statement.currency
+      }, settings, errors);
+
+      return { line: movement.line, external_id: movement.fitid || null, data, errors };
+    });
+
+    return {
+      options: settings,
+      currency: statement.currency,
+      rows
+    };
+  }
+
+  /**
+   * Lee un extracto camt.053 (XML ISO 20022) a filas candidatas
+   * La transacción toma la fecha de contabilización (BookgDt) y la descripción reúne la
+   * contraparte, el concepto de la remesa y la fecha valor (ValDt) si es distinta. La
+   * referencia del banco (AcctSvcrRef) se guarda como external_id.
+   * @param {string} camt - Contenido del archivo
+   * @param {Object} options - Opciones de importación (categorías por defecto, cuenta y moneda)
+   * @returns {Object} { options, currency, rows } donde cada fila es
+   *          { line, external_id, booking_date, value_date, data, errors }
+   */
+  static readCamt053(camt, options = {}) {
+    requireContent(camt, 'camt.053');
+
+    const settings = validateOptions(baseOptionsSchema, options);
+    const statement = parseCamt053(camt);
+
+    return {
+      options: settings,
+      currency: statement.currency,
+      rows: statementRows(statement, settings)
+    };
+  }
+
+  /**
+   * Lee un extracto MT940 a filas candidatas
+   * La transacción toma la fecha de contabilización del campo :61: (o la fecha valor si no
+   * viene) y la descripción reúne la contraparte y el concepto del campo :86:. La referencia
+   * del banco se guarda como external_id.
+   * @param {string} mt940 - Contenido del archivo
+   * @param {Object} options - Opciones de importación (categorías por defecto, cuenta y moneda)
+   * @returns {Object} { options, currency, rows } donde cada fila es
+   *          { line, external_id, booking_date, value_date, data, errors }
+   */
+  static readMt940(mt940, options = {}) {
+    requireContent(mt940, 'MT940');
+
+    const settings = validateOptions(baseOptionsSchema, options);
+    const statement = parseMt940(mt940);
+
+    return {
+      options: settings,
+      currency: statement.currency,
+      rows: statementRows(statement, settings)
+    };
+  }
+
+  /**
+   * Lee un archivo QIF a filas candidatas
+   * Las filas llevan la ruta completa de cada categoría ("Principal:Sub"); resolveCategoryPaths
+   * la traduce al nombre de la categoría. Las divisiones (S, $ y E) se convierten en divisiones
+   * de la transacción. Las transferencias entre cuentas ([Cuenta]) no se importan.
+   * @param {string} qif - Contenido del archivo
+   * @param {Object} options - Opciones de importación (formato de fecha, separador decimal,
+   *        categorías por defecto, cuenta y moneda)
+   * @returns {Object} { options, categoryTypes, rows } donde cada fila es
+   *          { line, category_paths, data, errors }
+   */
+  static readQif(qif, options = {}) {
+    requireContent(qif, 'QIF');
+
+    const settings = validateOptions(qifOptionsSchema, options);
+    const { categoryTypes, transactions } = parseQif(qif);
+    const order = settings.date_format === 'DD/MM/YYYY' ? 'DMY' : 'MDY';
+
+    const rows = transactions.map(movement => {
+      const errors = [];
+      const date = parseQifDate(movement.date, order);
+      if (!date) {
+        errors.push(`La fecha "${movement.date || ''}" no tiene el formato ${settings.date_format}`);
+      }
+
+      const signed = parseAmount(movement.amount, settings.decimal_separator);
+      const type = signed < 0 ? 'expense' : 'income';
+      const defaultCategory = type === 'income' ? settings.default_category_income : settings.default_category_expense;
+
+      const transfers = [movement.transfer, ...movement.splits.map(split => split.transfer)].filter(Boolean);
+      if (transfers.length > 0) {
+        errors.push(`Las transferencias entre cuentas no se importan (cuenta "${transfers[0]}")`);
+      }
+
+      const splits = [];
+      for (const split of movement.splits.filter(line => !line.transfer)) {
+        const amount = parseAmount(split.amount, settings.decimal_separator);
+        if (isNaN(amount)) {
+          errors.push(`El importe de la división "${split.amount || ''}" no es un número`);
+          continue;
+        }
+        if (amount === 0) {
+          continue;
+        }
+        if (!isNaN(signed) && Math.sign(amount) !== Math.sign(signed)) {
+          errors.push('La transacción dividida mezcla ingresos y gastos');
+          break;
+        }
+        splits.push({
+          category: split.category ? categoryPath(split.category) : defaultCategory,
+          amount: Math.round(Math.abs(amount) * 100) / 100,
+          ...(split.memo ? { memo: split.memo.slice(0, 255) } : {})
+        });
+      }
+
+      const data = toTransactionData({
+        signed,
+        rawAmount: movement.amount,
+        date,
+        description: joinDescription(movement.payee, movement.memo),
+        category: movement.category ? categoryPath(movement.category) : null,
+        splits
+      }, settings, errors);
+
+      const categoryPaths = splits.length > 0
+        ? movement.splits.map(split => split.category).filter(Boolean).map(categoryPath)
+        : [movement.category].filter(Boolean).map(categoryPath);
+
+      return { line: movement.line, category_paths: categoryPaths, data, errors };
+    });
+
+    return {
+      options: settings,
+      categoryTypes,
+      rows
+    };
+  }
+
+  /**
+   * Resuelve las rutas de categoría QIF de unas filas y calcula las categorías que faltan
+   * Cada nivel de la ruta ("Principal:Sub") se busca entre las subcategorías del nivel
+   * anterior, así que "Coche:Seguro" y "Casa:Seguro" son categorías distintas. Como los nombres
+   * de categoría son únicos, un nivel que no existe se crea con su nombre o, si ese nombre ya
+   * lo usa otra categoría, con su ruta completa ("Casa:Seguro"). Se crea como subcategoría del
+   * nivel anterior si es del mismo tipo; el tipo es el declarado en la sección !Type:Cat del
+   * archivo o, si no aparece, el de la primera transacción que la usa.
+   * @param {Array} rows - Filas { category_paths, data, errors }; se ignoran las que tienen errores
+   * @param {Map} categoryTypes - Tipos declarados en el archivo por ruta en minúsculas
+   * @returns {Promise<Object>} { categories, names } con las categorías { name, type, parent }
+   *          en orden de creación y el nombre de categoría de cada ruta en minúsculas
+   */
+  static async resolveCategoryPaths(rows, categoryTypes = new Map()) {
+    const categories = [];
+    const resolved = new Map();
+    const names = new Map();
+
+    const isNameTaken = async (name) => (
+      categories.some(category => category.name.toLowerCase() === name.toLowerCase()) ||
+      Boolean(await Category.getByName(name))
+    );
+
+    // Una categoría existente es el nivel buscado si cuelga del nivel anterior o lleva la ruta
+    // completa como nombre. Las que se crearon sin padre por ser de otro tipo que el nivel
+    // anterior se reconocen por su nombre.
+    const findExisting = async (name, path, parent) => {
+      const byName = await Category.getByName(name);
+      if (byName && (!parent || (parent.id && byName.parent_id === parent.id) || (!byName.parent_id && byName.type !== parent.type))) {
+        return byName;
+      }
+      return parent ? await Category.getByName(path) : null;
+    };
+
+    for (const row of rows) {
+      if (row.errors.length > 0 || !row.category_paths) {
+        continue;
+      }
+
+      for (const fullPath of row.category_paths) {
+        const segments = categorySegments(fullPath);
+        let parent = null;
+
+        for (let index = 0; index < segments.length; index++) {
+          const path = segments.slice(0, index + 1).join(':');
+          const key = path.toLowerCase();
+
+          let current = resolved.get(key) || await findExisting(segments[index], path, parent);
+          if (!current) {
+            const type = categoryTypes.get(key) || row.data.type;
+            current = {
+              name: await isNameTaken(segments[index]) ? path : segments[index],
+              type,
+              parent: parent && parent.type === type ? parent.name : null
+            };
+            categories.push(current);
+          }
+
+          resolved.set(key, current);
+          parent = current;
+        }
+
+        names.set(fullPath.toLowerCase(), parent.name);
+      }
+    }
+
+    return { categories, names };
+  }
+
+  /**
+   * Reemplaza las rutas de categoría de las filas por los nombres de categoría resueltos
+   * @param {Array} rows - Filas { data }
+   * @param {Map} names - Nombre de categoría por ruta en minúsculas
+   * @returns {Array} Las mismas filas con los nombres de categoría
+   */
+  static applyCategoryNames(rows, names) {
+    const rename = category => (category && names.get(category.toLowerCase())) || category;
+
+    return rows.map(row => ({
+      ...row,
+      data: {
+        ...row.data,
+        category: rename(row.data.category),
+        ...(row.data.splits ? { splits: row.data.splits.map(split => ({ ...split, category: rename(split.category) })) } : {})
+      }
+    }));
+  }
+
+  /**
+   * Filtra las categorías pendientes que usan las filas válidas, junto con sus padres
+   * @param {Array} categories - Categorías { name, type, parent } en orden de creación
+   * @param {Array} rows - Filas validadas
+   * @returns {Array} Categorías necesarias, en el mismo orden
+   */
+  static usedCategories(categories, rows) {
+    const byName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+    const used = new Set();
+
+    for (const row of rows) {
+      if (row.errors.length > 0 || row.duplicate) {
+        continue;
+      }
+      const names = [row.data.category, ...(row.data.splits || []).map(split => split.category)].filter(Boolean);
+      for (const name of names) {
+        let category = byName.get(name.toLowerCase());
+        while (category && !used.has(category)) {
+          used.add(category);
+          category = category.parent ? byName.get(category.parent.toLowerCase()) : null;
+        }
+      }
+    }
+
+    return categories.filter(category => used.has(category));
+  }
+
+  /**
+   * Construye las consultas que crean las categorías pendientes de una importación
+   * Van al principio de la transacción; el padre puede ser una categoría existente o una de
+   * las que se crean antes en la misma transacción.
+   * @param {Array} categories - Categorías { name, type, parent } en orden de creación
+   * @returns {Promise<Array>} Consultas {query, params}
+   */
+  static async categoryQueries(categories) {
+    const queries = [];
+    for (const category of categories) {
+      let parentId = null;
+      if (category.parent) {
+        const index = categories.findIndex(other => other.name.toLowerCase() === category.parent.toLowerCase());
+        parentId = index >= 0
+          ? results => Transaction.insertedId(results, index)
+          : (await Category.getByName(category.parent)).id;
+      }
+      queries.push(Category.insertQuery(category, parentId));
+    }
+    return queries;
+  }
+
+  /**
+   * Marca las filas cuyo movimiento ya se importó en la misma cuenta o se repite en el archivo
+   * Solo se comprueban las filas con external_id; las marcadas llevan duplicate: true.
+   * @param {Array} rows - Filas { line, external_id, data, errors }
+   * @returns {Promise<Array>} Las mismas filas con la propiedad duplicate
+   */
+  static async markDuplicates(rows) {
+    const importedByAccount = new Map();
+    const seen = new Set();
+    const marked = [];
+
+    for (const row of rows) {
+      if (!row.external_id || row.errors.length > 0) {
+        marked.push({ ...row, duplicate: false });
+        continue;
+      }
+
+      let accountId;
+      try {
+        accountId = await Transaction.resolveAccountId(row.data.account_id);
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        marked.push({ ...row, duplicate: false });
+        continue;
+      }
+
+      if (!importedByAccount.has(accountId)) {
+        importedByAccount.set(accountId, await Transaction.getExternalIds(accountId));
+      }
+      const key = `${accountId}:${row.external_id}`;
+      const duplicate = importedByAccount.get(accountId).has(row.external_id) || seen.has(key);
+      seen.add(key);
+      marked.push({ ...row, duplicate });
+    }
+
+    return marked;
+  }
+
+  /**
+   * Valida las filas candidatas como lo haría Transaction.create, sin guardar nada
+   * Las filas sin errores de lectura se validan con Transaction.validate y, si pasan, se
+   * comprueba que su cuenta y su categoría existan. Las filas duplicadas no se validan.
+   * @param {Array} rows - Filas { line, data, errors, duplicate }
+   * @param {Array} pendingCategories - Categorías { name, type } que se crearán antes de importar
+   * @returns {Promise<Array>} Las mismas filas con los errores de validación agregados
+   */
+  static async validateRows(rows, pendingCategories = []) {
+    const pending = new Map(pendingCategories.map(category => [category.name.toLowerCase(), category]));
+    const validated = [];
+
+    for (const row of rows) {
+      if (row.errors.length > 0 || row.duplicate) {
+        validated.push(row);
+        continue;
+      }
+
+      const { error, value } = Transaction.validate(row.data);
+      if (error) {
+        validated.push({ ...row, errors: error.details.map(detail => detail.message) });
+        continue;
+      }
+
+      try {
+        await Transaction.resolveAccountId(value.account_id);
+        if (pending.size === 0) {
+          await Transaction.resolveCategories(value);
+        } else {
+          await this.resolvePendingCategories(value, pending);
+        }
+        validated.push(row);
+      } catch (resolveError) {
+        if (resolveError.name !== 'ValidationError') {
+          throw resolveError;
+        }
+        validated.push({ ...row, errors: [rowErrorMessage(resolveError)] });
+      }
+    }
+
+    return validated;
+  }
+
+  /**
+   * Resuelve las categorías de una transacción teniendo en cuenta las que se crearán
+   * Hace lo mismo que Transaction.resolveCategories; una categoría pendiente toma como ID el
+   * de la categoría pendiente (una función de los resultados de la transacción al confirmar).
+   * @param {Object} value - Datos validados de la transacción
+   * @param {Map} pending - Categorías pendientes { name, type, id } por nombre en minúsculas
+   * @returns {Promise<Object>} { category_id, category, splits }
+   */
+  static async resolvePendingCategories(value, pending) {
+    const resolve = async ({ category, category_id: categoryId }) => {
+      const pendingCategory = category && pending.get(category.toLowerCase());
+      if (!pendingCategory) {
+        return await Transaction.resolveCategory({ category, category_id: categoryId }, value.type);
+      }
+      if (pendingCategory.type !== value.type) {
+        const e = new Error(`La categoría "${pendingCategory.name}" se creará como categoría de ${pendingCategory.type === 'income' ? 'ingresos' : 'gastos'}`);
+        e.name = 'ValidationError';
+        throw e;
+      }
+      return { category_id: pendingCategory.id, category: pendingCategory.name };
+    };
+
+    const main = await resolve(value.category || value.category_id ? value : value.splits[0]);
+    const splits = [];
+    for (const split of value.splits || []) {
+      splits.push({ ...split, ...(await resolve(split)) });
+    }
+    return { ...main, splits };
+  }
+
+  /**
+   * Resume las filas de una vista previa
+   * @param {Array} rows - Filas validadas
+   * @returns {Object} { total, valid, duplicates, invalid }
+   */
+  static summarize(rows) {
+    const invalid = rows.filter(row => row.errors.length > 0).length;
+    const duplicates = rows.filter(row => row.duplicate && row.errors.length === 0).length;
+    return { total: rows.length, valid: rows.length - invalid - duplicates, duplicates, invalid };
+  }
+
+  /**
+   * Vista previa de unas filas candidatas: marca las duplicadas y valida el resto
+   * @param {Array} rows - Filas { line, data, errors } leídas de cualquier formato
+   * @param {Array} pendingCategories - Categorías { name, type } que se crearán antes de importar
+   * @returns {Promise<Object>} { rows, total, valid, duplicates, invalid }
+   */
+  static async previewRows(rows, pendingCategories = []) {
+    const validated = await this.validateRows(await this.markDuplicates(rows), pendingCategories);
+    return { rows: validated, ...this.summarize(validated) };
+  }
+
+  /**
+   * Guarda las filas válidas en una única transacción de base de datos
+   * Las filas cuyo movimiento ya se importó se omiten. Las categorías pendientes se crean en
+   * la misma transacción, antes que las filas, y solo si hay alguna fila que guardar. Si la
+   * escritura falla no se guarda nada.
+   * @param {Array} rows - Filas { line, external_id, data, errors }
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @param {Array} categories - Categorías { name, type, parent } que se crean con las filas
+   * @param {boolean} retryOnConflict - Si una importación simultánea guardó antes alguno de los
+   *        movimientos, se vuelve a intentar una vez omitiéndolos
+   * @returns {Promise<Object>} { created, skipped, failed, errors: [{ line, errors }], transaction_ids }
+   *          y, si se indicaron categorías, categories_created
+   */
+  static async commitRows(rows, createdBy = null, categories = [], retryOnConflict = true) {
+    const pending = new Map(categories.map((category, index) => [
+      category.name.toLowerCase(),
+      { ...category, id: results => Transaction.insertedId(results, index) }
+    ]));
+    const resolveCategories = pending.size > 0
+      ? value => this.resolvePendingCategories(value, pending)
+      : undefined;
+    const prepared = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const row of await this.markDuplicates(rows)) {
+      if (row.errors.length > 0) {
+        errors.push({ line: row.line, errors: row.errors });
+        continue;
+      }
+      if (row.duplicate) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        prepared.push({ ...(await Transaction.prepareCreate(row.data, resolveCategories)), externalId: row.external_id });
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        errors.push({ line: row.line, errors: [rowErrorMessage(error)] });
+      }
+    }
+
+    const transactionIds = [];
+    const categoryIds = [];
+    if (prepared.length > 0) {
+      try {
+        const queries = await this.categoryQueries(categories);
+        const offsets = [];
+        for (const transaction of prepared) {
+          offsets.push(queries.length);
+          queries.push(...Transaction.createQueries(transaction, createdBy, queries.length));
+        }
+
+        const results = await dbManager.transaction(queries);
+        categoryIds.push(...categories.map((category, index) => Transaction.insertedId(results, index)));
+        transactionIds.push(...offsets.map(offset => Transaction.insertedId(results, offset)));
+      } catch (error) {
+        if (retryOnConflict && isExternalIdConflict(error)) {
+          return await this.commitRows(rows, createdBy, categories, false);
+        }
+        console.error('Error importando transacciones:', error);
+        throw new Error('Error al importar las transacciones');
+      }
+    }
+
+    const result = {
+      created: transactionIds.length,
+      skipped,
+      failed: errors.length,
+      errors,
+      transaction_ids: transactionIds
+    };
+    if (categories.length > 0) {
+      result.categories_created = await Promise.all(categoryIds.map(id => Category.getById(id)));
+    }
+    return result;
+  }
+
+  /**
+   * Vista previa de la importación de un CSV
+   * @param {string} csv - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @returns {Promise<Object>} { options, columns, mapping, rows, total, valid, duplicates, invalid }
+   */
+  static async previewCsv(csv, options = {}) {
+    const { rows, ...parsed } = this.readCsv(csv, options);
+    return { ...parsed, ...(await this.previewRows(rows)) };
+  }
+
+  /**
+   * Importa las filas válidas de un CSV
+   * @param {string} csv - Contenido del archivo
+   * @param {Object} options - Opciones de importación (las mismas de la vista previa)
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @returns {Promise<Object>} { created, skipped, failed, errors, transaction_ids }
+   */
+  static async importCsv(csv, options = {}, createdBy = null) {
+    const { rows } = this.readCsv(csv, options);
+    return await this.commitRows(rows, createdBy);
+  }
+
+  /**
+   * Vista previa de la importación de un extracto OFX/QFX
+   * @param {string} ofx - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @returns {Promise<Object>} { options, currency, rows, total, valid, duplicates, invalid }
+   */
+  static async previewOfx(ofx, options = {}) {
+    const { rows, ...parsed } = this.readOfx(ofx, options);
+    return { ...parsed, ...(await this.previewRows(rows)) };
+  }
+
+  /**
+   * Importa los movimientos de un extracto OFX/QFX, omitiendo los ya importados
+   * @param {string} ofx - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @returns {Promise<Object>} { created, skipped, failed, errors, transaction_ids }
+   */
+  static async importOfx(ofx, options = {}, createdBy = null) {
+    const { rows } = this.readOfx(ofx, options);
+    return await this.commitRows(rows, createdBy);
+  }
+
+  /**
+   * Vista previa de la importación de un extracto camt.053
+   * @param {string} camt - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @returns {Promise<Object>} { options, currency, rows, total, valid, duplicates, invalid }
+   */
+  static async previewCamt053(camt, options = {}) {
+    const { rows, ...parsed } = this.readCamt053(camt, options);
+    return { ...parsed, ...(await this.previewRows(rows)) };
+  }
+
+  /**
+   * Importa los movimientos de un extracto camt.053, omitiendo los ya importados
+   * @param {string} camt - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @returns {Promise<Object>} { created, skipped, failed, errors, transaction_ids }
+   */
+  static async importCamt053(camt, options = {}, createdBy = null) {
+    const { rows } = this.readCamt053(camt, options);
+    return await this.commitRows(rows, createdBy);
+  }
+
+  /**
+   * Vista previa de la importación de un extracto MT940
+   * @param {string} mt940 - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @returns {Promise<Object>} { options, currency, rows, total, valid, duplicates, invalid }
+   */
+  static async previewMt940(mt940, options = {}) {
+    const { rows, ...parsed } = this.readMt940(mt940, options);
+    return { ...parsed, ...(await this.previewRows(rows)) };
+  }
+
+  /**
+   * Importa los movimientos de un extracto MT940, omitiendo los ya importados
+   * @param {string} mt940 - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @returns {Promise<Object>} { created, skipped, failed, errors, transaction_ids }
+   */
+  static async importMt940(mt940, options = {}, createdBy = null) {
+    const { rows } = this.readMt940(mt940, options);
+    return await this.commitRows(rows, createdBy);
+  }
+
+  /**
+   * Importa un archivo QIF, creando las categorías que no existan
+   * Solo se crean las categorías de las filas que se pueden importar, en la misma transacción
+   * que las filas. En modo de prueba no se guarda nada y se devuelve la vista previa con las
+   * categorías que se crearían.
+   * @param {string} qif - Contenido del archivo
+   * @param {Object} options - Opciones de importación
+   * @param {number|null} createdBy - ID del miembro que importa
+   * @param {boolean} dryRun - Si es true solo se devuelve la vista previa
+   * @returns {Promise<Object>} En modo de prueba { options, dry_run, categories_to_create, rows,
+   *          total, valid, duplicates, invalid }; si no { created, skipped, failed, errors,
+   *          transaction_ids, categories_created }
+   */
+  static async importQif(qif, options = {}, createdBy = null, dryRun = false) {
+    const { rows: parsedRows, categoryTypes, options: settings } = this.readQif(qif, options);
+    const { categories, names } = await this.resolveCategoryPaths(parsedRows, categoryTypes);
+    const rows = this.applyCategoryNames(parsedRows, names);
+
+    // Validar con las categorías pendientes y crear solo las que usan las filas válidas
+    const preview = await this.previewRows(rows, categories);
+    const categoriesToCreate = this.usedCategories(categories, preview.rows);
+
+    if (dryRun) {
+      return { options: settings, dry_run: true, categories_to_create: categoriesToCreate, ...preview };
+    }
+
+    return { categories_created: [], ...(await this.commitRows(rows, createdBy, categoriesToCreate)) };
+  }
+}
+
+Import.DATE_FORMATS = DATE_FORMATS;
+Import.SIGN_CONVENTIONS = SIGN_CONVENTIONS;
+Import.MAPPING_FIELDS = MAPPING_FIELDS;
+
+module.exports = Import;
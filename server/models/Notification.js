@@ -0,0 +1,262 @@
+/**
+ * Modelo de Notificación
+ * Las notificaciones se generan al evaluar las reglas de notificación después de cada
+ * escritura de transacciones. Cada aviso se guarda una sola vez por regla y periodo
+ * (dedupe_key): el gasto por categoría avisa una vez por mes, el gasto grande una vez
+ * por transacción y el saldo bajo como mucho una vez al día.
+ */
+
+const dbManager = require('../config/database');
+const Account = require('./Account');
+const ExchangeRate = require('./ExchangeRate');
+const NotificationRule = require('./NotificationRule');
+const Setting = require('./Setting');
+const Transaction = require('./Transaction');
+const { toISODate, monthRange } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+const STATUSES = ['read', 'unread'];
+
+class Notification {
+  /**
+   * Normaliza una fila de notifications
+   * @param {Object} row - Fila de notifications
+   * @returns {Object} Notificación con el indicador read
+   */
+  static format(row) {
+    return { ...row, read: Boolean(row.read_at) };
+  }
+
+  /**
+   * Obtiene las notificaciones, de la más reciente a la más antigua
+   * @param {Object} filters - Filtros (status: 'read' o 'unread')
+   * @returns {Promise<Array>} Notificaciones
+   */
+  static async getAll(filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      const e = new Error(`El estado debe ser uno de: ${STATUSES.join(', ')}`);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    let whereClause = '';
+    if (filters.status === 'read') {
+      whereClause = 'WHERE read_at IS NOT NULL';
+    } else if (filters.status === 'unread') {
+      whereClause = 'WHERE read_at IS NULL';
+    }
+
+    try {
+      const notifications = await dbManager.query(
+        `SELECT * FROM notifications ${whereClause} ORDER BY created_at DESC, id DESC`
+      );
+      return notifications.map(notification => this.format(notification));
+    } catch (error) {
+      console.error('Error obteniendo notificaciones:', error);
+      throw new Error('Error al obtener las notificaciones');
+    }
+  }
+
+  /**
+   * Obtiene una notificación por ID
+   * @param {number} id - ID de la notificación
+   * @returns {Promise<Object|null>} Notificación encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM notifications WHERE id = $1'
+        : 'SELECT * FROM notifications WHERE id = ?';
+
+      const notifications = await dbManager.query(query, [id]);
+      return notifications.length > 0 ? this.format(notifications[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo notificación por ID:', error);
+      throw new Error('Error al obtener la notificación');
+    }
+  }
+
+  /**
+   * Marca una notificación como leída o no leída
+   * @param {number} id - ID de la notificación
+   * @param {boolean} read - True para marcarla como leída
+   * @returns {Promise<Object|null>} Notificación actualizada o null si no existe
+   */
+  static async setRead(id, read = true) {
+    if (typeof read !== 'boolean') {
+      const e = new Error('El campo read debe ser true o false');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+      const readAt = read ? (isPostgres ? 'NOW()' : 'CURRENT_TIMESTAMP') : 'NULL';
+      await dbManager.query(
+        isPostgres
+          ? `UPDATE notifications SET read_at = ${readAt} WHERE id = $1`
+          : `UPDATE notifications SET read_at = ${readAt} WHERE id = ?`,
+        [id]
+      );
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando notificación:', error);
+      throw new Error('Error al actualizar la notificación');
+    }
+  }
+
+  /**
+   * Marca como leídas todas las notificaciones pendientes
+   * @returns {Promise<number>} Cantidad de notificaciones marcadas
+   */
+  static async markAllRead() {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('UPDATE notifications SET read_at = NOW() WHERE read_at IS NULL RETURNING id');
+        return result.length;
+      } else {
+        const result = await dbManager.query('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE read_at IS NULL');
+        return result.changes;
+      }
+    } catch (error) {
+      console.error('Error marcando notificaciones como leídas:', error);
+      throw new Error('Error al marcar las notificaciones como leídas');
+    }
+  }
+
+  /**
+   * Guarda una notificación si la regla no avisó ya para la misma clave
+   * @param {Object} rule - Regla que genera el aviso
+   * @param {string} dedupeKey - Clave del periodo o la transacción avisada
+   * @param {string} message - Texto de la notificación
+   * @param {number|null} transactionId - Transacción que disparó el aviso
+   * @returns {Promise<boolean>} True si se creó una notificación nueva
+   */
+  static async record(rule, dedupeKey, message, transactionId = null) {
+    const params = [rule.id, rule.type, message, transactionId, dedupeKey];
+    if (dbManager.getDatabaseType() === 'postgresql') {
+      const result = await dbManager.query(`
+        INSERT INTO notifications (rule_id, type, message, transaction_id, dedupe_key, created_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (rule_id, dedupe_key) DO NOTHING
+        RETURNING id
+      `, params);
+      return result.length > 0;
+    }
+
+    const result = await dbManager.query(`
+      INSERT INTO notifications (rule_id, type, message, transaction_id, dedupe_key)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (rule_id, dedupe_key) DO NOTHING
+    `, params);
+    return result.changes > 0;
+  }
+
+  /**
+   * Evalúa todas las reglas y guarda las notificaciones que correspondan
+   * Se ejecuta después de cada escritura de transacciones. Sin transacción (por ejemplo,
+   * tras registrar las recurrentes) se evalúan el gasto del mes actual y los saldos.
+   * @param {Object|null} transaction - Transacción creada o actualizada
+   * @returns {Promise<number>} Cantidad de notificaciones nuevas
+   */
+  static async evaluate(transaction = null) {
+    try {
+      const rules = await NotificationRule.getAll();
+      if (rules.length === 0) {
+        return 0;
+      }
+
+      const baseCurrency = await Setting.getBaseCurrency();
+      const isExpense = !transaction || (transaction.type === 'expense' && !transaction.transfer_id);
+      const month = (transaction ? toISODate(transaction.date) : toISODate(new Date())).slice(0, 7);
+      const today = toISODate(new Date());
+      let spentByCategoryId = null;
+      let balances = null;
+      let created = 0;
+
+      for (const rule of rules) {
+        if (rule.type === 'category_spend' && isExpense) {
+          if (!spentByCategoryId) {
+            spentByCategoryId = await this.getSpentByCategory(month);
+          }
+          const spent = spentByCategoryId.get(rule.category_id) || 0;
+          if (spent > rule.threshold) {
+            const message = `El gasto en ${rule.category} en ${month} (${formatAmount(spent, baseCurrency)}) supera el límite de ${formatAmount(rule.threshold, baseCurrency)}`;
+            created += await this.record(rule, month, message, transaction ? transaction.id : null) ? 1 : 0;
+          }
+        } else if (rule.type === 'large_transaction' && transaction && isExpense) {
+          const amount = await this.getConvertedAmount(transaction.id, baseCurrency);
+          if (amount > rule.threshold) {
+            const message = `Gasto de ${formatAmount(amount, baseCurrency)} en "${transaction.description}" supera el umbral de ${formatAmount(rule.threshold, baseCurrency)}`;
+            created += await this.record(rule, `transaction:${transaction.id}`, message, transaction.id) ? 1 : 0;
+          }
+        } else if (rule.type === 'low_balance') {
+          if (!balances) {
+            balances = await Account.getBalances();
+          }
+          const balance = rule.account_id
+            ? (balances.find(account => account.id === rule.account_id) || {}).balance
+            : roundAmount(balances.reduce((sum, account) => sum + account.balance, 0));
+          if (balance !== undefined && balance < rule.threshold) {
+            const target = rule.account_id ? `de la cuenta ${rule.account_name}` : 'total de las cuentas';
+            const message = `El saldo ${target} (${formatAmount(balance, baseCurrency)}) está por debajo de ${formatAmount(rule.threshold, baseCurrency)}`;
+            created += await this.record(rule, today, message, transaction ? transaction.id : null) ? 1 : 0;
+          }
+        }
+      }
+
+      return created;
+    } catch (error) {
+      console.error('Error evaluando reglas de notificación:', error);
+      throw new Error('Error al evaluar las reglas de notificación');
+    }
+  }
+
+  /**
+   * Gasto de un mes por categoría, con las subcategorías incluidas en su categoría padre
+   * @param {string} month - Mes en formato YYYY-MM
+   * @returns {Promise<Map>} Gasto por ID de categoría en la moneda base
+   */
+  static async getSpentByCategory(month) {
+    const statistics = await Transaction.getStatistics(monthRange(month));
+    const spentByCategoryId = new Map();
+    const collect = (nodes) => {
+      for (const node of nodes) {
+        if (node.id) {
+          spentByCategoryId.set(node.id, node.total);
+        }
+        collect(node.children);
+      }
+    };
+    collect(statistics.expensesByCategoryTree);
+    return spentByCategoryId;
+  }
+
+  /**
+   * Importe de una transacción convertido a la moneda base
+   * @param {number} id - ID de la transacción
+   * @param {string} baseCurrency - Moneda base
+   * @returns {Promise<number>} Importe convertido (0 si no hay cotización)
+   */
+  static async getConvertedAmount(id, baseCurrency) {
+    const query = `
+      SELECT ${ExchangeRate.convertedAmountSql('t', baseCurrency)} as converted_amount
+      FROM transactions t
+      WHERE t.id = ${dbManager.getDatabaseType() === 'postgresql' ? '$1' : '?'}
+    `;
+    const rows = await dbManager.query(query, [id]);
+    return rows.length > 0 ? roundAmount(rows[0].converted_amount) : 0;
+  }
+}
+
+/**
+ * Formatea un importe para el texto de una notificación
+ * @param {number} amount - Importe
+ * @param {string} currency - Código de moneda
+ * @returns {string} Importe con dos decimales y su moneda
+ */
+function formatAmount(amount, currency) {
+  return `${roundAmount(amount).toFixed(2)} ${currency}`;
+}
+
+module.exports = Notification;
@@ -0,0 +1,243 @@
+/**
+ * Modelo de Regla de Notificación
+ * Cada regla define un umbral que, al superarse, genera una notificación:
+ *  - category_spend: el gasto del mes en una categoría (con sus subcategorías) supera el umbral
+ *  - large_transaction: un gasto individual supera el umbral
+ *  - low_balance: el saldo de una cuenta (o el total de todas si no se indica) baja del umbral
+ * Los importes se comparan en la moneda base.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Transaction = require('./Transaction');
+
+const RULE_TYPES = ['category_spend', 'large_transaction', 'low_balance'];
+
+/**
+ * Esquema de validación para reglas de notificación
+ */
+const ruleSchema = Joi.object({
+  type: Joi.string().valid(...RULE_TYPES).required()
+    .messages({
+      'any.only': `El tipo de regla debe ser uno de: ${RULE_TYPES.join(', ')}`,
+      'any.required': 'El tipo de regla es requerido'
+    }),
+  threshold: Joi.number().precision(2).required()
+    .messages({
+      'number.base': 'El umbral debe ser un número',
+      'any.required': 'El umbral es requerido'
+    }),
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100).optional()
+    .messages({
+      'string.min': 'La categoría no puede estar vacía'
+    }),
+  account_id: Joi.number().integer().positive().allow(null).optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    })
+});
+
+/**
+ * Consulta base de reglas junto con el nombre de su categoría o cuenta
+ */
+const SELECT_RULES = `
+  SELECT r.*, c.name as category, c.icon as category_icon, a.name as account_name
+  FROM notification_rules r
+  LEFT JOIN categories c ON c.id = r.category_id
+  LEFT JOIN accounts a ON a.id = r.account_id
+`;
+
+class NotificationRule {
+  /**
+   * Valida los datos de una regla
+   * @param {Object} data - Datos de la regla
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return ruleSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Normaliza una fila de notification_rules
+   * @param {Object} row - Fila obtenida con SELECT_RULES
+   * @returns {Object} Regla con el umbral numérico
+   */
+  static format(row) {
+    return { ...row, threshold: parseFloat(row.threshold) };
+  }
+
+  /**
+   * Obtiene todas las reglas
+   * @returns {Promise<Array>} Reglas ordenadas por tipo
+   */
+  static async getAll() {
+    try {
+      const rules = await dbManager.query(`${SELECT_RULES} ORDER BY r.type ASC, r.id ASC`);
+      return rules.map(rule => this.format(rule));
+    } catch (error) {
+      console.error('Error obteniendo reglas de notificación:', error);
+      throw new Error('Error al obtener las reglas de notificación');
+    }
+  }
+
+  /**
+   * Obtiene una regla por ID
+   * @param {number} id - ID de la regla
+   * @returns {Promise<Object|null>} Regla encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_RULES} WHERE r.id = $1`
+        : `${SELECT_RULES} WHERE r.id = ?`;
+
+      const rules = await dbManager.query(query, [id]);
+      return rules.length > 0 ? this.format(rules[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo regla de notificación por ID:', error);
+      throw new Error('Error al obtener la regla de notificación');
+    }
+  }
+
+  /**
+   * Valida los datos y resuelve la categoría o la cuenta de una regla
+   * @param {Object} data - Datos de la regla
+   * @param {Object|null} current - Regla actual al editar (conserva su categoría aunque esté archivada)
+   * @returns {Promise<Array>} Valores en el orden de las columnas de notification_rules
+   */
+  static async prepare(data, current = null) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const hasCategory = Boolean(value.category || value.category_id);
+    let message = null;
+    if (value.type !== 'low_balance' && value.threshold <= 0) {
+      message = 'El umbral debe ser mayor a 0';
+    } else if (value.type === 'category_spend' && !hasCategory) {
+      message = 'La regla de gasto por categoría requiere una categoría';
+    } else if (value.type !== 'category_spend' && hasCategory) {
+      message = 'Solo las reglas de gasto por categoría admiten una categoría';
+    } else if (value.type !== 'low_balance' && value.account_id) {
+      message = 'Solo las reglas de saldo bajo admiten una cuenta';
+    }
+    if (message) {
+      const e = new Error(message);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    let categoryId = null;
+    let accountId = null;
+    if (value.type === 'category_spend') {
+      ({ category_id: categoryId } = await Transaction.resolveCategory(
+        value,
+        'expense',
+        current && current.category_id ? [current.category_id] : []
+      ));
+    } else if (value.type === 'low_balance' && value.account_id) {
+      accountId = await Transaction.resolveAccountId(value.account_id);
+    }
+
+    return [value.type, value.threshold, categoryId, accountId];
+  }
+
+  /**
+   * Crea una nueva regla de notificación
+   * @param {Object} data - Datos de la regla
+   * @returns {Promise<Object>} Regla creada
+   */
+  static async create(data) {
+    const values = await this.prepare(data);
+
+    try {
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO notification_rules (type, threshold, category_id, account_id, created_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          RETURNING id
+        `, values);
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO notification_rules (type, threshold, category_id, account_id)
+          VALUES (?, ?, ?, ?)
+        `, values);
+        id = result.lastID;
+      }
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error creando regla de notificación:', error);
+      throw new Error('Error al crear la regla de notificación');
+    }
+  }
+
+  /**
+   * Actualiza una regla de notificación
+   * @param {number} id - ID de la regla
+   * @param {Object} data - Nuevos datos de la regla
+   * @returns {Promise<Object|null>} Regla actualizada o null si no existe
+   */
+  static async update(id, data) {
+    const current = await this.getById(id);
+    if (!current) {
+      return null;
+    }
+
+    const values = await this.prepare(data, current);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          UPDATE notification_rules
+          SET type = $1, threshold = $2, category_id = $3, account_id = $4, updated_at = NOW()
+          WHERE id = $5
+        `
+        : `
+          UPDATE notification_rules
+          SET type = ?, threshold = ?, category_id = ?, account_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+      await dbManager.query(query, [...values, id]);
+
+      return await this.getById(id);
+    } catch (error) {
+      console.error('Error actualizando regla de notificación:', error);
+      throw new Error('Error al actualizar la regla de notificación');
+    }
+  }
+
+  /**
+   * Elimina una regla (las notificaciones ya generadas se conservan)
+   * @param {number} id - ID de la regla
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM notification_rules WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM notification_rules WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando regla de notificación:', error);
+      throw new Error('Error al eliminar la regla de notificación');
+    }
+  }
+}
+
+NotificationRule.RULE_TYPES = RULE_TYPES;
+
+module.exports = NotificationRule;
@@ -0,0 +1,211 @@
+/**
+ * Modelo de Participante
+ * Los participantes son las personas (con o sin usuario en la aplicación) entre las que se
+ * reparten los gastos compartidos y que se pagan entre sí para saldar las deudas.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+/**
+ * Esquema de validación para participantes
+ */
+const participantSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'El nombre del participante no puede estar vacío',
+      'string.max': 'El nombre del participante no puede exceder 100 caracteres',
+      'any.required': 'El nombre del participante es requerido'
+    })
+});
+
+class Participant {
+  /**
+   * Valida los datos de un participante
+   * @param {Object} data - Datos del participante
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return participantSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Obtiene todos los participantes
+   * @returns {Promise<Array>} Lista de participantes
+   */
+  static async getAll() {
+    try {
+      return await dbManager.query('SELECT * FROM participants ORDER BY name ASC');
+    } catch (error) {
+      console.error('Error obteniendo participantes:', error);
+      throw new Error('Error al obtener los participantes');
+    }
+  }
+
+  /**
+   * Obtiene un participante por ID
+   * @param {number} id - ID del participante
+   * @returns {Promise<Object|null>} Participante encontrado o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM participants WHERE id = $1'
+        : 'SELECT * FROM participants WHERE id = ?';
+
+      const participants = await dbManager.query(query, [id]);
+      return participants.length > 0 ? participants[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo participante por ID:', error);
+      throw new Error('Error al obtener el participante');
+    }
+  }
+
+  /**
+   * Obtiene un participante por nombre (sin distinguir mayúsculas)
+   * @param {string} name - Nombre del participante
+   * @returns {Promise<Object|null>} Participante encontrado o null
+   */
+  static async getByName(name) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT * FROM participants WHERE LOWER(name) = LOWER($1)'
+      : 'SELECT * FROM participants WHERE LOWER(name) = LOWER(?)';
+
+    const participants = await dbManager.query(query, [name]);
+    return participants.length > 0 ? participants[0] : null;
+  }
+
+  /**
+   * Obtiene varios participantes por ID
+   * Lanza un ValidationError si alguno no existe.
+   * @param {Array<number>} ids - IDs de participantes
+   * @returns {Promise<Map>} Participantes por ID
+   */
+  static async getByIds(ids) {
+    const uniqueIds = [...new Set(ids)];
+    const placeholders = dbManager.getDatabaseType() === 'postgresql'
+      ? uniqueIds.map((_, index) => `$${index + 1}`).join(', ')
+      : uniqueIds.map(() => '?').join(', ');
+
+    const participants = await dbManager.query(`SELECT * FROM participants WHERE id IN (${placeholders})`, uniqueIds);
+    const byId = new Map(participants.map(participant => [participant.id, participant]));
+
+    const missing = uniqueIds.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      const e = new Error(`El participante ${missing.join(', ')} no existe`);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    return byId;
+  }
+
+  /**
+   * Crea un nuevo participante
+   * @param {Object} data - Datos del participante
+   * @returns {Promise<Object>} Participante creado
+   */
+  static async create(data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (await this.getByName(value.name)) {
+      const e = new Error('Ya existe un participante con ese nombre');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('INSERT INTO participants (name, created_at) VALUES ($1, NOW()) RETURNING *', [value.name]);
+        return result[0];
+      } else {
+        const result = await dbManager.query('INSERT INTO participants (name) VALUES (?)', [value.name]);
+        return await this.getById(result.lastID);
+      }
+    } catch (error) {
+      console.error('Error creando participante:', error);
+      throw new Error('Error al crear el participante');
+    }
+  }
+
+  /**
+   * Renombra un participante
+   * @param {number} id - ID del participante
+   * @param {Object} data - Nuevos datos del participante
+   * @returns {Promise<Object|null>} Participante actualizado o null si no existe
+   */
+  static async update(id, data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const existing = await this.getByName(value.name);
+    if (existing && existing.id !== parseInt(id)) {
+      const e = new Error('Ya existe un participante con ese nombre');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('UPDATE participants SET name = $1 WHERE id = $2 RETURNING *', [value.name, id]);
+        return result.length > 0 ? result[0] : null;
+      } else {
+        const result = await dbManager.query('UPDATE participants SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [value.name, id]);
+        return result.changes > 0 ? await this.getById(id) : null;
+      }
+    } catch (error) {
+      console.error('Error actualizando participante:', error);
+      throw new Error('Error al actualizar el participante');
+    }
+  }
+
+  /**
+   * Elimina un participante que no tenga gastos compartidos ni pagos registrados
+   * @param {number} id - ID del participante
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const usageQuery = isPostgres
+      ? `SELECT
+          (SELECT COUNT(*) FROM shared_expenses WHERE paid_by = $1) +
+          (SELECT COUNT(*) FROM expense_shares WHERE participant_id = $1) +
+          (SELECT COUNT(*) FROM settlements WHERE from_participant_id = $1 OR to_participant_id = $1) as count`
+      : `SELECT
+          (SELECT COUNT(*) FROM shared_expenses WHERE paid_by = ?) +
+          (SELECT COUNT(*) FROM expense_shares WHERE participant_id = ?) +
+          (SELECT COUNT(*) FROM settlements WHERE from_participant_id = ? OR to_participant_id = ?) as count`;
+    const [{ count }] = await dbManager.query(usageQuery, isPostgres ? [id] : [id, id, id, id]);
+    if (parseInt(count) > 0) {
+      const e = new Error('No se puede eliminar el participante porque tiene gastos compartidos o pagos registrados');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      if (isPostgres) {
+        const result = await dbManager.query('DELETE FROM participants WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM participants WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando participante:', error);
+      throw new Error('Error al eliminar el participante');
+    }
+  }
+}
+
+module.exports = Participant;
@@ -0,0 +1,409 @@
+/**
+ * Modelo de Regla Recurrente
+ * Describe una transacción que se repite (alquiler, salario, suscripciones) con una
+ * frecuencia semanal, mensual o anual. El programador del servidor materializa las
+ * ocurrencias vencidas en la tabla transactions; el índice único (recurring_rule_id, date)
+ * y last_occurrence_date garantizan que ninguna ocurrencia se registre dos veces.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Setting = require('./Setting');
+const Transaction = require('./Transaction');
+const { toISODate, fromDbDate, addDays, clampedDate } = require('../utils/dates');
+
+/**
+ * Frecuencias soportadas
+ */
+const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * Esquema de validación para reglas recurrentes
+ */
+const recurringRuleSchema = Joi.object({
+  type: Joi.string().valid('income', 'expense').required()
+    .messages({
+      'any.only': 'El tipo debe ser "income" o "expense"',
+      'any.required': 'El tipo es requerido'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El monto debe ser mayor a 0',
+      'any.required': 'El monto es requerido'
+    }),
+  description: Joi.string().min(1).max(255).required()
+    .messages({
+      'string.min': 'La descripción no puede estar vacía',
+      'string.max': 'La descripción no puede exceder 255 caracteres',
+      'any.required': 'La descripción es requerida'
+    }),
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100)
+    .when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'La categoría no puede estar vacía',
+      'any.required': 'La categoría es requerida'
+    }),
+  account_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico'
+    }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).optional()
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    }),
+  frequency: Joi.string().valid(...FREQUENCIES).required()
+    .messages({
+      'any.only': 'La frecuencia debe ser "weekly", "monthly" o "yearly"',
+      'any.required': 'La frecuencia es requerida'
+    }),
+  day_of_month: Joi.number().integer().min(1).max(31).allow(null).optional()
+    .messages({
+      'number.min': 'El día del mes debe estar entre 1 y 31',
+      'number.max': 'El día del mes debe estar entre 1 y 31'
+    }),
+  start_date: Joi.date().iso().required()
+    .messages({
+      'date.format': 'La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)',
+      'any.required': 'La fecha de inicio es requerida'
+    }),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')).allow(null).optional()
+    .messages({
+      'date.format': 'La fecha de fin debe estar en formato ISO (YYYY-MM-DD)',
+      'date.min': 'La fecha de fin no puede ser anterior a la de inicio'
+    })
+});
+
+class RecurringRule {
+  /**
+   * Valida los datos de una regla recurrente
+   * @param {Object} data - Datos de la regla
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return recurringRuleSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Calcula las fechas de ocurrencia de una regla dentro de un rango
+   * Las reglas mensuales usan day_of_month (ajustado al último día en los meses cortos);
+   * las anuales repiten el día y mes de la fecha de inicio.
+   * @param {Object} rule - Regla con fechas en formato YYYY-MM-DD
+   * @param {string} from - Primera fecha del rango (incluida)
+   * @param {string} to - Última fecha del rango (incluida)
+   * @returns {Array<string>} Fechas en formato YYYY-MM-DD
+   */
+  static occurrencesBetween(rule, from, to) {
+    const dates = [];
+    const start = rule.start_date;
+    const lastDate = rule.end_date && rule.end_date < to ? rule.end_date : to;
+    const firstDate = from > start ? from : start;
+    if (firstDate > lastDate) {
+      return dates;
+    }
+
+    if (rule.frequency === 'weekly') {
+      const daysFromStart = Math.round((new Date(firstDate) - new Date(start)) / 86400000);
+      let date = addDays(start, Math.ceil(daysFromStart / 7) * 7);
+      while (date <= lastDate) {
+        dates.push(date);
+        date = addDays(date, 7);
+      }
+      return dates;
+    }
+
+    const [startYear, startMonth, startDay] = start.split('-').map(Number);
+    const day = rule.frequency === 'monthly' ? (rule.day_of_month || startDay) : startDay;
+    const monthStep = rule.frequency === 'monthly' ? 1 : 12;
+
+    for (let index = 0; ; index++) {
+      const monthOffset = startMonth - 1 + index * monthStep;
+      const date = clampedDate(startYear + Math.floor(monthOffset / 12), (monthOffset % 12) + 1, day);
+      if (date > lastDate) {
+        break;
+      }
+      if (date >= firstDate) {
+        dates.push(date);
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Da formato a una fila de recurring_rules e incluye la próxima ocurrencia pendiente
+   * @param {Object} row - Fila obtenida junto con los datos de su categoría
+   * @returns {Object} Regla recurrente
+   */
+  static format(row) {
+    const { category_name, ...rule } = row;
+    const formatted = {
+      ...rule,
+      category: category_name || rule.category,
+      amount: parseFloat(rule.amount),
+      start_date: fromDbDate(rule.start_date),
+      end_date: fromDbDate(rule.end_date),
+      last_occurrence_date: fromDbDate(rule.last_occurrence_date)
+    };
+
+    const from = pendingFrom(formatted);
+    formatted.next_occurrence = this.occurrencesBetween(formatted, from, addDays(from, 366))[0] || null;
+    return formatted;
+  }
+
+  /**
+   * Obtiene todas las reglas recurrentes
+   * @returns {Promise<Array>} Lista de reglas
+   */
+  static async getAll() {
+    try {
+      const rules = await dbManager.query(`
+        SELECT r.*, c.name as category_name, c.icon as category_icon
+        FROM recurring_rules r
+        LEFT JOIN categories c ON c.id = r.category_id
+        ORDER BY r.description ASC
+      `);
+      return rules.map(rule => this.format(rule));
+    } catch (error) {
+      console.error('Error obteniendo reglas recurrentes:', error);
+      throw new Error('Error al obtener las reglas recurrentes');
+    }
+  }
+
+  /**
+   * Obtiene una regla recurrente por ID
+   * @param {number} id - ID de la regla
+   * @returns {Promise<Object|null>} Regla encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = `
+        SELECT r.*, c.name as category_name, c.icon as category_icon
+        FROM recurring_rules r
+        LEFT JOIN categories c ON c.id = r.category_id
+        WHERE r.id = ${dbManager.getDatabaseType() === 'postgresql' ? '$1' : '?'}
+      `;
+      const rules = await dbManager.query(query, [id]);
+      return rules.length > 0 ? this.format(rules[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo regla recurrente por ID:', error);
+      throw new Error('Error al obtener la regla recurrente');
+    }
+  }
+
+  /**
+   * Valida los datos y resuelve cuenta, categoría y moneda de una regla
+   * @param {Object} data - Datos de la regla
+   * @param {Object|null} current - Regla actual al editar (conserva su categoría aunque esté archivada)
+   * @returns {Promise<Array>} Valores en el orden de las columnas de recurring_rules
+   */
+  static async prepare(data, current = null) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const accountId = await Transaction.resolveAccountId(value.account_id);
+    const { category_id: categoryId, category } = await Transaction.resolveCategory(
+      value,
+      value.type,
+      current && current.category_id ? [current.category_id] : []
+    );
+    const currency = value.currency || await Setting.getBaseCurrency();
+    const startDate = toISODate(value.start_date);
+    const dayOfMonth = value.frequency === 'monthly'
+      ? (value.day_of_month || Number(startDate.split('-')[2]))
+      : null;
+
+    return [
+      value.type, value.amount, value.description, categoryId, category, accountId, currency,
+      value.frequency, dayOfMonth, startDate, value.end_date ? toISODate(value.end_date) : null
+    ];
+  }
+
+  /**
+   * Crea una nueva regla recurrente
+   * Sus ocurrencias ya vencidas se registran después con materialize
+   * @param {Object} data - Datos de la regla
+   * @returns {Promise<Object>} Regla creada
+   */
+  static async create(data) {
+    const values = await this.prepare(data);
+
+    let id;
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO recurring_rules (type, amount, description, category_id, category, account_id, currency,
+            frequency, day_of_month, start_date, end_date, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+          RETURNING id
+        `, values);
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO recurring_rules (type, amount, description, category_id, category, account_id, currency,
+            frequency, day_of_month, start_date, end_date)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, values);
+        id = result.lastID;
+      }
+    } catch (error) {
+      console.error('Error creando regla recurrente:', error);
+      throw new Error('Error al crear la regla recurrente');
+    }
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Actualiza una regla recurrente
+   * Las ocurrencias ya registradas se conservan; los cambios aplican a las siguientes, que
+   * se registran después con materialize
+   * @param {number} id - ID de la regla
+   * @param {Object} data - Nuevos datos de la regla
+   * @returns {Promise<Object|null>} Regla actualizada o null si no existe
+   */
+  static async update(id, data) {
+    const current = await this.getById(id);
+    if (!current) {
+      return null;
+    }
+
+    const values = await this.prepare(data, current);
+
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          UPDATE recurring_rules
+          SET type = $1, amount = $2, description = $3, category_id = $4, category = $5, account_id = $6,
+            currency = $7, frequency = $8, day_of_month = $9, start_date = $10, end_date = $11, updated_at = NOW()
+          WHERE id = $12
+        `
+        : `
+          UPDATE recurring_rules
+          SET type = ?, amount = ?, description = ?, category_id = ?, category = ?, account_id = ?,
+            currency = ?, frequency = ?, day_of_month = ?, start_date = ?, end_date = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+      await dbManager.query(query, [...values, id]);
+    } catch (error) {
+      console.error('Error actualizando regla recurrente:', error);
+      throw new Error('Error al actualizar la regla recurrente');
+    }
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Elimina una regla recurrente
+   * Las transacciones ya generadas se conservan (recurring_rule_id pasa a NULL)
+   * @param {number} id - ID de la regla
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM recurring_rules WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM recurring_rules WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando regla recurrente:', error);
+      throw new Error('Error al eliminar la regla recurrente');
+    }
+  }
+
+  /**
+   * Registra como transacciones las ocurrencias vencidas de una regla
+   * Las inserciones y el avance de last_occurrence_date se hacen de forma atómica;
+   * una ocurrencia ya registrada para la misma fecha se omite.
+   * @param {Object} rule - Regla recurrente
+   * @param {string} today - Fecha actual (YYYY-MM-DD)
+   * @returns {Promise<Array<number>>} IDs de las transacciones creadas
+   */
+  static async materialize(rule, today = toISODate(new Date())) {
+    const dates = this.occurrencesBetween(rule, pendingFrom(rule), today);
+    if (dates.length === 0) {
+      return [];
+    }
+
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const insertQuery = isPostgres
+      ? `
+        INSERT INTO transactions (type, amount, description, category, category_id, date, account_id, currency, recurring_rule_id, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        ON CONFLICT (recurring_rule_id, date) DO NOTHING
+        RETURNING id
+      `
+      : `
+        INSERT INTO transactions (type, amount, description, category, category_id, date, account_id, currency, recurring_rule_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (recurring_rule_id, date) DO NOTHING
+      `;
+    const updateQuery = isPostgres
+      ? 'UPDATE recurring_rules SET last_occurrence_date = $1 WHERE id = $2'
+      : 'UPDATE recurring_rules SET last_occurrence_date = ? WHERE id = ?';
+
+    try {
+      const results = await dbManager.transaction([
+        ...dates.map(date => ({
+          query: insertQuery,
+          params: [rule.type, rule.amount, rule.description, rule.category, rule.category_id, date,
+            rule.account_id, rule.currency, rule.id]
+        })),
+        { query: updateQuery, params: [dates[dates.length - 1], rule.id] }
+      ]);
+
+      // Las ocurrencias omitidas por ON CONFLICT no devuelven filas (PostgreSQL) ni cambios (SQLite)
+      return results
+        .slice(0, dates.length)
+        .filter(result => (isPostgres ? result.length : result.changes) > 0)
+        .map(result => (isPostgres ? result[0].id : result.lastID));
+    } catch (error) {
+      console.error('Error registrando ocurrencias de la regla recurrente:', error);
+      throw new Error('Error al registrar las transacciones recurrentes');
+    }
+  }
+
+  /**
+   * Registra las ocurrencias vencidas de todas las reglas
+   * Lo ejecuta el programador del servidor al iniciar y una vez al día. Una regla que falla
+   * (por ejemplo, con una cuenta eliminada) se registra en el log y no impide procesar las
+   * demás; se reintentará en la siguiente ejecución.
+   * @param {string} today - Fecha actual (YYYY-MM-DD)
+   * @returns {Promise<Array<number>>} IDs de las transacciones creadas
+   */
+  static async materializeDue(today = toISODate(new Date())) {
+    const rules = await this.getAll();
+    const created = [];
+    for (const rule of rules) {
+      try {
+        created.push(...await this.materialize(rule, today));
+      } catch (error) {
+        console.error(`Error registrando la regla recurrente ${rule.id}:`, error);
+      }
+    }
+    return created;
+  }
+}
+
+/**
+ * Primera fecha a partir de la cual una regla tiene ocurrencias sin registrar
+ * @param {Object} rule - Regla recurrente
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function pendingFrom(rule) {
+  return rule.last_occurrence_date ? addDays(rule.last_occurrence_date, 1) : rule.start_date;
+}
+
+RecurringRule.FREQUENCIES = FREQUENCIES;
+
+module.exports = RecurringRule;
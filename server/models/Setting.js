@@ -0,0 +1,166 @@
+/**
+ * Modelo de Configuración
+ * Guarda ajustes generales del hogar como pares clave/valor (por ejemplo, la moneda base)
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+/**
+ * Moneda base por defecto si todavía no se ha configurado ninguna
+ */
+const DEFAULT_BASE_CURRENCY = (process.env.BASE_CURRENCY || 'EUR').toUpperCase();
+
+/**
+ * Modos de presupuesto: límites mensuales por categoría o sobres con arrastre de saldo
+ */
+const BUDGET_MODES = ['limits', 'envelopes'];
+
+/**
+ * Esquema de validación para la configuración editable
+ */
+const settingsSchema = Joi.object({
+  base_currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).optional()
+    .messages({
+      'string.pattern.base': 'La moneda base debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    }),
+  budget_mode: Joi.string().valid(...BUDGET_MODES).optional()
+    .messages({
+      'any.only': 'El modo de presupuesto debe ser "limits" o "envelopes"'
+    })
+});
+
+class Setting {
+  /**
+   * Valida los datos de configuración
+   * @param {Object} data - Datos de configuración
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return settingsSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Obtiene el valor de una clave de configuración
+   * @param {string} key - Clave
+   * @param {string} defaultValue - Valor por defecto si la clave no existe
+   * @returns {Promise<string>} Valor almacenado o valor por defecto
+   */
+  static async get(key, defaultValue = null) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT value FROM settings WHERE key = $1'
+        : 'SELECT value FROM settings WHERE key = ?';
+
+      const rows = await dbManager.query(query, [key]);
+      return rows.length > 0 ? rows[0].value : defaultValue;
+    } catch (error) {
+      console.error('Error obteniendo configuración:', error);
+      throw new Error('Error al obtener la configuración');
+    }
+  }
+
+  /**
+   * Guarda el valor de una clave de configuración
+   * @param {string} key - Clave
+   * @param {string} value - Valor
+   * @returns {Promise<void>}
+   */
+  static async set(key, value) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW())
+          ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = NOW()
+        `
+        : `
+          INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `;
+
+      await dbManager.query(query, [key, value]);
+    } catch (error) {
+      console.error('Error guardando configuración:', error);
+      throw new Error('Error al guardar la configuración');
+    }
+  }
+
+  /**
+   * Obtiene la moneda base del hogar
+   * @returns {Promise<string>} Código de moneda (ej: EUR)
+   */
+  static async getBaseCurrency() {
+    return await this.get('base_currency', DEFAULT_BASE_CURRENCY);
+  }
+
+  /**
+   * Obtiene el modo de presupuesto del hogar ('limits' por defecto)
+   * @returns {Promise<string>} 'limits' o 'envelopes'
+   */
+  static async getBudgetMode() {
+    return await this.get('budget_mode', BUDGET_MODES[0]);
+  }
+
+  /**
+   * Obtiene toda la configuración editable
+   * @returns {Promise<Object>} Configuración actual
+   */
+  static async getAll() {
+    return {
+      base_currency: await this.getBaseCurrency(),
+      budget_mode: await this.getBudgetMode()
+    };
+  }
+
+  /**
+   * Actualiza la configuración editable
+   * @param {Object} data - Nuevos valores
+   * @returns {Promise<Object>} Configuración actualizada
+   */
+  static async update(data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (value.base_currency) {
+      await this.set('base_currency', value.base_currency);
+    }
+
+    if (value.budget_mode) {
+      await this.set('budget_mode', value.budget_mode);
+    }
+
+    return await this.getAll();
+  }
+
+  /**
+   * Inicializa la moneda base y la asigna a las transacciones que no tienen moneda
+   * @returns {Promise<void>}
+   */
+  static async initializeBaseCurrency() {
+    try {
+      const stored = await this.get('base_currency');
+      if (!stored) {
+        await this.set('base_currency', DEFAULT_BASE_CURRENCY);
+      }
+
+      const baseCurrency = await this.getBaseCurrency();
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE transactions SET currency = $1 WHERE currency IS NULL'
+        : 'UPDATE transactions SET currency = ? WHERE currency IS NULL';
+      await dbManager.query(query, [baseCurrency]);
+
+      console.log(`✅ Moneda base: ${baseCurrency}`);
+    } catch (error) {
+      console.error('Error inicializando moneda base:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Setting;
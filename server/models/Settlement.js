@@ -0,0 +1,327 @@
+/**
+ * Modelo de Liquidación
+ * Calcula quién debe a quién a partir de los gastos compartidos y registra los pagos con los
+ * que los participantes saldan sus deudas. Los saldos y los pagos están en la moneda base:
+ * las partes de gastos en otra moneda se convierten con el tipo de cambio de su fecha.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+const Participant = require('./Participant');
+const Setting = require('./Setting');
+const { toISODate, fromDbDate } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Esquema de validación para los pagos entre participantes
+ */
+const settlementSchema = Joi.object({
+  from_participant_id: Joi.number().integer().positive().required()
+    .messages({
+      'number.base': 'El participante que paga debe ser un ID numérico',
+      'any.required': 'El participante que paga es requerido'
+    }),
+  to_participant_id: Joi.number().integer().positive().invalid(Joi.ref('from_participant_id')).required()
+    .messages({
+      'number.base': 'El participante que cobra debe ser un ID numérico',
+      'any.invalid': 'El participante que cobra debe ser distinto del que paga',
+      'any.required': 'El participante que cobra es requerido'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El monto debe ser mayor a 0',
+      'any.required': 'El monto es requerido'
+    }),
+  date: Joi.date().iso().optional()
+    .messages({
+      'date.format': 'La fecha debe estar en formato ISO (YYYY-MM-DD)'
+    }),
+  note: Joi.string().max(255).allow('', null).optional()
+    .messages({
+      'string.max': 'La nota no puede exceder 255 caracteres'
+    })
+});
+
+const SELECT_SETTLEMENTS = `
+  SELECT s.*, pf.name as from_name, pt.name as to_name
+  FROM settlements s
+  JOIN participants pf ON pf.id = s.from_participant_id
+  JOIN participants pt ON pt.id = s.to_participant_id
+`;
+
+/**
+ * Convierte una fila de settlements al formato de la API
+ * @param {Object} row - Fila obtenida con SELECT_SETTLEMENTS
+ * @returns {Object} Pago
+ */
+function formatSettlement(row) {
+  return {
+    ...row,
+    amount: parseFloat(row.amount),
+    date: fromDbDate(row.date)
+  };
+}
+
+class Settlement {
+  /**
+   * Valida los datos de un pago entre participantes
+   * @param {Object} data - Datos del pago
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return settlementSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Obtiene el historial de pagos entre participantes
+   * @returns {Promise<Array>} Pagos, del más reciente al más antiguo
+   */
+  static async getAll() {
+    try {
+      const settlements = await dbManager.query(`${SELECT_SETTLEMENTS} ORDER BY s.date DESC, s.id DESC`);
+      return settlements.map(formatSettlement);
+    } catch (error) {
+      console.error('Error obteniendo pagos entre participantes:', error);
+      throw new Error('Error al obtener los pagos entre participantes');
+    }
+  }
+
+  /**
+   * Obtiene un pago por ID
+   * @param {number} id - ID del pago
+   * @returns {Promise<Object|null>} Pago encontrado o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `${SELECT_SETTLEMENTS} WHERE s.id = $1`
+        : `${SELECT_SETTLEMENTS} WHERE s.id = ?`;
+
+      const settlements = await dbManager.query(query, [id]);
+      return settlements.length > 0 ? formatSettlement(settlements[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo pago por ID:', error);
+      throw new Error('Error al obtener el pago');
+    }
+  }
+
+  /**
+   * Registra un pago con el que un participante salda (total o parcialmente) su deuda con otro
+   * @param {Object} data - Datos del pago (importe en la moneda base)
+   * @returns {Promise<Object>} Pago registrado
+   */
+  static async create(data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    await Participant.getByIds([value.from_participant_id, value.to_participant_id]);
+
+    try {
+      const date = toISODate(value.date || new Date());
+      const params = [value.from_participant_id, value.to_participant_id, value.amount, date, value.note || null];
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(`
+          INSERT INTO settlements (from_participant_id, to_participant_id, amount, date, note, created_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+          RETURNING id
+        `, params);
+        return await this.getById(result[0].id);
+      } else {
+        const result = await dbManager.query(`
+          INSERT INTO settlements (from_participant_id, to_participant_id, amount, date, note)
+          VALUES (?, ?, ?, ?, ?)
+        `, params);
+        return await this.getById(result.lastID);
+      }
+    } catch (error) {
+      console.error('Error registrando pago entre participantes:', error);
+      throw new Error('Error al registrar el pago');
+    }
+  }
+
+  /**
+   * Elimina un pago registrado (la deuda que saldaba vuelve a quedar pendiente)
+   * @param {number} id - ID del pago
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM settlements WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM settlements WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando pago entre participantes:', error);
+      throw new Error('Error al eliminar el pago');
+    }
+  }
+
+  /**
+   * Calcula pagos que saldan todas las deudas
+   * Empareja en cada paso al mayor deudor con el mayor acreedor, de modo que cada pago deja
+   * saldado al menos a uno de los dos: nunca se necesitan más de n - 1 pagos, aunque no
+   * siempre es el mínimo posible.
+   * @param {Map} netCents - Saldo neto en céntimos por ID de participante (positivo: le deben)
+   * @returns {Array} Pagos [{ from_participant_id, to_participant_id, amount }]
+   */
+  static minimizePayments(netCents) {
+    const debtors = [];
+    const creditors = [];
+    for (const [participantId, cents] of netCents) {
+      if (cents < 0) {
+        debtors.push({ participantId, cents: -cents });
+      } else if (cents > 0) {
+        creditors.push({ participantId, cents });
+      }
+    }
+
+    const payments = [];
+    const byLargest = (a, b) => b.cents - a.cents || a.participantId - b.participantId;
+    while (debtors.length > 0 && creditors.length > 0) {
+      debtors.sort(byLargest);
+      creditors.sort(byLargest);
+      const debtor = debtors[0];
+      const creditor = creditors[0];
+      const cents = Math.min(debtor.cents, creditor.cents);
+
+      payments.push({
+        from_participant_id: debtor.participantId,
+        to_participant_id: creditor.participantId,
+        amount: cents / 100
+      });
+
+      debtor.cents -= cents;
+      creditor.cents -= cents;
+      if (debtor.cents === 0) {
+        debtors.shift();
+      }
+      if (creditor.cents === 0) {
+        creditors.shift();
+      }
+    }
+
+    return payments;
+  }
+
+  /**
+   * Obtiene quién debe a quién
+   * Cada participante de un gasto compartido distinto del pagador le debe su parte; los pagos
+   * registrados descuentan esa deuda. Las partes sin tipo de cambio no suman y se cuentan en
+   * missing_rates.
+   * @returns {Promise<Object>} { currency, balances, pairs, payments, missing_rates }
+   *          balances: saldo neto de cada participante (positivo: le deben, negativo: debe)
+   *          pairs: deuda pendiente entre cada par de participantes
+   *          payments: pagos sugeridos para saldar todas las deudas (como mucho n - 1)
+   */
+  static async getBalances() {
+    try {
+      const baseCurrency = await Setting.getBaseCurrency();
+
+      const [debts, settlements, participants] = await Promise.all([
+        dbManager.query(`
+          SELECT
+            debtor_id,
+            creditor_id,
+            SUM(converted_amount) as total,
+            SUM(CASE WHEN converted_amount IS NULL THEN 1 ELSE 0 END) as missing_rates
+          FROM (
+            SELECT s.debtor_id, s.creditor_id, ${ExchangeRate.convertedAmountSql('s', baseCurrency)} as converted_amount
+            FROM (
+              SELECT es.participant_id as debtor_id, se.paid_by as creditor_id, es.amount, t.currency, t.date
+              FROM expense_shares es
+              JOIN shared_expenses se ON se.transaction_id = es.transaction_id
+              JOIN transactions t ON t.id = es.transaction_id
+              WHERE es.participant_id <> se.paid_by
+            ) s
+          ) converted
+          GROUP BY debtor_id, creditor_id
+        `),
+        dbManager.query(`
+          SELECT from_participant_id, to_participant_id, SUM(amount) as total
+          FROM settlements
+          GROUP BY from_participant_id, to_participant_id
+        `),
+        Participant.getAll()
+      ]);
+
+      // Deuda en céntimos entre cada par, guardada en un solo sentido: clave "menor:mayor",
+      // positiva si el de menor ID debe al de mayor ID
+      const pairCents = new Map();
+      const addDebt = (debtorId, creditorId, amount) => {
+        const cents = Math.round(parseFloat(amount || 0) * 100);
+        const [low, high] = debtorId < creditorId ? [debtorId, creditorId] : [creditorId, debtorId];
+        const key = `${low}:${high}`;
+        const signed = debtorId === low ? cents : -cents;
+        pairCents.set(key, (pairCents.get(key) || 0) + signed);
+      };
+
+      let missingRates = 0;
+      for (const debt of debts) {
+        addDebt(debt.debtor_id, debt.creditor_id, debt.total);
+        missingRates += parseInt(debt.missing_rates) || 0;
+      }
+      // Un pago de A a B reduce lo que A debe a B
+      for (const settlement of settlements) {
+        addDebt(settlement.to_participant_id, settlement.from_participant_id, settlement.total);
+      }
+
+      const names = new Map(participants.map(participant => [participant.id, participant.name]));
+      const netCents = new Map(participants.map(participant => [participant.id, 0]));
+      const pairs = [];
+      for (const [key, cents] of pairCents) {
+        if (cents === 0) {
+          continue;
+        }
+        const [low, high] = key.split(':').map(Number);
+        const [fromId, toId] = cents > 0 ? [low, high] : [high, low];
+        const owed = Math.abs(cents);
+
+        netCents.set(fromId, netCents.get(fromId) - owed);
+        netCents.set(toId, netCents.get(toId) + owed);
+        pairs.push({
+          from_participant_id: fromId,
+          from_name: names.get(fromId),
+          to_participant_id: toId,
+          to_name: names.get(toId),
+          amount: owed / 100
+        });
+      }
+      pairs.sort((a, b) => b.amount - a.amount);
+
+      const balances = participants.map(participant => ({
+        participant_id: participant.id,
+        name: participant.name,
+        balance: roundAmount(netCents.get(participant.id) / 100)
+      }));
+
+      const payments = this.minimizePayments(netCents).map(payment => ({
+        ...payment,
+        from_name: names.get(payment.from_participant_id),
+        to_name: names.get(payment.to_participant_id)
+      }));
+
+      return {
+        currency: baseCurrency,
+        balances,
+        pairs,
+        payments,
+        missing_rates: missingRates
+      };
+    } catch (error) {
+      console.error('Error calculando saldos entre participantes:', error);
+      throw new Error('Error al calcular los saldos entre participantes');
+    }
+  }
+}
+
+module.exports = Settlement;
@@ -0,0 +1,233 @@
+/**
+ * Modelo de Gasto Compartido
+ * Un gasto puede repartirse entre varios participantes indicando quién lo pagó y cómo se
+ * divide: a partes iguales, por porcentajes o con importes exactos. Cada participante
+ * distinto del pagador le debe su parte; los saldos y liquidaciones están en Settlement.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Participant = require('./Participant');
+const { roundAmount, allocateAmount } = require('../utils/amounts');
+
+/**
+ * Formas de repartir un gasto compartido
+ */
+const METHODS = ['equal', 'percentage', 'exact'];
+
+/**
+ * Esquema de validación del reparto de un gasto (usado dentro del esquema de transacciones)
+ * value es el porcentaje (método percentage) o el importe (método exact) de cada participante
+ */
+const sharedExpenseSchema = Joi.object({
+  paid_by: Joi.number().integer().positive().required()
+    .messages({
+      'number.base': 'El pagador debe ser un ID de participante',
+      'any.required': 'Indica qué participante pagó el gasto compartido'
+    }),
+  method: Joi.string().valid(...METHODS).default('equal')
+    .messages({
+      'any.only': `El reparto debe ser uno de: ${METHODS.join(', ')}`
+    }),
+  participants: Joi.array().items(Joi.object({
+    participant_id: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'El participante debe ser un ID numérico',
+        'any.required': 'El participante es requerido'
+      }),
+    value: Joi.number().positive().precision(2).optional()
+      .messages({
+        'number.positive': 'La parte de cada participante debe ser mayor a 0'
+      })
+  })).min(1).unique('participant_id').required()
+    .messages({
+      'array.min': 'El gasto compartido necesita al menos un participante',
+      'array.unique': 'Los participantes del gasto compartido no pueden repetirse',
+      'any.required': 'Los participantes del gasto compartido son requeridos'
+    })
+});
+
+class SharedExpense {
+  /**
+   * Esquema Joi del reparto de un gasto (usado dentro del esquema de transacciones)
+   * @returns {Object} Esquema de validación
+   */
+  static schema() {
+    return sharedExpenseSchema;
+  }
+
+  /**
+   * Calcula la parte de cada participante según el método de reparto
+   * @param {number} amount - Monto del gasto
+   * @param {string} method - 'equal', 'percentage' o 'exact'
+   * @param {Array} participants - [{ participant_id, value }]
+   * @returns {Array} [{ participant_id, value, amount }]
+   */
+  static computeShares(amount, method, participants) {
+    const fail = (message) => {
+      const e = new Error(message);
+      e.name = 'ValidationError';
+      throw e;
+    };
+
+    if (method === 'equal') {
+      const amounts = allocateAmount(amount, participants.map(() => 1));
+      return participants.map((participant, index) => ({
+        participant_id: participant.participant_id,
+        value: null,
+        amount: amounts[index]
+      }));
+    }
+
+    if (participants.some(participant => participant.value === undefined)) {
+      fail(method === 'percentage'
+        ? 'Indica el porcentaje de cada participante'
+        : 'Indica el importe de cada participante');
+    }
+
+    const valuesTotal = roundAmount(participants.reduce((sum, participant) => sum + participant.value, 0));
+    if (method === 'percentage') {
+      if (valuesTotal !== 100) {
+        fail(`Los porcentajes deben sumar 100 (suman ${valuesTotal})`);
+      }
+      const amounts = allocateAmount(amount, participants.map(participant => participant.value));
+      return participants.map((participant, index) => ({
+        participant_id: participant.participant_id,
+        value: participant.value,
+        amount: amounts[index]
+      }));
+    }
+
+    if (valuesTotal !== roundAmount(amount)) {
+      fail(`La suma de las partes (${valuesTotal}) debe ser igual al monto (${amount})`);
+    }
+    return participants.map(participant => ({
+      participant_id: participant.participant_id,
+      value: participant.value,
+      amount: participant.value
+    }));
+  }
+
+  /**
+   * Resuelve el reparto de una transacción validada
+   * @param {Object} value - Datos validados de la transacción (type, amount y shared)
+   * @returns {Promise<Object|null>} { paid_by, method, shares } o null si no es compartida
+   */
+  static async resolve(value) {
+    const { shared } = value;
+    if (!shared) {
+      return null;
+    }
+
+    if (value.type !== 'expense') {
+      const e = new Error('Solo los gastos se pueden compartir');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    await Participant.getByIds([shared.paid_by, ...shared.participants.map(participant => participant.participant_id)]);
+
+    return {
+      paid_by: shared.paid_by,
+      method: shared.method,
+      shares: this.computeShares(value.amount, shared.method, shared.participants)
+    };
+  }
+
+  /**
+   * Obtiene el reparto de un conjunto de transacciones
+   * @param {Array<number>} transactionIds - IDs de las transacciones
+   * @returns {Promise<Map>} Reparto por ID de transacción:
+   *          { paid_by, paid_by_name, method, participants: [{ participant_id, name, value, amount }] }
+   */
+  static async getByTransactionIds(transactionIds) {
+    const sharedByTransaction = new Map();
+    if (transactionIds.length === 0) {
+      return sharedByTransaction;
+    }
+
+    try {
+      const placeholders = dbManager.getDatabaseType() === 'postgresql'
+        ? transactionIds.map((_, index) => `$${index + 1}`).join(', ')
+        : transactionIds.map(() => '?').join(', ');
+
+      const rows = await dbManager.query(`
+        SELECT se.transaction_id, se.paid_by, payer.name as paid_by_name, se.method,
+          es.participant_id, p.name, es.value, es.amount
+        FROM shared_expenses se
+        JOIN participants payer ON payer.id = se.paid_by
+        JOIN expense_shares es ON es.transaction_id = se.transaction_id
+        JOIN participants p ON p.id = es.participant_id
+        WHERE se.transaction_id IN (${placeholders})
+        ORDER BY es.id ASC
+      `, transactionIds);
+
+      for (const row of rows) {
+        if (!sharedByTransaction.has(row.transaction_id)) {
+          sharedByTransaction.set(row.transaction_id, {
+            paid_by: row.paid_by,
+            paid_by_name: row.paid_by_name,
+            method: row.method,
+            participants: []
+          });
+        }
+        sharedByTransaction.get(row.transaction_id).participants.push({
+          participant_id: row.participant_id,
+          name: row.name,
+          value: row.value === null ? null : parseFloat(row.value),
+          amount: parseFloat(row.amount)
+        });
+      }
+
+      return sharedByTransaction;
+    } catch (error) {
+      console.error('Error obteniendo gastos compartidos:', error);
+      throw new Error('Error al obtener los gastos compartidos');
+    }
+  }
+
+  /**
+   * Construye las consultas que reemplazan el reparto de una transacción
+   * Pensado para ejecutarse dentro de dbManager.transaction junto al INSERT/UPDATE
+   * de la transacción.
+   * @param {number|Function} transactionId - ID de la transacción, o función que lo
+   *        obtiene a partir de los resultados anteriores de la transacción
+   * @param {Object|null} shared - Reparto resuelto con resolve (null para quitarlo)
+   * @returns {Array} Consultas {query, params}
+   */
+  static replaceQueries(transactionId, shared = null) {
+    const resolveId = typeof transactionId === 'function'
+      ? transactionId
+      : () => transactionId;
+
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const deleteQuery = isPostgres
+      ? 'DELETE FROM shared_expenses WHERE transaction_id = $1'
+      : 'DELETE FROM shared_expenses WHERE transaction_id = ?';
+    const insertQuery = isPostgres
+      ? 'INSERT INTO shared_expenses (transaction_id, paid_by, method) VALUES ($1, $2, $3)'
+      : 'INSERT INTO shared_expenses (transaction_id, paid_by, method) VALUES (?, ?, ?)';
+    const insertShareQuery = isPostgres
+      ? 'INSERT INTO expense_shares (transaction_id, participant_id, value, amount) VALUES ($1, $2, $3, $4)'
+      : 'INSERT INTO expense_shares (transaction_id, participant_id, value, amount) VALUES (?, ?, ?, ?)';
+
+    // Las partes se borran en cascada con su gasto compartido
+    const queries = [{ query: deleteQuery, params: results => [resolveId(results)] }];
+    if (!shared) {
+      return queries;
+    }
+
+    return [
+      ...queries,
+      { query: insertQuery, params: results => [resolveId(results), shared.paid_by, shared.method] },
+      ...shared.shares.map(share => ({
+        query: insertShareQuery,
+        params: results => [resolveId(results), share.participant_id, share.value, share.amount]
+      }))
+    ];
+  }
+}
+
+SharedExpense.METHODS = METHODS;
+
+module.exports = SharedExpense;
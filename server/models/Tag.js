@@ -0,0 +1,395 @@
+/**
+ * Modelo de Etiqueta
+ * Las etiquetas son marcas libres (ej: "vacaciones 2026") que agrupan transacciones
+ * de distintas categorías. Una transacción puede tener varias etiquetas.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Esquema de validación para etiquetas
+ */
+const tagSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required()
+    .messages({
+      'string.empty': 'El nombre de la etiqueta no puede estar vacío',
+      'string.min': 'El nombre de la etiqueta no puede estar vacío',
+      'string.max': 'El nombre de la etiqueta no puede exceder 50 caracteres',
+      'any.required': 'El nombre de la etiqueta es requerido'
+    }),
+  color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional()
+    .messages({
+      'string.pattern.base': 'El color debe ser un código hexadecimal válido (ej: #FF0000)'
+    })
+});
+
+/**
+ * Esquema de la lista de etiquetas aceptada por las transacciones
+ */
+const tagNamesSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(50)
+    .messages({
+      'string.empty': 'Las etiquetas no pueden estar vacías',
+      'string.max': 'Cada etiqueta no puede exceder 50 caracteres'
+    }))
+  .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+  .messages({
+    'array.base': 'Las etiquetas deben ser una lista de nombres',
+    'array.unique': 'Las etiquetas no pueden repetirse'
+  });
+
+class Tag {
+  /**
+   * Valida los datos de una etiqueta
+   * @param {Object} data - Datos de la etiqueta
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return tagSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Esquema Joi de la lista de nombres de etiquetas de una transacción
+   * @returns {Object} Esquema de validación
+   */
+  static namesSchema() {
+    return tagNamesSchema;
+  }
+
+  /**
+   * Obtiene todas las etiquetas con la cantidad de transacciones que las usan
+   * @returns {Promise<Array>} Lista de etiquetas
+   */
+  static async getAll() {
+    try {
+      const query = `
+        SELECT g.*, COUNT(tt.transaction_id) as transaction_count
+        FROM tags g
+        LEFT JOIN transaction_tags tt ON tt.tag_id = g.id
+        GROUP BY g.id, g.name, g.color, g.created_at
+        ORDER BY g.name ASC
+      `;
+
+      const tags = await dbManager.query(query);
+      return tags.map(tag => ({
+        ...tag,
+        transaction_count: parseInt(tag.transaction_count)
+      }));
+    } catch (error) {
+      console.error('Error obteniendo etiquetas:', error);
+      throw new Error('Error al obtener las etiquetas');
+    }
+  }
+
+  /**
+   * Obtiene una etiqueta por ID
+   * @param {number} id - ID de la etiqueta
+   * @returns {Promise<Object|null>} Etiqueta encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM tags WHERE id = $1'
+        : 'SELECT * FROM tags WHERE id = ?';
+
+      const tags = await dbManager.query(query, [id]);
+      return tags.length > 0 ? tags[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo etiqueta por ID:', error);
+      throw new Error('Error al obtener la etiqueta');
+    }
+  }
+
+  /**
+   * Obtiene una etiqueta por nombre (sin distinguir mayúsculas)
+   * @param {string} name - Nombre de la etiqueta
+   * @returns {Promise<Object|null>} Etiqueta encontrada o null
+   */
+  static async getByName(name) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM tags WHERE LOWER(name) = LOWER($1)'
+        : 'SELECT * FROM tags WHERE LOWER(name) = LOWER(?)';
+
+      const tags = await dbManager.query(query, [name]);
+      return tags.length > 0 ? tags[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo etiqueta por nombre:', error);
+      throw new Error('Error al obtener la etiqueta');
+    }
+  }
+
+  /**
+   * Crea una nueva etiqueta
+   * @param {Object} data - Datos de la etiqueta
+   * @returns {Promise<Object>} Etiqueta creada
+   */
+  static async create(data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const existingTag = await this.getByName(value.name);
+    if (existingTag) {
+      const e = new Error('Ya existe una etiqueta con ese nombre');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { name, color } = value;
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = `
+          INSERT INTO tags (name, color, created_at)
+          VALUES ($1, $2, NOW())
+          RETURNING *
+        `;
+        const result = await dbManager.query(query, [name, color]);
+        return result[0];
+      } else {
+        const query = 'INSERT INTO tags (name, color) VALUES (?, ?)';
+        const result = await dbManager.query(query, [name, color]);
+        return await this.getById(result.lastID);
+      }
+    } catch (error) {
+      console.error('Error creando etiqueta:', error);
+      throw new Error('Error al crear la etiqueta');
+    }
+  }
+
+  /**
+   * Actualiza una etiqueta existente
+   * @param {number} id - ID de la etiqueta
+   * @param {Object} data - Nuevos datos de la etiqueta
+   * @returns {Promise<Object>} Etiqueta actualizada
+   */
+  static async update(id, data) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const existingTag = await this.getByName(value.name);
+    if (existingTag && existingTag.id !== parseInt(id)) {
+      const e = new Error('Ya existe una etiqueta con ese nombre');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const { name, color } = value;
+
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = 'UPDATE tags SET name = $1, color = $2 WHERE id = $3 RETURNING *';
+        const result = await dbManager.query(query, [name, color, id]);
+
+        if (result.length === 0) {
+          throw new Error('Etiqueta no encontrada');
+        }
+
+        return result[0];
+      } else {
+        const query = 'UPDATE tags SET name = ?, color = ? WHERE id = ?';
+        const result = await dbManager.query(query, [name, color, id]);
+
+        if (result.changes === 0) {
+          throw new Error('Etiqueta no encontrada');
+        }
+
+        return await this.getById(id);
+      }
+    } catch (error) {
+      console.error('Error actualizando etiqueta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una etiqueta (las transacciones etiquetadas no se modifican)
+   * @param {number} id - ID de la etiqueta
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = 'DELETE FROM tags WHERE id = $1 RETURNING *';
+        const result = await dbManager.query(query, [id]);
+        return result.length > 0;
+      } else {
+        const query = 'DELETE FROM tags WHERE id = ?';
+        const result = await dbManager.query(query, [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando etiqueta:', error);
+      throw new Error('Error al eliminar la etiqueta');
+    }
+  }
+
+  /**
+   * Obtiene los IDs de las etiquetas indicadas, creando las que todavía no existen
+   * @param {Array<string>} names - Nombres de etiquetas
+   * @returns {Promise<Array<number>>} IDs de las etiquetas
+   */
+  static async resolveIds(names = []) {
+    const ids = [];
+
+    for (const name of names) {
+      const existingTag = await this.getByName(name);
+      if (existingTag) {
+        ids.push(existingTag.id);
+      } else {
+        const tag = await this.create({ name });
+        ids.push(tag.id);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Obtiene las etiquetas de un conjunto de transacciones
+   * @param {Array<number>} transactionIds - IDs de las transacciones
+   * @returns {Promise<Map>} Etiquetas agrupadas por ID de transacción
+   */
+  static async getByTransactionIds(transactionIds) {
+    const tagsByTransaction = new Map();
+    if (transactionIds.length === 0) {
+      return tagsByTransaction;
+    }
+
+    try {
+      const placeholders = dbManager.getDatabaseType() === 'postgresql'
+        ? transactionIds.map((_, index) => `$${index + 1}`).join(', ')
+        : transactionIds.map(() => '?').join(', ');
+
+      const rows = await dbManager.query(`
+        SELECT tt.transaction_id, g.id, g.name, g.color
+        FROM transaction_tags tt
+        JOIN tags g ON g.id = tt.tag_id
+        WHERE tt.transaction_id IN (${placeholders})
+        ORDER BY g.name ASC
+      `, transactionIds);
+
+      for (const row of rows) {
+        if (!tagsByTransaction.has(row.transaction_id)) {
+          tagsByTransaction.set(row.transaction_id, []);
+        }
+        tagsByTransaction.get(row.transaction_id).push({
+          id: row.id,
+          name: row.name,
+          color: row.color
+        });
+      }
+
+      return tagsByTransaction;
+    } catch (error) {
+      console.error('Error obteniendo etiquetas de transacciones:', error);
+      throw new Error('Error al obtener las etiquetas de las transacciones');
+    }
+  }
+
+  /**
+   * Construye las consultas que reemplazan las etiquetas de una transacción
+   * Pensado para ejecutarse dentro de dbManager.transaction junto al INSERT/UPDATE
+   * de la transacción.
+   * @param {number|Function} transactionId - ID de la transacción, o función que lo
+   *        obtiene a partir de los resultados anteriores de la transacción
+   * @param {Array<number>} tagIds - IDs de las etiquetas
+   * @returns {Array} Consultas {query, params}
+   */
+  static replaceLinksQueries(transactionId, tagIds = []) {
+    const resolveId = typeof transactionId === 'function'
+      ? transactionId
+      : () => transactionId;
+
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const deleteQuery = isPostgres
+      ? 'DELETE FROM transaction_tags WHERE transaction_id = $1'
+      : 'DELETE FROM transaction_tags WHERE transaction_id = ?';
+    const insertQuery = isPostgres
+      ? 'INSERT INTO transaction_tags (transaction_id, tag_id) VALUES ($1, $2)'
+      : 'INSERT INTO transaction_tags (transaction_id, tag_id) VALUES (?, ?)';
+
+    return [
+      { query: deleteQuery, params: results => [resolveId(results)] },
+      ...tagIds.map(tagId => ({
+        query: insertQuery,
+        params: results => [resolveId(results), tagId]
+      }))
+    ];
+  }
+
+  /**
+   * Obtiene los totales de ingresos y gastos por etiqueta en la moneda base
+   * Una transacción con varias etiquetas suma en cada una de ellas.
+   * @param {Object} filters - Filtros de fecha
+   * @returns {Promise<Array>} Totales por etiqueta
+   */
+  static async getTotals(filters = {}) {
+    try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      const convertedAmount = ExchangeRate.convertedAmountSql('t', baseCurrency);
+      const params = [];
+      let dateFilter = '';
+
+      if (filters.startDate && filters.endDate) {
+        dateFilter = dbManager.getDatabaseType() === 'postgresql'
+          ? ' AND t.date BETWEEN $1 AND $2'
+          : ' AND t.date BETWEEN ? AND ?';
+        params.push(filters.startDate, filters.endDate);
+      }
+
+      const query = `
+        SELECT
+          g.id,
+          g.name,
+          g.color,
+          COUNT(t.id) as transaction_count,
+          COALESCE(SUM(CASE WHEN t.type = 'income' THEN ${convertedAmount} ELSE 0 END), 0) as total_income,
+          COALESCE(SUM(CASE WHEN t.type = 'expense' THEN ${convertedAmount} ELSE 0 END), 0) as total_expenses
+        FROM tags g
+        JOIN transaction_tags tt ON tt.tag_id = g.id
+        JOIN transactions t ON t.id = tt.transaction_id
+        WHERE t.transfer_id IS NULL${dateFilter}
+        GROUP BY g.id, g.name, g.color
+        ORDER BY total_expenses DESC, g.name ASC
+      `;
+
+      const rows = await dbManager.query(query, params);
+      return rows.map(row => {
+        const totalIncome = roundAmount(row.total_income);
+        const totalExpenses = roundAmount(row.total_expenses);
+        return {
+          id: row.id,
+          name: row.name,
+          color: row.color,
+          currency: baseCurrency,
+          transactionCount: parseInt(row.transaction_count),
+          totalIncome,
+          totalExpenses,
+          balance: roundAmount(totalIncome - totalExpenses)
+        };
+      });
+    } catch (error) {
+      console.error('Error obteniendo totales por etiqueta:', error);
+      throw new Error('Error al obtener los totales por etiqueta');
+    }
+  }
+}
+
+module.exports = Tag;
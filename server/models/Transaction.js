@@ -5,6 +5,34 @@
 
 const Joi = require('joi');
 const dbManager = require('../config/database');
+const Account = require('./Account');
+const Category = require('./Category');
+const ExchangeRate = require('./ExchangeRate');
+const Setting = require('./Setting');
+const SharedExpense = require('./SharedExpense');
+const Tag = require('./Tag');
+const TransactionSplit = require('./TransactionSplit');
+const { toISODate } = require('../utils/dates');
+const { roundAmount } = require('../utils/amounts');
+
+/**
+ * Nombres de los tipos de transacción para los mensajes de error
+ */
+const TYPE_LABELS = {
+  income: 'ingresos',
+  expense: 'gastos'
+};
+
+/**
+ * Consulta base de transacciones junto con los datos de su categoría y del miembro que la creó
+ */
+const SELECT_TRANSACTIONS = `
+  SELECT t.*, c.name as category_name, c.color as category_color, c.icon as category_icon,
+    COALESCE(u.name, u.email) as created_by_name
+  FROM transactions t
+  LEFT JOIN categories c ON c.id = t.category_id
+  LEFT JOIN users u ON u.id = t.created_by
+`;
 
 /**
  * Esquema de validación para transacciones
@@ -26,7 +54,18 @@ const transactionSchema = Joi.object({
       'string.max': 'La descripción no puede exceder 255 caracteres',
       'any.required': 'La descripción es requerida'
     }),
-  category: Joi.string().min(1).max(100).required()
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría debe ser un ID numérico',
+      'number.positive': 'La categoría debe ser un ID válido'
+    }),
+  // La categoría se indica por nombre o por category_id (en una transacción dividida es opcional)
+  category: Joi.string().min(1).max(100)
+    .when('splits', {
+      is: Joi.array().min(1).required(),
+      then: Joi.optional(),
+      otherwise: Joi.when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    })
     .messages({
       'string.min': 'La categoría no puede estar vacía',
       'string.max': 'La categoría no puede exceder 100 caracteres',
@@ -36,7 +75,31 @@ const transactionSchema = Joi.object({
     .messages({
       'date.format': 'La fecha debe estar en formato ISO (YYYY-MM-DD)',
       'any.required': 'La fecha es requerida'
-    })
+    }),
+  account_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La cuenta debe ser un ID numérico',
+      'number.positive': 'La cuenta debe ser un ID válido'
+    }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).optional()
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    }),
+  splits: Joi.array().items(TransactionSplit.schema()).optional()
+    .messages({
+      'array.base': 'Las divisiones deben ser una lista de líneas'
+    }),
+  tags: Tag.namesSchema().optional(),
+  shared: SharedExpense.schema().allow(null).optional()
+}).custom((value, helpers) => {
+  // Las divisiones deben sumar exactamente el monto de la transacción
+  if (value.splits && value.splits.length > 0) {
+    const splitsTotal = roundAmount(value.splits.reduce((sum, split) => sum + split.amount, 0));
+    if (splitsTotal !== roundAmount(value.amount)) {
+      return helpers.message(`La suma de las divisiones (${splitsTotal}) debe ser igual al monto (${value.amount})`);
+    }
+  }
+  return value;
 });
 
 class Transaction {
@@ -49,6 +112,161 @@ class Transaction {
     return transactionSchema.validate(data, { abortEarly: false });
   }
 
+  /**
+   * Resuelve la cuenta de una transacción
+   * Si no se indica cuenta se usa la cuenta por defecto
+   * @param {number} accountId - ID de la cuenta indicada
+   * @returns {Promise<number>} ID de la cuenta a utilizar
+   */
+  static async resolveAccountId(accountId) {
+    const account = accountId
+      ? await Account.getById(accountId)
+      : await Account.getDefault();
+
+    if (!account) {
+      const e = new Error(accountId ? 'La cuenta indicada no existe' : 'No hay ninguna cuenta registrada');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    return account.id;
+  }
+
+  /**
+   * Agrega a cada transacción sus líneas de división y sus etiquetas
+   * El nombre de la categoría se toma de la categoría vinculada para reflejar renombres.
+   * @param {Array} transactions - Filas obtenidas con SELECT_TRANSACTIONS
+   * @returns {Promise<Array>} Transacciones con las propiedades splits, tags y shared
+   */
+  static async attachDetails(transactions) {
+    const transactionIds = transactions.map(t => t.id);
+    const [splitsByTransaction, tagsByTransaction, sharedByTransaction] = await Promise.all([
+      TransactionSplit.getByTransactionIds(transactionIds),
+      Tag.getByTransactionIds(transactionIds),
+      SharedExpense.getByTransactionIds(transactionIds)
+    ]);
+
+    return transactions.map(({ category_name, ...transaction }) => ({
+      ...transaction,
+      category: category_name || transaction.category,
+      splits: splitsByTransaction.get(transaction.id) || [],
+      tags: tagsByTransaction.get(transaction.id) || [],
+      shared: sharedByTransaction.get(transaction.id) || null
+    }));
+  }
+
+  /**
+   * Resuelve la categoría indicada por ID o por nombre
+   * La categoría debe existir y ser del mismo tipo que la transacción; las archivadas
+   * se rechazan salvo que la transacción ya las usara. Los errores incluyen en
+   * validCategories los nombres de las categorías que se pueden usar.
+   * @param {Object} data - Objeto con category y/o category_id
+   * @param {string} type - Tipo de la transacción ('income' o 'expense')
+   * @param {Array<number>} allowedArchivedIds - Categorías archivadas que se aceptan
+   * @returns {Promise<Object>} { category_id, category } con el nombre actual de la categoría
+   */
+  static async resolveCategory({ category, category_id }, type, allowedArchivedIds = []) {
+    const existing = category_id
+      ? await Category.getById(category_id)
+      : await Category.getByName(category);
+
+    let message = null;
+    if (!existing) {
+      message = category_id
+        ? `La categoría ${category_id} no existe`
+        : `La categoría "${category}" no existe`;
+    } else if (existing.type !== type) {
+      message = `La categoría "${existing.name}" es de ${TYPE_LABELS[existing.type]} y la transacción es de ${TYPE_LABELS[type]}`;
+    } else if (existing.archived_at && !allowedArchivedIds.includes(existing.id)) {
+      message = `La categoría "${existing.name}" está archivada`;
+    }
+
+    if (message) {
+      const validCategories = (await Category.getAll({ type })).map(c => c.name);
+      const e = new Error(`${message}. Categorías válidas: ${validCategories.join(', ')}`);
+      e.name = 'ValidationError';
+      e.validCategories = validCategories;
+      throw e;
+    }
+
+    return { category_id: existing.id, category: existing.name };
+  }
+
+  /**
+   * Resuelve la categoría principal y las categorías de las divisiones de una transacción
+   * @param {Object} value - Datos validados de la transacción
+   * @param {Object|null} current - Transacción actual al editar (sus categorías archivadas se conservan)
+   * @returns {Promise<Object>} { category_id, category, splits }
+   */
+  static async resolveCategories(value, current = null) {
+    const allowedArchivedIds = current
+      ? [current.category_id, ...current.splits.map(split => split.category_id)].filter(Boolean)
+      : [];
+
+    const main = await this.resolveCategory(mainCategory(value), value.type, allowedArchivedIds);
+    const splits = [];
+    for (const split of value.splits || []) {
+      splits.push({ ...split, ...(await this.resolveCategory(split, value.type, allowedArchivedIds)) });
+    }
+    return { ...main, splits };
+  }
+
+  /**
+   * Lista las transacciones y divisiones cuya categoría no existe o no coincide con su tipo
+   * Las transferencias no se revisan porque usan una categoría reservada.
+   * @returns {Promise<Object>} { total, issues } donde cada problema indica issue
+   *          ('missing_category' o 'type_mismatch'), transaction_id, split_id, date,
+   *          description, type, category y category_type
+   */
+  static async getCategoryIntegrityReport() {
+    try {
+      const rows = await dbManager.query(`
+        SELECT t.id as transaction_id, NULL as split_id, t.date, t.description, t.type,
+          t.category, c.type as category_type
+        FROM transactions t
+        LEFT JOIN categories c ON c.id = t.category_id
+        WHERE t.transfer_id IS NULL
+          AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+          AND (c.id IS NULL OR c.type <> t.type)
+        UNION ALL
+        SELECT t.id as transaction_id, s.id as split_id, t.date, t.description, t.type,
+          s.category, c.type as category_type
+        FROM transactions t
+        JOIN transaction_splits s ON s.transaction_id = t.id
+        LEFT JOIN categories c ON c.id = s.category_id
+        WHERE t.transfer_id IS NULL
+          AND (c.id IS NULL OR c.type <> t.type)
+        ORDER BY date DESC, transaction_id DESC
+      `);
+
+      const issues = rows.map(row => ({
+        issue: row.category_type ? 'type_mismatch' : 'missing_category',
+        ...row
+      }));
+
+      return { total: issues.length, issues };
+    } catch (error) {
+      console.error('Error revisando la integridad de categorías:', error);
+      throw new Error('Error al revisar la integridad de las categorías');
+    }
+  }
+
+  /**
+   * Impide modificar por separado una de las dos partes de una transferencia
+   * Las transferencias se gestionan completas desde el modelo Transfer
+   * @param {number} id - ID de la transacción
+   * @returns {Promise<Object|null>} Transacción actual o null si no existe
+   */
+  static async ensureNotTransferLeg(id) {
+    const transaction = await this.getById(id);
+    if (transaction && transaction.transfer_id) {
+      const e = new Error('La transacción forma parte de una transferencia; gestiónala desde /api/transfers');
+      e.name = 'ValidationError';
+      throw e;
+    }
+    return transaction;
+  }
+
   /**
    * Obtiene todas las transacciones con filtros opcionales
    * @param {Object} filters - Filtros de búsqueda
@@ -56,36 +274,82 @@ class Transaction {
    */
   static async getAll(filters = {}) {
     try {
-      let query = 'SELECT * FROM transactions WHERE 1=1';
+      let query = `${SELECT_TRANSACTIONS} WHERE 1=1`;
       const params = [];
       let paramIndex = 1;
 
       // Aplicar filtros
       if (filters.type) {
         if (dbManager.getDatabaseType() === 'postgresql') {
-          query += ` AND type = $${paramIndex}`;
+          query += ` AND t.type = $${paramIndex}`;
         } else {
-          query += ' AND type = ?';
+          query += ' AND t.type = ?';
         }
         params.push(filters.type);
         paramIndex++;
       }
 
       if (filters.category) {
+        // Incluye las transacciones con alguna división en la categoría
+        const splitsInCategory = `
+          SELECT s.transaction_id FROM transaction_splits s
+          LEFT JOIN categories sc ON sc.id = s.category_id
+          WHERE COALESCE(sc.name, s.category) =`;
         if (dbManager.getDatabaseType() === 'postgresql') {
-          query += ` AND category = $${paramIndex}`;
+          query += ` AND (COALESCE(c.name, t.category) = $${paramIndex} OR t.id IN (${splitsInCategory} $${paramIndex}))`;
+          params.push(filters.category);
         } else {
-          query += ' AND category = ?';
+          query += ` AND (COALESCE(c.name, t.category) = ? OR t.id IN (${splitsInCategory} ?))`;
+          params.push(filters.category, filters.category);
         }
-        params.push(filters.category);
         paramIndex++;
       }
 
+      if (filters.categoryId) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND (t.category_id = $${paramIndex} OR t.id IN (SELECT transaction_id FROM transaction_splits WHERE category_id = $${paramIndex}))`;
+          params.push(filters.categoryId);
+        } else {
+          query += ' AND (t.category_id = ? OR t.id IN (SELECT transaction_id FROM transaction_splits WHERE category_id = ?))';
+          params.push(filters.categoryId, filters.categoryId);
+        }
+        paramIndex++;
+      }
+
+      if (filters.accountId) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND t.account_id = $${paramIndex}`;
+        } else {
+          query += ' AND t.account_id = ?';
+        }
+        params.push(filters.accountId);
+        paramIndex++;
+      }
+
+      // Filtrar por etiquetas: la transacción debe tener todas las indicadas
+      if (filters.tags && filters.tags.length > 0) {
+        const tagNames = filters.tags.map(name => name.toLowerCase());
+        const placeholders = dbManager.getDatabaseType() === 'postgresql'
+          ? tagNames.map((_, index) => `$${paramIndex + index}`).join(', ')
+          : tagNames.map(() => '?').join(', ');
+
+        query += `
+          AND t.id IN (
+            SELECT tt.transaction_id FROM transaction_tags tt
+            JOIN tags g ON g.id = tt.tag_id
+            WHERE LOWER(g.name) IN (${placeholders})
+            GROUP BY tt.transaction_id
+            HAVING COUNT(DISTINCT g.id) = ${tagNames.length}
+          )`;
+        params.push(...tagNames);
+        paramIndex += tagNames.length;
+      }
+
       if (filters.startDate) {
         if (dbManager.getDatabaseType() === 'postgresql') {
-          query += ` AND date >= $${paramIndex}`;
+          query += ` AND t.date >= $${paramIndex}`;
         } else {
-          query += ' AND date >= ?';
+          query += ' AND t.date >= ?';
         }
         params.push(filters.startDate);
         paramIndex++;
@@ -93,16 +357,16 @@ class Transaction {
 
       if (filters.endDate) {
         if (dbManager.getDatabaseType() === 'postgresql') {
-          query += ` AND date <= $${paramIndex}`;
+          query += ` AND t.date <= $${paramIndex}`;
         } else {
-          query += ' AND date <= ?';
+          query += ' AND t.date <= ?';
         }
         params.push(filters.endDate);
         paramIndex++;
       }
 
       // Ordenar por fecha descendente
-      query += ' ORDER BY date DESC, created_at DESC';
+      query += ' ORDER BY t.date DESC, t.created_at DESC';
 
       // Aplicar límite si se especifica
       if (filters.limit) {
@@ -116,7 +380,7 @@ class Transaction {
       }
 
       const transactions = await dbManager.query(query, params);
-      return transactions;
+      return await this.attachDetails(transactions);
     } catch (error) {
       console.error('Error obteniendo transacciones:', error);
       throw new Error('Error al obtener las transacciones');
@@ -131,11 +395,16 @@ class Transaction {
   static async getById(id) {
     try {
       const query = dbManager.getDatabaseType() === 'postgresql' 
-        ? 'SELECT * FROM transactions WHERE id = $1'
-        : 'SELECT * FROM transactions WHERE id = ?';
+        ? `${SELECT_TRANSACTIONS} WHERE t.id = $1`
+        : `${SELECT_TRANSACTIONS} WHERE t.id = ?`;
       
       const transactions = await dbManager.query(query, [id]);
-      return transactions.length > 0 ? transactions[0] : null;
+      if (transactions.length === 0) {
+        return null;
+      }
+
+      const [transaction] = await this.attachDetails(transactions);
+      return transaction;
     } catch (error) {
       console.error('Error obteniendo transacción por ID:', error);
       throw new Error('Error al obtener la transacción');
@@ -143,11 +412,14 @@ class Transaction {
   }
 
   /**
-   * Crea una nueva transacción
+   * Valida una transacción nueva y resuelve su cuenta, categorías, etiquetas y reparto
+   * Lanza un ValidationError si los datos no son válidos.
    * @param {Object} data - Datos de la transacción
-   * @returns {Promise<Object>} Transacción creada
+   * @param {Function} resolveCategories - Resuelve las categorías de los datos validados; las
+   *        importaciones la reemplazan para aceptar categorías que se crean en la misma operación
+   * @returns {Promise<Object>} Transacción lista para createQueries
    */
-  static async create(data) {
+  static async prepareCreate(data, resolveCategories = value => this.resolveCategories(value)) {
     // Validar datos
     const { error, value } = this.validate(data);
     if (error) {
@@ -157,27 +429,117 @@ class Transaction {
       throw e;
     }
 
+    const accountId = await this.resolveAccountId(value.account_id);
+    const { category_id: categoryId, category, splits } = await resolveCategories(value);
+    const tagIds = await Tag.resolveIds(value.tags);
+    const shared = await SharedExpense.resolve(value);
+
+    return {
+      type: value.type,
+      amount: value.amount,
+      description: value.description,
+      category,
+      categoryId,
+      date: toISODate(value.date),
+      accountId,
+      currency: value.currency || await Setting.getBaseCurrency(),
+      splits,
+      tagIds,
+      shared
+    };
+  }
+
+  /**
+   * Construye las consultas que guardan una transacción preparada con prepareCreate
+   * La transacción, sus divisiones, sus etiquetas y su reparto se guardan juntos; varias
+   * transacciones pueden ir en el mismo dbManager.transaction indicando dónde queda el INSERT.
+   * El ID de categoría (el de la transacción o el de sus divisiones) puede ser una función de los
+   * resultados anteriores cuando la categoría se inserta en la misma operación.
+   * @param {Object} prepared - Transacción preparada (con externalId si viene de un extracto bancario)
+   * @param {number|null} createdBy - ID del miembro que la registra
+   * @param {number} offset - Posición del INSERT entre los resultados de la transacción
+   * @returns {Array} Consultas {query, params}
+   */
+  static createQueries(prepared, createdBy = null, offset = 0) {
+    const { type, amount, description, category, categoryId, date, accountId, currency, splits, tagIds, shared, externalId } = prepared;
+    const params = typeof categoryId === 'function'
+      ? results => [type, amount, description, category, categoryId(results), date, accountId, currency, createdBy, externalId || null]
+      : [type, amount, description, category, categoryId, date, accountId, currency, createdBy, externalId || null];
+
+    if (dbManager.getDatabaseType() === 'postgresql') {
+      const insertedId = previous => previous[offset][0].id;
+      return [
+        {
+          query: `
+            INSERT INTO transactions (type, amount, description, category, category_id, date, account_id, currency, created_by, external_id, created_at) 
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()) 
+            RETURNING *
+          `,
+          params
+        },
+        ...TransactionSplit.replaceQueries(insertedId, splits),
+        ...Tag.replaceLinksQueries(insertedId, tagIds),
+        ...SharedExpense.replaceQueries(insertedId, shared)
+      ];
+    }
+
+    const insertedId = previous => previous[offset].lastID;
+    return [
+      {
+        query: `
+          INSERT INTO transactions (type, amount, description, category, category_id, date, account_id, currency, created_by, external_id) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        params
+      },
+      ...TransactionSplit.replaceQueries(insertedId, splits),
+      ...Tag.replaceLinksQueries(insertedId, tagIds),
+      ...SharedExpense.replaceQueries(insertedId, shared)
+    ];
+  }
+
+  /**
+   * Obtiene el ID de una transacción insertada con createQueries
+   * @param {Array} results - Resultados de dbManager.transaction
+   * @param {number} offset - Posición del INSERT entre los resultados
+   * @returns {number} ID de la transacción
+   */
+  static insertedId(results, offset = 0) {
+    return dbManager.getDatabaseType() === 'postgresql' ? results[offset][0].id : results[offset].lastID;
+  }
+
+  /**
+   * Obtiene los identificadores de movimientos bancarios ya importados en una cuenta
+   * @param {number} accountId - ID de la cuenta
+   * @returns {Promise<Set<string>>} Valores de external_id de la cuenta
+   */
+  static async getExternalIds(accountId) {
     try {
-      const { type, amount, description, category, date } = value;
-      
-      if (dbManager.getDatabaseType() === 'postgresql') {
-        const query = `
-          INSERT INTO transactions (type, amount, description, category, date, created_at) 
-          VALUES ($1, $2, $3, $4, $5, NOW()) 
-          RETURNING *
-        `;
-        const result = await dbManager.query(query, [type, amount, description, category, date]);
-        return result[0];
-      } else {
-        const query = `
-          INSERT INTO transactions (type, amount, description, category, date) 
-          VALUES (?, ?, ?, ?, ?)
-        `;
-        const result = await dbManager.query(query, [type, amount, description, category, date]);
-        
-        // Obtener la transacción creada
-        return await this.getById(result.lastID);
-      }
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT external_id FROM transactions WHERE account_id = $1 AND external_id IS NOT NULL'
+        : 'SELECT external_id FROM transactions WHERE account_id = ? AND external_id IS NOT NULL';
+
+      const rows = await dbManager.query(query, [accountId]);
+      return new Set(rows.map(row => row.external_id));
+    } catch (error) {
+      console.error('Error obteniendo movimientos importados:', error);
+      throw new Error('Error al obtener los movimientos importados');
+    }
+  }
+
+  /**
+   * Crea una nueva transacción
+   * @param {Object} data - Datos de la transacción
+   * @param {number|null} createdBy - ID del miembro que la registra (null si la genera el sistema)
+   * @returns {Promise<Object>} Transacción creada
+   */
+  static async create(data, createdBy = null) {
+    const prepared = await this.prepareCreate(data);
+
+    try {
+      // La transacción, sus divisiones, sus etiquetas y su reparto se guardan de forma atómica
+      const results = await dbManager.transaction(this.createQueries(prepared, createdBy));
+      return await this.getById(this.insertedId(results));
     } catch (error) {
       console.error('Error creando transacción:', error);
       throw new Error('Error al crear la transacción');
@@ -200,37 +562,54 @@ class Transaction {
       throw e;
     }
 
+    const current = await this.ensureNotTransferLeg(id);
+    const accountId = await this.resolveAccountId(value.account_id);
+    const { category_id: categoryId, category, splits } = await this.resolveCategories(value, current);
+    const tagIds = await Tag.resolveIds(value.tags);
+    const shared = await SharedExpense.resolve(value);
+
     try {
-      const { type, amount, description, category, date } = value;
+      const { type, amount, description } = value;
+      const date = toISODate(value.date);
+      const currency = value.currency || await Setting.getBaseCurrency();
       
+      // Actualizar la transacción y reemplazar sus divisiones, etiquetas y reparto de forma atómica
       if (dbManager.getDatabaseType() === 'postgresql') {
         const query = `
           UPDATE transactions 
-          SET type = $1, amount = $2, description = $3, category = $4, date = $5, updated_at = NOW()
-          WHERE id = $6
+          SET type = $1, amount = $2, description = $3, category = $4, category_id = $5, date = $6, account_id = $7, currency = $8, updated_at = NOW()
+          WHERE id = $9
           RETURNING *
         `;
-        const result = await dbManager.query(query, [type, amount, description, category, date, id]);
+        const results = await dbManager.transaction([
+          { query, params: [type, amount, description, category, categoryId, date, accountId, currency, id] },
+          ...TransactionSplit.replaceQueries(id, splits),
+          ...Tag.replaceLinksQueries(id, tagIds),
+          ...SharedExpense.replaceQueries(id, shared)
+        ]);
         
-        if (result.length === 0) {
+        if (results[0].length === 0) {
           throw new Error('Transacción no encontrada');
         }
-        
-        return result[0];
       } else {
         const query = `
           UPDATE transactions 
-          SET type = ?, amount = ?, description = ?, category = ?, date = ?
+          SET type = ?, amount = ?, description = ?, category = ?, category_id = ?, date = ?, account_id = ?, currency = ?
           WHERE id = ?
         `;
-        const result = await dbManager.query(query, [type, amount, description, category, date, id]);
+        const results = await dbManager.transaction([
+          { query, params: [type, amount, description, category, categoryId, date, accountId, currency, id] },
+          ...TransactionSplit.replaceQueries(id, splits),
+          ...Tag.replaceLinksQueries(id, tagIds),
+          ...SharedExpense.replaceQueries(id, shared)
+        ]);
         
-        if (result.changes === 0) {
+        if (results[0].changes === 0) {
           throw new Error('Transacción no encontrada');
         }
-        
-        return await this.getById(id);
       }
+
+      return await this.getById(id);
     } catch (error) {
       console.error('Error actualizando transacción:', error);
       throw error;
@@ -243,6 +622,8 @@ class Transaction {
    * @returns {Promise<boolean>} True si se eliminó correctamente
    */
   static async delete(id) {
+    await this.ensureNotTransferLeg(id);
+
     try {
       if (dbManager.getDatabaseType() === 'postgresql') {
         const query = 'DELETE FROM transactions WHERE id = $1 RETURNING *';
@@ -261,53 +642,74 @@ class Transaction {
 
   /**
    * Obtiene estadísticas de transacciones
+   * Las transacciones divididas se atribuyen a la categoría de cada división.
+   * Los desgloses por categoría son por hoja; los árboles (*ByCategoryTree) acumulan
+   * en cada categoría padre los totales de sus subcategorías.
+   * Los importes se convierten a la moneda base usando la cotización vigente en la fecha
+   * de cada transacción; también se devuelven los totales originales por moneda.
    * @param {Object} filters - Filtros de fecha
    * @returns {Promise<Object>} Estadísticas calculadas
    */
   static async getStatistics(filters = {}) {
     try {
-      let dateFilter = '';
+      const baseCurrency = await Setting.getBaseCurrency();
       const params = [];
       let paramIndex = 1;
 
+      // Las transferencias entre cuentas no cuentan como ingresos ni gastos
+      let dateFilter = ' AND t.transfer_id IS NULL';
+
       if (filters.startDate && filters.endDate) {
         if (dbManager.getDatabaseType() === 'postgresql') {
-          dateFilter = ` WHERE date BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
+          dateFilter += ` AND t.date BETWEEN $${paramIndex} AND $${paramIndex + 1}`;
           params.push(filters.startDate, filters.endDate);
         } else {
-          dateFilter = ' WHERE date BETWEEN ? AND ?';
+          dateFilter += ' AND t.date BETWEEN ? AND ?';
           params.push(filters.startDate, filters.endDate);
         }
       }
 
-      const queries = [
-        `SELECT COALESCE(SUM(amount), 0) as total_income FROM transactions WHERE type = 'income'${dateFilter}`,
-        `SELECT COALESCE(SUM(amount), 0) as total_expenses FROM transactions WHERE type = 'expense'${dateFilter}`,
-        `SELECT category, SUM(amount) as total FROM transactions WHERE type = 'expense'${dateFilter} GROUP BY category ORDER BY total DESC`,
-        `SELECT category, SUM(amount) as total FROM transactions WHERE type = 'income'${dateFilter} GROUP BY category ORDER BY total DESC`
-      ];
+      const query = `
+        SELECT
+          type,
+          category,
+          currency,
+          SUM(amount) as original_total,
+          SUM(converted_amount) as total,
+          SUM(CASE WHEN converted_amount IS NULL THEN 1 ELSE 0 END) as missing_rates
+        FROM (
+          SELECT t.type, t.category, t.currency, t.amount, ${ExchangeRate.convertedAmountSql('t', baseCurrency)} as converted_amount
+          FROM ${TransactionSplit.categoryLinesSql()} t
+          WHERE t.type IN ('income', 'expense')${dateFilter}
+        ) converted
+        GROUP BY type, category, currency
+      `;
 
-      const results = await Promise.all(
-        queries.map(query => dbManager.query(query, params))
-      );
+      const [rows, categories] = await Promise.all([
+        dbManager.query(query, params),
+        Category.getAll({ includeArchived: true })
+      ]);
 
-      const totalIncome = parseFloat(results[0][0]?.total_income || 0);
-      const totalExpenses = parseFloat(results[1][0]?.total_expenses || 0);
-      const expensesByCategory = results[2] || [];
-      const incomeByCategory = results[3] || [];
+      const income = summarizeTotals(rows.filter(row => row.type === 'income'));
+      const expenses = summarizeTotals(rows.filter(row => row.type === 'expense'));
 
       return {
-        totalIncome,
-        totalExpenses,
-        balance: totalIncome - totalExpenses,
-        expensesByCategory: expensesByCategory.map(item => ({
-          category: item.category,
-          total: parseFloat(item.total)
-        })),
-        incomeByCategory: incomeByCategory.map(item => ({
-          category: item.category,
-          total: parseFloat(item.total)
-        }))
+        baseCurrency,
+        totalIncome: income.total,
+        totalExpenses: expenses.total,
+        balance: roundAmount(income.total - expenses.total),
+        expensesByCategory: expenses.byCategory,
+        incomeByCategory: income.byCategory,
+        expensesByCategoryTree: Category.buildTotalsTree(
+          categories.filter(category => category.type === 'expense'),
+          expenses.byCategory
+        ),
+        incomeByCategoryTree: Category.buildTotalsTree(
+          categories.filter(category => category.type === 'income'),
+          income.byCategory
+        ),
+        expensesByCurrency: expenses.byCurrency,
+        incomeByCurrency: income.byCurrency
       };
     } catch (error) {
       console.error('Error obteniendo estadísticas:', error);
@@ -317,45 +719,71 @@ class Transaction {
 
   /**
    * Obtiene transacciones agrupadas por mes
+   * El total de cada mes está en la moneda base; originalTotals conserva los importes por moneda
    * @param {number} year - Año para filtrar
    * @returns {Promise<Array>} Transacciones agrupadas por mes
    */
   static async getMonthlyData(year) {
     try {
+      const baseCurrency = await Setting.getBaseCurrency();
+      const convertedAmount = ExchangeRate.convertedAmountSql('t', baseCurrency);
       let query;
       const params = [year];
 
       if (dbManager.getDatabaseType() === 'postgresql') {
         query = `
           SELECT 
-            EXTRACT(MONTH FROM date) as month,
-            type,
-            SUM(amount) as total
-          FROM transactions 
-          WHERE EXTRACT(YEAR FROM date) = $1
-          GROUP BY EXTRACT(MONTH FROM date), type
-          ORDER BY month, type
+            EXTRACT(MONTH FROM t.date) as month,
+            t.type,
+            t.currency,
+            SUM(t.amount) as original_total,
+            SUM(${convertedAmount}) as total
+          FROM transactions t
+          WHERE EXTRACT(YEAR FROM t.date) = $1 AND t.transfer_id IS NULL
+          GROUP BY EXTRACT(MONTH FROM t.date), t.type, t.currency
+          ORDER BY month, t.type
         `;
       } else {
+        // strftime devuelve texto, por lo que el año se compara como cadena
+        params[0] = year.toString();
         query = `
           SELECT 
-            CAST(strftime('%m', date) AS INTEGER) as month,
-            type,
-            SUM(amount) as total
-          FROM transactions 
-          WHERE strftime('%Y', date) = ?
-          GROUP BY strftime('%m', date), type
-          ORDER BY month, type
+            CAST(strftime('%m', t.date) AS INTEGER) as month,
+            t.type,
+            t.currency,
+            SUM(t.amount) as original_total,
+            SUM(${convertedAmount}) as total
+          FROM transactions t
+          WHERE strftime('%Y', t.date) = ? AND t.transfer_id IS NULL
+          GROUP BY strftime('%m', t.date), t.type, t.currency
+          ORDER BY month, t.type
         `;
       }
 
       const results = await dbManager.query(query, params);
-      
-      return results.map(item => ({
-        month: parseInt(item.month),
-        type: item.type,
-        total: parseFloat(item.total)
-      }));
+
+      // Agrupar las filas por mes y tipo sumando las distintas monedas
+      const months = new Map();
+      for (const item of results) {
+        const key = `${parseInt(item.month)}-${item.type}`;
+        if (!months.has(key)) {
+          months.set(key, {
+            month: parseInt(item.month),
+            type: item.type,
+            total: 0,
+            originalTotals: []
+          });
+        }
+
+        const entry = months.get(key);
+        entry.total = roundAmount(entry.total + parseFloat(item.total || 0));
+        entry.originalTotals.push({
+          currency: item.currency,
+          total: roundAmount(item.original_total)
+        });
+      }
+
+      return Array.from(months.values());
     } catch (error) {
       console.error('Error obteniendo datos mensuales:', error);
       throw new Error('Error al obtener los datos mensuales');
@@ -363,4 +791,61 @@ class Transaction {
   }
 }
 
+/**
+ * Obtiene la categoría principal de una transacción
+ * Si no se indica, una transacción dividida toma la categoría de su primera división
+ * @param {Object} value - Datos validados de la transacción
+ * @returns {Object} { category, category_id } tal como se indicaron
+ */
+function mainCategory(value) {
+  if (value.category || value.category_id) {
+    return { category: value.category, category_id: value.category_id };
+  }
+  const [firstSplit] = value.splits;
+  return { category: firstSplit.category, category_id: firstSplit.category_id };
+}
+
+/**
+ * Resume filas agrupadas por categoría y moneda en totales por categoría y por moneda
+ * @param {Array} rows - Filas con category, currency, original_total, total y missing_rates
+ * @returns {Object} Total convertido, desglose por categoría y desglose por moneda
+ */
+function summarizeTotals(rows) {
+  const byCategory = new Map();
+  const byCurrency = new Map();
+  let total = 0;
+
+  for (const row of rows) {
+    const originalTotal = parseFloat(row.original_total);
+    const convertedTotal = parseFloat(row.total || 0);
+    const missingRates = parseInt(row.missing_rates || 0);
+
+    total += convertedTotal;
+
+    if (!byCategory.has(row.category)) {
+      byCategory.set(row.category, { category: row.category, total: 0, originalTotals: [] });
+    }
+    const category = byCategory.get(row.category);
+    category.total += convertedTotal;
+    category.originalTotals.push({ currency: row.currency, total: roundAmount(originalTotal) });
+
+    if (!byCurrency.has(row.currency)) {
+      byCurrency.set(row.currency, { currency: row.currency, total: 0, convertedTotal: 0, missingRates: 0 });
+    }
+    const currency = byCurrency.get(row.currency);
+    currency.total += originalTotal;
+    currency.convertedTotal += convertedTotal;
+    currency.missingRates += missingRates;
+  }
+
+  return {
+    total: roundAmount(total),
+    byCategory: Array.from(byCategory.values())
+      .map(item => ({ ...item, total: roundAmount(item.total) }))
+      .sort((a, b) => b.total - a.total),
+    byCurrency: Array.from(byCurrency.values())
+      .map(item => ({ ...item, total: roundAmount(item.total), convertedTotal: roundAmount(item.convertedTotal) }))
+  };
+}
+
 module.exports = Transaction;
@@ -0,0 +1,155 @@
+/**
+ * Modelo de División de Transacción
+ * Una transacción puede repartirse en varias líneas (categoría + monto + nota opcional)
+ * cuya suma es igual al monto total. Los reportes por categoría usan estas líneas
+ * en lugar de la categoría principal de la transacción.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+/**
+ * Esquema de validación para una línea de división
+ */
+const splitSchema = Joi.object({
+  category_id: Joi.number().integer().positive().optional()
+    .messages({
+      'number.base': 'La categoría de la división debe ser un ID numérico'
+    }),
+  category: Joi.string().min(1).max(100)
+    .when('category_id', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'La categoría de la división no puede estar vacía',
+      'string.max': 'La categoría de la división no puede exceder 100 caracteres',
+      'any.required': 'La categoría de la división es requerida'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El monto de la división debe ser mayor a 0',
+      'any.required': 'El monto de la división es requerido'
+    }),
+  memo: Joi.string().max(255).allow('').optional()
+    .messages({
+      'string.max': 'La nota de la división no puede exceder 255 caracteres'
+    })
+});
+
+class TransactionSplit {
+  /**
+   * Esquema Joi de una línea de división (usado dentro del esquema de transacciones)
+   * @returns {Object} Esquema de validación
+   */
+  static schema() {
+    return splitSchema;
+  }
+
+  /**
+   * Construye una subconsulta con una fila por cada línea de categoría
+   * Las transacciones sin dividir aportan una fila con su categoría y monto;
+   * las divididas aportan una fila por cada división. El nombre de la categoría
+   * se toma de la tabla categories (o del nombre guardado si no está vinculada).
+   * Columnas: id, type, category_id, category, amount, currency, date, transfer_id
+   * @returns {string} Subconsulta SQL (entre paréntesis, sin alias)
+   */
+  static categoryLinesSql() {
+    return `(
+      SELECT t.id, t.type, t.category_id, COALESCE(c.name, t.category) as category,
+        t.amount, t.currency, t.date, t.transfer_id
+      FROM transactions t
+      LEFT JOIN categories c ON c.id = t.category_id
+      WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+      UNION ALL
+      SELECT t.id, t.type, s.category_id, COALESCE(c.name, s.category) as category,
+        s.amount, t.currency, t.date, t.transfer_id
+      FROM transactions t
+      JOIN transaction_splits s ON s.transaction_id = t.id
+      LEFT JOIN categories c ON c.id = s.category_id
+    )`;
+  }
+
+  /**
+   * Obtiene las divisiones de un conjunto de transacciones
+   * @param {Array<number>} transactionIds - IDs de las transacciones
+   * @returns {Promise<Map>} Divisiones agrupadas por ID de transacción
+   */
+  static async getByTransactionIds(transactionIds) {
+    const splitsByTransaction = new Map();
+    if (transactionIds.length === 0) {
+      return splitsByTransaction;
+    }
+
+    try {
+      const placeholders = dbManager.getDatabaseType() === 'postgresql'
+        ? transactionIds.map((_, index) => `$${index + 1}`).join(', ')
+        : transactionIds.map(() => '?').join(', ');
+
+      const splits = await dbManager.query(`
+        SELECT s.*, COALESCE(c.name, s.category) as category_name, c.color as category_color, c.icon as category_icon
+        FROM transaction_splits s
+        LEFT JOIN categories c ON c.id = s.category_id
+        WHERE s.transaction_id IN (${placeholders})
+        ORDER BY s.id ASC
+      `, transactionIds);
+
+      for (const split of splits) {
+        if (!splitsByTransaction.has(split.transaction_id)) {
+          splitsByTransaction.set(split.transaction_id, []);
+        }
+        splitsByTransaction.get(split.transaction_id).push({
+          id: split.id,
+          category_id: split.category_id,
+          category: split.category_name,
+          category_color: split.category_color,
+          category_icon: split.category_icon,
+          amount: parseFloat(split.amount),
+          memo: split.memo
+        });
+      }
+
+      return splitsByTransaction;
+    } catch (error) {
+      console.error('Error obteniendo divisiones de transacciones:', error);
+      throw new Error('Error al obtener las divisiones de las transacciones');
+    }
+  }
+
+  /**
+   * Construye las consultas que reemplazan las divisiones de una transacción
+   * Pensado para ejecutarse dentro de dbManager.transaction junto al INSERT/UPDATE
+   * de la transacción.
+   * @param {number|Function} transactionId - ID de la transacción, o función que lo
+   *        obtiene a partir de los resultados anteriores de la transacción
+   * @param {Array} splits - Líneas de división validadas, con category_id resuelto (un ID o
+   *        una función de los resultados anteriores si la categoría se crea en la misma operación)
+   * @returns {Array} Consultas {query, params}
+   */
+  static replaceQueries(transactionId, splits = []) {
+    const resolveId = typeof transactionId === 'function'
+      ? transactionId
+      : () => transactionId;
+
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const deleteQuery = isPostgres
+      ? 'DELETE FROM transaction_splits WHERE transaction_id = $1'
+      : 'DELETE FROM transaction_splits WHERE transaction_id = ?';
+    const insertQuery = isPostgres
+      ? 'INSERT INTO transaction_splits (transaction_id, category_id, category, amount, memo) VALUES ($1, $2, $3, $4, $5)'
+      : 'INSERT INTO transaction_splits (transaction_id, category_id, category, amount, memo) VALUES (?, ?, ?, ?, ?)';
+
+    return [
+      { query: deleteQuery, params: results => [resolveId(results)] },
+      ...splits.map(split => ({
+        query: insertQuery,
+        params: results => [
+          resolveId(results),
+          (typeof split.category_id === 'function' ? split.category_id(results) : split.category_id) || null,
+          split.category,
+          split.amount,
+          split.memo || null
+        ]
+      }))
+    ];
+  }
+}
+
+module.exports = TransactionSplit;
@@ -0,0 +1,252 @@
+/**
+ * Modelo de Transferencia
+ * Una transferencia mueve dinero entre dos cuentas sin contar como ingreso ni gasto.
+ * Se guarda como un par de transacciones (salida en la cuenta origen y entrada en la
+ * cuenta destino) que comparten el mismo transfer_id y se crean de forma atómica.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const Account = require('./Account');
+const Setting = require('./Setting');
+const { toISODate } = require('../utils/dates');
+
+/**
+ * Categoría con la que se registran las dos partes de una transferencia
+ */
+const TRANSFER_CATEGORY = 'Transferencia';
+
+/**
+ * Esquema de validación para transferencias
+ */
+const transferSchema = Joi.object({
+  from_account_id: Joi.number().integer().positive().required()
+    .messages({
+      'number.base': 'La cuenta de origen debe ser un ID numérico',
+      'any.required': 'La cuenta de origen es requerida'
+    }),
+  to_account_id: Joi.number().integer().positive().invalid(Joi.ref('from_account_id')).required()
+    .messages({
+      'number.base': 'La cuenta de destino debe ser un ID numérico',
+      'any.invalid': 'La cuenta de destino debe ser distinta de la de origen',
+      'any.required': 'La cuenta de destino es requerida'
+    }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.positive': 'El monto debe ser mayor a 0',
+      'any.required': 'El monto es requerido'
+    }),
+  description: Joi.string().min(1).max(255).optional()
+    .messages({
+      'string.min': 'La descripción no puede estar vacía',
+      'string.max': 'La descripción no puede exceder 255 caracteres'
+    }),
+  date: Joi.date().iso().required()
+    .messages({
+      'date.format': 'La fecha debe estar en formato ISO (YYYY-MM-DD)',
+      'any.required': 'La fecha es requerida'
+    }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/).optional()
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO 4217 de 3 letras (ej: EUR)'
+    })
+});
+
+class Transfer {
+  /**
+   * Valida los datos de una transferencia
+   * @param {Object} data - Datos de la transferencia
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return transferSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Agrupa las dos partes de cada transferencia en un único objeto
+   * @param {Array} legs - Transacciones con transfer_id
+   * @returns {Array} Transferencias
+   */
+  static pairLegs(legs) {
+    const transfers = new Map();
+
+    for (const leg of legs) {
+      if (!transfers.has(leg.transfer_id)) {
+        transfers.set(leg.transfer_id, {
+          id: leg.transfer_id,
+          amount: parseFloat(leg.amount),
+          currency: leg.currency,
+          description: leg.description,
+          date: leg.date,
+          from_account_id: null,
+          to_account_id: null,
+          created_by: leg.created_by,
+          created_at: leg.created_at
+        });
+      }
+
+      const transfer = transfers.get(leg.transfer_id);
+      if (leg.type === 'expense') {
+        transfer.from_account_id = leg.account_id;
+      } else {
+        transfer.to_account_id = leg.account_id;
+      }
+    }
+
+    return Array.from(transfers.values());
+  }
+
+  /**
+   * Obtiene todas las transferencias con filtros opcionales
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>} Lista de transferencias
+   */
+  static async getAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM transactions WHERE transfer_id IS NOT NULL';
+      const params = [];
+      let paramIndex = 1;
+
+      if (filters.accountId) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND transfer_id IN (SELECT transfer_id FROM transactions WHERE account_id = $${paramIndex})`;
+        } else {
+          query += ' AND transfer_id IN (SELECT transfer_id FROM transactions WHERE account_id = ?)';
+        }
+        params.push(filters.accountId);
+        paramIndex++;
+      }
+
+      if (filters.startDate) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND date >= $${paramIndex}`;
+        } else {
+          query += ' AND date >= ?';
+        }
+        params.push(filters.startDate);
+        paramIndex++;
+      }
+
+      if (filters.endDate) {
+        if (dbManager.getDatabaseType() === 'postgresql') {
+          query += ` AND date <= $${paramIndex}`;
+        } else {
+          query += ' AND date <= ?';
+        }
+        params.push(filters.endDate);
+        paramIndex++;
+      }
+
+      query += ' ORDER BY date DESC, created_at DESC';
+
+      const legs = await dbManager.query(query, params);
+      return this.pairLegs(legs);
+    } catch (error) {
+      console.error('Error obteniendo transferencias:', error);
+      throw new Error('Error al obtener las transferencias');
+    }
+  }
+
+  /**
+   * Obtiene una transferencia por ID
+   * @param {string} id - ID de la transferencia (transfer_id compartido por ambas partes)
+   * @returns {Promise<Object|null>} Transferencia encontrada o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM transactions WHERE transfer_id = $1'
+        : 'SELECT * FROM transactions WHERE transfer_id = ?';
+
+      const legs = await dbManager.query(query, [id]);
+      const transfers = this.pairLegs(legs);
+      return transfers.length > 0 ? transfers[0] : null;
+    } catch (error) {
+      console.error('Error obteniendo transferencia por ID:', error);
+      throw new Error('Error al obtener la transferencia');
+    }
+  }
+
+  /**
+   * Crea una nueva transferencia
+   * Ambas partes se insertan dentro de una misma transacción de base de datos
+   * @param {Object} data - Datos de la transferencia
+   * @param {number|null} createdBy - ID del miembro que la registra
+   * @returns {Promise<Object>} Transferencia creada
+   */
+  static async create(data, createdBy = null) {
+    // Validar datos
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const [fromAccount, toAccount] = await Promise.all([
+      Account.getById(value.from_account_id),
+      Account.getById(value.to_account_id)
+    ]);
+
+    if (!fromAccount || !toAccount) {
+      const e = new Error(!fromAccount ? 'La cuenta de origen no existe' : 'La cuenta de destino no existe');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const transferId = crypto.randomUUID();
+      const date = toISODate(value.date);
+      const currency = value.currency || await Setting.getBaseCurrency();
+      const description = value.description || `Transferencia de ${fromAccount.name} a ${toAccount.name}`;
+
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? `
+          INSERT INTO transactions (type, amount, description, category, date, account_id, transfer_id, currency, created_by, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        `
+        : `
+          INSERT INTO transactions (type, amount, description, category, date, account_id, transfer_id, currency, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+      await dbManager.transaction([
+        { query, params: ['expense', value.amount, description, TRANSFER_CATEGORY, date, fromAccount.id, transferId, currency, createdBy] },
+        { query, params: ['income', value.amount, description, TRANSFER_CATEGORY, date, toAccount.id, transferId, currency, createdBy] }
+      ]);
+
+      return await this.getById(transferId);
+    } catch (error) {
+      console.error('Error creando transferencia:', error);
+      throw new Error('Error al crear la transferencia');
+    }
+  }
+
+  /**
+   * Elimina una transferencia (ambas partes)
+   * @param {string} id - ID de la transferencia
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const query = 'DELETE FROM transactions WHERE transfer_id = $1 RETURNING *';
+        const result = await dbManager.query(query, [id]);
+        return result.length > 0;
+      } else {
+        const query = 'DELETE FROM transactions WHERE transfer_id = ?';
+        const result = await dbManager.query(query, [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando transferencia:', error);
+      throw new Error('Error al eliminar la transferencia');
+    }
+  }
+}
+
+Transfer.CATEGORY = TRANSFER_CATEGORY;
+
+module.exports = Transfer;
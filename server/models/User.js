@@ -0,0 +1,216 @@
+/**
+ * Modelo de Usuario
+ * Los usuarios acceden a la API con un token JWT que obtienen al registrarse o iniciar
+ * sesión. Las contraseñas se guardan como hash (scrypt) y cerrar sesión revoca el token
+ * hasta su caducidad.
+ */
+
+const Joi = require('joi');
+const dbManager = require('../config/database');
+const { hashPassword, verifyPassword, signToken, verifyToken } = require('../utils/auth');
+
+/**
+ * Hash con el que se comprueba la contraseña cuando el email no existe, para que
+ * el login tarde lo mismo y no revele qué emails están registrados
+ */
+const DUMMY_PASSWORD_HASH = 'scrypt$41f9db92b9298464ff5d281ce15b161a$22e034ba38caef9b08f75a0098cc786a4fac0242515f069007e920adcc6dbbb7889527c8157721afba5b4c2892d816e69ce21ac73fd6738fdb8ef18b778e90c0';
+
+/**
+ * Esquema de validación para el registro de usuarios
+ */
+const registerSchema = Joi.object({
+  email: Joi.string().email().max(255).lowercase().trim().required()
+    .messages({
+      'string.email': 'El email no es válido',
+      'any.required': 'El email es requerido'
+    }),
+  password: Joi.string().min(8).max(128).required()
+    .messages({
+      'string.min': 'La contraseña debe tener al menos 8 caracteres',
+      'string.max': 'La contraseña no puede exceder 128 caracteres',
+      'any.required': 'La contraseña es requerida'
+    }),
+  name: Joi.string().max(100).trim().allow('', null).optional()
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres'
+    })
+});
+
+/**
+ * Esquema de validación para el inicio de sesión
+ */
+const loginSchema = Joi.object({
+  email: Joi.string().lowercase().trim().required()
+    .messages({
+      'any.required': 'El email es requerido'
+    }),
+  password: Joi.string().required()
+    .messages({
+      'any.required': 'La contraseña es requerida'
+    })
+});
+
+class User {
+  /**
+   * Elimina el hash de la contraseña de una fila de users
+   * @param {Object} row - Fila de users
+   * @returns {Object} Usuario sin datos sensibles
+   */
+  static format(row) {
+    const { password_hash: passwordHash, ...user } = row;
+    return user;
+  }
+
+  /**
+   * Obtiene un usuario por ID
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object|null>} Usuario encontrado o null
+   */
+  static async getById(id) {
+    try {
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM users WHERE id = $1'
+        : 'SELECT * FROM users WHERE id = ?';
+
+      const users = await dbManager.query(query, [id]);
+      return users.length > 0 ? this.format(users[0]) : null;
+    } catch (error) {
+      console.error('Error obteniendo usuario por ID:', error);
+      throw new Error('Error al obtener el usuario');
+    }
+  }
+
+  /**
+   * Busca la fila completa de un usuario por email
+   * @param {string} email - Email en minúsculas
+   * @returns {Promise<Object|null>} Fila encontrada o null
+   */
+  static async findByEmail(email) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT * FROM users WHERE email = $1'
+      : 'SELECT * FROM users WHERE email = ?';
+    const users = await dbManager.query(query, [email]);
+    return users.length > 0 ? users[0] : null;
+  }
+
+  /**
+   * Registra un usuario nuevo
+   * @param {Object} data - { email, password, name }
+   * @returns {Promise<Object>} { user, token }
+   */
+  static async register(data) {
+    const { error, value } = registerSchema.validate(data, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    if (await this.findByEmail(value.email)) {
+      const e = new Error('Ya existe un usuario con ese email');
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    try {
+      const passwordHash = await hashPassword(value.password);
+      const params = [value.email, value.name || null, passwordHash];
+      let id;
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(
+          'INSERT INTO users (email, name, password_hash, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id',
+          params
+        );
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query('INSERT INTO users (email, name, password_hash) VALUES (?, ?, ?)', params);
+        id = result.lastID;
+      }
+
+      const user = await this.getById(id);
+      return { user, token: signToken({ sub: user.id }) };
+    } catch (error) {
+      console.error('Error registrando usuario:', error);
+      throw new Error('Error al registrar el usuario');
+    }
+  }
+
+  /**
+   * Inicia sesión con email y contraseña
+   * @param {Object} data - { email, password }
+   * @returns {Promise<Object>} { user, token }
+   */
+  static async login(data) {
+    const { error, value } = loginSchema.validate(data, { abortEarly: false });
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+
+    const row = await this.findByEmail(value.email);
+    const valid = await verifyPassword(value.password, row ? row.password_hash : DUMMY_PASSWORD_HASH);
+    if (!row || !valid) {
+      const e = new Error('Email o contraseña incorrectos');
+      e.name = 'AuthenticationError';
+      throw e;
+    }
+
+    const user = this.format(row);
+    return { user, token: signToken({ sub: user.id }) };
+  }
+
+  /**
+   * Obtiene el usuario de un token válido y no revocado
+   * @param {string} token - Token JWT
+   * @returns {Promise<Object|null>} { user, claims } o null si el token no es válido
+   */
+  static async authenticate(token) {
+    const claims = verifyToken(token);
+    if (!claims) {
+      return null;
+    }
+
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT jti FROM revoked_tokens WHERE jti = $1'
+      : 'SELECT jti FROM revoked_tokens WHERE jti = ?';
+    const revoked = await dbManager.query(query, [claims.jti]);
+    if (revoked.length > 0) {
+      return null;
+    }
+
+    const user = await this.getById(claims.sub);
+    return user ? { user, claims } : null;
+  }
+
+  /**
+   * Revoca un token hasta su caducidad y limpia los revocados que ya caducaron
+   * @param {Object} claims - Datos del token (jti y exp)
+   * @returns {Promise<void>}
+   */
+  static async logout(claims) {
+    const now = new Date().toISOString();
+    const expiresAt = new Date(claims.exp * 1000).toISOString();
+
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        await dbManager.transaction([
+          { query: 'DELETE FROM revoked_tokens WHERE expires_at < $1', params: [now] },
+          { query: 'INSERT INTO revoked_tokens (jti, expires_at) VALUES ($1, $2) ON CONFLICT (jti) DO NOTHING', params: [claims.jti, expiresAt] }
+        ]);
+      } else {
+        await dbManager.transaction([
+          { query: 'DELETE FROM revoked_tokens WHERE expires_at < ?', params: [now] },
+          { query: 'INSERT INTO revoked_tokens (jti, expires_at) VALUES (?, ?) ON CONFLICT (jti) DO NOTHING', params: [claims.jti, expiresAt] }
+        ]);
+      }
+    } catch (error) {
+      console.error('Error cerrando sesión:', error);
+      throw new Error('Error al cerrar la sesión');
+    }
+  }
+}
+
+module.exports = User;
@@ -0,0 +1,497 @@
+/**
+ * Modelo de Webhook
+ * Un webhook es una suscripción a eventos (altas, cambios y bajas de transacciones y
+ * cambios de categorías) que se envían como JSON por POST a una URL externa.
+ * Cada envío se firma con HMAC-SHA256 usando el secreto del webhook y se guarda en
+ * webhook_deliveries. Los envíos fallidos se reintentan con espera exponencial
+ * (1, 2, 4 y 8 minutos) hasta un máximo de MAX_ATTEMPTS intentos.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Joi = require('joi');
+const dbManager = require('../config/database');
+
+const EVENTS = ['transaction.created', 'transaction.updated', 'transaction.deleted', 'category.changed'];
+const PING_EVENT = 'ping';
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Esquema de validación para webhooks
+ */
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required()
+    .messages({
+      'string.uri': 'La URL debe ser una dirección http o https válida',
+      'string.uriCustomScheme': 'La URL debe ser una dirección http o https válida',
+      'any.required': 'La URL es requerida'
+    }),
+  events: Joi.array().items(Joi.string().valid(...EVENTS)).min(1).unique().required()
+    .messages({
+      'any.only': `Los eventos deben ser de: ${EVENTS.join(', ')}`,
+      'array.min': 'Debe indicarse al menos un evento',
+      'array.unique': 'Los eventos no pueden repetirse',
+      'any.required': 'Los eventos son requeridos'
+    }),
+  secret: Joi.string().min(16).max(255).optional()
+    .messages({
+      'string.min': 'El secreto debe tener al menos 16 caracteres',
+      'string.max': 'El secreto no puede exceder 255 caracteres'
+    })
+});
+
+class Webhook {
+  /**
+   * Valida los datos de un webhook
+   * @param {Object} data - Datos del webhook
+   * @returns {Object} Resultado de la validación
+   */
+  static validate(data) {
+    return webhookSchema.validate(data, { abortEarly: false });
+  }
+
+  /**
+   * Normaliza una fila de webhooks
+   * El secreto solo se devuelve al crear el webhook o al cambiarlo
+   * @param {Object} row - Fila de webhooks
+   * @param {boolean} includeSecret - Si true, incluye el secreto
+   * @returns {Object} Webhook con la lista de eventos
+   */
+  static format(row, includeSecret = false) {
+    const { secret, ...webhook } = row;
+    return {
+      ...webhook,
+      events: row.events.split(','),
+      ...(includeSecret ? { secret } : {})
+    };
+  }
+
+  /**
+   * Obtiene todos los webhooks
+   * @returns {Promise<Array>} Webhooks sin su secreto
+   */
+  static async getAll() {
+    try {
+      const webhooks = await dbManager.query('SELECT * FROM webhooks ORDER BY id ASC');
+      return webhooks.map(webhook => this.format(webhook));
+    } catch (error) {
+      console.error('Error obteniendo webhooks:', error);
+      throw new Error('Error al obtener los webhooks');
+    }
+  }
+
+  /**
+   * Obtiene la fila completa de un webhook (con su secreto)
+   * @param {number} id - ID del webhook
+   * @returns {Promise<Object|null>} Fila encontrada o null
+   */
+  static async findRow(id) {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? 'SELECT * FROM webhooks WHERE id = $1'
+      : 'SELECT * FROM webhooks WHERE id = ?';
+    const webhooks = await dbManager.query(query, [id]);
+    return webhooks.length > 0 ? webhooks[0] : null;
+  }
+
+  /**
+   * Obtiene un webhook por ID
+   * @param {number} id - ID del webhook
+   * @returns {Promise<Object|null>} Webhook sin su secreto o null
+   */
+  static async getById(id) {
+    try {
+      const webhook = await this.findRow(id);
+      return webhook ? this.format(webhook) : null;
+    } catch (error) {
+      console.error('Error obteniendo webhook por ID:', error);
+      throw new Error('Error al obtener el webhook');
+    }
+  }
+
+  /**
+   * Valida los datos de un webhook
+   * @param {Object} data - Datos del webhook
+   * @returns {Object} Valores validados
+   */
+  static prepare(data) {
+    const { error, value } = this.validate(data);
+    if (error) {
+      const errorMessage = error.details.map(detail => detail.message).join(', ');
+      const e = new Error(errorMessage);
+      e.name = 'ValidationError';
+      throw e;
+    }
+    return value;
+  }
+
+  /**
+   * Crea un webhook; si no se indica un secreto se genera uno aleatorio
+   * @param {Object} data - { url, events, secret }
+   * @returns {Promise<Object>} Webhook creado, con su secreto
+   */
+  static async create(data) {
+    const value = this.prepare(data);
+    const secret = value.secret || crypto.randomBytes(24).toString('hex');
+
+    try {
+      let id;
+      const params = [value.url, value.events.join(','), secret];
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query(
+          'INSERT INTO webhooks (url, events, secret, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id',
+          params
+        );
+        id = result[0].id;
+      } else {
+        const result = await dbManager.query('INSERT INTO webhooks (url, events, secret) VALUES (?, ?, ?)', params);
+        id = result.lastID;
+      }
+
+      return this.format(await this.findRow(id), true);
+    } catch (error) {
+      console.error('Error creando webhook:', error);
+      throw new Error('Error al crear el webhook');
+    }
+  }
+
+  /**
+   * Actualiza un webhook; sin secreto se conserva el actual
+   * @param {number} id - ID del webhook
+   * @param {Object} data - { url, events, secret }
+   * @returns {Promise<Object|null>} Webhook actualizado (con el secreto si cambió) o null si no existe
+   */
+  static async update(id, data) {
+    const value = this.prepare(data);
+    const current = await this.findRow(id);
+    if (!current) {
+      return null;
+    }
+
+    try {
+      const params = [value.url, value.events.join(','), value.secret || current.secret, id];
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'UPDATE webhooks SET url = $1, events = $2, secret = $3, updated_at = NOW() WHERE id = $4'
+        : 'UPDATE webhooks SET url = ?, events = ?, secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      await dbManager.query(query, params);
+
+      return this.format(await this.findRow(id), Boolean(value.secret));
+    } catch (error) {
+      console.error('Error actualizando webhook:', error);
+      throw new Error('Error al actualizar el webhook');
+    }
+  }
+
+  /**
+   * Elimina un webhook junto con su registro de envíos
+   * @param {number} id - ID del webhook
+   * @returns {Promise<boolean>} True si se eliminó correctamente
+   */
+  static async delete(id) {
+    try {
+      if (dbManager.getDatabaseType() === 'postgresql') {
+        const result = await dbManager.query('DELETE FROM webhooks WHERE id = $1 RETURNING *', [id]);
+        return result.length > 0;
+      } else {
+        const result = await dbManager.query('DELETE FROM webhooks WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    } catch (error) {
+      console.error('Error eliminando webhook:', error);
+      throw new Error('Error al eliminar el webhook');
+    }
+  }
+
+  /**
+   * Obtiene los últimos envíos de un webhook
+   * @param {number} id - ID del webhook
+   * @param {number} limit - Cantidad máxima de envíos
+   * @returns {Promise<Array|null>} Envíos del más reciente al más antiguo, o null si el webhook no existe
+   */
+  static async getDeliveries(id, limit = 50) {
+    try {
+      if (!(await this.findRow(id))) {
+        return null;
+      }
+
+      const query = dbManager.getDatabaseType() === 'postgresql'
+        ? 'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC LIMIT $2'
+        : 'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?';
+      const deliveries = await dbManager.query(query, [id, limit]);
+      return deliveries.map(formatDelivery);
+    } catch (error) {
+      console.error('Error obteniendo envíos de webhook:', error);
+      throw new Error('Error al obtener los envíos del webhook');
+    }
+  }
+
+  /**
+   * Registra el envío de un evento a todos los webhooks suscritos y hace el primer intento
+   * Los envíos que fallen quedan pendientes para retryDue.
+   * @param {string} event - Evento (uno de EVENTS)
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<number>} Cantidad de envíos registrados
+   */
+  static async dispatch(event, data) {
+    const webhooks = (await dbManager.query('SELECT * FROM webhooks'))
+      .filter(webhook => webhook.events.split(',').includes(event));
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      deliveries.push({ webhook, delivery: await this.enqueue(webhook, event, data) });
+    }
+
+    await Promise.all(deliveries.map(({ webhook, delivery }) => this.deliver(webhook, delivery)));
+    return deliveries.length;
+  }
+
+  /**
+   * Envía un evento de prueba a un webhook y espera el resultado
+   * @param {number} id - ID del webhook
+   * @returns {Promise<Object|null>} Envío resultante o null si el webhook no existe
+   */
+  static async ping(id) {
+    const webhook = await this.findRow(id);
+    if (!webhook) {
+      return null;
+    }
+
+    const delivery = await this.enqueue(webhook, PING_EVENT, { webhook_id: webhook.id });
+    return formatDelivery(await this.deliver(webhook, delivery));
+  }
+
+  /**
+   * Guarda un envío pendiente con el cuerpo JSON que se enviará en cada intento
+   * El cuerpo se guarda en el mismo INSERT, así que nunca se lee un envío incompleto. El
+   * primer reintento se programa ya, por si el servidor se detiene antes de terminar el envío.
+   * @param {Object} webhook - Fila de webhooks
+   * @param {string} event - Evento
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<Object>} Fila de webhook_deliveries creada
+   */
+  static async enqueue(webhook, event, data) {
+    const isPostgres = dbManager.getDatabaseType() === 'postgresql';
+    const createdAt = new Date();
+    const nextAttemptAt = new Date(createdAt.getTime() + RETRY_BASE_DELAY_MS).toISOString();
+
+    // El ID del evento es único aunque el mismo evento se envíe a varios webhooks
+    const payload = JSON.stringify({ id: crypto.randomUUID(), event, created_at: createdAt.toISOString(), data });
+    const insertParams = [webhook.id, event, payload, nextAttemptAt];
+    const id = isPostgres
+      ? (await dbManager.query(`
+          INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          RETURNING id
+        `, insertParams))[0].id
+      : (await dbManager.query(`
+          INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+          VALUES (?, ?, ?, ?)
+        `, insertParams)).lastID;
+
+    return { id, webhook_id: webhook.id, event, payload, status: 'pending', attempts: 0 };
+  }
+
+  /**
+   * Hace un intento de envío y guarda su resultado
+   * Una respuesta 2xx completa el envío; cualquier otra respuesta o error de red programa
+   * un reintento con espera exponencial, o marca el envío como fallido al agotar los intentos.
+   * @param {Object} webhook - Fila de webhooks
+   * @param {Object} delivery - Fila de webhook_deliveries
+   * @returns {Promise<Object>} Envío con su nuevo estado
+   */
+  static async deliver(webhook, delivery) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let lastError = null;
+
+    try {
+      responseStatus = await postJson(webhook.url, delivery.payload, {
+        'User-Agent': 'expense-tracker-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, delivery.payload)}`
+      });
+      if (responseStatus < 200 || responseStatus >= 300) {
+        lastError = `Respuesta HTTP ${responseStatus}`;
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    const now = new Date();
+    let status;
+    let nextAttemptAt = null;
+    let deliveredAt = null;
+    if (!lastError) {
+      status = 'success';
+      deliveredAt = now.toISOString();
+    } else if (attempts >= MAX_ATTEMPTS) {
+      status = 'failed';
+    } else {
+      status = 'pending';
+      nextAttemptAt = new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString();
+    }
+
+    const params = [status, attempts, responseStatus, lastError, nextAttemptAt, deliveredAt, delivery.id];
+    try {
+      await dbManager.query(
+        dbManager.getDatabaseType() === 'postgresql'
+          ? `
+            UPDATE webhook_deliveries
+            SET status = $1, attempts = $2, response_status = $3, last_error = $4, next_attempt_at = $5, delivered_at = $6
+            WHERE id = $7
+          `
+          : `
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?, delivered_at = ?
+            WHERE id = ?
+          `,
+        params
+      );
+    } catch (error) {
+      console.error('Error guardando el resultado del envío de webhook:', error);
+    }
+
+    return {
+      ...delivery,
+      status,
+      attempts,
+      response_status: responseStatus,
+      last_error: lastError,
+      next_attempt_at: nextAttemptAt,
+      delivered_at: deliveredAt
+    };
+  }
+
+  /**
+   * Reintenta los envíos pendientes cuyo siguiente intento ya venció
+   * Lo ejecuta el programador del servidor periódicamente
+   * @returns {Promise<number>} Cantidad de envíos reintentados
+   */
+  static async retryDue() {
+    const query = dbManager.getDatabaseType() === 'postgresql'
+      ? `
+        SELECT d.*, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= $1
+        ORDER BY d.next_attempt_at ASC
+      `
+      : `
+        SELECT d.*, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at ASC
+      `;
+    const due = await dbManager.query(query, [new Date().toISOString()]);
+
+    let sent = 0;
+    for (const delivery of due) {
+      if (await this.claim(delivery.id)) {
+        await this.deliver({ url: delivery.url, secret: delivery.secret }, delivery);
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Reserva un envío pendiente antes de intentarlo
+   * Aplaza su siguiente intento para que otra pasada de retryDue no lo envíe a la vez; si el
+   * servidor se detiene durante el envío, la reserva vence y el envío se reintenta.
+   * @param {number} id - ID del envío
+   * @returns {Promise<boolean>} True si el envío seguía pendiente y vencido
+   */
+  static async claim(id) {
+    const now = new Date();
+    const params = [new Date(now.getTime() + RETRY_BASE_DELAY_MS).toISOString(), id, now.toISOString()];
+
+    if (dbManager.getDatabaseType() === 'postgresql') {
+      const result = await dbManager.query(`
+        UPDATE webhook_deliveries SET next_attempt_at = $1
+        WHERE id = $2 AND status = 'pending' AND next_attempt_at <= $3
+        RETURNING id
+      `, params);
+      return result.length === 1;
+    }
+
+    const result = await dbManager.query(`
+      UPDATE webhook_deliveries SET next_attempt_at = ?
+      WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+    `, params);
+    return result.changes === 1;
+  }
+}
+
+/**
+ * Normaliza una fila de webhook_deliveries
+ * Solo se toman las columnas del envío, para no exponer nunca la URL ni el secreto del webhook
+ * aunque la fila venga unida a webhooks
+ * @param {Object} row - Fila de webhook_deliveries
+ * @returns {Object} Envío con el cuerpo JSON ya interpretado
+ */
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event: row.event,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    response_status: row.response_status,
+    last_error: row.last_error,
+    next_attempt_at: row.next_attempt_at,
+    delivered_at: row.delivered_at,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Firma un cuerpo con HMAC-SHA256
+ * El receptor debe calcular la misma firma sobre el cuerpo recibido y compararla
+ * con la cabecera X-Webhook-Signature
+ * @param {string} secret - Secreto del webhook
+ * @param {string} body - Cuerpo JSON
+ * @returns {string} Firma en hexadecimal
+ */
+function sign(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Envía un cuerpo JSON por POST
+ * @param {string} url - URL de destino
+ * @param {string} body - Cuerpo JSON
+ * @param {Object} headers - Cabeceras adicionales
+ * @returns {Promise<number>} Código de estado HTTP de la respuesta
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+      // La respuesta no se usa; se consume para liberar la conexión
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Tiempo de espera agotado')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+Webhook.EVENTS = EVENTS;
+Webhook.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = Webhook;
@@ -0,0 +1,68 @@
+/**
+ * Script de importación de tipos de cambio
+ * Lee un archivo CSV local con el formato fecha,moneda_origen,moneda_destino,cotización
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('../config/database');
+const ExchangeRate = require('../models/ExchangeRate');
+
+/**
+ * Importa los tipos de cambio del archivo indicado
+ * @param {string} filePath - Ruta del archivo CSV
+ */
+async function importRates(filePath) {
+  try {
+    const csv = fs.readFileSync(path.resolve(filePath), 'utf8');
+
+    await dbManager.connect();
+
+    const result = await ExchangeRate.importCsv(csv);
+    console.log(`✅ ${result.imported} tipos de cambio importados`);
+
+    for (const { line, error } of result.errors) {
+      console.warn(`⚠️  Línea ${line}: ${error}`);
+    }
+  } catch (error) {
+    console.error('❌ Error importando tipos de cambio:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.close();
+  }
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  const filePath = process.argv[2];
+
+  if (!filePath || filePath === '--help' || filePath === '-h') {
+    console.log(`
+💱 Importación de tipos de cambio
+
+Uso: node import-rates.js <archivo.csv>
+
+Formato (una cotización por línea, encabezado opcional, separador "," o ";"):
+  fecha,moneda_origen,moneda_destino,cotización
+  2024-01-15,USD,EUR,0.9134
+    `);
+    return;
+  }
+
+  await importRates(filePath);
+}
+
+// Ejecutar si es llamado directamente
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Error fatal:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importRates
+};
@@ -40,6 +40,344 @@ const migrations = {
       )
     `,
     
+    // Tabla de cuentas
+    accounts: `
+      CREATE TABLE IF NOT EXISTS accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL CHECK(type IN ('cash', 'bank', 'credit_card', 'savings')),
+        opening_balance REAL NOT NULL DEFAULT 0,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Tabla de tipos de cambio
+    exchange_rates: `
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_currency TEXT NOT NULL,
+        to_currency TEXT NOT NULL,
+        rate REAL NOT NULL CHECK(rate > 0),
+        date TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(from_currency, to_currency, date)
+      )
+    `,
+    
+    // Tabla de configuración del hogar
+    settings: `
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Divisiones de transacciones entre varias categorías
+    transaction_splits: `
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        category TEXT NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        memo TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Etiquetas libres y su relación con las transacciones
+    tags: `
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    transaction_tags: `
+      CREATE TABLE IF NOT EXISTS transaction_tags (
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (transaction_id, tag_id)
+      )
+    `,
+    
+    // Reglas de transacciones recurrentes (alquiler, salario, suscripciones...)
+    recurring_rules: `
+      CREATE TABLE IF NOT EXISTS recurring_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL CHECK(type IN ('income', 'expense')),
+        amount REAL NOT NULL CHECK(amount > 0),
+        description TEXT NOT NULL,
+        category_id INTEGER REFERENCES categories(id),
+        category TEXT NOT NULL,
+        account_id INTEGER REFERENCES accounts(id),
+        currency TEXT NOT NULL,
+        frequency TEXT NOT NULL CHECK(frequency IN ('weekly', 'monthly', 'yearly')),
+        day_of_month INTEGER CHECK(day_of_month BETWEEN 1 AND 31),
+        start_date TEXT NOT NULL,
+        end_date TEXT,
+        last_occurrence_date TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Facturas por pagar con su fecha de vencimiento
+    bills: `
+      CREATE TABLE IF NOT EXISTS bills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        category_id INTEGER REFERENCES categories(id),
+        category TEXT NOT NULL,
+        account_id INTEGER REFERENCES accounts(id),
+        currency TEXT NOT NULL,
+        due_date TEXT NOT NULL,
+        notes TEXT,
+        paid_at TEXT,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Presupuestos mensuales por categoría (month en formato YYYY-MM)
+    budgets: `
+      CREATE TABLE IF NOT EXISTS budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        month TEXT NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(category_id, month)
+      )
+    `,
+    
+    // Dinero asignado a cada sobre (categoría de gastos) en un mes
+    envelope_allocations: `
+      CREATE TABLE IF NOT EXISTS envelope_allocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        month TEXT NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(category_id, month)
+      )
+    `,
+    
+    // Metas de ahorro vinculadas a una categoría de gastos o a una cuenta
+    goals: `
+      CREATE TABLE IF NOT EXISTS goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        target_amount REAL NOT NULL CHECK(target_amount > 0),
+        target_date TEXT NOT NULL,
+        start_date TEXT,
+        category_id INTEGER REFERENCES categories(id),
+        account_id INTEGER REFERENCES accounts(id),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK((category_id IS NULL) <> (account_id IS NULL))
+      )
+    `,
+    
+    // Reglas que generan notificaciones al superarse un umbral
+    notification_rules: `
+      CREATE TABLE IF NOT EXISTS notification_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL CHECK(type IN ('category_spend', 'large_transaction', 'low_balance')),
+        threshold REAL NOT NULL,
+        category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+        account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Notificaciones generadas por las reglas (dedupe_key evita repetir un mismo aviso)
+    notifications: `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER REFERENCES notification_rules(id) ON DELETE SET NULL,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        dedupe_key TEXT NOT NULL,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rule_id, dedupe_key)
+      )
+    `,
+    
+    // Suscripciones a eventos que se envían por HTTP a una URL externa
+    webhooks: `
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Registro de envíos de webhooks con sus reintentos
+    webhook_deliveries: `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'success', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TEXT,
+        delivered_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Usuarios que pueden acceder a la API
+    users: `
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Tokens revocados al cerrar sesión (se conservan hasta su caducidad)
+    revoked_tokens: `
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Hogar dueño de los datos y código para invitar a sus miembros
+    households: `
+      CREATE TABLE IF NOT EXISTS households (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        invite_code TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Miembros del hogar y su rol (cada usuario pertenece como mucho a un hogar)
+    household_members: `
+      CREATE TABLE IF NOT EXISTS household_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK(role IN ('owner', 'editor', 'viewer')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Claves de API del hogar para scripts y automatizaciones (solo se guarda el hash)
+    api_keys: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scope TEXT NOT NULL DEFAULT 'write' CHECK(scope IN ('read', 'write')),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Personas entre las que se reparten los gastos compartidos
+    participants: `
+      CREATE TABLE IF NOT EXISTS participants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Gastos compartidos: quién pagó y cómo se reparte
+    shared_expenses: `
+      CREATE TABLE IF NOT EXISTS shared_expenses (
+        transaction_id INTEGER PRIMARY KEY REFERENCES transactions(id) ON DELETE CASCADE,
+        paid_by INTEGER NOT NULL REFERENCES participants(id),
+        method TEXT NOT NULL CHECK(method IN ('equal', 'percentage', 'exact'))
+      )
+    `,
+    
+    // Parte de cada participante en un gasto compartido
+    expense_shares: `
+      CREATE TABLE IF NOT EXISTS expense_shares (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL REFERENCES shared_expenses(transaction_id) ON DELETE CASCADE,
+        participant_id INTEGER NOT NULL REFERENCES participants(id),
+        value REAL,
+        amount REAL NOT NULL,
+        UNIQUE(transaction_id, participant_id)
+      )
+    `,
+    
+    // Pagos entre participantes para saldar deudas
+    settlements: `
+      CREATE TABLE IF NOT EXISTS settlements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_participant_id INTEGER NOT NULL REFERENCES participants(id),
+        to_participant_id INTEGER NOT NULL REFERENCES participants(id),
+        amount REAL NOT NULL CHECK(amount > 0),
+        date TEXT NOT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+    
+    // Columnas agregadas a tablas existentes
+    columns: [
+      { table: 'transactions', column: 'account_id', definition: 'INTEGER REFERENCES accounts(id)' },
+      { table: 'transactions', column: 'transfer_id', definition: 'TEXT' },
+      { table: 'transactions', column: 'currency', definition: 'TEXT' },
+      { table: 'categories', column: 'parent_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'transactions', column: 'category_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'transaction_splits', column: 'category_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'categories', column: 'archived_at', definition: 'DATETIME' },
+      { table: 'transactions', column: 'recurring_rule_id', definition: 'INTEGER REFERENCES recurring_rules(id) ON DELETE SET NULL' },
+      { table: 'transactions', column: 'created_by', definition: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+      { table: 'transactions', column: 'external_id', definition: 'TEXT' }
+    ],
+    
+    // Correcciones de datos existentes
+    repairs: [
+      // Fechas guardadas como timestamp numérico en lugar de YYYY-MM-DD
+      "UPDATE transactions SET date = date(CAST(date AS REAL) / 1000, 'unixepoch') WHERE date NOT LIKE '____-__-__%'"
+    ],
+    
+    // Completar datos de columnas nuevas a partir de los existentes
+    backfills: [
+      // Vincular transacciones y divisiones con su categoría por nombre
+      `UPDATE transactions SET category_id = (
+        SELECT c.id FROM categories c WHERE LOWER(c.name) = LOWER(transactions.category)
+      ) WHERE category_id IS NULL`,
+      `UPDATE transaction_splits SET category_id = (
+        SELECT c.id FROM categories c WHERE LOWER(c.name) = LOWER(transaction_splits.category)
+      ) WHERE category_id IS NULL`
+    ],
+    
     // Índices para optimizar consultas
     indexes: [
       'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
@@ -47,7 +385,35 @@ const migrations = {
       'CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category)',
       'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type)',
-      'CREATE INDEX IF NOT EXISTS idx_categories_name ON categories(name)'
+      'CREATE INDEX IF NOT EXISTS idx_categories_name ON categories(name)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair_date ON exchange_rates(from_currency, to_currency, date)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_category ON transaction_splits(category)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag_id ON transaction_tags(tag_id)',
+      'CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions(category_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_category_id ON transaction_splits(category_id)',
+      // Una regla recurrente genera como mucho una transacción por fecha
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_rule_id, date)',
+      // Un movimiento bancario (FITID de OFX o referencia del banco) se importa una sola vez por cuenta
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_external_id ON transactions(account_id, external_id)',
+      'CREATE INDEX IF NOT EXISTS idx_bills_due_date ON bills(due_date)',
+      'CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)',
+      'CREATE INDEX IF NOT EXISTS idx_envelope_allocations_month ON envelope_allocations(month)',
+      'CREATE INDEX IF NOT EXISTS idx_notifications_read_at ON notifications(read_at)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_household_members_household_id ON household_members(household_id)',
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_household_id ON api_keys(household_id)',
+      'CREATE INDEX IF NOT EXISTS idx_expense_shares_participant_id ON expense_shares(participant_id)',
+      'CREATE INDEX IF NOT EXISTS idx_settlements_date ON settlements(date)',
+      // Los nombres de categoría son únicos sin distinguir mayúsculas, como los de etiquetas y participantes
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name_nocase ON categories(name COLLATE NOCASE)',
+      // La instalación tiene un único hogar: los datos no están separados por hogar
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_households_singleton ON households ((1))'
     ]
   },
   
@@ -80,6 +446,346 @@ const migrations = {
       )
     `,
     
+    // Tabla de cuentas
+    accounts: `
+      CREATE TABLE IF NOT EXISTS accounts (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        type VARCHAR(20) NOT NULL CHECK(type IN ('cash', 'bank', 'credit_card', 'savings')),
+        opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+        description VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Tabla de tipos de cambio
+    exchange_rates: `
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        from_currency VARCHAR(3) NOT NULL,
+        to_currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(18,8) NOT NULL CHECK(rate > 0),
+        date DATE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(from_currency, to_currency, date)
+      )
+    `,
+    
+    // Tabla de configuración del hogar
+    settings: `
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(50) PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Divisiones de transacciones entre varias categorías
+    transaction_splits: `
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        category VARCHAR(100) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        memo VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Etiquetas libres y su relación con las transacciones
+    tags: `
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        color VARCHAR(7),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    transaction_tags: `
+      CREATE TABLE IF NOT EXISTS transaction_tags (
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (transaction_id, tag_id)
+      )
+    `,
+    
+    // Reglas de transacciones recurrentes (alquiler, salario, suscripciones...)
+    recurring_rules: `
+      CREATE TABLE IF NOT EXISTS recurring_rules (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(10) NOT NULL CHECK(type IN ('income', 'expense')),
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        description VARCHAR(255) NOT NULL,
+        category_id INTEGER REFERENCES categories(id),
+        category VARCHAR(100) NOT NULL,
+        account_id INTEGER REFERENCES accounts(id),
+        currency VARCHAR(3) NOT NULL,
+        frequency VARCHAR(10) NOT NULL CHECK(frequency IN ('weekly', 'monthly', 'yearly')),
+        day_of_month INTEGER CHECK(day_of_month BETWEEN 1 AND 31),
+        start_date DATE NOT NULL,
+        end_date DATE,
+        last_occurrence_date DATE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Facturas por pagar con su fecha de vencimiento
+    bills: `
+      CREATE TABLE IF NOT EXISTS bills (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        category_id INTEGER REFERENCES categories(id),
+        category VARCHAR(100) NOT NULL,
+        account_id INTEGER REFERENCES accounts(id),
+        currency VARCHAR(3) NOT NULL,
+        due_date DATE NOT NULL,
+        notes VARCHAR(255),
+        paid_at DATE,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Presupuestos mensuales por categoría (month en formato YYYY-MM)
+    budgets: `
+      CREATE TABLE IF NOT EXISTS budgets (
+        id SERIAL PRIMARY KEY,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        month VARCHAR(7) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(category_id, month)
+      )
+    `,
+    
+    // Dinero asignado a cada sobre (categoría de gastos) en un mes
+    envelope_allocations: `
+      CREATE TABLE IF NOT EXISTS envelope_allocations (
+        id SERIAL PRIMARY KEY,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        month VARCHAR(7) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(category_id, month)
+      )
+    `,
+    
+    // Metas de ahorro vinculadas a una categoría de gastos o a una cuenta
+    goals: `
+      CREATE TABLE IF NOT EXISTS goals (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        target_amount DECIMAL(12,2) NOT NULL CHECK(target_amount > 0),
+        target_date DATE NOT NULL,
+        start_date DATE,
+        category_id INTEGER REFERENCES categories(id),
+        account_id INTEGER REFERENCES accounts(id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        CHECK((category_id IS NULL) <> (account_id IS NULL))
+      )
+    `,
+    
+    // Reglas que generan notificaciones al superarse un umbral
+    notification_rules: `
+      CREATE TABLE IF NOT EXISTS notification_rules (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(20) NOT NULL CHECK(type IN ('category_spend', 'large_transaction', 'low_balance')),
+        threshold DECIMAL(12,2) NOT NULL,
+        category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+        account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Notificaciones generadas por las reglas (dedupe_key evita repetir un mismo aviso)
+    notifications: `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER REFERENCES notification_rules(id) ON DELETE SET NULL,
+        type VARCHAR(20) NOT NULL,
+        message TEXT NOT NULL,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        dedupe_key VARCHAR(50) NOT NULL,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(rule_id, dedupe_key)
+      )
+    `,
+    
+    // Suscripciones a eventos que se envían por HTTP a una URL externa
+    webhooks: `
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        url VARCHAR(2048) NOT NULL,
+        events TEXT NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Registro de envíos de webhooks con sus reintentos
+    webhook_deliveries: `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload TEXT NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'success', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Usuarios que pueden acceder a la API
+    users: `
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        name VARCHAR(100),
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Tokens revocados al cerrar sesión (se conservan hasta su caducidad)
+    revoked_tokens: `
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti VARCHAR(36) PRIMARY KEY,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Hogar dueño de los datos y código para invitar a sus miembros
+    households: `
+      CREATE TABLE IF NOT EXISTS households (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        invite_code VARCHAR(20) NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Miembros del hogar y su rol (cada usuario pertenece como mucho a un hogar)
+    household_members: `
+      CREATE TABLE IF NOT EXISTS household_members (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL CHECK(role IN ('owner', 'editor', 'viewer')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Claves de API del hogar para scripts y automatizaciones (solo se guarda el hash)
+    api_keys: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) NOT NULL UNIQUE,
+        scope VARCHAR(10) NOT NULL DEFAULT 'write' CHECK(scope IN ('read', 'write')),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Personas entre las que se reparten los gastos compartidos
+    participants: `
+      CREATE TABLE IF NOT EXISTS participants (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Gastos compartidos: quién pagó y cómo se reparte
+    shared_expenses: `
+      CREATE TABLE IF NOT EXISTS shared_expenses (
+        transaction_id INTEGER PRIMARY KEY REFERENCES transactions(id) ON DELETE CASCADE,
+        paid_by INTEGER NOT NULL REFERENCES participants(id),
+        method VARCHAR(10) NOT NULL CHECK(method IN ('equal', 'percentage', 'exact'))
+      )
+    `,
+    
+    // Parte de cada participante en un gasto compartido
+    expense_shares: `
+      CREATE TABLE IF NOT EXISTS expense_shares (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER NOT NULL REFERENCES shared_expenses(transaction_id) ON DELETE CASCADE,
+        participant_id INTEGER NOT NULL REFERENCES participants(id),
+        value DECIMAL(12,2),
+        amount DECIMAL(12,2) NOT NULL,
+        UNIQUE(transaction_id, participant_id)
+      )
+    `,
+    
+    // Pagos entre participantes para saldar deudas
+    settlements: `
+      CREATE TABLE IF NOT EXISTS settlements (
+        id SERIAL PRIMARY KEY,
+        from_participant_id INTEGER NOT NULL REFERENCES participants(id),
+        to_participant_id INTEGER NOT NULL REFERENCES participants(id),
+        amount DECIMAL(12,2) NOT NULL CHECK(amount > 0),
+        date DATE NOT NULL,
+        note VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `,
+    
+    // Columnas agregadas a tablas existentes
+    columns: [
+      { table: 'transactions', column: 'account_id', definition: 'INTEGER REFERENCES accounts(id)' },
+      { table: 'transactions', column: 'transfer_id', definition: 'VARCHAR(36)' },
+      { table: 'transactions', column: 'currency', definition: 'VARCHAR(3)' },
+      { table: 'categories', column: 'parent_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'transactions', column: 'category_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'transaction_splits', column: 'category_id', definition: 'INTEGER REFERENCES categories(id)' },
+      { table: 'categories', column: 'archived_at', definition: 'TIMESTAMP WITH TIME ZONE' },
+      { table: 'transactions', column: 'recurring_rule_id', definition: 'INTEGER REFERENCES recurring_rules(id) ON DELETE SET NULL' },
+      { table: 'transactions', column: 'created_by', definition: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+      { table: 'transactions', column: 'external_id', definition: 'VARCHAR(255)' }
+    ],
+    
+    // Completar datos de columnas nuevas a partir de los existentes
+    backfills: [
+      // Vincular transacciones y divisiones con su categoría por nombre
+      `UPDATE transactions SET category_id = (
+        SELECT c.id FROM categories c WHERE LOWER(c.name) = LOWER(transactions.category)
+      ) WHERE category_id IS NULL`,
+      `UPDATE transaction_splits SET category_id = (
+        SELECT c.id FROM categories c WHERE LOWER(c.name) = LOWER(transaction_splits.category)
+      ) WHERE category_id IS NULL`
+    ],
+    
+    // Correcciones de datos existentes
+    repairs: [
+      // Fechas guardadas como timestamp numérico en lugar de YYYY-MM-DD, en columnas de texto
+      // de bases creadas a mano; la columna DATE de esta migración ya las rechaza
+      `UPDATE transactions SET date = (to_timestamp(CAST(date::text AS DOUBLE PRECISION) / 1000) AT TIME ZONE 'UTC')::date
+       WHERE date::text !~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}'`
+    ],
+    
     // Índices para optimizar consultas
     indexes: [
       'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
@@ -87,7 +793,37 @@ const migrations = {
       'CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category)',
       'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type)',
-      'CREATE INDEX IF NOT EXISTS idx_categories_name ON categories(name)'
+      'CREATE INDEX IF NOT EXISTS idx_categories_name ON categories(name)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair_date ON exchange_rates(from_currency, to_currency, date)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_category ON transaction_splits(category)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag_id ON transaction_tags(tag_id)',
+      'CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions(category_id)',
+      'CREATE INDEX IF NOT EXISTS idx_transaction_splits_category_id ON transaction_splits(category_id)',
+      // Una regla recurrente genera como mucho una transacción por fecha
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_rule_id, date)',
+      // Un movimiento bancario (FITID de OFX o referencia del banco) se importa una sola vez por cuenta
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_external_id ON transactions(account_id, external_id)',
+      'CREATE INDEX IF NOT EXISTS idx_bills_due_date ON bills(due_date)',
+      'CREATE INDEX IF NOT EXISTS idx_budgets_month ON budgets(month)',
+      'CREATE INDEX IF NOT EXISTS idx_envelope_allocations_month ON envelope_allocations(month)',
+      'CREATE INDEX IF NOT EXISTS idx_notifications_read_at ON notifications(read_at)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id)',
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_household_members_household_id ON household_members(household_id)',
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_household_id ON api_keys(household_id)',
+      'CREATE INDEX IF NOT EXISTS idx_expense_shares_participant_id ON expense_shares(participant_id)',
+      'CREATE INDEX IF NOT EXISTS idx_settlements_date ON settlements(date)',
+      // Los nombres son únicos sin distinguir mayúsculas, como con COLLATE NOCASE en SQLite
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_lower ON tags (LOWER(name))',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_name_lower ON participants (LOWER(name))',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name_lower ON categories (LOWER(name))',
+      // La instalación tiene un único hogar: los datos no están separados por hogar
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_households_singleton ON households ((1))'
     ],
     
     // Triggers para actualizar updated_at automáticamente
@@ -114,11 +850,107 @@ const migrations = {
           BEFORE UPDATE ON categories
           FOR EACH ROW
           EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_accounts_updated_at ON accounts;
+        CREATE TRIGGER update_accounts_updated_at
+          BEFORE UPDATE ON accounts
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_recurring_rules_updated_at ON recurring_rules;
+        CREATE TRIGGER update_recurring_rules_updated_at
+          BEFORE UPDATE ON recurring_rules
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_bills_updated_at ON bills;
+        CREATE TRIGGER update_bills_updated_at
+          BEFORE UPDATE ON bills
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
+        CREATE TRIGGER update_budgets_updated_at
+          BEFORE UPDATE ON budgets
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_envelope_allocations_updated_at ON envelope_allocations;
+        CREATE TRIGGER update_envelope_allocations_updated_at
+          BEFORE UPDATE ON envelope_allocations
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_goals_updated_at ON goals;
+        CREATE TRIGGER update_goals_updated_at
+          BEFORE UPDATE ON goals
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_notification_rules_updated_at ON notification_rules;
+        CREATE TRIGGER update_notification_rules_updated_at
+          BEFORE UPDATE ON notification_rules
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+        CREATE TRIGGER update_webhooks_updated_at
+          BEFORE UPDATE ON webhooks
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+        CREATE TRIGGER update_users_updated_at
+          BEFORE UPDATE ON users
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_households_updated_at ON households;
+        CREATE TRIGGER update_households_updated_at
+          BEFORE UPDATE ON households
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
+      `,
+      `
+        DROP TRIGGER IF EXISTS update_participants_updated_at ON participants;
+        CREATE TRIGGER update_participants_updated_at
+          BEFORE UPDATE ON participants
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column()
       `
     ]
   }
 };
 
+/**
+ * Verifica si una columna existe en una tabla
+ * @param {string} table - Nombre de la tabla
+ * @param {string} column - Nombre de la columna
+ * @returns {Promise<boolean>} True si la columna existe
+ */
+async function columnExists(table, column) {
+  if (dbManager.getDatabaseType() === 'postgresql') {
+    const result = await dbManager.query(
+      'SELECT COUNT(*) as count FROM information_schema.columns WHERE table_name = $1 AND column_name = $2',
+      [table, column]
+    );
+    return parseInt(result[0].count) > 0;
+  }
+
+  const columns = await dbManager.query(`SELECT name FROM pragma_table_info('${table}')`);
+  return columns.some(c => c.name === column);
+}
+
 /**
  * Ejecuta las migraciones
  * @param {boolean} manageConnection - Si true, esta función administrará connect/close.
@@ -152,6 +984,115 @@ async function runMigrations(manageConnection = true) {
     await dbManager.query(migrationSet.categories);
     console.log('✅ Tabla de categorías creada');
     
+    // Crear tabla de cuentas
+    console.log('📝 Creando tabla de cuentas...');
+    await dbManager.query(migrationSet.accounts);
+    console.log('✅ Tabla de cuentas creada');
+    
+    // Crear tablas de tipos de cambio y configuración
+    console.log('📝 Creando tablas de tipos de cambio y configuración...');
+    await dbManager.query(migrationSet.exchange_rates);
+    await dbManager.query(migrationSet.settings);
+    console.log('✅ Tablas de tipos de cambio y configuración creadas');
+    
+    // Crear tabla de divisiones de transacciones
+    console.log('📝 Creando tabla de divisiones de transacciones...');
+    await dbManager.query(migrationSet.transaction_splits);
+    console.log('✅ Tabla de divisiones de transacciones creada');
+    
+    // Crear tablas de etiquetas
+    console.log('📝 Creando tablas de etiquetas...');
+    await dbManager.query(migrationSet.tags);
+    await dbManager.query(migrationSet.transaction_tags);
+    console.log('✅ Tablas de etiquetas creadas');
+    
+    // Crear tabla de reglas recurrentes
+    console.log('📝 Creando tabla de reglas recurrentes...');
+    await dbManager.query(migrationSet.recurring_rules);
+    console.log('✅ Tabla de reglas recurrentes creada');
+    
+    // Crear tabla de facturas
+    console.log('📝 Creando tabla de facturas...');
+    await dbManager.query(migrationSet.bills);
+    console.log('✅ Tabla de facturas creada');
+    
+    // Crear tabla de presupuestos
+    console.log('📝 Creando tabla de presupuestos...');
+    await dbManager.query(migrationSet.budgets);
+    console.log('✅ Tabla de presupuestos creada');
+    
+    // Crear tabla de asignaciones a sobres
+    console.log('📝 Creando tabla de sobres...');
+    await dbManager.query(migrationSet.envelope_allocations);
+    console.log('✅ Tabla de sobres creada');
+    
+    // Crear tabla de metas de ahorro
+    console.log('📝 Creando tabla de metas de ahorro...');
+    await dbManager.query(migrationSet.goals);
+    console.log('✅ Tabla de metas de ahorro creada');
+    
+    // Crear tablas de notificaciones
+    console.log('📝 Creando tablas de notificaciones...');
+    await dbManager.query(migrationSet.notification_rules);
+    await dbManager.query(migrationSet.notifications);
+    console.log('✅ Tablas de notificaciones creadas');
+    
+    // Crear tablas de webhooks
+    console.log('📝 Creando tablas de webhooks...');
+    await dbManager.query(migrationSet.webhooks);
+    await dbManager.query(migrationSet.webhook_deliveries);
+    console.log('✅ Tablas de webhooks creadas');
+    
+    // Crear tablas de usuarios y sesiones
+    console.log('📝 Creando tablas de usuarios...');
+    await dbManager.query(migrationSet.users);
+    await dbManager.query(migrationSet.revoked_tokens);
+    console.log('✅ Tablas de usuarios creadas');
+    
+    // Crear tablas de hogares
+    console.log('📝 Creando tablas de hogares...');
+    await dbManager.query(migrationSet.households);
+    await dbManager.query(migrationSet.household_members);
+    console.log('✅ Tablas de hogares creadas');
+    
+    // Crear tabla de claves de API
+    console.log('📝 Creando tabla de claves de API...');
+    await dbManager.query(migrationSet.api_keys);
+    console.log('✅ Tabla de claves de API creada');
+    
+    // Crear tablas de gastos compartidos
+    console.log('📝 Creando tablas de gastos compartidos...');
+    await dbManager.query(migrationSet.participants);
+    await dbManager.query(migrationSet.shared_expenses);
+    await dbManager.query(migrationSet.expense_shares);
+    await dbManager.query(migrationSet.settlements);
+    console.log('✅ Tablas de gastos compartidos creadas');
+    
+    // Agregar columnas nuevas a tablas existentes
+    console.log('📝 Agregando columnas nuevas...');
+    for (const { table, column, definition } of migrationSet.columns) {
+      if (!(await columnExists(table, column))) {
+        await dbManager.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ Columna ${table}.${column} agregada`);
+      }
+    }
+    
+    // Corregir datos existentes
+    if (migrationSet.repairs) {
+      console.log('📝 Corrigiendo datos existentes...');
+      for (const repairQuery of migrationSet.repairs) {
+        await dbManager.query(repairQuery);
+      }
+      console.log('✅ Datos corregidos');
+    }
+    
+    // Completar columnas nuevas con los datos existentes
+    console.log('📝 Completando columnas nuevas...');
+    for (const backfillQuery of migrationSet.backfills) {
+      await dbManager.query(backfillQuery);
+    }
+    console.log('✅ Columnas completadas');
+    
     // Crear índices
     console.log('📝 Creando índices...');
     for (const indexQuery of migrationSet.indexes) {
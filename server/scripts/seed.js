@@ -6,6 +6,7 @@
 require('dotenv').config();
 const dbManager = require('../config/database');
 const Category = require('../models/Category');
+const Account = require('../models/Account');
 
 /**
  * Datos de ejemplo para transacciones
@@ -114,6 +115,20 @@ async function seedCategories() {
   }
 }
 
+/**
+ * Inicializa la cuenta por defecto
+ */
+async function seedAccounts() {
+  try {
+    console.log('🌱 Inicializando cuenta por defecto...');
+    await Account.initializeDefaultAccounts();
+    console.log('✅ Cuentas inicializadas correctamente');
+  } catch (error) {
+    console.error('❌ Error inicializando cuentas:', error);
+    throw error;
+  }
+}
+
 /**
  * Inicializa transacciones de ejemplo
  */
@@ -122,6 +137,8 @@ async function seedTransactions() {
     console.log('🌱 Creando transacciones de ejemplo...');
     
     const dbType = dbManager.getDatabaseType();
+    const defaultAccount = await Account.getDefault();
+    const accountId = defaultAccount ? defaultAccount.id : null;
     let createdCount = 0;
     
     for (const transaction of sampleTransactions) {
@@ -130,16 +147,16 @@ async function seedTransactions() {
         
         if (dbType === 'postgresql') {
           query = `
-            INSERT INTO transactions (type, amount, description, category, date, created_at) 
-            VALUES ($1, $2, $3, $4, $5, NOW())
+            INSERT INTO transactions (type, amount, description, category, category_id, date, account_id, created_at) 
+            VALUES ($1, $2, $3, $4, (SELECT id FROM categories WHERE name = $4), $5, $6, NOW())
           `;
-          params = [transaction.type, transaction.amount, transaction.description, transaction.category, transaction.date];
+          params = [transaction.type, transaction.amount, transaction.description, transaction.category, transaction.date, accountId];
         } else {
           query = `
-            INSERT INTO transactions (type, amount, description, category, date) 
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO transactions (type, amount, description, category, category_id, date, account_id) 
+            VALUES (?, ?, ?, ?, (SELECT id FROM categories WHERE name = ?), ?, ?)
           `;
-          params = [transaction.type, transaction.amount, transaction.description, transaction.category, transaction.date];
+          params = [transaction.type, transaction.amount, transaction.description, transaction.category, transaction.category, transaction.date, accountId];
         }
         
         await dbManager.query(query, params);
@@ -190,18 +207,62 @@ async function clearAllData() {
   try {
     console.log('🧹 Limpiando datos existentes...');
     
-    // Eliminar transacciones primero (por foreign key constraints)
+    // Eliminar notificaciones, webhooks, facturas, gastos compartidos, divisiones y transacciones primero (por foreign key constraints)
+    await dbManager.query('DELETE FROM notifications');
+    await dbManager.query('DELETE FROM notification_rules');
+    await dbManager.query('DELETE FROM webhook_deliveries');
+    await dbManager.query('DELETE FROM webhooks');
+    await dbManager.query('DELETE FROM bills');
+    await dbManager.query('DELETE FROM expense_shares');
+    await dbManager.query('DELETE FROM shared_expenses');
+    await dbManager.query('DELETE FROM settlements');
+    await dbManager.query('DELETE FROM participants');
+    await dbManager.query('DELETE FROM transaction_splits');
+    await dbManager.query('DELETE FROM transaction_tags');
     await dbManager.query('DELETE FROM transactions');
     console.log('✅ Transacciones eliminadas');
     
+    // Eliminar reglas recurrentes
+    await dbManager.query('DELETE FROM recurring_rules');
+    console.log('✅ Reglas recurrentes eliminadas');
+    
+    // Eliminar etiquetas
+    await dbManager.query('DELETE FROM tags');
+    console.log('✅ Etiquetas eliminadas');
+    
+    // Eliminar presupuestos, asignaciones a sobres y metas de ahorro
+    await dbManager.query('DELETE FROM budgets');
+    await dbManager.query('DELETE FROM envelope_allocations');
+    await dbManager.query('DELETE FROM goals');
+    console.log('✅ Presupuestos eliminados');
+    
     // Eliminar categorías
     await dbManager.query('DELETE FROM categories');
     console.log('✅ Categorías eliminadas');
     
+    // Eliminar cuentas
+    await dbManager.query('DELETE FROM accounts');
+    console.log('✅ Cuentas eliminadas');
+    
     // Reiniciar secuencias (solo PostgreSQL)
     if (dbManager.getDatabaseType() === 'postgresql') {
       await dbManager.query('ALTER SEQUENCE transactions_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE transaction_splits_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE tags_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE recurring_rules_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE bills_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE budgets_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE envelope_allocations_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE goals_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE notification_rules_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE notifications_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE webhooks_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE webhook_deliveries_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE participants_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE expense_shares_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE settlements_id_seq RESTART WITH 1');
       await dbManager.query('ALTER SEQUENCE categories_id_seq RESTART WITH 1');
+      await dbManager.query('ALTER SEQUENCE accounts_id_seq RESTART WITH 1');
       console.log('✅ Secuencias reiniciadas');
     }
     
@@ -242,6 +303,9 @@ async function runSeeders(options = {}) {
       console.log('ℹ️  Saltando categorías (ya existen datos)');
     }
     
+    // Inicializar cuenta por defecto (también asigna transacciones sin cuenta)
+    await seedAccounts();
+    
     // Inicializar transacciones de ejemplo
     if (options.withSamples && (options.fresh || options.clear || existingData.transactions === 0)) {
       await seedTransactions();
@@ -313,6 +377,7 @@ if (require.main === module) {
 module.exports = {
   runSeeders,
   seedCategories,
+  seedAccounts,
   seedTransactions,
   clearAllData,
   checkExistingData
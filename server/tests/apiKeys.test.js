@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+
+let ownerAuth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth: ownerAuth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+const createKey = async (body) => {
+  const response = await request(app).post('/api/api-keys').set('Authorization', ownerAuth).send(body).expect(201);
+  return response.body;
+};
+
+const expense = { type: 'expense', amount: 12.5, description: 'Café', category: 'Alimentación', date: '2024-03-01' };
+
+describe('Claves de API', () => {
+  test('la clave solo se muestra al crearla y en la base de datos se guarda su hash', async () => {
+    const created = await createKey({ name: 'Script' });
+    expect(created).toEqual(expect.objectContaining({ name: 'Script', scope: 'write', revoked_at: null }));
+    expect(created.key).toMatch(/^hk_[0-9a-f]{48}$/);
+    expect(created.key_prefix).toBe(created.key.slice(0, 11));
+
+    const list = await request(app).get('/api/api-keys').set('Authorization', ownerAuth).expect(200);
+    expect(list.body.find(key => key.id === created.id)).not.toHaveProperty('key');
+
+    const [row] = await dbManager.query('SELECT key_hash FROM api_keys WHERE id = ?', [created.id]);
+    expect(row.key_hash).toBe(crypto.createHash('sha256').update(created.key).digest('hex'));
+  });
+
+  test('una clave de escritura crea transacciones y registra su último uso', async () => {
+    const { id, key } = await createKey({ name: 'Hoja de cálculo', scope: 'write' });
+
+    await request(app).post('/api/transactions').set('Authorization', `Bearer ${key}`).send(expense).expect(201);
+
+    const list = await request(app).get('/api/api-keys').set('Authorization', ownerAuth).expect(200);
+    expect(list.body.find(item => item.id === id).last_used_at).not.toBeNull();
+  });
+
+  test('una clave de solo lectura consulta pero no escribe', async () => {
+    const { key } = await createKey({ name: 'Panel', scope: 'read' });
+
+    await request(app).get('/api/transactions').set('Authorization', `Bearer ${key}`).expect(200);
+    await request(app).post('/api/transactions').set('Authorization', `Bearer ${key}`).send(expense).expect(403);
+  });
+
+  test.each([
+    ['GET', '/api/api-keys'],
+    ['POST', '/api/api-keys'],
+    ['GET', '/api/household'],
+    ['GET', '/api/auth/me']
+  ])('las claves no pueden usar %s %s', async (method, path) => {
+    const { key } = await createKey({ name: 'Automatización' });
+
+    const response = await request(app)[method.toLowerCase()](path).set('Authorization', `Bearer ${key}`).send({}).expect(403);
+    expect(response.body.details).toBe('Las claves de API no permiten gestionar la sesión, el hogar ni las claves');
+  });
+
+  test('una clave revocada deja de aceptarse de inmediato', async () => {
+    const { id, key } = await createKey({ name: 'Antigua' });
+    await request(app).get('/api/transactions').set('Authorization', `Bearer ${key}`).expect(200);
+
+    const revoked = await request(app).post(`/api/api-keys/${id}/revoke`).set('Authorization', ownerAuth).expect(200);
+    expect(revoked.body.revoked_at).not.toBeNull();
+
+    await request(app).get('/api/transactions').set('Authorization', `Bearer ${key}`).expect(401);
+  });
+
+  test('una clave inventada no se acepta', async () => {
+    await request(app).get('/api/transactions').set('Authorization', `Bearer hk_${'0'.repeat(48)}`).expect(401);
+  });
+
+  test('solo el propietario del hogar gestiona las claves', async () => {
+    const household = await request(app).get('/api/household').set('Authorization', ownerAuth).expect(200);
+    const viewer = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'luis@example.com', password: 'password123', name: 'Luis' })
+      .expect(201);
+    const viewerAuth = `Bearer ${viewer.body.token}`;
+    await request(app)
+      .post('/api/household/join')
+      .set('Authorization', viewerAuth)
+      .send({ invite_code: household.body.invite_code })
+      .expect(200);
+
+    await request(app).get('/api/api-keys').set('Authorization', viewerAuth).expect(403);
+    await request(app).post('/api/api-keys').set('Authorization', viewerAuth).send({ name: 'Mía' }).expect(403);
+  });
+
+  test('una clave no tiene más permisos que su creador y deja de aceptarse si sale del hogar', async () => {
+    const household = await request(app).get('/api/household').set('Authorization', ownerAuth).expect(200);
+    const eva = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'eva@example.com', password: 'password123', name: 'Eva' })
+      .expect(201);
+    const evaAuth = `Bearer ${eva.body.token}`;
+    await request(app)
+      .post('/api/household/join')
+      .set('Authorization', evaAuth)
+      .send({ invite_code: household.body.invite_code })
+      .expect(200);
+    await request(app).put(`/api/household/members/${eva.body.user.id}`).set('Authorization', ownerAuth).send({ role: 'owner' }).expect(200);
+
+    const response = await request(app).post('/api/api-keys').set('Authorization', evaAuth).send({ name: 'Script de Eva' }).expect(201);
+    const keyAuth = `Bearer ${response.body.key}`;
+    await request(app).post('/api/transactions').set('Authorization', keyAuth).send(expense).expect(201);
+
+    await request(app).put(`/api/household/members/${eva.body.user.id}`).set('Authorization', ownerAuth).send({ role: 'viewer' }).expect(200);
+    await request(app).get('/api/transactions').set('Authorization', keyAuth).expect(200);
+    await request(app).post('/api/transactions').set('Authorization', keyAuth).send(expense).expect(403);
+
+    await request(app).delete(`/api/household/members/${eva.body.user.id}`).set('Authorization', ownerAuth).expect(200);
+    await request(app).get('/api/transactions').set('Authorization', keyAuth).expect(401);
+  });
+
+  test('rechaza alcances desconocidos', async () => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', ownerAuth)
+      .send({ name: 'Total', scope: 'admin' })
+      .expect(400);
+
+    expect(response.body.details).toBe('El alcance debe ser uno de: read, write');
+  });
+});
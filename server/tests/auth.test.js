@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { hashPassword, verifyPassword, signToken, verifyToken } = require('../utils/auth');
+
+describe('utilidades de autenticación', () => {
+  test('verifyPassword acepta solo la contraseña con la que se calculó el hash', async () => {
+    const stored = await hashPassword('password123');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await verifyPassword('password123', stored)).toBe(true);
+    expect(await verifyPassword('password124', stored)).toBe(false);
+    expect(await verifyPassword('password123', 'bcrypt$x$y')).toBe(false);
+  });
+
+  test('verifyToken devuelve los datos de un token válido', () => {
+    const claims = verifyToken(signToken({ sub: 7 }));
+
+    expect(claims).toEqual(expect.objectContaining({ sub: 7, jti: expect.any(String) }));
+    expect(claims.exp - claims.iat).toBe(7 * 24 * 60 * 60);
+  });
+
+  test('verifyToken rechaza los tokens caducados, alterados o sin firma HS256', () => {
+    const [header, payload, signature] = signToken({ sub: 7 }).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 1, exp: 9999999999 })).toString('base64url');
+    const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+    expect(verifyToken(signToken({ sub: 7 }, -1))).toBeNull();
+    expect(verifyToken(`${header}.${forged}.${signature}`)).toBeNull();
+    expect(verifyToken(`${none}.${payload}.`)).toBeNull();
+    expect(verifyToken('no-es-un-token')).toBeNull();
+  });
+});
+
+describe('rutas de autenticación', () => {
+  let token;
+  let auth;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ token, auth } = await createSession(app));
+  });
+  afterAll(teardownDatabase);
+
+  test('las rutas de la API exigen un token salvo el registro, el inicio de sesión y la salud', async () => {
+    await request(app).get('/api/health').expect(200);
+
+    const response = await request(app).get('/api/transactions').expect(401);
+    expect(response.body.error).toBe('No autenticado');
+
+    await request(app).get('/api/transactions').set('Authorization', 'Bearer no-es-un-token').expect(401);
+    await request(app).get('/api/transactions').set('Authorization', `Basic ${token}`).expect(401);
+  });
+
+  test('el registro no guarda la contraseña y rechaza emails repetidos o contraseñas cortas', async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ email: ' Luis@Example.com ', password: 'password123', name: 'Luis' })
+      .expect(201);
+    expect(register.body.user).toEqual(expect.objectContaining({ email: 'luis@example.com', name: 'Luis' }));
+    expect(register.body.user).not.toHaveProperty('password_hash');
+
+    const repeated = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'luis@example.com', password: 'password123' })
+      .expect(400);
+    expect(repeated.body.details).toBe('Ya existe un usuario con ese email');
+
+    await request(app).post('/api/auth/register').send({ email: 'eva@example.com', password: 'corta' }).expect(400);
+  });
+
+  test('un usuario sin hogar puede consultar su sesión pero no el resto de la API', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'LUIS@example.com', password: 'password123' })
+      .expect(200);
+    const luis = `Bearer ${login.body.token}`;
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', luis).expect(200);
+    expect(me.body).toEqual(expect.objectContaining({ email: 'luis@example.com', household: null }));
+
+    await request(app).get('/api/transactions').set('Authorization', luis).expect(403);
+  });
+
+  test('el inicio de sesión rechaza una contraseña incorrecta', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ana@example.com', password: 'password124' })
+      .expect(401);
+
+    expect(response.body.details).toBe('Email o contraseña incorrectos');
+  });
+
+  test('un email desconocido recibe el mismo error tras calcular igualmente el hash', async () => {
+    const scrypt = jest.spyOn(crypto, 'scrypt');
+    try {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nadie@example.com', password: 'password123' })
+        .expect(401);
+
+      expect(response.body.details).toBe('Email o contraseña incorrectos');
+      expect(scrypt).toHaveBeenCalledTimes(1);
+    } finally {
+      scrypt.mockRestore();
+    }
+  });
+
+  test('cerrar la sesión revoca el token usado pero no los demás', async () => {
+    const me = await request(app).get('/api/auth/me').set('Authorization', auth).expect(200);
+    expect(me.body.household).toEqual(expect.objectContaining({ name: 'Casa', role: 'owner' }));
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ana@example.com', password: 'password123' })
+      .expect(200);
+
+    await request(app).post('/api/auth/logout').set('Authorization', auth).expect(200);
+
+    await request(app).get('/api/auth/me').set('Authorization', auth).expect(401);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+
+let auth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+const createBill = async (data) => {
+  const response = await request(app)
+    .post('/api/bills')
+    .set('Authorization', auth)
+    .send({ amount: 60, due_date: '2024-06-10', ...data })
+    .expect(201);
+  return response.body;
+};
+
+describe('POST /api/bills/:id/pay', () => {
+  test('registra un único pago aunque lleguen varios a la vez', async () => {
+    const bill = await createBill({ name: 'Luz', category: 'Servicios' });
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(app)
+      .post(`/api/bills/${bill.id}/pay`)
+      .set('Authorization', auth)
+      .send({})));
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 400, 400]);
+    expect(responses.find(response => response.status === 400).body.details).toBe('La factura ya está pagada');
+
+    const rows = await dbManager.query("SELECT id FROM transactions WHERE description = 'Luz'");
+    expect(rows).toHaveLength(1);
+
+    const paid = await request(app).get(`/api/bills/${bill.id}`).set('Authorization', auth).expect(200);
+    expect(paid.body.status).toBe('paid');
+    expect(paid.body.transaction_id).toBe(rows[0].id);
+  });
+
+  test('rechaza con un mensaje claro el pago de una factura con la categoría archivada', async () => {
+    const category = await request(app)
+      .post('/api/categories')
+      .set('Authorization', auth)
+      .send({ name: 'Seguros', type: 'expense' })
+      .expect(201);
+    const bill = await createBill({ name: 'Seguro hogar', category_id: category.body.id });
+    await request(app).post(`/api/categories/${category.body.id}/archive`).set('Authorization', auth).expect(200);
+
+    const response = await request(app).post(`/api/bills/${bill.id}/pay`).set('Authorization', auth).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toMatch(/La categoría "Seguros" de la factura está archivada/);
+    const [{ count }] = await dbManager.query("SELECT COUNT(*) as count FROM transactions WHERE description = 'Seguro hogar'");
+    expect(count).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { readFixture } = require('./helpers/fixtures');
+const { parseCamt053 } = require('../utils/camt');
+
+const CAMT_OPTIONS = { default_category_expense: 'Alimentación', default_category_income: 'Salario' };
+
+describe('parseCamt053', () => {
+  test('lee la versión 001.02, donde el estado del apunte es el texto de <Sts>', () => {
+    const statement = parseCamt053(readFixture('extracto-camt053-v02.xml'));
+
+    expect(statement.currency).toBe('EUR');
+    expect(statement.account).toBe('ES9121000418450200051332');
+    expect(statement.movements).toEqual([
+      {
+        line: 17, reference: 'CAMT-0001', bookingDate: '2024-03-01', valueDate: '2024-03-01', amount: 1850,
+        rawAmount: '1850.00', currency: 'EUR', counterparty: 'Talleres Pérez & Hijos S.L.', remittance: 'Nómina marzo', booked: true
+      },
+      {
+        line: 35, reference: 'CAMT-0002', bookingDate: '2024-03-05', valueDate: '2024-03-04', amount: -62.4,
+        rawAmount: '62.40', currency: 'EUR', counterparty: 'Iberdrola', remittance: 'Factura luz febrero', booked: true
+      },
+      {
+        line: 55, reference: 'CAMT-0003', bookingDate: '2024-03-07', valueDate: null, amount: -15,
+        rawAmount: '15.00', currency: 'EUR', counterparty: null, remittance: 'Anulación <devolución>', booked: true
+      },
+      {
+        line: 64, reference: 'CAMT-0004', bookingDate: '2024-03-31', valueDate: null, amount: -30,
+        rawAmount: '30.00', currency: 'EUR', counterparty: null, remittance: 'Pago con tarjeta pendiente', booked: false
+      }
+    ]);
+  });
+
+  test('lee la versión 001.08, donde el estado del apunte va en <Sts><Cd>', () => {
+    const statement = parseCamt053(readFixture('extracto-camt053-v08.xml'));
+
+    expect(statement.currency).toBe('EUR');
+    expect(statement.account).toBe('0049-1500-05-1234567890');
+    expect(statement.movements).toEqual([
+      {
+        line: 12, reference: 'V8-0001', bookingDate: '2024-04-02', valueDate: '2024-04-03', amount: -120.5,
+        rawAmount: '120.50', currency: 'USD', counterparty: 'Hotel Atlántico', remittance: 'RF18539007547034', booked: true
+      },
+      {
+        line: 30, reference: 'V8-0002', bookingDate: '2024-04-04', valueDate: null, amount: -9.99,
+        rawAmount: '9.99', currency: 'EUR', counterparty: null, remittance: null, booked: false
+      }
+    ]);
+  });
+
+  test('rechaza los documentos XML que no son extractos camt.053', () => {
+    expect(() => parseCamt053('<Document><CstmrCdtTrfInitn/></Document>'))
+      .toThrow('El archivo no es un extracto camt.053 (falta el elemento BkToCstmrStmt)');
+  });
+});
+
+describe('POST /api/import/camt053', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ auth } = await createSession(app));
+  });
+  afterAll(teardownDatabase);
+
+  const importCamt = () => request(app)
+    .post('/api/import/camt053')
+    .set('Authorization', auth)
+    .send({ camt: readFixture('extracto-camt053-v02.xml'), options: CAMT_OPTIONS })
+    .expect(200);
+
+  test('importa los apuntes contabilizados con su referencia y omite los ya importados', async () => {
+    const first = await importCamt();
+    expect(first.body).toEqual(expect.objectContaining({ created: 3, skipped: 0, failed: 1 }));
+    expect(first.body.errors).toEqual([{ line: 64, errors: ['El movimiento está pendiente de contabilizar'] }]);
+
+    const rows = await dbManager.query('SELECT external_id, type, amount, date FROM transactions ORDER BY date');
+    expect(rows).toEqual([
+      { external_id: 'CAMT-0001', type: 'income', amount: 1850, date: '2024-03-01' },
+      { external_id: 'CAMT-0002', type: 'expense', amount: 62.4, date: '2024-03-05' },
+      { external_id: 'CAMT-0003', type: 'expense', amount: 15, date: '2024-03-07' }
+    ]);
+
+    const second = await importCamt();
+    expect(second.body).toEqual(expect.objectContaining({ created: 0, skipped: 3, failed: 1 }));
+
+    const preview = await request(app)
+      .post('/api/import/camt053/preview')
+      .set('Authorization', auth)
+      .send({ camt: readFixture('extracto-camt053-v02.xml'), options: CAMT_OPTIONS })
+      .expect(200);
+    expect(preview.body.rows.map(row => row.duplicate)).toEqual([true, true, true, false]);
+  });
+
+  test('responde 400 si el XML está mal formado', async () => {
+    const response = await request(app)
+      .post('/api/import/camt053')
+      .set('Authorization', auth)
+      .send({ camt: '<Document><BkToCstmrStmt></Document>' })
+      .expect(400);
+
+    expect(response.body.details).toBe('XML mal formado: cierre inesperado de <Document> en la línea 1');
+  });
+
+  test('evalúa las reglas de notificación con cada movimiento importado', async () => {
+    await dbManager.query('DELETE FROM transactions');
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 50 })
+      .expect(201);
+
+    await importCamt();
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    expect(notifications.body.map(notification => notification.message)).toEqual([
+      expect.stringContaining('Iberdrola')
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+
+let auth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+describe('escrituras concurrentes', () => {
+  test('varias transacciones creadas a la vez se guardan todas', async () => {
+    const responses = await Promise.all([1, 2, 3, 4, 5, 6].map(index => request(app)
+      .post('/api/transactions')
+      .set('Authorization', auth)
+      .send({ type: 'expense', amount: index, description: `Compra ${index}`, category: 'Alimentación', date: '2024-05-01' })));
+
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201, 201, 201, 201]);
+    const [{ count }] = await dbManager.query("SELECT COUNT(*) as count FROM transactions WHERE description LIKE 'Compra %'");
+    expect(count).toBe(6);
+  });
+
+  test('un fallo dentro de una transacción no afecta a las que se ejecutan a la vez', async () => {
+    const insert = description => ({
+      query: 'INSERT INTO tags (name) VALUES (?)',
+      params: [description]
+    });
+
+    const results = await Promise.allSettled([
+      dbManager.transaction([insert('concurrente-1'), insert('concurrente-2')]),
+      dbManager.transaction([insert('concurrente-3'), { query: 'INSERT INTO tabla_inexistente VALUES (1)', params: [] }]),
+      dbManager.transaction([insert('concurrente-4')]),
+      dbManager.query('INSERT INTO tags (name) VALUES (?)', ['concurrente-5'])
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    const rows = await dbManager.query("SELECT name FROM tags WHERE name LIKE 'concurrente-%' ORDER BY name");
+    expect(rows.map(row => row.name)).toEqual(['concurrente-1', 'concurrente-2', 'concurrente-4', 'concurrente-5']);
+  });
+});
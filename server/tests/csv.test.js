@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { readFixture } = require('./helpers/fixtures');
+const { detectDelimiter, parseCsv } = require('../utils/csv');
+const Import = require('../models/Import');
+const Transaction = require('../models/Transaction');
+
+const CSV_OPTIONS = { decimal_separator: ',', date_format: 'DD/MM/YYYY' };
+
+describe('detectDelimiter', () => {
+  test.each([
+    ['fecha,concepto,importe', ','],
+    ['fecha;concepto;importe', ';'],
+    ['fecha\tconcepto\timporte', '\t'],
+    ['fecha|concepto|importe', '|'],
+    ['"fecha;hora",concepto,importe', ','],
+    ['\n\nfecha;concepto', ';'],
+    ['sin separador', ',']
+  ])('%j usa %j', (text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+});
+
+describe('parseCsv', () => {
+  test('admite comillas, separadores y saltos de línea dentro de los campos', () => {
+    const rows = parseCsv('\uFEFFa;"b;c";"d ""e"""\r\n\r\n1;"línea 1\nlínea 2";3\n', ';');
+
+    expect(rows).toEqual([
+      { line: 1, fields: ['a', 'b;c', 'd "e"'] },
+      { line: 3, fields: ['1', 'línea 1\nlínea 2', '3'] }
+    ]);
+  });
+
+  test('lee la última fila aunque no termine en salto de línea', () => {
+    expect(parseCsv('a,b\n1,2')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['1', '2'] }
+    ]);
+  });
+});
+
+describe('Import.readCsv', () => {
+  test('lee un extracto con punto y coma, coma decimal y signo al final', () => {
+    const { options, columns, mapping, rows } = Import.readCsv(readFixture('extracto.csv'), CSV_OPTIONS);
+
+    expect(options.delimiter).toBe(';');
+    expect(columns).toEqual(['Fecha', 'Concepto', 'Importe', 'Categoría']);
+    expect(mapping).toEqual({ date: 0, description: 1, amount: 2, category: 3 });
+    expect(rows.slice(0, 3).map(row => row.data)).toEqual([
+      { type: 'expense', amount: 54.3, description: 'Mercadona; compra semanal', date: '2024-05-02', category: 'Alimentación' },
+      { type: 'income', amount: 1850, description: 'Nómina mayo', date: '2024-05-03', category: 'Salario' },
+      { type: 'expense', amount: 12.75, description: 'Farmacia', date: '2024-05-04', category: 'Salud' }
+    ]);
+    expect(rows[3].errors).toEqual(['La fecha "31/04/2024" no tiene el formato DD/MM/YYYY']);
+    expect(rows[4].errors).toEqual(['El importe "" no es un número']);
+  });
+
+  test('con la convención debit_credit usa columnas separadas de cargos y abonos', () => {
+    const csv = 'Fecha,Concepto,Cargo,Abono\n2024-05-02,Alquiler,800.00,\n2024-05-03,Devolución,,25.50\n';
+    const { rows } = Import.readCsv(csv, { sign_convention: 'debit_credit', default_category_expense: 'Hogar', default_category_income: 'Otros ingresos' });
+
+    expect(rows.map(row => [row.data.type, row.data.amount, row.data.category])).toEqual([
+      ['expense', 800, 'Hogar'],
+      ['income', 25.5, 'Otros ingresos']
+    ]);
+  });
+});
+
+describe('POST /api/import/csv', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ auth } = await createSession(app));
+  });
+  afterAll(teardownDatabase);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('la vista previa valida cada fila sin guardar nada', async () => {
+    const response = await request(app)
+      .post('/api/import/csv/preview')
+      .set('Authorization', auth)
+      .send({ csv: readFixture('extracto.csv'), options: CSV_OPTIONS })
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ total: 5, valid: 3, duplicates: 0, invalid: 2 }));
+    const [{ count }] = await dbManager.query('SELECT COUNT(*) as count FROM transactions');
+    expect(count).toBe(0);
+  });
+
+  test('guarda las filas válidas e informa de las demás', async () => {
+    const response = await request(app)
+      .post('/api/import/csv')
+      .set('Authorization', auth)
+      .send({ csv: readFixture('extracto.csv'), options: CSV_OPTIONS })
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ created: 3, skipped: 0, failed: 2 }));
+    expect(response.body.errors.map(error => error.line)).toEqual([5, 6]);
+
+    const rows = await dbManager.query('SELECT type, amount, description, category, date FROM transactions ORDER BY date');
+    expect(rows).toEqual([
+      { type: 'expense', amount: 54.3, description: 'Mercadona; compra semanal', category: 'Alimentación', date: '2024-05-02' },
+      { type: 'income', amount: 1850, description: 'Nómina mayo', category: 'Salario', date: '2024-05-03' },
+      { type: 'expense', amount: 12.75, description: 'Farmacia', category: 'Salud', date: '2024-05-04' }
+    ]);
+  });
+
+  test('no guarda ninguna fila si falla la escritura', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const csv = 'Fecha,Concepto,Importe,Categoría\n2024-06-01,Cine,-9.00,Entretenimiento\n2024-06-02,Cena,-40.00,Entretenimiento\n';
+    // La segunda fila falla después de guardar la primera dentro de la misma transacción
+    const createQueries = Transaction.createQueries.bind(Transaction);
+    jest.spyOn(Transaction, 'createQueries')
+      .mockImplementationOnce(createQueries)
+      .mockReturnValueOnce([{ query: 'INSERT INTO tabla_inexistente VALUES (1)', params: [] }]);
+
+    await request(app).post('/api/import/csv').set('Authorization', auth).send({ csv }).expect(500);
+
+    const rows = await dbManager.query("SELECT id FROM transactions WHERE category = 'Entretenimiento'");
+    expect(rows).toHaveLength(0);
+  });
+
+  test('evalúa las reglas de notificación con cada movimiento importado', async () => {
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 500 })
+      .expect(201);
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'category_spend', category: 'Hogar', threshold: 100 })
+      .expect(201);
+    const csv = 'Fecha,Concepto,Importe,Categoría\n2023-02-10,Sofá,-650.00,Hogar\n2023-02-11,Lámpara,-30.00,Hogar\n';
+
+    await request(app).post('/api/import/csv').set('Authorization', auth).send({ csv }).expect(200);
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    const messages = notifications.body.map(notification => notification.message);
+    expect(messages).toEqual(expect.arrayContaining([
+      expect.stringContaining('en "Sofá" supera el umbral'),
+      expect.stringContaining('El gasto en Hogar en 2023-02')
+    ]));
+    expect(messages.filter(message => message.includes('Lámpara'))).toEqual([]);
+  });
+});
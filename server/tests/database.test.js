@@ -0,0 +1,22 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('dbManager.transaction', () => {
+  test('revierte las consultas anteriores cuando una falla', async () => {
+    await expect(dbManager.transaction([
+      {
+        query: 'INSERT INTO transactions (type, amount, description, category, date) VALUES (?, ?, ?, ?, ?)',
+        params: ['expense', 10, 'Revertida', 'Alimentación', '2024-01-01']
+      },
+      {
+        query: 'INSERT INTO transactions (type, amount, description, category, date) VALUES (?, ?, ?, ?, ?)',
+        params: ['expense', -5, 'Importe inválido', 'Alimentación', '2024-01-01']
+      }
+    ])).rejects.toThrow(/CHECK constraint failed/);
+
+    const rows = await dbManager.query("SELECT id FROM transactions WHERE description = 'Revertida'");
+    expect(rows).toHaveLength(0);
+  });
+});
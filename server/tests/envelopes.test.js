@@ -0,0 +1,43 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+
+let auth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+const createExpense = (amount, date) => request(app)
+  .post('/api/transactions')
+  .set('Authorization', auth)
+  .send({ type: 'expense', amount, description: 'Compra', category: 'Alimentación', date })
+  .expect(201);
+
+const allocate = (month, amount) => request(app)
+  .put('/api/envelopes/allocations')
+  .set('Authorization', auth)
+  .send({ category: 'Alimentación', month, amount })
+  .expect(200);
+
+const envelopeIn = async (month) => {
+  const response = await request(app).get(`/api/envelopes?month=${month}`).set('Authorization', auth).expect(200);
+  return response.body.envelopes.find(envelope => envelope.category === 'Alimentación');
+};
+
+describe('GET /api/envelopes', () => {
+  test('el arrastre empieza en el primer mes con asignación', async () => {
+    // Gasto de antes de usar sobres
+    await createExpense(500, '2023-11-10');
+    await createExpense(250, '2023-12-10');
+
+    await allocate('2024-01', 300);
+    await createExpense(200, '2024-01-15');
+    await createExpense(50, '2024-02-03');
+
+    expect(await envelopeIn('2024-01')).toEqual(expect.objectContaining({ carryover: 0, assigned: 300, spent: 200, balance: 100 }));
+    expect(await envelopeIn('2024-02')).toEqual(expect.objectContaining({ carryover: 100, assigned: 0, spent: 50, balance: 50 }));
+  });
+});
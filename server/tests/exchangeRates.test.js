@@ -0,0 +1,43 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const ExchangeRate = require('../models/ExchangeRate');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+beforeEach(async () => {
+  await dbManager.query('DELETE FROM exchange_rates');
+});
+
+const storedRates = async () => (await dbManager.query(
+  'SELECT from_currency, to_currency, rate, date FROM exchange_rates ORDER BY date, from_currency'
+)).map(row => ({ ...row, rate: parseFloat(row.rate) }));
+
+describe('ExchangeRate.importCsv', () => {
+  test('lee archivos separados por punto y coma con coma decimal', async () => {
+    const result = await ExchangeRate.importCsv([
+      'fecha;origen;destino;cotización',
+      '2024-01-31;USD;EUR;0,9234',
+      '2024-02-29;GBP;EUR;1,1687'
+    ].join('\n'));
+
+    expect(result).toEqual({ imported: 2, errors: [] });
+    expect(await storedRates()).toEqual([
+      { from_currency: 'USD', to_currency: 'EUR', rate: 0.9234, date: '2024-01-31' },
+      { from_currency: 'GBP', to_currency: 'EUR', rate: 1.1687, date: '2024-02-29' }
+    ]);
+  });
+
+  test('lee archivos separados por comas con comentarios e informa la línea de cada error', async () => {
+    const result = await ExchangeRate.importCsv([
+      '# Cotizaciones del BCE',
+      '2024-01-31,USD,EUR,0.9234',
+      '',
+      '2024-02-29,GBP,EUR,"1,1687"',
+      '2024-03-31,USD,USD,1'
+    ].join('\n'));
+
+    expect(result.imported).toBe(2);
+    expect(result.errors).toEqual([{ line: 5, error: expect.any(String) }]);
+    expect((await storedRates()).map(row => row.rate)).toEqual([0.9234, 1.1687]);
+  });
+});
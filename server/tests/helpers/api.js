@@ -0,0 +1,27 @@
+/**
+ * Sesiones de pruebas de la API
+ */
+
+const request = require('supertest');
+
+/**
+ * Registra un usuario con su propio hogar
+ * @param {Object} app - Aplicación Express
+ * @param {string} email - Correo del usuario
+ * @returns {Promise<Object>} { token, auth } donde auth es la cabecera Authorization
+ */
+async function createSession(app, email = 'ana@example.com') {
+  const register = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'password123', name: 'Ana' })
+    .expect(201);
+
+  const auth = `Bearer ${register.body.token}`;
+  await request(app).post('/api/household').set('Authorization', auth).send({ name: 'Casa' }).expect(201);
+
+  return { token: register.body.token, auth };
+}
+
+module.exports = {
+  createSession
+};
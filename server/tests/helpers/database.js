@@ -0,0 +1,47 @@
+/**
+ * Base de datos de pruebas
+ * Cada archivo de pruebas trabaja sobre su propia base SQLite temporal, creada con las
+ * mismas migraciones y datos iniciales que el servidor
+ */
+
+// Las pruebas usan siempre SQLite, aunque el .env configure PostgreSQL
+process.env.DATABASE_TYPE = 'sqlite';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'clave-de-pruebas';
+// Las pruebas de la API hacen más peticiones por minuto que el límite por IP
+process.env.RATE_LIMIT_MAX_REQUESTS = '10000';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dbManager = require('../../config/database');
+const { app, initializeDatabase } = require('../../index');
+
+let dbPath = null;
+
+/**
+ * Crea una base de datos temporal inicializada como al arrancar el servidor
+ */
+async function setupDatabase() {
+  dbPath = path.join(os.tmpdir(), `expense-tracker-test-${process.pid}-${Date.now()}.sqlite`);
+  process.env.SQLITE_DB_PATH = dbPath;
+
+  await initializeDatabase();
+}
+
+/**
+ * Cierra la conexión y elimina la base de datos temporal
+ */
+async function teardownDatabase() {
+  await dbManager.close();
+  if (dbPath) {
+    fs.rmSync(dbPath, { force: true });
+    dbPath = null;
+  }
+}
+
+module.exports = {
+  app,
+  dbManager,
+  setupDatabase,
+  teardownDatabase
+};
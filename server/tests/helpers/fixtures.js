@@ -0,0 +1,20 @@
+/**
+ * Archivos de ejemplo de las pruebas
+ * Los extractos de tests/fixtures reproducen lo que exportan los bancos y programas reales
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lee un archivo de tests/fixtures
+ * @param {string} name - Nombre del archivo
+ * @returns {string} Contenido del archivo
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+module.exports = {
+  readFixture
+};
@@ -0,0 +1,42 @@
+/**
+ * Receptor HTTP de pruebas para webhooks
+ */
+
+const http = require('http');
+
+/**
+ * Inicia un servidor local que guarda las peticiones recibidas
+ * @param {Object} options - { status, delayMs } de cada respuesta
+ * @returns {Promise<Object>} { url, requests, options, close }
+ */
+function startReceiver(options = {}) {
+  const requests = [];
+  const settings = { status: 200, delayMs: 0, ...options };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      setTimeout(() => {
+        res.writeHead(settings.status);
+        res.end();
+      }, settings.delayMs);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        options: settings,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startReceiver
+};
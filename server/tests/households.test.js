@@ -0,0 +1,24 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const Household = require('../models/Household');
+const User = require('../models/User');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('Household.create', () => {
+  test('dos creaciones simultáneas dejan un único hogar', async () => {
+    const users = await Promise.all(['ana@example.com', 'luis@example.com'].map(email => (
+      User.register({ email, password: 'password123' })
+    )));
+
+    const results = await Promise.allSettled(users.map(({ user }) => Household.create(user.id, { name: 'Casa' })));
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason.name).toBe('ValidationError');
+    expect(rejected.reason.message).toBe('Ya existe un hogar; pide a su propietario el código de invitación');
+
+    const [{ count }] = await dbManager.query('SELECT COUNT(*) as count FROM households');
+    expect(count).toBe(1);
+  });
+});
@@ -0,0 +1,26 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { runMigrations } = require('../scripts/migrate');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('runMigrations', () => {
+  test('corrige las fechas guardadas como timestamp numérico', async () => {
+    const result = await dbManager.query(
+      'INSERT INTO transactions (type, amount, description, category, date) VALUES (?, ?, ?, ?, ?)',
+      ['expense', 10, 'Fecha antigua', 'Alimentación', Date.UTC(2024, 2, 5)]
+    );
+
+    await runMigrations(false);
+
+    const [row] = await dbManager.query('SELECT date FROM transactions WHERE id = ?', [result.lastID]);
+    expect(row.date).toBe('2024-03-05');
+  });
+
+  test('rechaza categorías cuyo nombre solo cambia en mayúsculas', async () => {
+    await expect(dbManager.query(
+      'INSERT INTO categories (name, type) VALUES (?, ?)',
+      ['SALUD', 'expense']
+    )).rejects.toThrow(/UNIQUE/);
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { readFixture } = require('./helpers/fixtures');
+const { parseMt940 } = require('../utils/mt940');
+
+const MT940_OPTIONS = { default_category_expense: 'Alimentación', default_category_income: 'Salario' };
+
+/**
+ * Extracto MT940 mínimo con un único campo :61: y su :86:
+ */
+const statementWith = (statementLine, information = 'Concepto') => [
+  ':20:REF',
+  ':60F:C240101EUR0,00',
+  `:61:${statementLine}`,
+  `:86:${information}`,
+  '-'
+].join('\n');
+
+describe('parseMt940', () => {
+  test('lee el extracto con las fechas de contabilización a caballo entre dos años', () => {
+    const statement = parseMt940(readFixture('extracto.mt940'));
+
+    expect(statement.currency).toBe('EUR');
+    expect(statement.account).toBe('ES9121000418450200051332');
+    expect(statement.movements.slice(0, 3)).toEqual([
+      {
+        line: 6, reference: 'BANK0001', bookingDate: '2023-12-31', valueDate: '2024-01-02', amount: -25.5,
+        rawAmount: '25,50', currency: 'EUR', counterparty: 'Gimnasio Centro S.L.', remittance: 'Cuota gimnasio diciembre', booked: true
+      },
+      {
+        line: 8, reference: 'BANK0002', bookingDate: '2024-01-02', valueDate: '2023-12-31', amount: 1200,
+        rawAmount: '1200,', currency: 'EUR', counterparty: 'Empresa S.L.', remittance: 'Nomina/enero', booked: true
+      },
+      {
+        line: 10, reference: null, bookingDate: '2024-01-05', valueDate: '2024-01-05', amount: -7,
+        rawAmount: '7,', currency: 'EUR', counterparty: null, remittance: 'Comision mantenimiento', booked: true
+      }
+    ]);
+    expect(statement.movements[3]).toEqual(expect.objectContaining({
+      line: 12, bookingDate: null, valueDate: null, amount: NaN, rawAmount: '2401XXD1,00NMSCNONREF//BANK0004'
+    }));
+  });
+
+  test.each([
+    ['2401021231D1,00NMSC//B', '2023-12-31', '2024-01-02'],
+    ['2312310102D1,00NMSC//B', '2024-01-02', '2023-12-31'],
+    ['2406150614D1,00NMSC//B', '2024-06-14', '2024-06-15'],
+    ['240615D1,00NMSC//B', null, '2024-06-15']
+  ])('%s se contabiliza el %s con fecha valor %s', (statementLine, bookingDate, valueDate) => {
+    const [movement] = parseMt940(statementWith(statementLine)).movements;
+
+    expect(movement.bookingDate).toBe(bookingDate);
+    expect(movement.valueDate).toBe(valueDate);
+  });
+
+  test.each([
+    ['C', 12.5],
+    ['D', -12.5],
+    ['RC', -12.5],
+    ['RD', 12.5]
+  ])('la marca %s da un importe de %d', (mark, amount) => {
+    const [movement] = parseMt940(statementWith(`240615${mark}12,5NMSC//B`)).movements;
+
+    expect(movement.amount).toBe(amount);
+  });
+
+  test.each([
+    ['formato alemán', '166?00GUTSCHRIFT?20EREF+X?21SVWZ+Alquiler?22 junio?32Ana?33 Ruiz', 'Ana Ruiz', 'Alquiler junio'],
+    ['formato alemán sin SVWZ+', '?20Recibo?21 agua', null, 'Recibo agua'],
+    ['formato SWIFT', '/NAME/Ana Ruiz/REMI/Alquiler junio', 'Ana Ruiz', 'Alquiler junio'],
+    ['formato SWIFT con contraparte en CNTP', '/CNTP/ES12/CAIXESBBXXX/Ana Ruiz//USTD/Alquiler', 'Ana Ruiz', 'Alquiler'],
+    ['texto libre', 'Alquiler junio', null, 'Alquiler junio']
+  ])('interpreta el campo :86: en %s', (format, information, counterparty, remittance) => {
+    const [movement] = parseMt940(statementWith('240615D1,00NMSC//B', information)).movements;
+
+    expect(movement.counterparty).toBe(counterparty);
+    expect(movement.remittance).toBe(remittance);
+  });
+
+  test('rechaza los archivos sin los campos :20: y :60F:', () => {
+    expect(() => parseMt940(':25:ES12\n:62F:C240101EUR0,00'))
+      .toThrow('El archivo no es un extracto MT940 (faltan los campos :20: y :60F:)');
+  });
+});
+
+describe('POST /api/import/mt940', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ auth } = await createSession(app));
+  });
+  afterAll(teardownDatabase);
+
+  const importMt940 = () => request(app)
+    .post('/api/import/mt940')
+    .set('Authorization', auth)
+    .send({ mt940: readFixture('extracto.mt940'), options: MT940_OPTIONS })
+    .expect(200);
+
+  test('importa los movimientos con su referencia del banco y omite los ya importados', async () => {
+    const first = await importMt940();
+    expect(first.body).toEqual(expect.objectContaining({ created: 3, skipped: 0, failed: 1 }));
+    expect(first.body.errors.map(error => error.line)).toEqual([12]);
+
+    const rows = await dbManager.query('SELECT external_id, type, amount, date FROM transactions ORDER BY date');
+    expect(rows).toEqual([
+      { external_id: 'BANK0001', type: 'expense', amount: 25.5, date: '2023-12-31' },
+      { external_id: 'BANK0002', type: 'income', amount: 1200, date: '2024-01-02' },
+      { external_id: null, type: 'expense', amount: 7, date: '2024-01-05' }
+    ]);
+
+    const preview = await request(app)
+      .post('/api/import/mt940/preview')
+      .set('Authorization', auth)
+      .send({ mt940: readFixture('extracto.mt940'), options: MT940_OPTIONS })
+      .expect(200);
+    // Sin referencia del banco no se puede saber si el movimiento ya se importó
+    expect(preview.body.rows.map(row => row.duplicate)).toEqual([true, true, false, false]);
+  });
+
+  test('evalúa las reglas de notificación con cada movimiento importado', async () => {
+    await dbManager.query('DELETE FROM transactions');
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 20 })
+      .expect(201);
+
+    await importMt940();
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    expect(notifications.body.map(notification => notification.message)).toEqual([
+      expect.stringContaining('Gimnasio Centro S.L.')
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+
+let ownerAuth;
+let viewerAuth;
+let readKeyAuth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth: ownerAuth } = await createSession(app));
+
+  const household = await request(app).get('/api/household').set('Authorization', ownerAuth).expect(200);
+  const viewer = await request(app)
+    .post('/api/auth/register')
+    .send({ email: 'luis@example.com', password: 'password123', name: 'Luis' })
+    .expect(201);
+  viewerAuth = `Bearer ${viewer.body.token}`;
+  await request(app)
+    .post('/api/household/join')
+    .set('Authorization', viewerAuth)
+    .send({ invite_code: household.body.invite_code })
+    .expect(200);
+
+  const apiKey = await request(app)
+    .post('/api/api-keys')
+    .set('Authorization', ownerAuth)
+    .send({ name: 'Panel', scope: 'read' })
+    .expect(201);
+  readKeyAuth = `Bearer ${apiKey.body.key}`;
+
+  await request(app)
+    .post('/api/notification-rules')
+    .set('Authorization', ownerAuth)
+    .send({ type: 'large_transaction', threshold: 100 })
+    .expect(201);
+});
+afterAll(teardownDatabase);
+
+const createNotification = async (description) => {
+  await request(app)
+    .post('/api/transactions')
+    .set('Authorization', ownerAuth)
+    .send({ type: 'expense', amount: 250, description, category: 'Hogar', date: '2024-03-01' })
+    .expect(201);
+  const notifications = await request(app).get('/api/notifications?status=unread').set('Authorization', ownerAuth).expect(200);
+  return notifications.body.find(notification => notification.message.includes(description));
+};
+
+describe('Notificaciones leídas', () => {
+  test.each([
+    ['un lector', () => viewerAuth],
+    ['una clave de solo lectura', () => readKeyAuth]
+  ])('%s puede marcar notificaciones como leídas', async (label, getAuth) => {
+    const notification = await createNotification(`Sofá (${label})`);
+
+    const updated = await request(app)
+      .put(`/api/notifications/${notification.id}`)
+      .set('Authorization', getAuth())
+      .send({ read: true })
+      .expect(200);
+    expect(updated.body.read_at).toBeTruthy();
+
+    await createNotification(`Mesa (${label})`);
+    const readAll = await request(app).post('/api/notifications/read-all').set('Authorization', getAuth()).expect(200);
+    expect(readAll.body.updated).toBe(1);
+  });
+
+  test('un lector sigue sin poder crear reglas de notificación', async () => {
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', viewerAuth)
+      .send({ type: 'large_transaction', threshold: 50 })
+      .expect(403);
+  });
+});
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { readFixture } = require('./helpers/fixtures');
+const { parseOfx } = require('../utils/ofx');
+
+const OFX_OPTIONS = { default_category_expense: 'Alimentación', default_category_income: 'Salario' };
+
+describe('parseOfx', () => {
+  test('lee OFX 1.x en SGML, donde los elementos simples no se cierran', () => {
+    const statement = parseOfx(readFixture('extracto-sgml.ofx'));
+
+    expect(statement.currency).toBe('EUR');
+    expect(statement.account).toBe('ES7621000418401234567891');
+    expect(statement.transactions).toEqual([
+      {
+        line: 35, fitid: '202405020001', trntype: 'DEBIT', date: '2024-05-02', rawDate: '20240502120000[-5:EST]',
+        amount: -54.3, rawAmount: '-54,30', name: 'MERCADONA & CIA', memo: 'Compra semanal'
+      },
+      {
+        line: 43, fitid: '202405030001', trntype: 'CREDIT', date: '2024-05-03', rawDate: '20240503',
+        amount: 1850, rawAmount: '1850.00', name: 'NOMINA MAYO', memo: null
+      },
+      {
+        line: 50, fitid: '202405040001', trntype: 'DEBIT', date: null, rawDate: '20240231',
+        amount: -10, rawAmount: '-10.00', name: 'FECHA IMPOSIBLE', memo: null
+      }
+    ]);
+  });
+
+  test('lee OFX 2.x en XML', () => {
+    const statement = parseOfx(readFixture('extracto.ofx'));
+
+    expect(statement.currency).toBe('USD');
+    expect(statement.account).toBe('000123456789');
+    expect(statement.transactions).toEqual([expect.objectContaining({
+      fitid: '3001', trntype: 'POS', date: '2024-06-10', amount: -23.45, name: '77', memo: 'Coffee & bagel'
+    })]);
+  });
+
+  test('rechaza los archivos sin elemento <OFX>', () => {
+    expect(() => parseOfx('<html></html>')).toThrow('El archivo no es un extracto OFX (falta el elemento <OFX>)');
+  });
+
+  test('indica la línea en la que empieza cada movimiento', () => {
+    const ofx = [
+      '<OFX>',
+      '<STMTTRN>',
+      '<FITID>1',
+      '<TRNAMT>-1.00',
+      '</STMTTRN>',
+      '',
+      '<STMTTRN><FITID>2<TRNAMT>3.00</STMTTRN>',
+      '<STMTTRN>',
+      '<FITID>3<TRNAMT>4.00',
+      '</STMTTRN>'
+    ].join('\r\n');
+
+    expect(parseOfx(ofx).transactions.map(transaction => transaction.line)).toEqual([2, 7, 8]);
+  });
+});
+
+describe('POST /api/import/ofx', () => {
+  let auth;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    ({ auth } = await createSession(app));
+  });
+  afterAll(teardownDatabase);
+
+  const importOfx = () => request(app)
+    .post('/api/import/ofx')
+    .set('Authorization', auth)
+    .send({ ofx: readFixture('extracto-sgml.ofx'), options: OFX_OPTIONS })
+    .expect(200);
+
+  test('importa los movimientos con su FITID y omite los ya importados', async () => {
+    const first = await importOfx();
+    expect(first.body).toEqual(expect.objectContaining({ created: 2, skipped: 0, failed: 1 }));
+    expect(first.body.errors).toEqual([{ line: 50, errors: ['La fecha "20240231" no es válida'] }]);
+
+    const rows = await dbManager.query('SELECT external_id, type, amount, description FROM transactions ORDER BY date');
+    expect(rows).toEqual([
+      { external_id: '202405020001', type: 'expense', amount: 54.3, description: 'MERCADONA & CIA - Compra semanal' },
+      { external_id: '202405030001', type: 'income', amount: 1850, description: 'NOMINA MAYO' }
+    ]);
+
+    const second = await importOfx();
+    expect(second.body).toEqual(expect.objectContaining({ created: 0, skipped: 2, failed: 1 }));
+
+    const preview = await request(app)
+      .post('/api/import/ofx/preview')
+      .set('Authorization', auth)
+      .send({ ofx: readFixture('extracto-sgml.ofx'), options: OFX_OPTIONS })
+      .expect(200);
+    expect(preview.body.rows.map(row => row.duplicate)).toEqual([true, true, false]);
+  });
+
+  test('dos importaciones simultáneas del mismo extracto no duplican movimientos', async () => {
+    await dbManager.query('DELETE FROM transactions');
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post('/api/import/ofx')
+      .set('Authorization', auth)
+      .send({ ofx: readFixture('extracto-sgml.ofx'), options: OFX_OPTIONS })));
+
+    const [{ count }] = await dbManager.query('SELECT COUNT(*) as count FROM transactions');
+    expect(count).toBe(2);
+    // La importación que llega después omite los movimientos que guardó la otra
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(responses.map(response => [response.body.created, response.body.skipped]).sort()).toEqual([[0, 2], [2, 0]]);
+  });
+
+  test('evalúa las reglas de notificación con cada movimiento importado', async () => {
+    await dbManager.query('DELETE FROM transactions');
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 50 })
+      .expect(201);
+
+    await importOfx();
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    expect(notifications.body.map(notification => notification.message)).toEqual([
+      expect.stringContaining('en "MERCADONA & CIA - Compra semanal" supera el umbral')
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+const { readFixture } = require('./helpers/fixtures');
+const { parseQif, parseQifDate } = require('../utils/qif');
+
+describe('parseQifDate', () => {
+  test.each([
+    ["03/05'24", 'MDY', '2024-03-05'],
+    ["03/05'24", 'DMY', '2024-05-03'],
+    ["3/ 5'24", 'MDY', '2024-03-05'],
+    ['03.05.24', 'DMY', '2024-05-03'],
+    ['12/31/99', 'MDY', '1999-12-31'],
+    ['31/12/2024', 'DMY', '2024-12-31'],
+    ['2024-03-05', 'DMY', '2024-03-05'],
+    ['31/12/2024', 'MDY', null],
+    ['02/30/2024', 'MDY', null],
+    ['ayer', 'MDY', null]
+  ])('%j en orden %s es %j', (value, order, expected) => {
+    expect(parseQifDate(value, order)).toBe(expected);
+  });
+});
+
+describe('parseQif', () => {
+  test('lee los tipos de !Type:Cat y los movimientos con divisiones y transferencias', () => {
+    const { categoryTypes, transactions } = parseQif(readFixture('cuentas.qif'));
+
+    expect([...categoryTypes]).toEqual([
+      ['coche', 'expense'],
+      ['coche:seguro', 'expense'],
+      ['sueldo', 'income']
+    ]);
+    expect(transactions).toEqual([
+      {
+        line: 19, date: "03/05'24", amount: '-1,234.56', payee: 'Supermercado Día', memo: 'Compra del mes',
+        category: 'Coche:Seguro', transfer: null, splits: []
+      },
+      {
+        line: 27, date: '04/05/2024', amount: '2,500.00', payee: 'Empresa S.L.', memo: null,
+        category: 'Sueldo', transfer: null, splits: []
+      },
+      {
+        line: 32, date: '05/05/2024', amount: '-300.00', payee: null, memo: 'Ahorro',
+        category: null, transfer: 'Cuenta ahorro', splits: []
+      },
+      {
+        line: 38, date: '06/05/2024', amount: '-100.00', payee: 'Iberdrola', memo: null,
+        category: null, transfer: null,
+        splits: [
+          { category: 'Casa:Luz', transfer: null, amount: '-60.00', memo: 'Parte fija' },
+          { category: null, transfer: 'Cuenta conjunta', amount: '-40.00', memo: null }
+        ]
+      }
+    ]);
+  });
+
+  test('rechaza los archivos sin cabecera !Type:', () => {
+    expect(() => parseQif('D01/15/2024\nT-1.00\n^')).toThrow('El archivo no es un QIF (falta la cabecera !Type:)');
+  });
+});
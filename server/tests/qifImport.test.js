@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const Transaction = require('../models/Transaction');
+
+let auth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const QIF = [
+  '!Type:Bank',
+  'D01/15/2024',
+  'T-300.00',
+  'PMapfre',
+  'LCoche:Seguro',
+  '^',
+  'D01/20/2024',
+  'T-180.00',
+  'PLínea Directa',
+  'LCasa:Seguro',
+  '^'
+].join('\n');
+
+const importQif = (body) => request(app).post('/api/import/qif').set('Authorization', auth).send({ qif: QIF, ...body });
+
+const findCategory = async (name) => {
+  const [category] = await dbManager.query('SELECT * FROM categories WHERE name = ?', [name]);
+  return category;
+};
+
+describe('POST /api/import/qif', () => {
+  test('la prueba previa no crea categorías', async () => {
+    const response = await importQif({ dry_run: true }).expect(200);
+
+    expect(response.body.categories_to_create).toEqual([
+      { name: 'Coche', type: 'expense', parent: null },
+      { name: 'Seguro', type: 'expense', parent: 'Coche' },
+      { name: 'Casa', type: 'expense', parent: null },
+      { name: 'Casa:Seguro', type: 'expense', parent: 'Casa' }
+    ]);
+    expect(await findCategory('Coche')).toBeUndefined();
+    expect(await findCategory('Seguro')).toBeUndefined();
+  });
+
+  test('no crea categorías si falla la importación de los movimientos', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Transaction, 'createQueries').mockReturnValue([{ query: 'INSERT INTO tabla_inexistente VALUES (1)', params: [] }]);
+
+    await importQif().expect(500);
+
+    expect(await findCategory('Coche')).toBeUndefined();
+    expect(await findCategory('Seguro')).toBeUndefined();
+  });
+
+  test('distingue subcategorías con el mismo nombre y distinto padre', async () => {
+    const response = await importQif().expect(200);
+    expect(response.body.created).toBe(2);
+    expect(response.body.categories_created.map(category => category.name)).toEqual(['Coche', 'Seguro', 'Casa', 'Casa:Seguro']);
+
+    const carInsurance = await findCategory('Seguro');
+    const homeInsurance = await findCategory('Casa:Seguro');
+    expect(carInsurance.parent_id).toBe((await findCategory('Coche')).id);
+    expect(homeInsurance.parent_id).toBe((await findCategory('Casa')).id);
+
+    const rows = await dbManager.query('SELECT description, category_id FROM transactions ORDER BY date');
+    expect(rows).toEqual([
+      { description: 'Mapfre', category_id: carInsurance.id },
+      { description: 'Línea Directa', category_id: homeInsurance.id }
+    ]);
+
+    // Una segunda importación reutiliza las mismas categorías
+    const again = await importQif({ dry_run: true }).expect(200);
+    expect(again.body.categories_to_create).toEqual([]);
+    expect(again.body.rows.map(row => row.data.category)).toEqual(['Seguro', 'Casa:Seguro']);
+  });
+
+  test('asigna a las divisiones las categorías creadas en la misma importación', async () => {
+    const qif = [
+      '!Type:Bank',
+      'D02/03/2024',
+      'T-50.00',
+      'PCentro comercial',
+      'SOcio:Cine',
+      '$-20.00',
+      'SAlimentación',
+      '$-30.00',
+      '^'
+    ].join('\n');
+
+    const response = await request(app).post('/api/import/qif').set('Authorization', auth).send({ qif }).expect(200);
+    expect(response.body.created).toBe(1);
+
+    const splits = await dbManager.query(
+      'SELECT category, category_id, amount FROM transaction_splits WHERE transaction_id = ? ORDER BY amount',
+      response.body.transaction_ids
+    );
+    expect(splits).toEqual([
+      { category: 'Cine', category_id: (await findCategory('Cine')).id, amount: 20 },
+      { category: 'Alimentación', category_id: (await findCategory('Alimentación')).id, amount: 30 }
+    ]);
+  });
+
+  test('evalúa las reglas de notificación con cada movimiento importado', async () => {
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 250 })
+      .expect(201);
+
+    await importQif().expect(200);
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    expect(notifications.body.map(notification => notification.message)).toEqual([
+      expect.stringContaining('en "Mapfre" supera el umbral')
+    ]);
+  });
+});
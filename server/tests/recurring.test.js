@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const RecurringRule = require('../models/RecurringRule');
+
+let auth;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+});
+afterAll(teardownDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const createRule = (data) => RecurringRule.create({
+  type: 'expense', amount: 40, category: 'Servicios', frequency: 'monthly', start_date: '2024-01-05', ...data
+});
+
+describe('RecurringRule.occurrencesBetween', () => {
+  test.each([
+    ['mensual el día 31', { frequency: 'monthly', start_date: '2024-01-31' }, '2024-01-01', '2024-04-30',
+      ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']],
+    ['mensual con day_of_month', { frequency: 'monthly', start_date: '2024-01-10', day_of_month: 1 }, '2024-01-01', '2024-03-15',
+      ['2024-02-01', '2024-03-01']],
+    ['mensual desde la mitad del rango', { frequency: 'monthly', start_date: '2023-11-15' }, '2024-01-16', '2024-03-15',
+      ['2024-02-15', '2024-03-15']],
+    ['semanal desde una fecha entre ocurrencias', { frequency: 'weekly', start_date: '2024-01-01' }, '2024-01-10', '2024-01-31',
+      ['2024-01-15', '2024-01-22', '2024-01-29']],
+    ['anual el 29 de febrero', { frequency: 'yearly', start_date: '2024-02-29' }, '2024-01-01', '2028-12-31',
+      ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']],
+    ['hasta la fecha de fin', { frequency: 'weekly', start_date: '2024-01-01', end_date: '2024-01-14' }, '2024-01-01', '2024-12-31',
+      ['2024-01-01', '2024-01-08']],
+    ['antes de la fecha de inicio', { frequency: 'monthly', start_date: '2024-06-01' }, '2024-01-01', '2024-05-31',
+      []]
+  ])('%s', (label, rule, from, to, expected) => {
+    expect(RecurringRule.occurrencesBetween(rule, from, to)).toEqual(expected);
+  });
+});
+
+describe('RecurringRule.materializeDue', () => {
+  test('una regla que falla no impide registrar las demás', async () => {
+    const broken = await createRule({ description: 'Regla rota' });
+    const valid = await createRule({ description: 'Gimnasio' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const materialize = RecurringRule.materialize.bind(RecurringRule);
+    jest.spyOn(RecurringRule, 'materialize').mockImplementation((rule, today) => (
+      rule.id === broken.id ? Promise.reject(new Error('Cuenta eliminada')) : materialize(rule, today)
+    ));
+
+    const created = await RecurringRule.materializeDue('2024-02-10');
+
+    expect(created).toHaveLength(2);
+    const rows = await dbManager.query('SELECT recurring_rule_id FROM transactions WHERE id IN (?, ?)', created);
+    expect(rows.every(row => row.recurring_rule_id === valid.id)).toBe(true);
+    expect(console.error).toHaveBeenCalledWith(`Error registrando la regla recurrente ${broken.id}:`, expect.any(Error));
+  });
+
+  test('no registra dos veces la misma ocurrencia', async () => {
+    const rule = await createRule({ description: 'Internet', start_date: '2023-01-20', end_date: '2023-03-31' });
+
+    // La segunda llamada usa la regla sin last_occurrence_date, como una ejecución simultánea
+    const [first, second] = await Promise.all([
+      RecurringRule.materialize(rule, '2023-02-25'),
+      RecurringRule.materialize(rule, '2023-02-25')
+    ]);
+    expect([first.length, second.length].sort()).toEqual([0, 2]);
+
+    const again = await RecurringRule.materializeDue('2023-02-25');
+    expect(again).toEqual([]);
+
+    const later = await RecurringRule.materialize(await RecurringRule.getById(rule.id), '2024-01-01');
+    expect(later).toHaveLength(1);
+
+    const rows = await dbManager.query('SELECT date FROM transactions WHERE recurring_rule_id = ? ORDER BY date', [rule.id]);
+    expect(rows.map(row => row.date)).toEqual(['2023-01-20', '2023-02-20', '2023-03-20']);
+    expect((await RecurringRule.getById(rule.id)).last_occurrence_date).toBe('2023-03-20');
+  });
+});
+
+describe('POST /api/recurring-rules', () => {
+  test('evalúa las notificaciones de cada transacción generada', async () => {
+    await request(app)
+      .post('/api/notification-rules')
+      .set('Authorization', auth)
+      .send({ type: 'large_transaction', threshold: 500 })
+      .expect(201);
+
+    await request(app)
+      .post('/api/recurring-rules')
+      .set('Authorization', auth)
+      .send({
+        type: 'expense', amount: 900, description: 'Alquiler', category: 'Hogar',
+        frequency: 'monthly', start_date: '2024-01-01', end_date: '2024-02-29'
+      })
+      .expect(201);
+
+    const notifications = await request(app).get('/api/notifications').set('Authorization', auth).expect(200);
+    const large = notifications.body.filter(notification => notification.message.includes('"Alquiler"'));
+    expect(large).toHaveLength(2);
+  });
+});
@@ -0,0 +1,104 @@
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { allocateAmount } = require('../utils/amounts');
+const Participant = require('../models/Participant');
+const Settlement = require('../models/Settlement');
+const SharedExpense = require('../models/SharedExpense');
+const Transaction = require('../models/Transaction');
+
+describe('allocateAmount', () => {
+  test.each([
+    [100, [1, 1, 1], [33.34, 33.33, 33.33]],
+    [0.05, [1, 1, 1], [0.02, 0.02, 0.01]],
+    [10, [33.33, 33.33, 33.34], [3.33, 3.33, 3.34]],
+    [99.99, [50, 50], [50, 49.99]],
+    [1, [1, 2], [0.33, 0.67]]
+  ])('reparte %d con pesos %j en %j', (total, weights, expected) => {
+    const parts = allocateAmount(total, weights);
+
+    expect(parts).toEqual(expected);
+    expect(Math.round(parts.reduce((sum, part) => sum + part, 0) * 100)).toBe(Math.round(total * 100));
+  });
+});
+
+describe('SharedExpense.computeShares', () => {
+  const participants = [{ participant_id: 1 }, { participant_id: 2 }, { participant_id: 3 }];
+
+  test('a partes iguales asigna los céntimos sobrantes a los primeros participantes', () => {
+    expect(SharedExpense.computeShares(10, 'equal', participants).map(share => share.amount)).toEqual([3.34, 3.33, 3.33]);
+  });
+
+  test('por porcentajes exige que sumen 100', () => {
+    const shares = SharedExpense.computeShares(80, 'percentage', [
+      { participant_id: 1, value: 12.5 },
+      { participant_id: 2, value: 87.5 }
+    ]);
+    expect(shares.map(share => share.amount)).toEqual([10, 70]);
+
+    expect(() => SharedExpense.computeShares(80, 'percentage', [
+      { participant_id: 1, value: 50 },
+      { participant_id: 2, value: 49.99 }
+    ])).toThrow('Los porcentajes deben sumar 100 (suman 99.99)');
+  });
+
+  test('con importes exactos exige que sumen el monto', () => {
+    expect(() => SharedExpense.computeShares(30, 'exact', [
+      { participant_id: 1, value: 10.1 },
+      { participant_id: 2, value: 19.8 }
+    ])).toThrow('La suma de las partes (29.9) debe ser igual al monto (30)');
+
+    expect(() => SharedExpense.computeShares(30, 'exact', [{ participant_id: 1 }]))
+      .toThrow('Indica el importe de cada participante');
+  });
+});
+
+describe('Settlement.minimizePayments', () => {
+  test('salda todas las deudas con como mucho n - 1 pagos', () => {
+    const payments = Settlement.minimizePayments(new Map([[1, 3000], [2, -1000], [3, -1500], [4, -500]]));
+
+    expect(payments).toEqual([
+      { from_participant_id: 3, to_participant_id: 1, amount: 15 },
+      { from_participant_id: 2, to_participant_id: 1, amount: 10 },
+      { from_participant_id: 4, to_participant_id: 1, amount: 5 }
+    ]);
+  });
+});
+
+describe('Settlement.getBalances', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  test('calcula quién debe a quién con los gastos compartidos y los pagos registrados', async () => {
+    const [ana, luis, eva] = await Promise.all(['Ana', 'Luis', 'Eva'].map(name => Participant.create({ name })));
+    const share = (paidBy, amount, method = 'equal', values = []) => Transaction.create({
+      type: 'expense',
+      amount,
+      description: 'Gasto del piso',
+      category: 'Hogar',
+      date: '2024-05-01',
+      shared: {
+        paid_by: paidBy.id,
+        method,
+        participants: [ana, luis, eva].map((participant, index) => ({ participant_id: participant.id, value: values[index] }))
+      }
+    });
+
+    // Ana paga 100 a partes iguales (Luis y Eva le deben 33,33 cada uno) y Luis paga 30 en
+    // partes exactas (Ana le debe 10 y Eva 5)
+    await share(ana, 100);
+    await share(luis, 30, 'exact', [10, 15, 5]);
+    await Settlement.create({ from_participant_id: eva.id, to_participant_id: ana.id, amount: 20 });
+
+    const { balances, pairs, payments } = await Settlement.getBalances();
+
+    expect(balances.map(balance => [balance.name, balance.balance])).toEqual([['Ana', 36.66], ['Eva', -18.33], ['Luis', -18.33]]);
+    expect(pairs.map(pair => [pair.from_name, pair.to_name, pair.amount])).toEqual([
+      ['Luis', 'Ana', 23.33],
+      ['Eva', 'Ana', 13.33],
+      ['Eva', 'Luis', 5]
+    ]);
+    expect(payments.map(payment => [payment.from_name, payment.to_name, payment.amount]).sort()).toEqual([
+      ['Eva', 'Ana', 18.33],
+      ['Luis', 'Ana', 18.33]
+    ]);
+  });
+});
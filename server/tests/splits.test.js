@@ -0,0 +1,79 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const Transaction = require('../models/Transaction');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+const receipt = (splits, amount = 100) => ({
+  type: 'expense',
+  amount,
+  description: 'Compra en el hipermercado',
+  date: '2024-05-10',
+  splits
+});
+
+describe('Divisiones de transacciones', () => {
+  test('acepta divisiones cuya suma coincide con el monto salvo por el redondeo de coma flotante', async () => {
+    const created = await Transaction.create(receipt([
+      { category: 'Alimentación', amount: 0.1 },
+      { category: 'Hogar', amount: 0.2 }
+    ], 0.3));
+
+    expect(created.category).toBe('Alimentación');
+    expect(created.splits.map(split => [split.category, split.amount])).toEqual([['Alimentación', 0.1], ['Hogar', 0.2]]);
+  });
+
+  test.each([
+    [[33.33, 33.33, 33.33], 'La suma de las divisiones (99.99) debe ser igual al monto (100)'],
+    [[60, 40.01], 'La suma de las divisiones (100.01) debe ser igual al monto (100)']
+  ])('rechaza divisiones de %j en un gasto de 100', async (amounts, message) => {
+    const categories = ['Alimentación', 'Hogar', 'Ropa'];
+    const splits = amounts.map((amount, index) => ({ category: categories[index], amount }));
+
+    await expect(Transaction.create(receipt(splits))).rejects.toThrow(message);
+  });
+
+  test.each([
+    [{ category: 'Ropa', amount: 0 }, 'El monto de la división debe ser mayor a 0'],
+    [{ category: 'Salario', amount: 100 }, 'La categoría "Salario" es de ingresos y la transacción es de gastos'],
+    [{ amount: 100 }, 'La categoría de la división es requerida']
+  ])('rechaza la división %j', async (split, message) => {
+    await expect(Transaction.create(receipt([split]))).rejects.toThrow(message);
+  });
+
+  test('las estadísticas atribuyen cada división a su categoría', async () => {
+    await Transaction.create({ ...receipt([
+      { category: 'Alimentación', amount: 55.5, memo: 'Comida' },
+      { category: 'Hogar', amount: 24.5, memo: 'Limpieza' },
+      { category: 'Ropa', amount: 20 }
+    ]), date: '2024-06-01' });
+
+    const statistics = await Transaction.getStatistics({ startDate: '2024-06-01', endDate: '2024-06-30' });
+
+    expect(statistics.totalExpenses).toBe(100);
+    expect(statistics.expensesByCategory.map(item => [item.category, item.total]).sort()).toEqual([
+      ['Alimentación', 55.5],
+      ['Hogar', 24.5],
+      ['Ropa', 20]
+    ]);
+  });
+
+  test('al actualizar se reemplazan las divisiones y sin divisiones se eliminan', async () => {
+    const created = await Transaction.create(receipt([
+      { category: 'Alimentación', amount: 70 },
+      { category: 'Hogar', amount: 30 }
+    ]));
+
+    const updated = await Transaction.update(created.id, receipt([
+      { category: 'Ropa', amount: 50 },
+      { category: 'Hogar', amount: 50 }
+    ]));
+    expect(updated.splits.map(split => [split.category, split.amount])).toEqual([['Ropa', 50], ['Hogar', 50]]);
+
+    const unsplit = await Transaction.update(created.id, { ...receipt(undefined), category: 'Hogar' });
+    expect(unsplit.splits).toEqual([]);
+
+    const rows = await dbManager.query('SELECT * FROM transaction_splits WHERE transaction_id = ?', [created.id]);
+    expect(rows).toEqual([]);
+  });
+});
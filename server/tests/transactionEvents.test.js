@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { startReceiver } = require('./helpers/receiver');
+const Webhook = require('../models/Webhook');
+
+let auth;
+let receiver;
+
+beforeAll(async () => {
+  await setupDatabase();
+  ({ auth } = await createSession(app));
+  receiver = await startReceiver();
+  await Webhook.create({ url: receiver.url, events: ['transaction.created'] });
+});
+afterAll(async () => {
+  await receiver.close();
+  await teardownDatabase();
+});
+
+beforeEach(() => {
+  receiver.requests.length = 0;
+});
+
+// Los webhooks se envían después de responder, así que se espera a que lleguen
+const waitForRequests = async (count) => {
+  for (let attempt = 0; attempt < 50 && receiver.requests.length < count; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return receiver.requests.map(({ body }) => body);
+};
+
+describe('transaction.created', () => {
+  test('se envía por cada ocurrencia de una regla recurrente', async () => {
+    await request(app)
+      .post('/api/recurring-rules')
+      .set('Authorization', auth)
+      .send({
+        type: 'expense', amount: 800, description: 'Alquiler', category: 'Hogar',
+        frequency: 'monthly', start_date: '2024-01-01', end_date: '2024-03-31'
+      })
+      .expect(201);
+
+    const events = await waitForRequests(3);
+    expect(events).toHaveLength(3);
+    expect(events.every(event => event.event === 'transaction.created')).toBe(true);
+    expect(events.map(event => event.data.date).sort()).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+    expect(events[0].data.description).toBe('Alquiler');
+  });
+
+  test('se envía por cada movimiento importado', async () => {
+    const response = await request(app)
+      .post('/api/import/csv')
+      .set('Authorization', auth)
+      .send({ csv: 'date,description,amount,category\n2024-05-02,Panadería,-3.5,Alimentación\n2024-05-03,Farmacia,-12,Salud\n' })
+      .expect(200);
+
+    expect(response.body.transaction_ids).toHaveLength(2);
+    const events = await waitForRequests(2);
+    expect(events.map(event => event.data.id).sort()).toEqual([...response.body.transaction_ids].sort());
+  });
+
+  test('se envía al pagar una factura', async () => {
+    const bill = await request(app)
+      .post('/api/bills')
+      .set('Authorization', auth)
+      .send({ name: 'Agua', category: 'Servicios', amount: 25, due_date: '2024-06-10' })
+      .expect(201);
+    const payment = await request(app).post(`/api/bills/${bill.body.id}/pay`).set('Authorization', auth).send({}).expect(201);
+
+    const events = await waitForRequests(1);
+    expect(events.map(event => event.data.id)).toEqual([payment.body.transaction.id]);
+  });
+});
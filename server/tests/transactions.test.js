@@ -0,0 +1,39 @@
+const { dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const Transaction = require('../models/Transaction');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('Transaction', () => {
+  test('guarda la fecha como YYYY-MM-DD', async () => {
+    const created = await Transaction.create({
+      type: 'expense',
+      amount: 12.5,
+      description: 'Pan',
+      category: 'Alimentación',
+      date: '2024-03-05'
+    });
+
+    const [row] = await dbManager.query('SELECT date FROM transactions WHERE id = ?', [created.id]);
+    expect(row.date).toBe('2024-03-05');
+  });
+
+  test('getStatistics filtra por rango de fechas', async () => {
+    await Transaction.create({ type: 'income', amount: 1000, description: 'Nómina', category: 'Salario', date: '2024-02-28' });
+    await Transaction.create({ type: 'income', amount: 1200, description: 'Nómina', category: 'Salario', date: '2024-04-01' });
+
+    const statistics = await Transaction.getStatistics({ startDate: '2024-04-01', endDate: '2024-04-30' });
+
+    expect(statistics.totalIncome).toBe(1200);
+    expect(statistics.totalExpenses).toBe(0);
+  });
+
+  test('getMonthlyData agrupa por mes las transacciones del año', async () => {
+    await Transaction.create({ type: 'expense', amount: 30, description: 'Cena', category: 'Alimentación', date: '2023-07-10' });
+    await Transaction.create({ type: 'expense', amount: 45, description: 'Compra', category: 'Alimentación', date: '2023-07-20' });
+
+    const months = await Transaction.getMonthlyData(2023);
+
+    expect(months).toEqual([expect.objectContaining({ month: 7, type: 'expense', total: 75 })]);
+  });
+});
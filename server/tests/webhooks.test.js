@@ -0,0 +1,64 @@
+const request = require('supertest');
+const { app, dbManager, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createSession } = require('./helpers/api');
+const { startReceiver } = require('./helpers/receiver');
+const Webhook = require('../models/Webhook');
+
+let receiver;
+
+beforeAll(async () => {
+  await setupDatabase();
+  receiver = await startReceiver({ status: 500 });
+});
+afterAll(async () => {
+  await receiver.close();
+  await teardownDatabase();
+});
+
+describe('Webhook', () => {
+  test('guarda el cuerpo completo al registrar el envío', async () => {
+    const webhook = await Webhook.create({ url: receiver.url, events: ['transaction.created'] });
+    await Webhook.dispatch('transaction.created', { id: 1, amount: 10 });
+
+    const [delivery] = await Webhook.getDeliveries(webhook.id);
+    expect(delivery.payload).toEqual(expect.objectContaining({ event: 'transaction.created', data: { id: 1, amount: 10 } }));
+    expect(delivery.payload.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(receiver.requests[0].body).toEqual(delivery.payload);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+
+    await Webhook.delete(webhook.id);
+  });
+
+  test('dos pasadas de reintentos simultáneas envían cada envío una sola vez', async () => {
+    const webhook = await Webhook.create({ url: receiver.url, events: ['category.changed'] });
+    receiver.requests.length = 0;
+    await Webhook.dispatch('category.changed', { action: 'created' });
+    await dbManager.query("UPDATE webhook_deliveries SET next_attempt_at = '2000-01-01T00:00:00.000Z'");
+
+    receiver.options.delayMs = 100;
+    const sent = await Promise.all([Webhook.retryDue(), Webhook.retryDue()]);
+
+    expect(sent.sort()).toEqual([0, 1]);
+    expect(receiver.requests).toHaveLength(2);
+    const [delivery] = await Webhook.getDeliveries(webhook.id);
+    expect(delivery.attempts).toBe(2);
+    expect(delivery.status).toBe('pending');
+  });
+});
+
+describe('POST /api/webhooks', () => {
+  test('solo el propietario registra webhooks; los editores y las claves de escritura no', async () => {
+    const { auth } = await createSession(app);
+    const apiKey = await request(app).post('/api/api-keys').set('Authorization', auth).send({ name: 'Script' }).expect(201);
+    const body = { url: 'http://127.0.0.1:6379/', events: ['transaction.created'] };
+
+    await request(app).post('/api/webhooks').set('Authorization', `Bearer ${apiKey.body.key}`).send(body).expect(403);
+    const created = await request(app).post('/api/webhooks').set('Authorization', auth).send({ ...body, url: receiver.url }).expect(201);
+    await request(app)
+      .put(`/api/webhooks/${created.body.id}`)
+      .set('Authorization', `Bearer ${apiKey.body.key}`)
+      .send(body)
+      .expect(403);
+  });
+});
@@ -0,0 +1,62 @@
+const { parseXml, child, children, text } = require('../utils/xml');
+
+describe('parseXml', () => {
+  test('descarta los prefijos de espacio de nombres de elementos y atributos', () => {
+    const document = parseXml('<ns2:Document xmlns:ns2="urn:x"><ns2:Amt ns2:Ccy="EUR">1.00</ns2:Amt></ns2:Document>');
+
+    expect(document.name).toBe('Document');
+    expect(child(document, 'Amt').attributes).toEqual({ Ccy: 'EUR' });
+    expect(text(document, 'Amt')).toBe('1.00');
+  });
+
+  test('decodifica las entidades con nombre y numéricas en textos y atributos', () => {
+    const document = parseXml('<a t=\'&quot;x&quot; &amp; y\'>&lt;b&gt; &#38; &#x41; &apos;c&apos; &desconocida;</a>');
+
+    expect(document.attributes.t).toBe('"x" & y');
+    expect(document.text).toBe("<b> & A 'c' &desconocida;");
+  });
+
+  test('conserva el contenido de CDATA sin decodificar e ignora comentarios, instrucciones y DOCTYPE', () => {
+    const document = parseXml([
+      '\uFEFF<?xml version="1.0"?>',
+      '<!DOCTYPE a>',
+      '<!-- <b>no es un elemento</b> -->',
+      '<a><![CDATA[<b> &amp; </b>]]></a>'
+    ].join('\n'));
+
+    expect(document.children).toEqual([]);
+    expect(document.text).toBe('<b> &amp; </b>');
+  });
+
+  test('indica la línea en la que empieza cada elemento', () => {
+    const document = parseXml('<a>\r\n  <b/>\r\n\r\n  <b>\n    <c/>\n  </b>\n</a>');
+
+    expect(children(document, 'b').map(element => element.line)).toEqual([2, 4]);
+    expect(child(document, 'b', 'c')).toBeNull();
+    expect(children(document, 'b')[1].children[0].line).toBe(5);
+  });
+
+  test.each([
+    ['<a><b></a>', 'XML mal formado: cierre inesperado de <a> en la línea 1'],
+    ['<a>\n</b>', 'XML mal formado: cierre inesperado de <b> en la línea 2'],
+    ['<a><b></b>', 'XML mal formado: el documento está incompleto'],
+    ['solo texto', 'XML mal formado: el documento está incompleto']
+  ])('rechaza %j', (content, message) => {
+    expect(() => parseXml(content)).toThrow(message);
+  });
+});
+
+describe('child, children y text', () => {
+  const document = parseXml('<a><b><c> uno </c></b><b><c>dos</c></b></a>');
+
+  test('siguen la ruta por el primer hijo de cada nombre', () => {
+    expect(text(document, 'b', 'c')).toBe('uno');
+    expect(children(document, 'b').map(element => text(element, 'c'))).toEqual(['uno', 'dos']);
+  });
+
+  test('devuelven null o una lista vacía si la ruta no existe', () => {
+    expect(child(document, 'x', 'c')).toBeNull();
+    expect(text(document, 'b', 'x')).toBeNull();
+    expect(children(null, 'b')).toEqual([]);
+  });
+});
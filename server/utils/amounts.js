@@ -0,0 +1,43 @@
+/**
+ * Utilidades de importes
+ */
+
+/**
+ * Redondea un importe a 2 decimales
+ * Evita arrastrar decimales de las conversiones de moneda en los totales
+ * @param {number} value - Importe
+ * @returns {number} Importe redondeado
+ */
+function roundAmount(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Reparte un importe en partes proporcionales a los pesos indicados
+ * Trabaja en céntimos y asigna los céntimos sobrantes a las partes con mayor resto, de modo
+ * que la suma de las partes es exactamente el importe
+ * @param {number} total - Importe a repartir
+ * @param {Array<number>} weights - Peso de cada parte (por ejemplo 1 para partes iguales o el porcentaje)
+ * @returns {Array<number>} Importe de cada parte, en el mismo orden que los pesos
+ */
+function allocateAmount(total, weights) {
+  const cents = Math.round(total * 100);
+  const weightsTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (cents * weight) / weightsTotal);
+  const parts = exact.map(value => Math.floor(value));
+
+  let remaining = cents - parts.reduce((sum, part) => sum + part, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length, remaining--) {
+    parts[byRemainder[i].index] += 1;
+  }
+
+  return parts.map(part => part / 100);
+}
+
+module.exports = {
+  roundAmount,
+  allocateAmount
+};
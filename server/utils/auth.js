@@ -0,0 +1,150 @@
+/**
+ * Utilidades de autenticación
+ * Hash de contraseñas con scrypt y tokens JWT firmados con HS256, usando solo el
+ * módulo crypto de Node
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 días
+
+let generatedSecret = null;
+
+/**
+ * Obtiene la clave con la que se firman los tokens
+ * En producción JWT_SECRET es obligatoria; en desarrollo, si falta, se genera una clave
+ * aleatoria por proceso (las sesiones se pierden al reiniciar el servidor)
+ * @returns {string} Clave de firma
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET debe estar configurada en producción');
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET no está configurada; se usa una clave temporal');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Calcula el hash de una contraseña
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<string>} Hash con el formato scrypt$<sal>$<hash>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Comprueba una contraseña contra su hash
+ * @param {string} password - Contraseña en texto plano
+ * @param {string} stored - Hash guardado con hashPassword
+ * @returns {Promise<boolean>} True si la contraseña coincide
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, expected.length, (error, key) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+/**
+ * Firma un token JWT (HS256)
+ * Añade iat, exp y un identificador único (jti) que permite revocarlo
+ * @param {Object} claims - Datos del token (por ejemplo { sub })
+ * @param {number} ttlSeconds - Validez en segundos
+ * @returns {string} Token JWT
+ */
+function signToken(claims, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+  const payload = encodeSegment({ ...claims, iat: now, exp: now + ttlSeconds, jti: crypto.randomUUID() });
+  return `${header}.${payload}.${signature(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verifica un token JWT (HS256) y su caducidad
+ * @param {string} token - Token JWT
+ * @returns {Object|null} Datos del token o null si no es válido o caducó
+ */
+function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, tokenSignature] = parts;
+  const expected = Buffer.from(signature(`${header}.${payload}`));
+  const received = Buffer.from(tokenSignature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    if (decodeSegment(header).alg !== 'HS256') {
+      return null;
+    }
+    const claims = decodeSegment(payload);
+    return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Codifica un objeto como segmento base64url de un JWT
+ * @param {Object} value - Objeto a codificar
+ * @returns {string} Segmento codificado
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decodifica un segmento base64url de un JWT
+ * @param {string} segment - Segmento codificado
+ * @returns {Object} Objeto decodificado
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Calcula la firma HMAC-SHA256 de la cabecera y el contenido de un JWT
+ * @param {string} data - Cabecera y contenido separados por un punto
+ * @returns {string} Firma en base64url
+ */
+function signature(data) {
+  return crypto.createHmac('sha256', getJwtSecret()).update(data).digest('base64url');
+}
+
+module.exports = {
+  getJwtSecret,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken
+};
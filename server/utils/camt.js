@@ -0,0 +1,108 @@
+/**
+ * Utilidades de camt.053
+ * Lectura de extractos de cuenta ISO 20022 camt.053 (BankToCustomerStatement). Se admiten
+ * las versiones 001.02 a 001.08: los elementos que cambiaron de lugar entre versiones
+ * (estado del apunte, nombre de la contraparte) se buscan en ambas ubicaciones.
+ */
+
+const { parseXml, child, children, text } = require('./xml');
+
+/**
+ * Obtiene la fecha (YYYY-MM-DD) de un elemento de fecha ISO 20022 (<Dt> o <DtTm>)
+ * @param {Object|null} element - Elemento BookgDt o ValDt
+ * @returns {string|null} Fecha o null si no existe
+ */
+function isoDate(element) {
+  const value = text(element, 'Dt') || (text(element, 'DtTm') || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+/**
+ * Obtiene el nombre de una parte relacionada (Dbtr o Cdtr) de un detalle de transacción
+ * @param {Object|null} details - Elemento TxDtls
+ * @param {string} party - 'Dbtr' o 'Cdtr'
+ * @returns {string|null} Nombre o null si no existe
+ */
+function partyName(details, party) {
+  return text(details, 'RltdPties', party, 'Nm') || text(details, 'RltdPties', party, 'Pty', 'Nm');
+}
+
+/**
+ * Lee un extracto camt.053
+ * @param {string} content - Contenido del archivo XML
+ * @returns {Object} { currency, account, movements } donde cada movimiento es
+ *          { line, reference, bookingDate, valueDate, amount, rawAmount, currency,
+ *          counterparty, remittance, booked } con amount positivo en los abonos y negativo
+ *          en los cargos
+ */
+function parseCamt053(content) {
+  const document = parseXml(content);
+  const statementMessage = child(document, 'BkToCstmrStmt');
+  if (!statementMessage) {
+    const e = new Error('El archivo no es un extracto camt.053 (falta el elemento BkToCstmrStmt)');
+    e.name = 'ValidationError';
+    throw e;
+  }
+
+  const statements = children(statementMessage, 'Stmt');
+  const movements = [];
+
+  for (const statement of statements) {
+    const statementCurrency = text(statement, 'Acct', 'Ccy');
+
+    for (const entry of children(statement, 'Ntry')) {
+      const amountElement = child(entry, 'Amt');
+      const rawAmount = amountElement ? amountElement.text.trim() : null;
+      const amount = /^\d+(\.\d+)?$/.test(rawAmount || '') ? parseFloat(rawAmount) : NaN;
+
+      // Un apunte de abono anulado es un cargo y viceversa
+      const credit = text(entry, 'CdtDbtInd') === 'CRDT';
+      const reversal = text(entry, 'RvslInd') === 'true';
+      const sign = credit !== reversal ? 1 : -1;
+
+      const details = children(child(entry, 'NtryDtls'), 'TxDtls');
+      // La contraparte es quien paga en los abonos y quien cobra en los cargos
+      const counterparty = details
+        .map(transaction => partyName(transaction, credit ? 'Dbtr' : 'Cdtr'))
+        .find(Boolean) || null;
+
+      const remittance = details
+        .flatMap(transaction => {
+          const information = child(transaction, 'RmtInf');
+          return [
+            ...children(information, 'Ustrd').map(line => line.text.trim()),
+            text(information, 'Strd', 'CdtrRefInf', 'Ref')
+          ];
+        })
+        .filter(Boolean)
+        .join(' ');
+
+      const status = text(entry, 'Sts', 'Cd') || text(entry, 'Sts');
+
+      movements.push({
+        line: entry.line,
+        reference: text(entry, 'AcctSvcrRef') || details.map(transaction => text(transaction, 'Refs', 'AcctSvcrRef')).find(Boolean) || null,
+        bookingDate: isoDate(child(entry, 'BookgDt')),
+        valueDate: isoDate(child(entry, 'ValDt')),
+        amount: sign * amount,
+        rawAmount,
+        currency: (amountElement && amountElement.attributes.Ccy) || statementCurrency,
+        counterparty,
+        remittance: remittance || text(entry, 'AddtlNtryInf'),
+        booked: !status || status === 'BOOK'
+      });
+    }
+  }
+
+  return {
+    currency: statements.length > 0 ? text(statements[0], 'Acct', 'Ccy') : null,
+    account: statements.length > 0
+      ? text(statements[0], 'Acct', 'Id', 'IBAN') || text(statements[0], 'Acct', 'Id', 'Othr', 'Id')
+      : null,
+    movements
+  };
+}
+
+module.exports = {
+  parseCamt053
+};
@@ -0,0 +1,101 @@
+/**
+ * Utilidades de CSV
+ * Lectura de archivos CSV exportados por bancos y hojas de cálculo
+ */
+
+/**
+ * Separadores que se prueban al detectarlo automáticamente
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Detecta el separador de un CSV a partir de su primera línea con contenido
+ * Elige el separador que más veces aparece fuera de comillas
+ * @param {string} text - Contenido del archivo
+ * @returns {string} Separador detectado (',' si no hay ninguno)
+ */
+function detectDelimiter(text) {
+  const firstLine = String(text || '').split(/\r?\n/).find(line => line.trim()) || '';
+  const unquoted = firstLine.replace(/"[^"]*"/g, '');
+
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lee un texto CSV
+ * Admite campos entre comillas dobles con separadores, saltos de línea y comillas escapadas
+ * ("") en su interior. Las líneas vacías se ignoran.
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<Object>} Filas { line, fields } con el número de línea en el que empieza cada una
+ */
+function parseCsv(text, delimiter = ',') {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields: fields.map(value => value.trim()) });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv
+};
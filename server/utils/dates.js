@@ -0,0 +1,92 @@
+/**
+ * Utilidades de fechas
+ * Normaliza las fechas antes de guardarlas en la base de datos
+ */
+
+/**
+ * Convierte una fecha a formato ISO (YYYY-MM-DD)
+ * Joi convierte las fechas validadas en objetos Date, que SQLite guardaría como número
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function toISODate(date) {
+  const value = date instanceof Date ? date : new Date(date);
+  return value.toISOString().split('T')[0];
+}
+
+/**
+ * Convierte una fecha leída de la base de datos a formato YYYY-MM-DD
+ * PostgreSQL devuelve las columnas DATE como objetos Date a medianoche en hora local
+ * @param {Date|string|null} value - Valor de la columna
+ * @returns {string|null} Fecha en formato YYYY-MM-DD o null
+ */
+function fromDbDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (!(value instanceof Date)) {
+    return String(value).split('T')[0];
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Suma días a una fecha
+ * @param {string} date - Fecha en formato YYYY-MM-DD
+ * @param {number} days - Días a sumar (pueden ser negativos)
+ * @returns {string} Fecha resultante en formato YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return toISODate(value);
+}
+
+/**
+ * Construye una fecha a partir de año, mes y día, ajustando el día al último del mes
+ * (por ejemplo, el día 31 en febrero pasa a ser el 28 o 29)
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} day - Día del mes
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function clampedDate(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return toISODate(new Date(Date.UTC(year, month - 1, Math.min(day, lastDay))));
+}
+
+/**
+ * Suma meses a una fecha, ajustando el día al último del mes resultante si no existe
+ * @param {string} date - Fecha en formato YYYY-MM-DD
+ * @param {number} months - Meses a sumar (pueden ser negativos)
+ * @returns {string} Fecha resultante en formato YYYY-MM-DD
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const total = year * 12 + (month - 1) + months;
+  return clampedDate(Math.floor(total / 12), (total % 12) + 1, day);
+}
+
+/**
+ * Obtiene el primer y el último día de un mes
+ * @param {string} month - Mes en formato YYYY-MM
+ * @returns {Object} { startDate, endDate } en formato YYYY-MM-DD
+ */
+function monthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    startDate: `${month}-01`,
+    endDate: clampedDate(year, monthNumber, 31)
+  };
+}
+
+module.exports = {
+  toISODate,
+  fromDbDate,
+  addDays,
+  clampedDate,
+  addMonths,
+  monthRange
+};
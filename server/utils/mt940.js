@@ -0,0 +1,196 @@
+/**
+ * Utilidades de MT940
+ * Lectura de extractos SWIFT MT940. Cada movimiento es un campo :61: (fechas, importe y
+ * referencias) seguido opcionalmente de un campo :86: con la información para el cliente,
+ * que se interpreta en el formato estructurado alemán (?20, ?32...), en el formato SWIFT
+ * (/NAME/.../REMI/...) o como texto libre.
+ */
+
+/**
+ * Claves del formato estructurado SWIFT del campo :86:
+ */
+const SWIFT_INFORMATION_KEYS = [
+  'TRTP', 'IBAN', 'BIC', 'NAME', 'REMI', 'USTD', 'STRD', 'EREF', 'MARF', 'CSID', 'ORDP',
+  'BENM', 'CNTP', 'ADDR', 'PURP', 'RTRN', 'ULTC', 'ULTD', 'ISDT', 'CDTRREF', 'CDTRREFTP', 'ISSR'
+];
+
+/**
+ * Patrón del campo :61:
+ * Fecha valor (AAMMDD), fecha de contabilización opcional (MMDD), marca de débito o crédito
+ * (D, C, RD o RC), código de fondos opcional, importe con coma decimal, tipo de movimiento
+ * (N + 3 caracteres) y referencias del cliente y del banco (separadas por //)
+ */
+const STATEMENT_LINE = /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+(?:,\d*)?)([A-Z][A-Z0-9]{3})(.*)$/;
+
+/**
+ * Construye una fecha YYYY-MM-DD validando que exista
+ * @param {number} year - Año con cuatro dígitos
+ * @param {number} month - Mes (1-12)
+ * @param {number} day - Día del mes
+ * @returns {string|null} Fecha o null si no es válida
+ */
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Interpreta el campo :86: de información para el cliente
+ * @param {Array<string>} lines - Líneas del campo
+ * @returns {Object} { counterparty, remittance }
+ */
+function parseInformation(lines) {
+  const joined = lines.join('');
+
+  // Formato alemán: subcampos ?00 (texto del apunte), ?20-?29 y ?60-?63 (concepto) y ?32-?33 (contraparte)
+  if (/^\d{3}\?/.test(joined) || /\?2\d/.test(joined)) {
+    const subfields = {};
+    for (const part of joined.split('?').slice(1)) {
+      subfields[part.slice(0, 2)] = (subfields[part.slice(0, 2)] || '') + part.slice(2);
+    }
+    const concept = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']
+      .map(code => subfields[code] || '')
+      .join('');
+    // En los movimientos SEPA el concepto libre va tras SVWZ+, junto a otras referencias (EREF+, KREF+...)
+    const sepaConcept = concept.match(/SVWZ\+(.*?)(?=[A-Z]{4}\+|$)/);
+    return {
+      counterparty: `${subfields['32'] || ''}${subfields['33'] || ''}`.trim() || null,
+      remittance: (sepaConcept ? sepaConcept[1] : concept).trim() || subfields['00'] || null
+    };
+  }
+
+  // Formato SWIFT: /CLAVE/valor/CLAVE/valor...
+  if (joined.startsWith('/')) {
+    const values = {};
+    let key = null;
+    for (const token of joined.split('/').slice(1)) {
+      if (SWIFT_INFORMATION_KEYS.includes(token)) {
+        key = token;
+        values[key] = values[key] || [];
+      } else if (key) {
+        values[key].push(token);
+      }
+    }
+    const clean = parts => (parts || []).filter(Boolean).join('/').trim();
+    const counterpartyParts = values.CNTP ? values.CNTP.filter(Boolean) : [];
+    return {
+      counterparty: clean(values.NAME) || counterpartyParts[2] || null,
+      remittance: clean(values.REMI) || clean(values.USTD) || null
+    };
+  }
+
+  return { counterparty: null, remittance: lines.join(' ').trim() || null };
+}
+
+/**
+ * Lee un extracto MT940
+ * @param {string} content - Contenido del archivo
+ * @returns {Object} { currency, account, movements } donde cada movimiento es
+ *          { line, reference, bookingDate, valueDate, amount, rawAmount, currency,
+ *          counterparty, remittance, booked } con amount positivo en los abonos y negativo
+ *          en los cargos
+ */
+function parseMt940(content) {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const fields = [];
+  let current = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\s+$/, '');
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      current = { tag: tag[1], lines: [tag[2]], line: index + 1 };
+      fields.push(current);
+    } else if (/^-}?$/.test(line) || line.startsWith('{')) {
+      // Fin de un extracto o cabeceras SWIFT ({1:...}{2:...}{4:)
+      current = null;
+    } else if (current && line) {
+      current.lines.push(line);
+    }
+  });
+
+  if (!fields.some(field => field.tag === '20') || !fields.some(field => field.tag === '61' || field.tag.startsWith('60'))) {
+    const e = new Error('El archivo no es un extracto MT940 (faltan los campos :20: y :60F:)');
+    e.name = 'ValidationError';
+    throw e;
+  }
+
+  let currency = null;
+  let account = null;
+  let statementCurrency = null;
+  const movements = [];
+
+  fields.forEach((field, index) => {
+    if (field.tag === '25') {
+      account = account || field.lines[0].trim();
+    } else if (field.tag.startsWith('60')) {
+      // Saldo inicial: C/D, fecha (AAMMDD), moneda e importe
+      const balance = field.lines[0].match(/^[CD]\d{6}([A-Z]{3})/);
+      statementCurrency = balance ? balance[1] : null;
+      currency = currency || statementCurrency;
+    } else if (field.tag === '61') {
+      const match = field.lines[0].match(STATEMENT_LINE);
+      const next = fields[index + 1];
+      const information = next && next.tag === '86' ? parseInformation(next.lines) : { counterparty: null, remittance: null };
+
+      if (!match) {
+        movements.push({
+          line: field.line,
+          reference: null,
+          bookingDate: null,
+          valueDate: null,
+          amount: NaN,
+          rawAmount: field.lines[0],
+          currency: statementCurrency,
+          ...information,
+          booked: true
+        });
+        return;
+      }
+
+      const [, year, month, day, entryDate, mark, , rawAmount, , references] = match;
+      const valueYear = 2000 + Number(year);
+      const valueDate = buildDate(valueYear, Number(month), Number(day));
+
+      // La fecha de contabilización no trae año: se toma el de la fecha valor, salvo en el cambio de año
+      let bookingDate = null;
+      if (entryDate) {
+        const entryMonth = Number(entryDate.slice(0, 2));
+        let entryYear = valueYear;
+        if (entryMonth === 12 && Number(month) === 1) {
+          entryYear--;
+        } else if (entryMonth === 1 && Number(month) === 12) {
+          entryYear++;
+        }
+        bookingDate = buildDate(entryYear, entryMonth, Number(entryDate.slice(2, 4)));
+      }
+
+      const amount = parseFloat(rawAmount.replace(',', '.'));
+      // La referencia del cliente puede repetirse (o ser NONREF); solo la del banco identifica el movimiento
+      const bankReference = (references.split('//')[1] || '').trim();
+      const supplementary = field.lines.slice(1).join(' ').trim();
+
+      movements.push({
+        line: field.line,
+        reference: bankReference || null,
+        bookingDate,
+        valueDate,
+        amount: mark === 'C' || mark === 'RD' ? amount : -amount,
+        rawAmount,
+        currency: statementCurrency,
+        counterparty: information.counterparty,
+        remittance: information.remittance || supplementary || null,
+        booked: true
+      });
+    }
+  });
+
+  return { currency, account, movements };
+}
+
+module.exports = {
+  parseMt940
+};
@@ -0,0 +1,121 @@
+/**
+ * Utilidades de OFX
+ * Lectura de extractos OFX/QFX. Admite OFX 1.x (SGML, donde los elementos simples no se
+ * cierran) y OFX 2.x (XML); QFX es OFX con elementos propios de Intuit, que se ignoran.
+ */
+
+/**
+ * Entidades que pueden aparecer en los valores
+ */
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Decodifica las entidades de un valor
+ * @param {string} value - Valor tal como aparece en el archivo
+ * @returns {string} Valor decodificado
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&[a-z]+;/gi, entity => ENTITIES[entity.toLowerCase()] || entity);
+}
+
+/**
+ * Obtiene el valor de un elemento simple dentro de un bloque
+ * En SGML el valor termina en el siguiente elemento o en el salto de línea
+ * @param {string} block - Texto del bloque
+ * @param {string} name - Nombre del elemento
+ * @returns {string|null} Valor o null si el elemento no existe
+ */
+function element(block, name) {
+  const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+/**
+ * Convierte una fecha OFX (YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]) a YYYY-MM-DD
+ * Se toma el día tal como lo indica el banco, sin convertir de zona horaria
+ * @param {string|null} value - Fecha OFX
+ * @returns {string|null} Fecha en formato YYYY-MM-DD o null si no es válida
+ */
+function parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convierte un importe OFX a número
+ * La especificación usa punto decimal, pero algunos bancos europeos exportan con coma
+ * @param {string|null} value - Importe OFX
+ * @returns {number} Importe con signo (NaN si no es un número)
+ */
+function parseOfxAmount(value) {
+  const normalized = String(value || '').replace(/\s/g, '').replace(',', '.');
+  return /^[+-]?\d*\.?\d+$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+/**
+ * Lee un extracto OFX/QFX
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { currency, account, transactions } donde cada movimiento es
+ *          { line, fitid, trntype, date, amount, name, memo } con amount positivo en los
+ *          abonos y negativo en los cargos; rawDate y rawAmount conservan el texto original
+ *          para los mensajes de error
+ */
+function parseOfx(text) {
+  const input = String(text || '');
+  if (!/<OFX>/i.test(input)) {
+    const e = new Error('El archivo no es un extracto OFX (falta el elemento <OFX>)');
+    e.name = 'ValidationError';
+    throw e;
+  }
+
+  const transactions = [];
+  const pattern = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+  // Las líneas se cuentan desde el movimiento anterior para recorrer el archivo una sola vez
+  let line = 1;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    line += (input.slice(position, match.index).match(/\n/g) || []).length;
+    position = match.index;
+    const block = match[1];
+    transactions.push({
+      line,
+      fitid: element(block, 'FITID'),
+      trntype: (element(block, 'TRNTYPE') || '').toUpperCase(),
+      date: parseOfxDate(element(block, 'DTPOSTED')),
+      rawDate: element(block, 'DTPOSTED'),
+      amount: parseOfxAmount(element(block, 'TRNAMT')),
+      rawAmount: element(block, 'TRNAMT'),
+      name: element(block, 'NAME') || element(block, 'PAYEEID'),
+      memo: element(block, 'MEMO')
+    });
+  }
+
+  return {
+    currency: element(input, 'CURDEF'),
+    account: element(input, 'ACCTID'),
+    transactions
+  };
+}
+
+module.exports = {
+  parseOfx
+};
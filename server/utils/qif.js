@@ -0,0 +1,189 @@
+/**
+ * Utilidades de QIF
+ * Lectura de archivos QIF (Quicken Interchange Format), el formato que exportan Quicken,
+ * Microsoft Money, Money Manager Ex y otros programas de finanzas personales. Cada registro
+ * ocupa varias líneas que empiezan por un código de campo y termina con "^".
+ */
+
+/**
+ * Secciones cuyos registros son movimientos de una cuenta
+ */
+const TRANSACTION_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Convierte una fecha QIF a formato YYYY-MM-DD
+ * Admite "03/05/2024", "3/ 5'24" (el apóstrofo indica un año a partir de 2000), "03.05.24"
+ * y "2024-03-05". Los años de dos dígitos sin apóstrofo se interpretan en el siglo que los
+ * deja en el pasado.
+ * @param {string} value - Fecha tal como aparece en el archivo
+ * @param {string} order - 'MDY' (Quicken en inglés) o 'DMY'
+ * @returns {string|null} Fecha en formato YYYY-MM-DD o null si no es válida
+ */
+function parseQifDate(value, order = 'MDY') {
+  const text = String(value || '').replace(/\s/g, '');
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  const parts = text.match(/^(\d{1,2})[-/.](\d{1,2})(['/.-])(\d{2}|\d{4})$/);
+
+  let year;
+  let month;
+  let day;
+  if (iso) {
+    [year, month, day] = iso.slice(1, 4).map(Number);
+  } else if (parts) {
+    const [first, second] = [Number(parts[1]), Number(parts[2])];
+    [month, day] = order === 'DMY' ? [second, first] : [first, second];
+    year = Number(parts[4]);
+    if (parts[4].length === 2) {
+      const currentYear = new Date().getFullYear() % 100;
+      year += parts[3] === "'" || year <= currentYear ? 2000 : 1900;
+    }
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Separa la clase de una categoría QIF ("Auto:Combustible/Viajes")
+ * Las categorías entre corchetes son transferencias a otra cuenta
+ * @param {string} value - Valor del campo L o S
+ * @returns {Object} { category, transfer } con la ruta de la categoría o el nombre de la cuenta
+ */
+function parseQifCategory(value) {
+  const text = String(value || '').trim();
+  const transfer = text.match(/^\[(.*)\]/);
+  if (transfer) {
+    return { category: null, transfer: transfer[1].trim() };
+  }
+  const category = text.split('/')[0].trim();
+  return { category: category && category !== '--Split--' ? category : null, transfer: null };
+}
+
+/**
+ * Lee un archivo QIF
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { categoryTypes, transactions } donde categoryTypes asocia cada ruta de
+ *          categoría declarada en !Type:Cat (en minúsculas) con 'income' o 'expense', y cada
+ *          movimiento es { line, date, amount, payee, memo, category, transfer, splits } con
+ *          las fechas e importes tal como aparecen en el archivo; cada división es
+ *          { category, transfer, amount, memo }
+ */
+function parseQif(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const categoryTypes = new Map();
+  const transactions = [];
+
+  let section = null;
+  let record = null;
+  let sawHeader = false;
+
+  const finishRecord = () => {
+    if (!record) {
+      return;
+    }
+    if (section === 'cat' && record.name) {
+      categoryTypes.set(record.name.toLowerCase(), record.income ? 'income' : 'expense');
+    } else if (TRANSACTION_SECTIONS.includes(section) && (record.date || record.amount)) {
+      transactions.push(record);
+    }
+    record = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    if (line.startsWith('!')) {
+      finishRecord();
+      const header = line.toLowerCase();
+      if (header.startsWith('!type:')) {
+        sawHeader = true;
+        section = header.slice('!type:'.length).trim();
+      } else if (header === '!account') {
+        section = 'account';
+      }
+      // !Option:AutoSwitch, !Clear:AutoSwitch y similares no cambian la sección
+      return;
+    }
+
+    if (line === '^') {
+      finishRecord();
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (!record) {
+      record = section === 'cat'
+        ? { name: null, income: false }
+        : { line: index + 1, date: null, amount: null, payee: null, memo: null, category: null, transfer: null, splits: [] };
+    }
+
+    if (section === 'cat') {
+      if (code === 'N') {
+        record.name = value;
+      } else if (code === 'I') {
+        record.income = true;
+      }
+      return;
+    }
+
+    const split = record.splits[record.splits.length - 1];
+    switch (code) {
+      case 'D':
+        record.date = value;
+        break;
+      case 'T':
+      case 'U':
+        record.amount = record.amount || value;
+        break;
+      case 'P':
+        record.payee = value;
+        break;
+      case 'M':
+        record.memo = value;
+        break;
+      case 'L':
+        Object.assign(record, parseQifCategory(value));
+        break;
+      case 'S':
+        record.splits.push({ ...parseQifCategory(value), amount: null, memo: null });
+        break;
+      case 'E':
+        if (split) {
+          split.memo = value;
+        }
+        break;
+      case '$':
+        if (split) {
+          split.amount = value;
+        }
+        break;
+      default:
+        // Número de cheque (N), estado (C), dirección (A) y otros campos que no se importan
+        break;
+    }
+  });
+  finishRecord();
+
+  if (!sawHeader) {
+    const e = new Error('El archivo no es un QIF (falta la cabecera !Type:)');
+    e.name = 'ValidationError';
+    throw e;
+  }
+
+  return { categoryTypes, transactions };
+}
+
+module.exports = {
+  parseQif,
+  parseQifDate
+};
@@ -0,0 +1,138 @@
+/**
+ * Utilidades de XML
+ * Lector mínimo de XML para extractos bancarios (camt.053). Construye un árbol de elementos
+ * sin validar el documento; los prefijos de espacio de nombres se descartan para que las
+ * distintas versiones del esquema se lean igual.
+ */
+
+/**
+ * Entidades predefinidas de XML
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Decodifica las entidades de un texto
+ * @param {string} value - Texto tal como aparece en el documento
+ * @returns {string} Texto decodificado
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Nombre de un elemento o atributo sin el prefijo del espacio de nombres
+ * @param {string} name - Nombre completo ("ns2:Ntry")
+ * @returns {string} Nombre local ("Ntry")
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Lee un documento XML
+ * @param {string} content - Contenido del documento
+ * @returns {Object} Elemento raíz { name, attributes, children, text, line }
+ */
+function parseXml(content) {
+  const input = String(content || '').replace(/^\uFEFF/, '');
+  const root = { name: null, attributes: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let line = 1;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    line += (input.slice(position, match.index).match(/\n/g) || []).length;
+    position = match.index;
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, opening, attributeText, selfClosing, textContent] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        const e = new Error(`XML mal formado: cierre inesperado de <${closing}> en la línea ${line}`);
+        e.name = 'ValidationError';
+        throw e;
+      }
+      stack.pop();
+    } else if (opening) {
+      const attributes = {};
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        attributes[localName(attribute[1])] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const element = { name: localName(opening), attributes, children: [], text: '', line };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (textContent !== undefined) {
+      current.text += decodeEntities(textContent);
+    }
+    // Los comentarios, las instrucciones de procesamiento y el DOCTYPE se ignoran
+  }
+
+  if (stack.length > 1 || root.children.length === 0) {
+    const e = new Error('XML mal formado: el documento está incompleto');
+    e.name = 'ValidationError';
+    throw e;
+  }
+
+  return root.children[0];
+}
+
+/**
+ * Obtiene el primer descendiente que sigue una ruta de nombres
+ * @param {Object|null} element - Elemento de partida
+ * @param {...string} path - Nombres de los elementos hijos, en orden
+ * @returns {Object|null} Elemento encontrado o null
+ */
+function child(element, ...path) {
+  let current = element;
+  for (const name of path) {
+    current = current ? current.children.find(item => item.name === name) || null : null;
+  }
+  return current;
+}
+
+/**
+ * Obtiene todos los hijos con un nombre
+ * @param {Object|null} element - Elemento padre
+ * @param {string} name - Nombre de los hijos
+ * @returns {Array<Object>} Elementos hijos
+ */
+function children(element, name) {
+  return element ? element.children.filter(item => item.name === name) : [];
+}
+
+/**
+ * Obtiene el texto del primer descendiente que sigue una ruta de nombres
+ * @param {Object|null} element - Elemento de partida
+ * @param {...string} path - Nombres de los elementos hijos, en orden
+ * @returns {string|null} Texto sin espacios al principio ni al final, o null si no existe
+ */
+function text(element, ...path) {
+  const found = child(element, ...path);
+  return found ? found.text.trim() : null;
+}
+
+module.exports = {
+  parseXml,
+  child,
+  children,
+  text
+};